@@ -0,0 +1,185 @@
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('Network');
+
+/**
+ * Solana cluster configuration.
+ * SOLANA_NETWORK selects the cluster (mainnet-beta, devnet, testnet or localnet; `mainnet`
+ * and `localhost` are accepted as aliases) and with it the default RPC and WebSocket URLs,
+ * explorer links, well-known token mints and safety limits. SOLANA_RPC_URL and
+ * SOLANA_RPC_ENDPOINTS still override the RPC URLs; the genesis hash check at startup
+ * catches an RPC URL that points at a different cluster.
+ * The same clusters are defined in `src/config.ts`.
+ */
+
+const NETWORKS = {
+  'mainnet-beta': {
+    rpcUrl: 'https://api.mainnet-beta.solana.com',
+    wsUrl: 'wss://api.mainnet-beta.solana.com',
+    genesisHash: '5eykt4UsFv8P8NJdTREpY1vzqKqZKvdpKuc147dw2N9d',
+    mints: {
+      SOL: 'So11111111111111111111111111111111111111112',
+      USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+      USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+      BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263'
+    },
+    // Real funds: cap single transfers to limit the damage of a mistyped amount
+    maxSolPerTransfer: 10
+  },
+  devnet: {
+    rpcUrl: 'https://api.devnet.solana.com',
+    wsUrl: 'wss://api.devnet.solana.com',
+    genesisHash: 'EtWTRABZaYq6iMfeYKouRu166VL2xqa1wBEdfTUmbaRM',
+    mints: {
+      SOL: 'So11111111111111111111111111111111111111112',
+      USDC: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU'
+    },
+    maxSolPerTransfer: null
+  },
+  testnet: {
+    rpcUrl: 'https://api.testnet.solana.com',
+    wsUrl: 'wss://api.testnet.solana.com',
+    genesisHash: '4uhcVJyU9pJkvQyS88uRDiswHXSCkY3zQawwpjk2NsNY',
+    mints: {
+      SOL: 'So11111111111111111111111111111111111111112'
+    },
+    maxSolPerTransfer: null
+  },
+  // solana-test-validator; its genesis hash changes with every ledger reset
+  localnet: {
+    rpcUrl: 'http://127.0.0.1:8899',
+    wsUrl: 'ws://127.0.0.1:8900',
+    genesisHash: null,
+    mints: {
+      SOL: 'So11111111111111111111111111111111111111112'
+    },
+    maxSolPerTransfer: null
+  }
+};
+
+const NETWORK_ALIASES = {
+  mainnet: 'mainnet-beta',
+  localhost: 'localnet'
+};
+
+// The API has always defaulted to mainnet-beta
+const DEFAULT_NETWORK = 'mainnet-beta';
+
+/**
+ * Resolves a cluster name.
+ * @param {string} [value] - The cluster name or alias (defaults to mainnet-beta).
+ * @returns {string} mainnet-beta, devnet, testnet or localnet.
+ * @throws {Error} If the cluster is unknown.
+ */
+function resolveNetwork(value) {
+  const name = (value || DEFAULT_NETWORK).trim().toLowerCase();
+  const network = NETWORK_ALIASES[name] || name;
+  if (!NETWORKS[network]) {
+    throw new Error(`Invalid SOLANA_NETWORK: ${value} (expected one of ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  return network;
+}
+
+/**
+ * Reads MAX_SOL_PER_TRANSFER, which overrides the cluster's transfer cap (0 removes it).
+ * @param {number|null} fallback - The cluster's cap.
+ * @returns {number|null} The cap in SOL, or null for no cap.
+ * @throws {Error} If the value is not a non-negative number.
+ */
+function resolveTransferCap(fallback) {
+  const value = process.env.MAX_SOL_PER_TRANSFER;
+  if (value === undefined || value.trim() === '') {
+    return fallback;
+  }
+  const cap = Number(value);
+  if (!Number.isFinite(cap) || cap < 0) {
+    throw new Error(`Invalid MAX_SOL_PER_TRANSFER: ${value} (expected a number of SOL, 0 for no limit)`);
+  }
+  return cap === 0 ? null : cap;
+}
+
+const network = resolveNetwork(process.env.SOLANA_NETWORK);
+const networkConfig = Object.freeze({
+  network,
+  ...NETWORKS[network],
+  // A custom RPC URL replaces the cluster's WebSocket URL too, which web3.js then derives from it
+  rpcUrl: process.env.SOLANA_RPC_URL || NETWORKS[network].rpcUrl,
+  wsUrl: process.env.SOLANA_RPC_URL ? undefined : NETWORKS[network].wsUrl,
+  mints: Object.freeze({ ...NETWORKS[network].mints }),
+  maxSolPerTransfer: resolveTransferCap(NETWORKS[network].maxSolPerTransfer)
+});
+
+/**
+ * Gets the configuration of the selected cluster.
+ * @returns {{network: string, rpcUrl: string, wsUrl?: string, genesisHash: string|null,
+ *   mints: Object<string, string>, maxSolPerTransfer: number|null}}
+ */
+function getNetworkConfig() {
+  return networkConfig;
+}
+
+/**
+ * Builds an explorer link on the selected cluster.
+ * Solscan covers the public clusters; localnet links open the Solana Explorer with a custom RPC URL.
+ * @param {string} type - `tx`, `account` or `token`.
+ * @param {string} value - The signature or address.
+ * @returns {string} The explorer URL.
+ */
+function getExplorerUrl(type, value) {
+  if (network === 'localnet') {
+    const path = type === 'tx' ? 'tx' : 'address';
+    return `https://explorer.solana.com/${path}/${value}?cluster=custom&customUrl=${encodeURIComponent(networkConfig.rpcUrl)}`;
+  }
+  const cluster = network === 'mainnet-beta' ? '' : `?cluster=${network}`;
+  return `https://solscan.io/${type}/${value}${cluster}`;
+}
+
+/**
+ * Builds the explorer link of a transaction on the selected cluster.
+ * @param {string} signature - The transaction signature.
+ * @returns {string} The explorer URL.
+ */
+function getExplorerTxUrl(signature) {
+  return getExplorerUrl('tx', signature);
+}
+
+/**
+ * Checks a single transfer amount against the cluster's cap.
+ * @param {number} amountSol - The amount in SOL.
+ * @throws {Error} If the amount is above MAX_SOL_PER_TRANSFER or the cluster's default cap.
+ */
+function assertTransferWithinLimit(amountSol) {
+  const cap = networkConfig.maxSolPerTransfer;
+  if (cap !== null && amountSol > cap) {
+    throw new Error(`Transfer limit exceeded: ${amountSol} SOL is above the ${network} limit of ${cap} SOL per transfer (MAX_SOL_PER_TRANSFER)`);
+  }
+}
+
+/**
+ * Confirms the RPC endpoint serves the selected cluster by comparing genesis hashes.
+ * Skipped on localnet, whose genesis hash is not fixed.
+ * @param {import('@solana/web3.js').Connection} connection - The connection to check.
+ * @returns {Promise<void>}
+ * @throws {Error} If the endpoint belongs to another cluster.
+ */
+async function verifyNetwork(connection) {
+  if (!networkConfig.genesisHash) {
+    return;
+  }
+  const genesisHash = await connection.getGenesisHash();
+  if (genesisHash !== networkConfig.genesisHash) {
+    const actual = Object.keys(NETWORKS).find(name => NETWORKS[name].genesisHash === genesisHash) || 'an unknown cluster';
+    throw new Error(`Network mismatch: SOLANA_NETWORK is ${network} but the RPC endpoint serves ${actual}`);
+  }
+  logger.info(`RPC endpoint verified on ${network}`);
+}
+
+module.exports = {
+  NETWORKS,
+  resolveNetwork,
+  getNetworkConfig,
+  getExplorerUrl,
+  getExplorerTxUrl,
+  assertTransferWithinLimit,
+  verifyNetwork
+};
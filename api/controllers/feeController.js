@@ -0,0 +1,49 @@
+const feeLedgerService = require('../services/feeLedgerService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('FeeController');
+
+/**
+ * Controller to handle listing collected fees with per-mint totals, as JSON or CSV.
+ * The query string is validated by the ListFeesQuery schema.
+ */
+async function listFeesController(req, res) {
+  try {
+    const { network, from, to, mint, source, runId, walletId, format } = req.query;
+
+    const { fees, totals } = feeLedgerService.listFees({ network, from, to, mint, source, runId, walletId });
+
+    if (format === 'csv') {
+      res.status(200)
+        .type('text/csv')
+        .attachment('fees.csv')
+        .send(feeLedgerService.toCsv(fees));
+      return;
+    }
+
+    res.status(200).json({
+      message: 'Fees retrieved successfully',
+      count: fees.length,
+      totals,
+      fees
+    });
+  } catch (error) {
+    logger.error('Error in listFeesController:', error.message);
+
+    if (error.message.includes('Invalid date range')) {
+      res.status(400).json({
+        message: 'Invalid date range.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error retrieving fees.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+module.exports = {
+  listFeesController
+};
@@ -0,0 +1,62 @@
+const jobService = require('../services/jobService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('JobController');
+
+/**
+ * Controller to handle getting a background job with its per-item status.
+ * Request parameters are validated by the JobIdParams schema.
+ */
+async function getJobController(req, res) {
+  try {
+    const job = jobService.getJob(req.params.jobId);
+
+    res.status(200).json({
+      message: `Job status: ${job.status}`,
+      job
+    });
+  } catch (error) {
+    logger.error('Error in getJobController:', error.message);
+
+    if (error.message.includes('Job not found')) {
+      res.status(404).json({
+        message: 'Job not found.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error retrieving job.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+/**
+ * Controller to handle listing background jobs.
+ * The query string is validated by the ListJobsQuery schema.
+ */
+async function listJobsController(req, res) {
+  try {
+    const { type, status } = req.query;
+
+    const jobs = jobService.listJobs({ type, status });
+
+    res.status(200).json({
+      message: 'Jobs retrieved successfully',
+      jobs
+    });
+  } catch (error) {
+    logger.error('Error in listJobsController:', error.message);
+
+    res.status(500).json({
+      message: 'Error retrieving jobs.',
+      error: error.message || 'An unexpected error occurred.'
+    });
+  }
+}
+
+module.exports = {
+  getJobController,
+  listJobsController
+};
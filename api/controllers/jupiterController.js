@@ -1,4 +1,7 @@
 const jupiterService = require('../services/jupiterService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('JupiterController');
 
 /**
  * Enhanced error classifier for Jupiter API responses
@@ -29,6 +32,16 @@ function classifyJupiterError(error) {
     };
   }
   
+  if (errorMessage.includes('Platform fee mismatch')) {
+    return {
+      status: 400,
+      errorCode: 'PLATFORM_FEE_MISMATCH',
+      message: 'The quote is not priced with the configured platform fee.',
+      userMessage: 'The quote platform fee does not match the service fee. Request a new quote without platformFeeBps and swap it unchanged.',
+      category: 'VALIDATION'
+    };
+  }
+
   // Jupiter API 422 errors - serialization/format issues
   if (errorMessage.includes('Failed to deserialize') || errorMessage.includes('Parse error: WrongSize')) {
     return {
@@ -40,8 +53,40 @@ function classifyJupiterError(error) {
     };
   }
   
+  // Remote signer errors (checked first: their reason can contain an HTTP status or timeout)
+  if (errorMessage.includes('Signer rejected')) {
+    return {
+      status: 403,
+      errorCode: 'SIGNING_REJECTED',
+      message: 'The remote signer refused to sign the swap transaction.',
+      userMessage: 'The signing service refused this transaction. Check that the wallet is available to the signer.',
+      category: 'SIGNING'
+    };
+  }
+
+  if (errorMessage.includes('Signer unavailable')) {
+    return {
+      status: 503,
+      errorCode: 'SIGNER_UNAVAILABLE',
+      message: 'The remote signer is unavailable.',
+      userMessage: 'The signing service is temporarily unavailable. Please try again in a moment.',
+      category: 'INFRASTRUCTURE'
+    };
+  }
+
+  // Jupiter API rate limit (429)
+  if (/HTTP (error! Status: )?429/.test(errorMessage)) {
+    return {
+      status: 429,
+      errorCode: 'JUPITER_RATE_LIMITED',
+      message: 'Jupiter API rate limit reached.',
+      userMessage: 'The trading service is receiving too many requests. Please try again in a moment.',
+      category: 'INFRASTRUCTURE'
+    };
+  }
+  
   // Network/Infrastructure errors (502)
-  if (errorMessage.includes('HTTP error! Status: 5') || errorMessage.includes('ECONNREFUSED') || errorMessage.includes('timeout')) {
+  if (/HTTP (error! Status: )?5\d\d/.test(errorMessage) || errorMessage.includes('ECONNREFUSED') || errorMessage.includes('timeout')) {
     return {
       status: 502,
       errorCode: 'JUPITER_API_UNAVAILABLE',
@@ -72,6 +117,16 @@ function classifyJupiterError(error) {
     };
   }
   
+  if (errorMessage.includes('Wallet not found')) {
+    return {
+      status: 404,
+      errorCode: 'WALLET_NOT_FOUND',
+      message: 'Wallet ID is not registered in the vault.',
+      userMessage: 'The wallet ID was not found. Register the wallet first and use the returned ID.',
+      category: 'VALIDATION'
+    };
+  }
+  
   // Default to internal server error for unclassified errors
   return {
     status: 500,
@@ -84,84 +139,29 @@ function classifyJupiterError(error) {
 
 /**
  * Controller to handle getting a swap quote from Jupiter.
+ * The request body is validated by the QuoteRequest schema.
  */
 async function getQuoteController(req, res) {
-  try {
-    const { 
-      inputMint, 
-      outputMint, 
-      amount, 
-      slippageBps = 50,
-      onlyDirectRoutes = false,
-      asLegacyTransaction = false,
-      platformFeeBps = 0
-    } = req.body;
-
-    // Validate required parameters
-    if (!inputMint) {
-      return res.status(400).json({
-        message: 'Missing required parameter: inputMint',
-        errorCode: 'MISSING_INPUT_MINT'
-      });
-    }
-
-    if (!outputMint) {
-      return res.status(400).json({
-        message: 'Missing required parameter: outputMint',
-        errorCode: 'MISSING_OUTPUT_MINT'
-      });
-    }
-
-    if (!amount) {
-      return res.status(400).json({
-        message: 'Missing required parameter: amount',
-        errorCode: 'MISSING_AMOUNT'
-      });
-    }
-
-    // Convert string booleans to actual booleans if needed
-    const parsedOnlyDirectRoutes = typeof onlyDirectRoutes === 'string' 
-      ? onlyDirectRoutes.toLowerCase() === 'true' 
-      : Boolean(onlyDirectRoutes);
-    
-    const parsedAsLegacyTransaction = typeof asLegacyTransaction === 'string'
-      ? asLegacyTransaction.toLowerCase() === 'true'
-      : Boolean(asLegacyTransaction);
-
-    // Parse numeric values
-    const parsedAmount = parseInt(amount, 10);
-    if (isNaN(parsedAmount) || parsedAmount <= 0) {
-      return res.status(400).json({
-        message: 'Invalid amount parameter: must be a positive number',
-        errorCode: 'INVALID_AMOUNT'
-      });
-    }
-
-    const parsedSlippageBps = parseInt(slippageBps, 10);
-    if (isNaN(parsedSlippageBps) || parsedSlippageBps < 0) {
-      return res.status(400).json({
-        message: 'Invalid slippageBps parameter: must be a non-negative number',
-        errorCode: 'INVALID_SLIPPAGE'
-      });
-    }
-
-    const parsedPlatformFeeBps = parseInt(platformFeeBps, 10);
-    if (isNaN(parsedPlatformFeeBps) || parsedPlatformFeeBps < 0) {
-      return res.status(400).json({
-        message: 'Invalid platformFeeBps parameter: must be a non-negative number',
-        errorCode: 'INVALID_PLATFORM_FEE'
-      });
-    }
+  const { 
+    inputMint, 
+    outputMint, 
+    amount, 
+    slippageBps,
+    onlyDirectRoutes,
+    asLegacyTransaction,
+    platformFeeBps
+  } = req.body;
 
+  try {
     // Call the service function to get a quote
     const quoteResponse = await jupiterService.getQuoteService(
       inputMint,
       outputMint,
-      parsedAmount,
-      parsedSlippageBps,
-      parsedOnlyDirectRoutes,
-      parsedAsLegacyTransaction,
-      parsedPlatformFeeBps
+      amount,
+      slippageBps,
+      onlyDirectRoutes,
+      asLegacyTransaction,
+      platformFeeBps
     );
 
     res.status(200).json({
@@ -170,7 +170,7 @@ async function getQuoteController(req, res) {
     });
   } catch (error) {
     // Enhanced structured logging for observability
-    console.error('[JupiterController] Quote error:', {
+    logger.error('Quote error:', {
       inputMint,
       outputMint,
       amount,
@@ -193,60 +193,27 @@ async function getQuoteController(req, res) {
 
 /**
  * Controller to execute a swap on Jupiter.
+ * The request body is validated by the SwapRequest schema.
  */
 async function executeSwapController(req, res) {
   try {
     const { 
-      userWalletPrivateKeyBase58, 
+      userWalletId, 
       quoteResponse,
-      wrapAndUnwrapSol = true,
-      asLegacyTransaction = false,
-      collectFees = true
+      wrapAndUnwrapSol,
+      asLegacyTransaction,
+      collectFees,
+      runId
     } = req.body;
 
-    // Validate required parameters
-    if (!userWalletPrivateKeyBase58) {
-      return res.status(400).json({
-        message: 'Missing required parameter: userWalletPrivateKeyBase58',
-        errorCode: 'MISSING_PRIVATE_KEY'
-      });
-    }
-
-    if (!quoteResponse) {
-      return res.status(400).json({
-        message: 'Missing required parameter: quoteResponse',
-        errorCode: 'MISSING_QUOTE_RESPONSE'
-      });
-    }
-
-    // Validate quote response structure
-    if (!quoteResponse.inputMint || !quoteResponse.outputMint || !quoteResponse.inAmount || !quoteResponse.outAmount) {
-      return res.status(400).json({
-        message: 'Invalid quoteResponse: missing required fields',
-        errorCode: 'INVALID_QUOTE_STRUCTURE'
-      });
-    }
-
-    // Convert string booleans to actual booleans if needed
-    const parsedWrapAndUnwrapSol = typeof wrapAndUnwrapSol === 'string' 
-      ? wrapAndUnwrapSol.toLowerCase() === 'true' 
-      : Boolean(wrapAndUnwrapSol);
-    
-    const parsedAsLegacyTransaction = typeof asLegacyTransaction === 'string'
-      ? asLegacyTransaction.toLowerCase() === 'true'
-      : Boolean(asLegacyTransaction);
-
-    const parsedCollectFees = typeof collectFees === 'string'
-      ? collectFees.toLowerCase() === 'true'
-      : Boolean(collectFees);
-
     // Call the service function to execute the swap
     const swapResult = await jupiterService.executeSwapService(
-      userWalletPrivateKeyBase58,
+      userWalletId,
       quoteResponse,
-      parsedWrapAndUnwrapSol,
-      parsedAsLegacyTransaction,
-      parsedCollectFees
+      wrapAndUnwrapSol,
+      asLegacyTransaction,
+      collectFees,
+      runId
     );
 
     res.status(200).json({
@@ -255,7 +222,7 @@ async function executeSwapController(req, res) {
     });
   } catch (error) {
     // Enhanced structured logging for observability
-    console.error('[JupiterController] Swap error:', {
+    logger.error('Swap error:', {
       inputMint: req.body.quoteResponse?.inputMint,
       outputMint: req.body.quoteResponse?.outputMint,
       inAmount: req.body.quoteResponse?.inAmount,
@@ -288,7 +255,7 @@ function getSupportedTokensController(req, res) {
       tokens: tokens
     });
   } catch (error) {
-    console.error('[JupiterController] Supported tokens error:', {
+    logger.error('Supported tokens error:', {
       error: error.message,
       timestamp: new Date().toISOString()
     });
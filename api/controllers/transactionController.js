@@ -0,0 +1,50 @@
+const transactionHistoryService = require('../services/transactionHistoryService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('TransactionController');
+
+/**
+ * Controller to handle listing recorded transactions, newest first.
+ * The query string is validated by the ListTransactionsQuery schema.
+ */
+async function listTransactionsController(req, res) {
+  try {
+    const { network, wallet, type, status, from, to, limit, offset } = req.query;
+
+    const { total, transactions } = transactionHistoryService.listTransactions({
+      network,
+      wallet,
+      type,
+      status,
+      from,
+      to,
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      message: 'Transactions retrieved successfully',
+      total,
+      count: transactions.length,
+      transactions
+    });
+  } catch (error) {
+    logger.error('Error in listTransactionsController:', error.message);
+
+    if (error.message.includes('Invalid date range')) {
+      res.status(400).json({
+        message: 'Invalid date range.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error retrieving transactions.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+module.exports = {
+  listTransactionsController
+};
@@ -1,43 +1,70 @@
 const walletService = require('../services/walletService');
+const vaultService = require('../services/vaultService');
+const sweepService = require('../services/sweepService');
+const walletKeyService = require('../services/walletKeyService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('WalletController');
 
 /**
  * Controller to handle the creation or import of a mother wallet.
  */
 async function createOrImportMotherWalletController(req, res) {
   try {
-    const { privateKeyBase58 } = req.body; // Optional
+    const { privateKeyBase58, mnemonic, passphrase, derivationPath, returnMnemonic } = req.body; // All optional
 
-    const walletData = await walletService.createOrImportMotherWalletService(privateKeyBase58);
+    const walletData = await walletService.createOrImportMotherWalletService({
+      privateKeyBase58,
+      mnemonic,
+      passphrase,
+      derivationPath,
+      returnMnemonic
+    });
 
     res.status(201).json({
-      message: privateKeyBase58 ? 'Mother wallet imported successfully.' : 'Mother wallet created successfully.',
+      message: privateKeyBase58 || mnemonic ? 'Mother wallet imported successfully.' : 'Mother wallet created successfully.',
+      motherWalletId: walletData.id,
       motherWalletPublicKey: walletData.publicKey,
-      motherWalletPrivateKeyBase58: walletData.privateKeyBase58, // Returned for the bot to store
+      hdDerivationAvailable: walletData.hasMnemonic,
+      derivationPath: walletData.derivationPath,
+      ...(walletData.mnemonic ? { mnemonic: walletData.mnemonic } : {})
     });
   } catch (error) {
     // Log the detailed error for server-side inspection
-    console.error('Error in createOrImportMotherWalletController:', error.message);
+    logger.error('Error in createOrImportMotherWalletController:', error.message);
 
-    // Send a generic error message to the client
-    res.status(500).json({ 
-      message: 'Error processing mother wallet request.',
-      error: error.message || 'An unexpected error occurred.'
-    });
+    if (error.message.includes('Invalid')) {
+      res.status(400).json({
+        message: 'Invalid mother wallet request.',
+        error: error.message
+      });
+    } else if (error.message.includes('Remote signing enabled')) {
+      res.status(403).json({
+        message: 'The seed phrase stays in the signer service.',
+        error: error.message
+      });
+    } else if (error.message.includes('Signer unavailable')) {
+      res.status(503).json({
+        message: 'Signer service unavailable.',
+        error: error.message
+      });
+    } else {
+      // Send a generic error message to the client
+      res.status(500).json({ 
+        message: 'Error processing mother wallet request.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
   }
 }
 
 /**
  * Controller to handle the retrieval of mother wallet information.
+ * Request parameters are validated by the PublicKeyParams schema.
  */
 async function getMotherWalletInfoController(req, res) {
   try {
     const { publicKey } = req.params;
-    
-    if (!publicKey) {
-      return res.status(400).json({
-        message: 'Missing required parameter: publicKey',
-      });
-    }
 
     const walletInfo = await walletService.getWalletInfo(publicKey);
     
@@ -47,7 +74,7 @@ async function getMotherWalletInfoController(req, res) {
       balanceLamports: walletInfo.balanceLamports,
     });
   } catch (error) {
-    console.error('Error in getMotherWalletInfoController:', error.message);
+    logger.error('Error in getMotherWalletInfoController:', error.message);
     
     // Send appropriate error response
     if (error.message.includes('Invalid public key input')) {
@@ -66,42 +93,51 @@ async function getMotherWalletInfoController(req, res) {
 
 /**
  * Controller to handle the derivation of child wallets from a mother wallet.
+ * The request body is validated by the DeriveChildWalletsRequest schema.
  */
 async function deriveChildWalletsController(req, res) {
   try {
-    const { motherWalletPublicKey, count = 3, saveToFile = false } = req.body;
-    
-    if (!motherWalletPublicKey) {
-      return res.status(400).json({
-        message: 'Missing required parameter: motherWalletPublicKey',
-      });
-    }
-
-    // Validate count is a positive integer
-    const walletCount = parseInt(count, 10);
-    if (isNaN(walletCount) || walletCount <= 0) {
-      return res.status(400).json({
-        message: 'Invalid count parameter: must be a positive integer',
-      });
-    }
+    const { motherWalletId, count, saveToFile, derivation, startIndex } = req.body;
 
-    const result = await walletService.deriveChildWallets(motherWalletPublicKey, walletCount, saveToFile);
+    const result = await walletService.deriveChildWallets(motherWalletId, count, saveToFile, {
+      derivation,
+      startIndex
+    });
     
     res.status(201).json({
       message: `${result.childWallets.length} child wallets successfully derived.`,
+      motherWalletId: result.motherWalletId,
       motherWalletPublicKey: result.motherWalletPublicKey,
+      derivation: result.derivation,
       childWallets: result.childWallets.map(wallet => ({
+        id: wallet.id,
         publicKey: wallet.publicKey,
-        privateKeyBase58: wallet.privateKeyBase58,
+        index: wallet.index,
+        derivationPath: wallet.derivationPath,
       })),
     });
   } catch (error) {
-    console.error('Error in deriveChildWalletsController:', error.message);
+    logger.error('Error in deriveChildWalletsController:', error.message);
     
     // Send appropriate error response
-    if (error.message.includes('Invalid public key input')) {
+    if (error.message.includes('Wallet not found')) {
+      res.status(404).json({ 
+        message: 'Mother wallet not found in vault.',
+        error: error.message
+      });
+    } else if (error.message.includes('HD derivation requires')) {
       res.status(400).json({ 
-        message: 'Invalid mother wallet public key format.',
+        message: 'Mother wallet has no seed phrase; use derivation "random".',
+        error: error.message
+      });
+    } else if (error.message.includes('Remote signing enabled')) {
+      res.status(403).json({
+        message: 'Child wallet keys stay in the signer service; derive without saveToFile.',
+        error: error.message
+      });
+    } else if (error.message.includes('Signer unavailable')) {
+      res.status(503).json({
+        message: 'Signer service unavailable.',
         error: error.message
       });
     } else {
@@ -115,65 +151,105 @@ async function deriveChildWalletsController(req, res) {
 
 /**
  * Controller to handle funding child wallets from a mother wallet.
+ * Funding runs as a background job; the response carries the job ID to poll.
+ * The request body is validated by the FundChildWalletsRequest schema.
  */
 async function fundChildWalletsController(req, res) {
   try {
-    const { motherWalletPrivateKeyBase58, childWallets } = req.body;
+    const { motherWalletId, childWallets, group, tag, amountSol } = req.body;
     
-    // Validate required parameters
-    if (!motherWalletPrivateKeyBase58) {
-      return res.status(400).json({
-        message: 'Missing required parameter: motherWalletPrivateKeyBase58',
-      });
-    }
+    // Queue the funding job and return immediately
+    const job = walletService.fundChildWallets(motherWalletId, childWallets, { group, tag, amountSol });
     
-    if (!Array.isArray(childWallets) || childWallets.length === 0) {
-      return res.status(400).json({
-        message: 'Missing or invalid childWallets parameter: must be a non-empty array',
-      });
-    }
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      message: `Funding of ${job.items.length} child wallets queued.`,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    logger.error('Error in fundChildWalletsController:', error.message);
     
-    // Validate each child wallet entry
-    for (const wallet of childWallets) {
-      if (!wallet.publicKey) {
-        return res.status(400).json({
-          message: 'Each child wallet must include a publicKey',
-        });
-      }
-      
-      if (typeof wallet.amountSol !== 'number' || isNaN(wallet.amountSol) || wallet.amountSol <= 0) {
-        return res.status(400).json({
-          message: 'Each child wallet must include a positive amountSol value',
-        });
-      }
+    // Send appropriate error response
+    if (error.message.includes('Wallet not found')) {
+      res.status(404).json({ 
+        message: 'Wallet not found in vault.',
+        error: error.message
+      });
+    } else if (error.message.includes('Wallet group not found')) {
+      res.status(404).json({ 
+        message: 'Wallet group not found.',
+        error: error.message
+      });
+    } else if (error.message.includes('No wallets in group')) {
+      res.status(400).json({ 
+        message: 'The wallet group has no wallets to fund.',
+        error: error.message
+      });
+    } else if (error.message.includes('Transfer limit exceeded')) {
+      res.status(400).json({ 
+        message: 'Funding amount is above the per-transfer limit of this network.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({ 
+        message: 'Error queueing child wallet funding.',
+        error: error.message || 'An unexpected error occurred.'
+      });
     }
+  }
+}
+
+/**
+ * Controller to handle sweeping child wallets back into their mother wallet.
+ * The request body is validated by the SweepChildWalletsRequest schema.
+ * Responds 202 with the ID of the background sweep job.
+ */
+async function sweepChildWalletsController(req, res) {
+  try {
+    const { motherWalletId, childWalletIds, group, tag, closeTokenAccounts } = req.body;
     
-    // Call the service function to fund child wallets
-    const result = await walletService.fundChildWallets(motherWalletPrivateKeyBase58, childWallets);
+    // Queue the sweep job and return immediately
+    const job = sweepService.sweepChildWallets(motherWalletId, { childWalletIds, group, tag, closeTokenAccounts });
     
-    res.status(200).json({
-      status: result.status,
-      results: result.results,
-      motherWalletFinalBalanceSol: result.motherWalletFinalBalanceSol,
-      message: `Child wallet funding completed with status: ${result.status}`,
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      message: `Sweep of ${job.items.length} child wallets queued.`,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
     });
   } catch (error) {
-    console.error('Error in fundChildWalletsController:', error.message);
+    logger.error('Error in sweepChildWalletsController:', error.message);
     
     // Send appropriate error response
-    if (error.message.includes('Insufficient funds')) {
+    if (error.message.includes('Wallet not found')) {
+      res.status(404).json({ 
+        message: 'Wallet not found in vault.',
+        error: error.message
+      });
+    } else if (error.message.includes('Wallet group not found')) {
+      res.status(404).json({ 
+        message: 'Wallet group not found.',
+        error: error.message
+      });
+    } else if (error.message.includes('No wallets in group')) {
       res.status(400).json({ 
-        message: 'Insufficient funds in mother wallet.',
+        message: 'The wallet group has no wallets to sweep.',
         error: error.message
       });
-    } else if (error.message.includes('Invalid public key')) {
+    } else if (error.message.includes('No child wallets')) {
       res.status(400).json({ 
-        message: 'Invalid wallet public key format.',
+        message: 'The mother wallet has no child wallets to sweep.',
+        error: error.message
+      });
+    } else if (error.message.includes('is not a child of')) {
+      res.status(400).json({ 
+        message: 'Only child wallets of the mother wallet can be swept into it.',
         error: error.message
       });
     } else {
       res.status(500).json({ 
-        message: 'Error funding child wallets.',
+        message: 'Error queueing child wallet sweep.',
         error: error.message || 'An unexpected error occurred.'
       });
     }
@@ -181,35 +257,74 @@ async function fundChildWalletsController(req, res) {
 }
 
 /**
- * Controller to handle returning funds from a child wallet to a mother wallet.
+ * Controller to handle sweeping the token balances of child wallets into their mother wallet.
+ * The request body is validated by the SweepChildTokensRequest schema.
+ * Responds 202 with the ID of the background token sweep job.
  */
-async function returnFundsController(req, res) {
+async function sweepChildTokensController(req, res) {
   try {
-    const { childWalletPrivateKeyBase58, motherWalletPublicKey, returnAllFunds = false } = req.body;
+    const { motherWalletId, childWalletIds, group, tag, mints, closeTokenAccounts } = req.body;
     
-    // Validate required parameters
-    if (!childWalletPrivateKeyBase58) {
-      return res.status(400).json({
-        message: 'Missing required parameter: childWalletPrivateKeyBase58',
-      });
-    }
+    // Queue the token sweep job and return immediately
+    const job = sweepService.sweepChildTokens(motherWalletId, { childWalletIds, group, tag, mints, closeTokenAccounts });
     
-    if (!motherWalletPublicKey) {
-      return res.status(400).json({
-        message: 'Missing required parameter: motherWalletPublicKey',
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      message: `Token sweep of ${job.items.length} child wallets queued.`,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    logger.error('Error in sweepChildTokensController:', error.message);
+    
+    // Send appropriate error response
+    if (error.message.includes('Wallet not found')) {
+      res.status(404).json({ 
+        message: 'Wallet not found in vault.',
+        error: error.message
+      });
+    } else if (error.message.includes('Wallet group not found')) {
+      res.status(404).json({ 
+        message: 'Wallet group not found.',
+        error: error.message
+      });
+    } else if (error.message.includes('No wallets in group')) {
+      res.status(400).json({ 
+        message: 'The wallet group has no wallets to sweep.',
+        error: error.message
+      });
+    } else if (error.message.includes('No child wallets')) {
+      res.status(400).json({ 
+        message: 'The mother wallet has no child wallets to sweep.',
+        error: error.message
+      });
+    } else if (error.message.includes('is not a child of')) {
+      res.status(400).json({ 
+        message: 'Only child wallets of the mother wallet can be swept into it.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({ 
+        message: 'Error queueing child wallet token sweep.',
+        error: error.message || 'An unexpected error occurred.'
       });
     }
-    
-    // Parse boolean parameter
-    const parsedReturnAllFunds = typeof returnAllFunds === 'string'
-      ? returnAllFunds.toLowerCase() === 'true'
-      : Boolean(returnAllFunds);
+  }
+}
+
+/**
+ * Controller to handle returning funds from a child wallet to a mother wallet.
+ * The request body is validated by the ReturnFundsRequest schema.
+ */
+async function returnFundsController(req, res) {
+  try {
+    const { childWalletId, motherWalletId, returnAllFunds } = req.body;
     
     // Call the service function to return funds
     const result = await walletService.returnFundsToMotherWallet(
-      childWalletPrivateKeyBase58,
-      motherWalletPublicKey,
-      parsedReturnAllFunds
+      childWalletId,
+      motherWalletId,
+      returnAllFunds
     );
     
     res.status(200).json({
@@ -220,10 +335,20 @@ async function returnFundsController(req, res) {
       message: result.message,
     });
   } catch (error) {
-    console.error('Error in returnFundsController:', error.message);
+    logger.error('Error in returnFundsController:', error.message);
     
     // Send appropriate error response
-    if (error.message.includes('Insufficient funds')) {
+    if (error.message.includes('Wallet not found')) {
+      res.status(404).json({ 
+        message: 'Child wallet not found in vault.',
+        error: error.message
+      });
+    } else if (error.message.includes('is not a child of') || error.message.includes('has no mother wallet')) {
+      res.status(400).json({ 
+        message: 'Funds can only be returned to the child wallet\'s own mother wallet.',
+        error: error.message
+      });
+    } else if (error.message.includes('Insufficient funds')) {
       res.status(400).json({ 
         message: 'Insufficient funds in child wallet.',
         error: error.message
@@ -233,6 +358,16 @@ async function returnFundsController(req, res) {
         message: 'Invalid wallet key format.',
         error: error.message
       });
+    } else if (error.message.includes('Signer rejected')) {
+      res.status(403).json({
+        message: 'The remote signer refused to sign the transaction.',
+        error: error.message
+      });
+    } else if (error.message.includes('Signer unavailable')) {
+      res.status(503).json({
+        message: 'The remote signer is unavailable.',
+        error: error.message
+      });
     } else if (error.message.includes('Transaction failed')) {
       res.status(400).json({ 
         message: 'Transaction failed.',
@@ -247,18 +382,120 @@ async function returnFundsController(req, res) {
   }
 }
 
+/**
+ * Controller to handle listing the wallets registered in the vault.
+ */
+async function listVaultWalletsController(req, res) {
+  try {
+    const { role, parentId, label, status } = req.query;
+
+    const wallets = vaultService.listWallets({ role, parentId, label, status });
+
+    res.status(200).json({
+      message: 'Vault wallets retrieved successfully',
+      wallets
+    });
+  } catch (error) {
+    logger.error('Error in listVaultWalletsController:', error.message);
+
+    res.status(500).json({ 
+      message: 'Error retrieving vault wallets.',
+      error: error.message || 'An unexpected error occurred.'
+    });
+  }
+}
+
+/**
+ * Controller to handle importing private keys into the vault.
+ * The request body is validated by the ImportWalletsRequest schema.
+ */
+async function importWalletsController(req, res) {
+  try {
+    const { format, keys, keystore, passphrase, role, parentId, label } = req.body;
+
+    const wallets = await walletKeyService.importWallets({ format, keys, keystore, passphrase, role, parentId, label });
+
+    res.status(201).json({
+      message: `${wallets.length} wallets imported successfully.`,
+      wallets
+    });
+  } catch (error) {
+    logger.error('Error in importWalletsController:', error.message);
+
+    if (error.message.includes('Wallet not found')) {
+      res.status(404).json({
+        message: 'Parent wallet not found in vault.',
+        error: error.message
+      });
+    } else if (error.message.includes('Invalid') || error.message.includes('Failed to decrypt keystore')) {
+      res.status(400).json({
+        message: 'Invalid wallet import.',
+        error: error.message
+      });
+    } else if (error.message.includes('Signer unavailable')) {
+      res.status(503).json({
+        message: 'Signer service unavailable.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error importing wallets.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+/**
+ * Controller to handle exporting the private keys of vault wallets.
+ * The request body is validated by the ExportWalletsRequest schema.
+ */
+async function exportWalletsController(req, res) {
+  try {
+    const { format, walletIds, parentId, passphrase } = req.body;
+
+    const result = walletKeyService.exportWallets({ format, walletIds, parentId, passphrase });
+
+    // Never cache responses holding private keys
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      message: `${result.wallets.length} wallets exported successfully.`,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error in exportWalletsController:', error.message);
+
+    if (error.message.includes('Wallet not found')) {
+      res.status(404).json({
+        message: 'Wallet not found in vault.',
+        error: error.message
+      });
+    } else if (error.message.includes('Invalid')) {
+      res.status(400).json({
+        message: 'Invalid wallet export.',
+        error: error.message
+      });
+    } else if (error.message.includes('Remote signing enabled')) {
+      res.status(403).json({
+        message: 'Private keys stay in the signer service and cannot be exported.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error exporting wallets.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
 /**
  * Controller to handle getting the balance of any wallet.
+ * Request parameters are validated by the WalletPublicKeyParams schema.
  */
 async function getWalletBalanceController(req, res) {
   try {
     const { walletPublicKey } = req.params;
-    
-    if (!walletPublicKey) {
-      return res.status(400).json({
-        message: 'Missing required parameter: walletPublicKey',
-      });
-    }
 
     const walletInfo = await walletService.getWalletInfo(walletPublicKey);
     
@@ -268,7 +505,7 @@ async function getWalletBalanceController(req, res) {
       balanceLamports: walletInfo.balanceLamports,
     });
   } catch (error) {
-    console.error('Error in getWalletBalanceController:', error.message);
+    logger.error('Error in getWalletBalanceController:', error.message);
     
     // Send appropriate error response
     if (error.message.includes('Invalid public key input')) {
@@ -287,23 +524,12 @@ async function getWalletBalanceController(req, res) {
 
 /**
  * Controller to handle getting SPL token balance for a wallet.
+ * Request parameters are validated by the WalletPublicKeyParams and TokenBalanceQuery schemas.
  */
 async function getTokenBalanceController(req, res) {
     try {
         const { walletPublicKey } = req.params;
         const { mintAddress } = req.query;
-        
-        if (!walletPublicKey) {
-            return res.status(400).json({
-                message: 'Missing required parameter: walletPublicKey',
-            });
-        }
-
-        if (!mintAddress) {
-            return res.status(400).json({
-                message: 'Missing required parameter: mintAddress',
-            });
-        }
 
         const tokenBalance = await walletService.getTokenBalance(walletPublicKey, mintAddress);
         
@@ -312,7 +538,7 @@ async function getTokenBalanceController(req, res) {
             data: tokenBalance
         });
     } catch (error) {
-        console.error('Error in getTokenBalanceController:', error.message);
+        logger.error('Error in getTokenBalanceController:', error.message);
         
         // Send appropriate error response
         if (error.message.includes('Invalid wallet public key format') || 
@@ -335,7 +561,12 @@ module.exports = {
   getMotherWalletInfoController,
   deriveChildWalletsController,
   fundChildWalletsController,
+  sweepChildWalletsController,
+  sweepChildTokensController,
   returnFundsController,
+  listVaultWalletsController,
+  importWalletsController,
+  exportWalletsController,
   getWalletBalanceController,
   getTokenBalanceController
 }; 
\ No newline at end of file
@@ -0,0 +1,302 @@
+const walletGroupService = require('../services/walletGroupService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('WalletGroupController');
+
+/**
+ * Controller to handle listing wallet groups.
+ * The query string is validated by the ListGroupsQuery schema.
+ */
+async function listGroupsController(req, res) {
+  try {
+    const { tag } = req.query;
+
+    const groups = walletGroupService.listGroups({ tag });
+
+    res.status(200).json({
+      message: 'Wallet groups retrieved successfully',
+      groups
+    });
+  } catch (error) {
+    logger.error('Error in listGroupsController:', error.message);
+
+    res.status(500).json({
+      message: 'Error retrieving wallet groups.',
+      error: error.message || 'An unexpected error occurred.'
+    });
+  }
+}
+
+/**
+ * Controller to handle getting a wallet group with its wallets.
+ * Request parameters are validated by the GroupNameParams schema.
+ */
+async function getGroupController(req, res) {
+  try {
+    const group = walletGroupService.getGroup(req.params.name);
+
+    res.status(200).json({
+      message: 'Wallet group retrieved successfully',
+      group
+    });
+  } catch (error) {
+    logger.error('Error in getGroupController:', error.message);
+
+    if (error.message.includes('Wallet group not found')) {
+      res.status(404).json({
+        message: 'Wallet group not found.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error retrieving wallet group.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+/**
+ * Controller to handle creating a wallet group.
+ * The request body is validated by the CreateWalletGroupRequest schema.
+ */
+async function createGroupController(req, res) {
+  try {
+    const { name, description, wallets } = req.body;
+
+    const group = walletGroupService.createGroup({ name, description, wallets });
+
+    res.status(201).location(`/api/wallets/groups/${group.name}`).json({
+      message: `Wallet group ${group.name} created with ${group.walletCount} wallets.`,
+      group
+    });
+  } catch (error) {
+    logger.error('Error in createGroupController:', error.message);
+
+    if (error.message.includes('Wallet not found')) {
+      res.status(404).json({
+        message: 'Wallet not found in vault.',
+        error: error.message
+      });
+    } else if (error.message.includes('already exists')) {
+      res.status(409).json({
+        message: 'A wallet group with this name already exists.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error creating wallet group.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+/**
+ * Controller to handle updating the description of a wallet group.
+ * Validated by the GroupNameParams and UpdateWalletGroupRequest schemas.
+ */
+async function updateGroupController(req, res) {
+  try {
+    const { description } = req.body;
+
+    const group = walletGroupService.updateGroup(req.params.name, { description });
+
+    res.status(200).json({
+      message: 'Wallet group updated successfully',
+      group
+    });
+  } catch (error) {
+    logger.error('Error in updateGroupController:', error.message);
+
+    if (error.message.includes('Wallet group not found')) {
+      res.status(404).json({
+        message: 'Wallet group not found.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error updating wallet group.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+/**
+ * Controller to handle deleting a wallet group. Its wallets stay in the vault.
+ * Request parameters are validated by the GroupNameParams schema.
+ */
+async function deleteGroupController(req, res) {
+  try {
+    walletGroupService.deleteGroup(req.params.name);
+
+    res.status(200).json({
+      message: `Wallet group ${req.params.name} deleted.`
+    });
+  } catch (error) {
+    logger.error('Error in deleteGroupController:', error.message);
+
+    if (error.message.includes('Wallet group not found')) {
+      res.status(404).json({
+        message: 'Wallet group not found.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error deleting wallet group.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+/**
+ * Controller to handle adding wallets to a wallet group, or updating their label, tags and notes.
+ * Validated by the GroupNameParams and AddGroupWalletsRequest schemas.
+ */
+async function addGroupWalletsController(req, res) {
+  try {
+    const group = walletGroupService.addGroupWallets(req.params.name, req.body.wallets);
+
+    res.status(200).json({
+      message: `Wallet group ${group.name} has ${group.walletCount} wallets.`,
+      group
+    });
+  } catch (error) {
+    logger.error('Error in addGroupWalletsController:', error.message);
+
+    if (error.message.includes('Wallet group not found')) {
+      res.status(404).json({
+        message: 'Wallet group not found.',
+        error: error.message
+      });
+    } else if (error.message.includes('Wallet not found')) {
+      res.status(404).json({
+        message: 'Wallet not found in vault.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error adding wallets to wallet group.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+/**
+ * Controller to handle updating the label, tags or notes of a wallet in a wallet group.
+ * Validated by the GroupWalletParams and UpdateGroupWalletRequest schemas.
+ */
+async function updateGroupWalletController(req, res) {
+  try {
+    const { name, walletId } = req.params;
+    const { label, tags, notes } = req.body;
+
+    const group = walletGroupService.updateGroupWallet(name, walletId, { label, tags, notes });
+
+    res.status(200).json({
+      message: 'Group wallet updated successfully',
+      group
+    });
+  } catch (error) {
+    logger.error('Error in updateGroupWalletController:', error.message);
+
+    if (error.message.includes('Wallet group not found') || error.message.includes('Wallet not in group')) {
+      res.status(404).json({
+        message: 'Wallet group or group wallet not found.',
+        error: error.message
+      });
+    } else if (error.message.includes('Wallet not found')) {
+      res.status(404).json({
+        message: 'Wallet not found in vault.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error updating group wallet.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+/**
+ * Controller to handle removing a wallet from a wallet group. The wallet stays in the vault.
+ * Request parameters are validated by the GroupWalletParams schema.
+ */
+async function removeGroupWalletController(req, res) {
+  try {
+    const { name, walletId } = req.params;
+
+    const group = walletGroupService.removeGroupWallet(name, walletId);
+
+    res.status(200).json({
+      message: `Wallet ${walletId} removed from wallet group ${name}.`,
+      group
+    });
+  } catch (error) {
+    logger.error('Error in removeGroupWalletController:', error.message);
+
+    if (error.message.includes('Wallet group not found') || error.message.includes('Wallet not in group')) {
+      res.status(404).json({
+        message: 'Wallet group or group wallet not found.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error removing wallet from wallet group.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+/**
+ * Controller to handle getting the balances of the wallets in a wallet group.
+ * Validated by the GroupNameParams and GroupBalancesQuery schemas.
+ */
+async function getGroupBalancesController(req, res) {
+  try {
+    const { mintAddress, tag } = req.query;
+
+    const balances = await walletGroupService.getGroupBalances(req.params.name, { mintAddress, tag });
+
+    res.status(200).json({
+      message: 'Wallet group balances retrieved successfully',
+      ...balances
+    });
+  } catch (error) {
+    logger.error('Error in getGroupBalancesController:', error.message);
+
+    if (error.message.includes('Wallet group not found') || error.message.includes('Wallet not found')) {
+      res.status(404).json({
+        message: 'Wallet group or one of its wallets not found.',
+        error: error.message
+      });
+    } else if (error.message.includes('No wallets in group')) {
+      res.status(400).json({
+        message: 'The wallet group has no wallets.',
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        message: 'Error retrieving wallet group balances.',
+        error: error.message || 'An unexpected error occurred.'
+      });
+    }
+  }
+}
+
+module.exports = {
+  listGroupsController,
+  getGroupController,
+  createGroupController,
+  updateGroupController,
+  deleteGroupController,
+  addGroupWalletsController,
+  updateGroupWalletController,
+  removeGroupWalletController,
+  getGroupBalancesController
+};
@@ -0,0 +1,252 @@
+const path = require('path');
+const swaggerJsdoc = require('swagger-jsdoc');
+const schemas = require('../validation/schemas');
+
+/**
+ * OpenAPI 3 document for the API.
+ * Paths come from the `@swagger` JSDoc blocks in the route files, request
+ * schemas from `api/validation/schemas.js` (the same objects the validation
+ * middleware enforces), so the docs cannot drift from what the API accepts.
+ */
+
+// Request schemas used in request bodies (params/query schemas are documented inline)
+const REQUEST_SCHEMAS = [
+  'CreateMotherWalletRequest',
+  'DeriveChildWalletsRequest',
+  'FundChildWalletsRequest',
+  'ReturnFundsRequest',
+  'SweepChildWalletsRequest',
+  'SweepChildTokensRequest',
+  'QuoteRequest',
+  'SwapRequest',
+  'ImportWalletsRequest',
+  'ExportWalletsRequest',
+  'CreateWalletGroupRequest',
+  'UpdateWalletGroupRequest',
+  'AddGroupWalletsRequest',
+  'UpdateGroupWalletRequest'
+];
+
+const ErrorResponse = {
+  type: 'object',
+  properties: {
+    message: { type: 'string', description: 'Human-readable error message.' },
+    errorCode: { type: 'string', example: 'VALIDATION_ERROR' },
+    error: { type: 'string', description: 'Technical error details.' },
+    category: { type: 'string', description: 'Error category (Jupiter routes).' },
+    details: { type: 'string', description: 'Technical error details (Jupiter routes).' },
+    errors: {
+      type: 'array',
+      description: 'Invalid fields (validation errors only).',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', example: 'body.childWallets[0].amountSol' },
+          message: { type: 'string', example: 'must be >= 1e-9' }
+        }
+      }
+    }
+  }
+};
+
+const Job = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', example: 'job_8c2e4f6a0b1d3c5e7f9a2b4c' },
+    type: { type: 'string', example: 'fund-children' },
+    status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+    params: { type: 'object', description: 'Job parameters (wallet IDs and public keys, never secrets).' },
+    items: {
+      type: 'array',
+      description: 'Units of work with their status (omitted from job lists).',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          publicKey: { type: 'string' },
+          amountSol: { type: 'number' },
+          status: { type: 'string', enum: ['pending', 'sent', 'confirmed', 'failed', 'skipped'] },
+          signature: { type: 'string', nullable: true, description: 'Signature of the confirmed transaction.' },
+          signatures: {
+            type: 'array',
+            description: 'Every signature sent for this item.',
+            items: {
+              type: 'object',
+              properties: {
+                signature: { type: 'string' },
+                lastValidBlockHeight: { type: 'integer' }
+              }
+            }
+          },
+          error: { type: 'string', nullable: true },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    progress: {
+      type: 'object',
+      description: 'Item counts by status.',
+      properties: {
+        total: { type: 'integer' },
+        pending: { type: 'integer' },
+        sent: { type: 'integer' },
+        confirmed: { type: 'integer' },
+        failed: { type: 'integer' },
+        skipped: { type: 'integer' }
+      }
+    },
+    result: { type: 'object', nullable: true, description: 'Job outcome once completed.' },
+    error: { type: 'string', nullable: true, description: 'Why the job failed.' },
+    attempts: { type: 'integer', description: 'How many times the job was started (resumed jobs count again).' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    startedAt: { type: 'string', format: 'date-time', nullable: true },
+    completedAt: { type: 'string', format: 'date-time', nullable: true }
+  }
+};
+
+const WalletGroup = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', example: 'campaign-a' },
+    description: { type: 'string', nullable: true },
+    walletCount: { type: 'integer' },
+    wallets: {
+      type: 'array',
+      description: 'Wallets of the group with their metadata (omitted from group lists).',
+      items: {
+        type: 'object',
+        properties: {
+          walletId: { type: 'string', example: 'wal_3f9a1c0e5b7d2a4c6e8f0a1b' },
+          publicKey: { type: 'string', nullable: true, description: 'Null if the wallet is no longer in the vault.' },
+          role: { type: 'string', nullable: true, enum: ['mother', 'child', 'user'] },
+          status: { type: 'string', nullable: true, enum: ['active', 'retired'] },
+          label: { type: 'string', nullable: true, example: 'buyer-1' },
+          tags: { type: 'array', items: { type: 'string' }, example: ['buyer'] },
+          notes: { type: 'string', nullable: true },
+          addedAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const FeeRecord = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', example: 'fee_4d6f8a0c2e1b3d5f7a9c0e2b' },
+    recordedAt: { type: 'string', format: 'date-time' },
+    network: { type: 'string', example: 'mainnet-beta' },
+    source: { type: 'string', enum: ['jupiter-swap', 'transfer-fee'] },
+    runId: { type: 'string', nullable: true },
+    walletId: { type: 'string', nullable: true, description: 'Vault wallet the fee was charged to (API swaps only).' },
+    sourceWallet: { type: 'string', description: 'Public key of the wallet the fee was charged to.' },
+    mint: { type: 'string', description: 'Mint the fee was paid in (the wrapped SOL mint for SOL).' },
+    amount: { type: 'string', description: 'Collected amount in base units.', example: '100000' },
+    decimals: { type: 'integer', example: 6 },
+    uiAmount: { type: 'number', example: 0.1 },
+    expectedAmount: { type: 'string', nullable: true, description: 'Quoted fee in base units (Jupiter swaps only).' },
+    feeAccount: { type: 'string', description: 'Token account that received the fee (the service wallet itself for transfer fees).' },
+    signature: { type: 'string', description: 'Transaction that paid the fee.' }
+  }
+};
+
+const TransactionRecord = {
+  type: 'object',
+  properties: {
+    signature: { type: 'string' },
+    type: { type: 'string', description: 'What the transaction does (e.g. fund-children, return-funds, swap, transfer).', example: 'fund-children' },
+    status: {
+      type: 'string',
+      enum: ['sent', 'confirmed', 'failed', 'replaced'],
+      description: 'replaced: superseded by a retry with a fresh blockhash.'
+    },
+    network: { type: 'string', example: 'mainnet-beta' },
+    feePayer: { type: 'string' },
+    wallets: { type: 'array', items: { type: 'string' }, description: 'Signers and the wallets it sends from or sends SOL to.' },
+    transfers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'string' },
+          destination: { type: 'string', description: 'Recipient (the destination token account for token transfers).' },
+          amount: { type: 'string', description: 'Amount in base units.', example: '10000000' },
+          mint: { type: 'string', nullable: true, description: 'Token mint, null for SOL.' }
+        }
+      }
+    },
+    feeLamports: { type: 'integer', nullable: true, description: 'Fee paid (base and priority fee), once the transaction landed.' },
+    slot: { type: 'integer', nullable: true },
+    error: { type: 'string', nullable: true },
+    jobId: { type: 'string', nullable: true, description: 'Background job that sent the transaction.' },
+    details: { type: 'object', nullable: true, description: 'Type-specific details (e.g. the mints and amounts of a swap).' },
+    sentAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    explorerUrl: { type: 'string', nullable: true, description: 'Explorer link on the selected cluster; null for transactions of other clusters.' }
+  }
+};
+
+const errorResponse = description => ({
+  description,
+  content: {
+    'application/json': {
+      schema: { $ref: '#/components/schemas/ErrorResponse' }
+    }
+  }
+});
+
+const definition = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Solana Trading Bot API',
+    version: require('../../package.json').version,
+    description: 'Wallet management, funding and Jupiter DEX swaps on Solana.'
+  },
+  servers: [{ url: '/' }],
+  security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+  tags: [
+    { name: 'Wallet', description: 'Vault wallets, balances and funding' },
+    { name: 'Wallet Groups', description: 'Named groups of vault wallets with labels, tags and notes' },
+    { name: 'Jupiter', description: 'Jupiter DEX quotes and swaps' },
+    { name: 'Jobs', description: 'Background jobs for long-running operations' },
+    { name: 'Fees', description: 'Ledger of collected service fees' },
+    { name: 'Transactions', description: 'History of sent transactions' }
+  ],
+  components: {
+    securitySchemes: {
+      ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      BearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    schemas: {
+      ...Object.fromEntries(REQUEST_SCHEMAS.map(name => [name, schemas[name]])),
+      ErrorResponse,
+      Job,
+      WalletGroup,
+      FeeRecord,
+      TransactionRecord
+    },
+    responses: {
+      BadRequest: errorResponse('Invalid request (`errorCode: VALIDATION_ERROR` lists each invalid field) or rejected operation.'),
+      Unauthorized: errorResponse('Missing, invalid or revoked API key.'),
+      Forbidden: errorResponse('API key is missing the required scope.')
+    }
+  }
+};
+
+/**
+ * Builds the OpenAPI document from the route files.
+ * @returns {object} The OpenAPI 3 document.
+ */
+function buildOpenApiSpec() {
+  return swaggerJsdoc({
+    definition,
+    apis: [path.join(__dirname, '../routes/*.js')]
+  });
+}
+
+module.exports = {
+  buildOpenApiSpec
+};
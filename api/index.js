@@ -1,6 +1,21 @@
 const express = require('express');
+const swaggerUi = require('swagger-ui-express');
 const walletRoutes = require('./routes/walletRoutes');
+const walletGroupRoutes = require('./routes/walletGroupRoutes');
 const jupiterRoutes = require('./routes/jupiterRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const feeRoutes = require('./routes/feeRoutes');
+const transactionRoutes = require('./routes/transactionRoutes');
+const { authenticate } = require('./middleware/auth');
+const { auditLog } = require('./middleware/audit');
+const { requestContext } = require('./middleware/requestContext');
+const { buildOpenApiSpec } = require('./docs/openapi');
+const { resumeJobs } = require('./services/jobService');
+const { getNetworkConfig, verifyNetwork } = require('./config/network');
+const { connection } = require('./utils/solanaUtils');
+const { createLogger } = require('./utils/logger');
+
+const logger = createLogger('Server');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -8,9 +23,26 @@ const PORT = process.env.PORT || 3000;
 // Middleware to parse JSON bodies
 app.use(express.json());
 
+// Request IDs (X-Request-Id) and per-request logging
+app.use(requestContext);
+
+// API documentation (public): raw OpenAPI document and interactive UI
+const openApiSpec = buildOpenApiSpec();
+app.get('/api-docs/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
+
+// Every /api route requires an API key; each call is attributed to its key in the audit log
+app.use('/api', auditLog, authenticate);
+
 // API Routes
+app.use('/api/wallets/groups', walletGroupRoutes);
 app.use('/api/wallets', walletRoutes);
 app.use('/api/jupiter', jupiterRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/fees', feeRoutes);
+app.use('/api/transactions', transactionRoutes);
 
 // Simple root endpoint
 app.get('/', (req, res) => {
@@ -19,16 +51,33 @@ app.get('/', (req, res) => {
 
 // Global error handler (optional basic version)
 app.use((err, req, res, next) => {
-  console.error('Global error handler caught:', err.stack);
+  logger.error('Global error handler caught:', err);
   res.status(500).send('Something broke!');
 });
 
 // Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`API documentation available at http://localhost:${PORT}/api-docs`);
-  console.log(`Wallet母 K API endpoint: POST http://localhost:${PORT}/api/wallets/mother`);
-  console.log(`Jupiter Quote API endpoint: POST http://localhost:${PORT}/api/jupiter/quote`);
+app.listen(PORT, async () => {
+  logger.info(`Server running on port ${PORT} on ${getNetworkConfig().network}`);
+  logger.info(`API documentation available at http://localhost:${PORT}/api-docs`);
+  logger.info(`Wallet母 K API endpoint: POST http://localhost:${PORT}/api/wallets/mother`);
+  logger.info(`Jupiter Quote API endpoint: POST http://localhost:${PORT}/api/jupiter/quote`);
+
+  // Refuse to move funds on a cluster other than the configured one
+  try {
+    await verifyNetwork(connection);
+  } catch (error) {
+    if (error.message.includes('Network mismatch')) {
+      logger.error(error.message);
+      process.exit(1);
+    }
+    logger.warn(`Could not verify the RPC endpoint's cluster: ${error.message}`);
+  }
+
+  // Pick up jobs interrupted by the previous shutdown
+  const resumed = resumeJobs();
+  if (resumed > 0) {
+    logger.info(`Resumed ${resumed} interrupted job(s)`);
+  }
 });
 
 module.exports = app; // For potential testing purposes 
\ No newline at end of file
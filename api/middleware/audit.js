@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('Audit');
+
+/**
+ * Audit log of authenticated API calls, one JSON line per request.
+ * Written to `logs/audit.log` (override with AUDIT_LOG_PATH). Request bodies are
+ * never logged, only which key did what and with which outcome.
+ */
+
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH
+  || path.join(process.cwd(), 'logs', 'audit.log');
+
+/**
+ * Appends an entry to the audit log.
+ * @param {object} entry - The audit entry.
+ */
+function writeAuditEntry(entry) {
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+    fs.appendFileSync(AUDIT_LOG_PATH, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    logger.error('Failed to write audit entry:', error.message);
+  }
+}
+
+/**
+ * Middleware that records the API key, route and outcome of each request once
+ * the response has been sent. Mount it before `authenticate` so rejected
+ * requests are recorded as well.
+ */
+function auditLog(req, res, next) {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    writeAuditEntry({
+      timestamp: new Date().toISOString(),
+      keyId: req.apiKey ? req.apiKey.id : null,
+      keyName: req.apiKey ? req.apiKey.name : null,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      ip: req.ip,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  auditLog
+};
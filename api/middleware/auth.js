@@ -0,0 +1,63 @@
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Extracts the API key from the request headers.
+ * Accepts `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * @param {import('express').Request} req - The request.
+ * @returns {string|null} The raw API key.
+ */
+function extractApiKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Middleware that authenticates requests with an API key and attaches
+ * the key (`{id, name, scopes}`) to `req.apiKey`.
+ */
+function authenticate(req, res, next) {
+  const rawKey = extractApiKey(req);
+
+  if (!rawKey) {
+    return res.status(401).json({
+      message: 'Missing API key. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>".',
+      errorCode: 'UNAUTHENTICATED'
+    });
+  }
+
+  const apiKey = apiKeyService.findApiKey(rawKey);
+  if (!apiKey) {
+    return res.status(401).json({
+      message: 'Invalid or revoked API key.',
+      errorCode: 'UNAUTHENTICATED'
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Creates a middleware that only lets through API keys with the given scope.
+ * @param {string} scope - The required scope (see apiKeyService.SCOPES).
+ * @returns {import('express').RequestHandler}
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey || !apiKeyService.hasScope(req.apiKey, scope)) {
+      return res.status(403).json({
+        message: `API key is missing the required scope: ${scope}`,
+        errorCode: 'FORBIDDEN'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireScope
+};
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const { createLogger, runWithRequestId } = require('../utils/logger');
+
+const logger = createLogger('HTTP');
+
+// Accepted inbound request IDs (e.g. from a proxy or the calling bot)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+/**
+ * Middleware that assigns a request ID (reusing a valid inbound `X-Request-Id`),
+ * returns it in the `X-Request-Id` response header, attaches it to every log
+ * entry written while handling the request, and logs the request at `http` level.
+ */
+function requestContext(req, res, next) {
+  const inboundId = req.get('x-request-id');
+  const requestId = inboundId && REQUEST_ID_PATTERN.test(inboundId) ? inboundId : crypto.randomUUID();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithRequestId(requestId, () => {
+    res.on('finish', () => {
+      logger.http(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+        durationMs: Date.now() - startedAt,
+        keyId: req.apiKey ? req.apiKey.id : undefined
+      });
+    });
+    next();
+  });
+}
+
+module.exports = {
+  requestContext
+};
@@ -0,0 +1,111 @@
+const Ajv = require('ajv');
+const { PublicKey } = require('@solana/web3.js');
+const { TOKENS } = require('../services/jupiterService');
+
+/**
+ * Schema-based request validation.
+ * Query strings and path parameters are always strings, so values are coerced to
+ * the schema types (e.g. "true" -> true, "5" -> 5) and defaults are filled in
+ * before the controller runs.
+ */
+
+// verbose exposes the failing schema so anyOf and not errors can name their properties
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, verbose: true });
+
+// OpenAPI annotation, ignored during validation
+ajv.addKeyword({ keyword: 'example' });
+
+/**
+ * Checks whether a string is a base58 encoded 32-byte public key.
+ * @param {string} value - The value to check.
+ * @returns {boolean}
+ */
+function isSolanaAddress(value) {
+  try {
+    new PublicKey(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+ajv.addFormat('solana-address', isSolanaAddress);
+ajv.addFormat('token-mint', value => Boolean(TOKENS[value]) || isSolanaAddress(value));
+ajv.addFormat('iso-date', value => /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(value) && !Number.isNaN(Date.parse(value)));
+
+/**
+ * Converts Ajv errors into `{field, message}` entries.
+ * @param {string} location - Request part (body, params or query).
+ * @param {Array<object>} errors - Ajv errors.
+ * @returns {Array<{field: string, message: string}>}
+ */
+function formatErrors(location, errors) {
+  return errors
+    // Branch failures of an anyOf are summarized by the anyOf error itself
+    .filter(error => !error.schemaPath.includes('/anyOf/'))
+    .map(error => {
+      // instancePath looks like "/childWallets/0/amountSol"
+      let field = error.instancePath
+        .split('/')
+        .slice(1)
+        .reduce((path, segment) => (/^\d+$/.test(segment) ? `${path}[${segment}]` : `${path}.${segment}`), location);
+
+      let message = error.message;
+      if (error.keyword === 'required') {
+        field = `${field}.${error.params.missingProperty}`;
+        message = 'is required';
+      } else if (error.keyword === 'additionalProperties') {
+        field = `${field}.${error.params.additionalProperty}`;
+        message = 'is not an allowed property';
+      } else if (error.keyword === 'enum') {
+        message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+      } else if (error.keyword === 'anyOf') {
+        const alternatives = error.schema.map(branch => (branch.required || []).join(' and ')).filter(Boolean);
+        if (alternatives.length > 0) {
+          message = `must include ${alternatives.join(' or ')}`;
+        }
+      } else if (error.keyword === 'not' && error.schema.required) {
+        message = `must not include both ${error.schema.required.join(' and ')}`;
+      }
+
+      return { field, message };
+    });
+}
+
+/**
+ * Creates a middleware that validates request parts against JSON schemas.
+ * Responds with 400 and a list of every invalid field when validation fails.
+ * @param {{body?: object, params?: object, query?: object}} schemas - Schemas per request part.
+ * @returns {import('express').RequestHandler}
+ */
+function validate(schemas) {
+  const validators = Object.entries(schemas).map(([location, schema]) => [location, ajv.compile(schema)]);
+
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const [location, validator] of validators) {
+      // A missing JSON body is validated as an empty object
+      if (location === 'body' && (req.body === undefined || req.body === null)) {
+        req.body = {};
+      }
+      if (!validator(req[location])) {
+        errors.push(...formatErrors(location, validator.errors));
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Request validation failed.',
+        errorCode: 'VALIDATION_ERROR',
+        errors
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  validate
+};
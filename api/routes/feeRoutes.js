@@ -0,0 +1,128 @@
+const express = require('express');
+const feeController = require('../controllers/feeController');
+const { requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../services/apiKeyService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/fees:
+ *   get:
+ *     summary: List collected fees, newest first, with per-mint totals.
+ *     description: |
+ *       Reads the fee ledger: Jupiter platform fees collected by the API and fee transfers
+ *       of volume runs. Only fees recorded on the cluster the API runs on are listed unless
+ *       `network` selects another one. Totals cover the selected fees, per network and mint.
+ *       With format=csv the fees are returned as a CSV file instead, for reconciliation
+ *       against the service wallet.
+ *     tags: [Fees]
+ *     parameters:
+ *       - in: query
+ *         name: network
+ *         schema:
+ *           type: string
+ *           enum: [mainnet-beta, devnet, testnet, localnet]
+ *         required: false
+ *         description: Only fees recorded on this cluster. Defaults to the cluster the API runs on (SOLANA_NETWORK).
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only fees recorded at or after this ISO 8601 date or date-time (e.g. 2025-01-01).
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only fees recorded at or before this ISO 8601 date (whole day included) or date-time.
+ *       - in: query
+ *         name: mint
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only fees paid in this mint (address or supported token symbol).
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [jupiter-swap, transfer-fee]
+ *         required: false
+ *         description: Only fees from Jupiter swaps or from fee transfers of volume runs.
+ *       - in: query
+ *         name: runId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only fees of this run.
+ *       - in: query
+ *         name: walletId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only fees charged to this vault wallet.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         required: false
+ *         description: Response format.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved fees.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 totals:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       network:
+ *                         type: string
+ *                       mint:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                       amount:
+ *                         type: string
+ *                         description: Total in base units
+ *                       decimals:
+ *                         type: integer
+ *                       uiAmount:
+ *                         type: number
+ *                 fees:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeeRecord'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Error retrieving fees.
+ */
+router.get(
+  '/',
+  requireScope(SCOPES.FEES_READ),
+  validate({ query: schemas.ListFeesQuery }),
+  feeController.listFeesController
+);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const jobController = require('../controllers/jobController');
+const { requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../services/apiKeyService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List background jobs, newest first.
+ *     description: Job summaries without per-item details. Use GET /api/jobs/{jobId} for item status.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only return jobs of this type (e.g. fund-children).
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *         required: false
+ *         description: Only return jobs with this status.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved jobs.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Error retrieving jobs.
+ */
+router.get(
+  '/',
+  requireScope(SCOPES.WALLETS_READ),
+  validate({ query: schemas.ListJobsQuery }),
+  jobController.listJobsController
+);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}:
+ *   get:
+ *     summary: Get a background job with the status of each of its items.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The job ID returned when the job was created.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the job.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Job not found.
+ *       500:
+ *         description: Error retrieving job.
+ */
+router.get(
+  '/:jobId',
+  requireScope(SCOPES.WALLETS_READ),
+  validate({ params: schemas.JobIdParams }),
+  jobController.getJobController
+);
+
+module.exports = router;
@@ -1,5 +1,9 @@
 const express = require('express');
 const jupiterController = require('../controllers/jupiterController');
+const { requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../services/apiKeyService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
 const router = express.Router();
 
 /**
@@ -14,44 +18,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - inputMint
- *               - outputMint
- *               - amount
- *             properties:
- *               inputMint:
- *                 type: string
- *                 description: Token mint address of the input token or token symbol (SOL, USDC, USDT, BONK)
- *                 example: SOL
- *               outputMint:
- *                 type: string
- *                 description: Token mint address of the output token or token symbol (SOL, USDC, USDT, BONK)
- *                 example: USDC
- *               amount:
- *                 type: number
- *                 description: Amount of input token in base units (e.g., lamports for SOL)
- *                 example: 1000000
- *               slippageBps:
- *                 type: number
- *                 description: Slippage tolerance in basis points (1 bps = 0.01%)
- *                 default: 50
- *                 example: 50
- *               onlyDirectRoutes:
- *                 type: boolean
- *                 description: Whether to only use direct swap routes
- *                 default: false
- *                 example: false
- *               asLegacyTransaction:
- *                 type: boolean
- *                 description: Whether to use legacy transactions
- *                 default: false
- *                 example: false
- *               platformFeeBps:
- *                 type: number
- *                 description: Platform fee in basis points
- *                 default: 0
- *                 example: 0
+ *             $ref: '#/components/schemas/QuoteRequest'
  *     responses:
  *       200:
  *         description: Jupiter quote successfully retrieved
@@ -67,53 +34,42 @@ const router = express.Router();
  *                   type: object
  *                   description: The Jupiter quote response with additional formatted info
  *       400:
- *         description: Invalid parameters
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  *       502:
  *         description: Error from Jupiter API
  */
-router.post('/quote', jupiterController.getQuoteController);
+router.post(
+  '/quote',
+  requireScope(SCOPES.JUPITER_QUOTE),
+  validate({ body: schemas.QuoteRequest }),
+  jupiterController.getQuoteController
+);
 
 /**
  * @swagger
  * /api/jupiter/swap:
  *   post:
  *     summary: Execute a swap on Jupiter with fee collection
- *     description: Executes a token swap using Jupiter Exchange and collects a 0.1% fee
+ *     description: |
+ *       Executes a token swap using Jupiter Exchange. When the quote was requested with a
+ *       platform fee (platformFeeBps, 0.1% by default), Jupiter pays the fee into the fee
+ *       collector's token account for the output mint, which is created first if missing.
+ *       The collected amount is checked against the quote's platformFee. With collectFees,
+ *       a quote whose platformFee.feeBps is not DEFAULT_FEE_BPS is rejected with 400
+ *       (PLATFORM_FEE_MISMATCH), so a stripped or lowered fee cannot be swapped.
  *     tags: [Jupiter]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - userWalletPrivateKeyBase58
- *               - quoteResponse
- *             properties:
- *               userWalletPrivateKeyBase58:
- *                 type: string
- *                 description: The private key of the user's wallet in base58 encoding
- *                 example: "4wBqpZM..."
- *               quoteResponse:
- *                 type: object
- *                 description: The Jupiter quote response object from the /quote endpoint
- *               wrapAndUnwrapSol:
- *                 type: boolean
- *                 description: Whether to automatically wrap and unwrap SOL
- *                 default: true
- *                 example: true
- *               asLegacyTransaction:
- *                 type: boolean
- *                 description: Whether to use legacy transactions
- *                 default: false
- *                 example: false
- *               collectFees:
- *                 type: boolean
- *                 description: Whether to collect fees from the swap (0.1% of input amount)
- *                 default: true
- *                 example: true
+ *             $ref: '#/components/schemas/SwapRequest'
  *     responses:
  *       200:
  *         description: Swap executed successfully
@@ -137,35 +93,66 @@ router.post('/quote', jupiterController.getQuoteController);
  *                     status:
  *                       type: string
  *                       enum: [success, failed, skipped]
+ *                       description: failed means the swap landed but the collected fee could not be confirmed
  *                       example: success
  *                     transactionId:
  *                       type: string
- *                       example: "2Q1QwHMB7m..."
+ *                       description: The swap transaction, which also pays the fee
+ *                       example: "4eA5mZRCCGP..."
+ *                     feeAccount:
+ *                       type: string
+ *                       example: "7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU"
+ *                     feeTokenMint:
+ *                       type: string
+ *                       example: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v"
+ *                     feeBps:
+ *                       type: integer
+ *                       example: 10
+ *                     expectedAmount:
+ *                       type: string
+ *                       description: Fee of the quote in base units
+ *                       example: "1234"
+ *                     collectedAmount:
+ *                       type: string
+ *                       description: Fee received by the fee account in base units
+ *                       example: "1234"
  *                     feeAmount:
  *                       type: number
- *                       example: 0.0001
- *                     feeTokenMint:
+ *                       example: 0.001234
+ *                     message:
  *                       type: string
- *                       example: "So111..."
  *                 newBalanceSol:
  *                   type: number
  *                   description: New SOL balance of the user's wallet
  *                   example: 0.5123
  *       400:
- *         description: Invalid parameters or transaction failed
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet ID not found in vault
  *       500:
  *         description: Server error
  *       502:
  *         description: Error from Jupiter API
+ *       503:
+ *         description: Remote signer unavailable (SIGNER_URL)
  */
-router.post('/swap', jupiterController.executeSwapController);
+router.post(
+  '/swap',
+  requireScope(SCOPES.JUPITER_SWAP),
+  validate({ body: schemas.SwapRequest }),
+  jupiterController.executeSwapController
+);
 
 /**
  * @swagger
  * /api/jupiter/tokens:
  *   get:
  *     summary: Get supported tokens
- *     description: Returns a list of tokens supported by the API for Jupiter swaps
+ *     description: Returns the well-known token mints of the selected network (SOLANA_NETWORK) that can be used by symbol in Jupiter swaps
  *     tags: [Jupiter]
  *     responses:
  *       200:
@@ -187,9 +174,13 @@ router.post('/swap', jupiterController.executeSwapController);
  *                     USDC:
  *                       type: string
  *                       example: EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
-router.get('/tokens', jupiterController.getSupportedTokensController);
+router.get('/tokens', requireScope(SCOPES.JUPITER_QUOTE), jupiterController.getSupportedTokensController);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,114 @@
+const express = require('express');
+const transactionController = require('../controllers/transactionController');
+const { requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../services/apiKeyService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/transactions:
+ *   get:
+ *     summary: List sent transactions, newest first.
+ *     description: |
+ *       Reads the transaction history: every transaction sent by the API (funding, returns,
+ *       sweeps, swaps) and by volume runs, with its transfers, fee, slot and outcome.
+ *       A retried transaction appears once per attempt, earlier attempts with status replaced.
+ *       Only transactions sent on the cluster the API runs on are listed unless `network`
+ *       selects another one; those have no explorerUrl.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: query
+ *         name: network
+ *         schema:
+ *           type: string
+ *           enum: [mainnet-beta, devnet, testnet, localnet]
+ *         required: false
+ *         description: Only transactions sent on this cluster. Defaults to the cluster the API runs on (SOLANA_NETWORK).
+ *       - in: query
+ *         name: wallet
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only transactions this wallet signed, sent from or received SOL in.
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only transactions of this type (fund-children, return-funds, sweep-children, sweep-child-tokens, swap, create-token-account, transfer, token-transfer).
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, confirmed, failed, replaced]
+ *         required: false
+ *         description: Only transactions with this status.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only transactions sent at or after this ISO 8601 date or date-time (e.g. 2025-01-01).
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only transactions sent at or before this ISO 8601 date (whole day included) or date-time.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *         required: false
+ *         description: Maximum number of transactions returned.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Number of transactions to skip.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved transactions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching transactions.
+ *                 count:
+ *                   type: integer
+ *                   description: Number of transactions in this page.
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TransactionRecord'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Error retrieving transactions.
+ */
+router.get(
+  '/',
+  requireScope(SCOPES.WALLETS_READ),
+  validate({ query: schemas.ListTransactionsQuery }),
+  transactionController.listTransactionsController
+);
+
+module.exports = router;
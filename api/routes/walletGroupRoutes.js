@@ -0,0 +1,478 @@
+const express = require('express');
+const walletGroupController = require('../controllers/walletGroupController');
+const { requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../services/apiKeyService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/wallets/groups:
+ *   get:
+ *     summary: List wallet groups.
+ *     description: Group summaries without their wallets. Use GET /api/wallets/groups/{name} for the wallets.
+ *     tags: [Wallet Groups]
+ *     parameters:
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only return groups with a wallet carrying this tag.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved wallet groups.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WalletGroup'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Error retrieving wallet groups.
+ */
+router.get(
+  '/',
+  requireScope(SCOPES.WALLETS_READ),
+  validate({ query: schemas.ListGroupsQuery }),
+  walletGroupController.listGroupsController
+);
+
+/**
+ * @swagger
+ * /api/wallets/groups:
+ *   post:
+ *     summary: Create a named group of vault wallets.
+ *     description: |
+ *       Groups name a set of vault wallets (e.g. campaign-a, market-maker-pool), each with a
+ *       label, tags and notes. Funding (`POST /api/wallets/fund-children`) and sweeps
+ *       (`POST /api/wallets/sweep`, `POST /api/wallets/sweep-tokens`) accept a `group` name
+ *       instead of wallet lists. Only wallets in the vault can be grouped.
+ *     tags: [Wallet Groups]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateWalletGroupRequest'
+ *     responses:
+ *       201:
+ *         description: Wallet group created.
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: URL of the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/WalletGroup'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet not found in vault.
+ *       409:
+ *         description: A wallet group with this name already exists.
+ *       500:
+ *         description: Error creating wallet group.
+ */
+router.post(
+  '/',
+  requireScope(SCOPES.WALLETS_CREATE),
+  validate({ body: schemas.CreateWalletGroupRequest }),
+  walletGroupController.createGroupController
+);
+
+/**
+ * @swagger
+ * /api/wallets/groups/{name}:
+ *   get:
+ *     summary: Get a wallet group with its wallets.
+ *     tags: [Wallet Groups]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group name.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the wallet group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/WalletGroup'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet group not found.
+ *       500:
+ *         description: Error retrieving wallet group.
+ */
+router.get(
+  '/:name',
+  requireScope(SCOPES.WALLETS_READ),
+  validate({ params: schemas.GroupNameParams }),
+  walletGroupController.getGroupController
+);
+
+/**
+ * @swagger
+ * /api/wallets/groups/{name}:
+ *   patch:
+ *     summary: Update the description of a wallet group.
+ *     tags: [Wallet Groups]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group name.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateWalletGroupRequest'
+ *     responses:
+ *       200:
+ *         description: Wallet group updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/WalletGroup'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet group not found.
+ *       500:
+ *         description: Error updating wallet group.
+ */
+router.patch(
+  '/:name',
+  requireScope(SCOPES.WALLETS_CREATE),
+  validate({ params: schemas.GroupNameParams, body: schemas.UpdateWalletGroupRequest }),
+  walletGroupController.updateGroupController
+);
+
+/**
+ * @swagger
+ * /api/wallets/groups/{name}:
+ *   delete:
+ *     summary: Delete a wallet group.
+ *     description: The wallets of the group stay in the vault.
+ *     tags: [Wallet Groups]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group name.
+ *     responses:
+ *       200:
+ *         description: Wallet group deleted.
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet group not found.
+ *       500:
+ *         description: Error deleting wallet group.
+ */
+router.delete(
+  '/:name',
+  requireScope(SCOPES.WALLETS_CREATE),
+  validate({ params: schemas.GroupNameParams }),
+  walletGroupController.deleteGroupController
+);
+
+/**
+ * @swagger
+ * /api/wallets/groups/{name}/wallets:
+ *   post:
+ *     summary: Add vault wallets to a wallet group.
+ *     description: Wallets already in the group keep their place and get the label, tags and notes given here; omitted fields are left unchanged.
+ *     tags: [Wallet Groups]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group name.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddGroupWalletsRequest'
+ *     responses:
+ *       200:
+ *         description: Wallets added to the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/WalletGroup'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet group or wallet not found.
+ *       500:
+ *         description: Error adding wallets to wallet group.
+ */
+router.post(
+  '/:name/wallets',
+  requireScope(SCOPES.WALLETS_CREATE),
+  validate({ params: schemas.GroupNameParams, body: schemas.AddGroupWalletsRequest }),
+  walletGroupController.addGroupWalletsController
+);
+
+/**
+ * @swagger
+ * /api/wallets/groups/{name}/wallets/{walletId}:
+ *   patch:
+ *     summary: Update the label, tags or notes of a wallet in a wallet group.
+ *     tags: [Wallet Groups]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group name.
+ *       - in: path
+ *         name: walletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The vault wallet ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateGroupWalletRequest'
+ *     responses:
+ *       200:
+ *         description: Group wallet updated.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/WalletGroup'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet group or group wallet not found.
+ *       500:
+ *         description: Error updating group wallet.
+ */
+router.patch(
+  '/:name/wallets/:walletId',
+  requireScope(SCOPES.WALLETS_CREATE),
+  validate({ params: schemas.GroupWalletParams, body: schemas.UpdateGroupWalletRequest }),
+  walletGroupController.updateGroupWalletController
+);
+
+/**
+ * @swagger
+ * /api/wallets/groups/{name}/wallets/{walletId}:
+ *   delete:
+ *     summary: Remove a wallet from a wallet group.
+ *     description: The wallet stays in the vault.
+ *     tags: [Wallet Groups]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group name.
+ *       - in: path
+ *         name: walletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The vault wallet ID.
+ *     responses:
+ *       200:
+ *         description: Wallet removed from the group.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/WalletGroup'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet group or group wallet not found.
+ *       500:
+ *         description: Error removing wallet from wallet group.
+ */
+router.delete(
+  '/:name/wallets/:walletId',
+  requireScope(SCOPES.WALLETS_CREATE),
+  validate({ params: schemas.GroupWalletParams }),
+  walletGroupController.removeGroupWalletController
+);
+
+/**
+ * @swagger
+ * /api/wallets/groups/{name}/balances:
+ *   get:
+ *     summary: Get the balances of the wallets in a wallet group.
+ *     description: SOL balances of every group wallet, and the balance of one SPL token with `mintAddress`, with totals.
+ *     tags: [Wallet Groups]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The group name.
+ *       - in: query
+ *         name: mintAddress
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Also return the balance of this SPL token.
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only return the group wallets carrying this tag.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the balances.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   type: string
+ *                 wallets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       walletId:
+ *                         type: string
+ *                       publicKey:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                         nullable: true
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       balanceSol:
+ *                         type: number
+ *                       balanceLamports:
+ *                         type: number
+ *                       tokenBalance:
+ *                         type: number
+ *                         description: Token balance in base units (with `mintAddress`).
+ *                       tokenDecimals:
+ *                         type: number
+ *                 totalSol:
+ *                   type: number
+ *                 mintAddress:
+ *                   type: string
+ *                 totalTokenBalance:
+ *                   type: number
+ *                   description: Total token balance in base units (with `mintAddress`).
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet group or one of its wallets not found.
+ *       500:
+ *         description: Error retrieving wallet group balances.
+ */
+router.get(
+  '/:name/balances',
+  requireScope(SCOPES.WALLETS_READ),
+  validate({ params: schemas.GroupNameParams, query: schemas.GroupBalancesQuery }),
+  walletGroupController.getGroupBalancesController
+);
+
+module.exports = router;
@@ -1,5 +1,9 @@
 const express = require('express');
 const walletController = require('../controllers/walletController');
+const { requireScope } = require('../middleware/auth');
+const { SCOPES } = require('../services/apiKeyService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/schemas');
 
 const router = express.Router();
 
@@ -7,19 +11,21 @@ const router = express.Router();
  * @swagger
  * /api/wallets/mother:
  *   post:
- *     summary: Create a new mother wallet or import one from a private key.
+ *     summary: Create a new mother wallet or import one from a seed phrase or a private key.
+ *     description: |
+ *       Without `privateKeyBase58` or `mnemonic`, a new wallet is generated from a 24-word seed phrase,
+ *       which is returned once with `returnMnemonic: true` so it can be backed up. A seed phrase is
+ *       imported with its optional BIP39 passphrase at `derivationPath`; child wallets are then derived
+ *       from it at `m/44'/501'/i'/0'`. A private key may be a 64-byte secret key or a raw 32-byte seed.
+ *       Keys are stored in the server-side vault and never returned. Use the returned wallet ID for signing routes.
+ *       With SIGNER_URL set, the signer service creates the wallet and `returnMnemonic` is refused.
  *     tags: [Wallet]
  *     requestBody:
  *       required: false
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               privateKeyBase58:
- *                 type: string
- *                 description: Optional base58 encoded private key to import.
- *                 example: "yourBase58PrivateKeyHere..."
+ *             $ref: '#/components/schemas/CreateMotherWalletRequest'
  *     responses:
  *       201:
  *         description: Mother wallet created or imported successfully.
@@ -30,14 +36,38 @@ const router = express.Router();
  *               properties:
  *                 message:
  *                   type: string
+ *                 motherWalletId:
+ *                   type: string
+ *                   description: Opaque vault wallet ID of the mother wallet.
  *                 motherWalletPublicKey:
  *                   type: string
- *                 motherWalletPrivateKeyBase58:
+ *                 hdDerivationAvailable:
+ *                   type: boolean
+ *                   description: Whether the mother wallet has a seed phrase for deterministic child derivation.
+ *                 derivationPath:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Path of the mother wallet in its seed phrase.
+ *                 mnemonic:
  *                   type: string
+ *                   description: "Seed phrase of the new wallet (only with `returnMnemonic: true`)."
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Missing scope, or `returnMnemonic` with SIGNER_URL set.
  *       500:
  *         description: Error processing mother wallet request.
+ *       503:
+ *         description: Remote signer unavailable (SIGNER_URL).
  */
-router.post('/mother', walletController.createOrImportMotherWalletController);
+router.post(
+  '/mother',
+  requireScope(SCOPES.WALLETS_CREATE),
+  validate({ body: schemas.CreateMotherWalletRequest }),
+  walletController.createOrImportMotherWalletController
+);
 
 /**
  * @swagger
@@ -69,39 +99,38 @@ router.post('/mother', walletController.createOrImportMotherWalletController);
  *                   type: number
  *                   description: Wallet balance in lamports (1 SOL = 1,000,000,000 lamports)
  *       400:
- *         description: Invalid public key format.
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Error retrieving wallet information.
  */
-router.get('/mother/:publicKey', walletController.getMotherWalletInfoController);
+router.get(
+  '/mother/:publicKey',
+  requireScope(SCOPES.WALLETS_READ),
+  validate({ params: schemas.PublicKeyParams }),
+  walletController.getMotherWalletInfoController
+);
 
 /**
  * @swagger
  * /api/wallets/children:
  *   post:
  *     summary: Derive child wallets from a mother wallet.
+ *     description: >
+ *       Child wallet keys are stored in the server-side vault; only their wallet IDs and public keys are returned.
+ *       With `hd` derivation, child `i` is derived from the mother seed at `m/44'/501'/i'/0'`, so children can be
+ *       regenerated from the seed alone. Re-deriving an existing index returns the existing wallet.
+ *       With SIGNER_URL set, the signer service derives the wallets and `saveToFile` is refused.
  *     tags: [Wallet]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - motherWalletPublicKey
- *             properties:
- *               motherWalletPublicKey:
- *                 type: string
- *                 description: The public key of the mother wallet.
- *                 example: "FKS2idx6M1WyBeWtMr2tY9XSFsVvKNy84rS9jq9W1qfo"
- *               count:
- *                 type: number
- *                 description: The number of child wallets to generate.
- *                 default: 3
- *               saveToFile:
- *                 type: boolean
- *                 description: Whether to save the wallets to the file system.
- *                 default: false
+ *             $ref: '#/components/schemas/DeriveChildWalletsRequest'
  *     responses:
  *       201:
  *         description: Child wallets derived successfully.
@@ -112,132 +141,128 @@ router.get('/mother/:publicKey', walletController.getMotherWalletInfoController)
  *               properties:
  *                 message:
  *                   type: string
+ *                 motherWalletId:
+ *                   type: string
  *                 motherWalletPublicKey:
  *                   type: string
+ *                 derivation:
+ *                   type: string
+ *                   enum: [hd, random]
  *                 childWallets:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
+ *                       id:
+ *                         type: string
+ *                         description: Opaque vault wallet ID of the child wallet.
  *                       publicKey:
  *                         type: string
- *                       privateKeyBase58:
+ *                       index:
+ *                         type: number
+ *                         nullable: true
+ *                         description: BIP44 account index (hd derivation only).
+ *                       derivationPath:
  *                         type: string
+ *                         nullable: true
+ *                         example: "m/44'/501'/1'/0'"
  *       400:
- *         description: Invalid request parameters.
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Mother wallet not found in vault.
  *       500:
  *         description: Error deriving child wallets.
+ *       503:
+ *         description: Remote signer unavailable (SIGNER_URL).
  */
-router.post('/children', walletController.deriveChildWalletsController);
+router.post(
+  '/children',
+  requireScope(SCOPES.WALLETS_CREATE),
+  validate({ body: schemas.DeriveChildWalletsRequest }),
+  walletController.deriveChildWalletsController
+);
 
 /**
  * @swagger
  * /api/wallets/fund-children:
  *   post:
  *     summary: Fund child wallets from a mother wallet.
+ *     description: |
+ *       Queues a background funding job and returns immediately. Poll GET /api/jobs/{jobId}
+ *       for the status of each transfer. Jobs interrupted by a restart resume automatically
+ *       without funding a child twice. Transfers are packed into as few transactions as the
+ *       transaction size limit allows; children funded together share a transaction ID. The
+ *       completed job `result` holds the overall status, per-child results, the final mother
+ *       wallet balance and statistics. Amounts above the per-transfer limit of the network
+ *       (MAX_SOL_PER_TRANSFER, by default 10 SOL on mainnet-beta) are rejected with 400.
+ *       Instead of `childWallets`, a wallet group can be funded with `group` and an
+ *       `amountSol` per wallet, optionally only the group wallets with `tag`. Group wallets
+ *       that are not children of the mother wallet are skipped.
  *     tags: [Wallet]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - motherWalletPrivateKeyBase58
- *               - childWallets
- *             properties:
- *               motherWalletPrivateKeyBase58:
- *                 type: string
- *                 description: The private key of the mother wallet in base58 encoding.
- *                 example: "yourBase58PrivateKeyHere..."
- *               childWallets:
- *                 type: array
- *                 description: Array of child wallets to fund.
- *                 items:
- *                   type: object
- *                   required:
- *                     - publicKey
- *                     - amountSol
- *                   properties:
- *                     publicKey:
- *                       type: string
- *                       description: The public key of the child wallet.
- *                       example: "ChildWalletPublicKeyHere..."
- *                     amountSol:
- *                       type: number
- *                       description: The amount of SOL to send to the child wallet.
- *                       example: 0.002
+ *             $ref: '#/components/schemas/FundChildWalletsRequest'
  *     responses:
- *       200:
- *         description: Child wallets funding completed.
+ *       202:
+ *         description: Funding job queued.
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: URL of the job status.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 message:
+ *                   type: string
+ *                 jobId:
+ *                   type: string
  *                 status:
  *                   type: string
- *                   enum: [success, partial, failed]
- *                   description: Overall status of the funding operation.
- *                 results:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       childPublicKey:
- *                         type: string
- *                       transactionId:
- *                         type: string
- *                         nullable: true
- *                       status:
- *                         type: string
- *                         enum: [funded, failed]
- *                       error:
- *                         type: string
- *                         nullable: true
- *                       newBalanceSol:
- *                         type: number
- *                         description: New balance of the child wallet in SOL (only present if funded).
- *                 motherWalletFinalBalanceSol:
- *                   type: number
- *                   description: Final balance of the mother wallet after all funding operations.
- *                 message:
+ *                   enum: [queued]
+ *                 statusUrl:
  *                   type: string
+ *                   example: /api/jobs/job_8c2e4f6a0b1d3c5e7f9a2b4c
  *       400:
- *         description: Invalid request parameters or insufficient funds.
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet or wallet group not found.
  *       500:
- *         description: Error funding child wallets.
+ *         description: Error queueing child wallet funding.
  */
-router.post('/fund-children', walletController.fundChildWalletsController);
+router.post(
+  '/fund-children',
+  requireScope(SCOPES.WALLETS_FUND),
+  validate({ body: schemas.FundChildWalletsRequest }),
+  walletController.fundChildWalletsController
+);
 
 /**
  * @swagger
  * /api/wallets/return-funds:
  *   post:
- *     summary: Return funds from a child wallet to a mother wallet.
+ *     summary: Return funds from a child wallet to its mother wallet.
+ *     description: Funds always go to the child's parent wallet in the vault; a motherWalletId that is not the child's parent is rejected.
  *     tags: [Wallet]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - childWalletPrivateKeyBase58
- *               - motherWalletPublicKey
- *             properties:
- *               childWalletPrivateKeyBase58:
- *                 type: string
- *                 description: The private key of the child wallet in base58 encoding.
- *                 example: "yourBase58PrivateKeyHere..."
- *               motherWalletPublicKey:
- *                 type: string
- *                 description: The public key of the mother wallet.
- *                 example: "FKS2idx6M1WyBeWtMr2tY9XSFsVvKNy84rS9jq9W1qfo"
- *               returnAllFunds:
- *                 type: boolean
- *                 description: Whether to return all funds or keep some for transaction fees.
- *                 default: false
+ *             $ref: '#/components/schemas/ReturnFundsRequest'
  *     responses:
  *       200:
  *         description: Funds returned to mother wallet successfully.
@@ -262,11 +287,348 @@ router.post('/fund-children', walletController.fundChildWalletsController);
  *                 message:
  *                   type: string
  *       400:
- *         description: Invalid request parameters or insufficient funds.
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Child wallet not found in vault.
  *       500:
  *         description: Error returning funds to mother wallet.
+ *       503:
+ *         description: Remote signer unavailable (SIGNER_URL).
+ */
+router.post(
+  '/return-funds',
+  requireScope(SCOPES.WALLETS_FUND),
+  validate({ body: schemas.ReturnFundsRequest }),
+  walletController.returnFundsController
+);
+
+/**
+ * @swagger
+ * /api/wallets/sweep:
+ *   post:
+ *     summary: Sweep child wallets back into their mother wallet.
+ *     description: |
+ *       Queues a background sweep job and returns immediately. Every child's entire SOL
+ *       balance is returned to the mother wallet, which pays all fees, and empty SPL Token
+ *       and Token-2022 accounts are closed with their rent sent to the mother wallet.
+ *       Children are packed into as few transactions as the size limit allows. With `group`,
+ *       the group wallets that are children of the mother wallet are swept (optionally only
+ *       those with `tag`); without `childWalletIds` or `group`, every child wallet of the
+ *       mother wallet in the vault is swept.
+ *       The completed job `result` is a consolidated report with per-child results and the
+ *       total lamports recovered.
+ *     tags: [Wallet]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SweepChildWalletsRequest'
+ *     responses:
+ *       202:
+ *         description: Sweep job queued.
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: URL of the job status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 jobId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [queued]
+ *                 statusUrl:
+ *                   type: string
+ *                   example: /api/jobs/job_8c2e4f6a0b1d3c5e7f9a2b4c
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet or wallet group not found.
+ *       500:
+ *         description: Error queueing child wallet sweep.
  */
-router.post('/return-funds', walletController.returnFundsController);
+router.post(
+  '/sweep',
+  requireScope(SCOPES.WALLETS_FUND),
+  validate({ body: schemas.SweepChildWalletsRequest }),
+  walletController.sweepChildWalletsController
+);
+
+/**
+ * @swagger
+ * /api/wallets/sweep-tokens:
+ *   post:
+ *     summary: Sweep the token balances of child wallets into their mother wallet.
+ *     description: |
+ *       Queues a background token sweep job and returns immediately. Every SPL Token and
+ *       Token-2022 balance of the child wallets is transferred to the mother wallet's
+ *       associated token account for the mint, created when missing, and the emptied
+ *       child token accounts are closed with their rent sent to the mother wallet. The
+ *       mother wallet pays all fees and rent. Frozen accounts are left alone. With `group`,
+ *       the group wallets that are children of the mother wallet are swept (optionally only
+ *       those with `tag`); without `childWalletIds` or `group`, every child wallet of the
+ *       mother wallet in the vault is swept.
+ *       The completed job `result` lists the tokens moved per child and per mint.
+ *     tags: [Wallet]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SweepChildTokensRequest'
+ *     responses:
+ *       202:
+ *         description: Token sweep job queued.
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: URL of the job status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 jobId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [queued]
+ *                 statusUrl:
+ *                   type: string
+ *                   example: /api/jobs/job_8c2e4f6a0b1d3c5e7f9a2b4c
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Wallet or wallet group not found.
+ *       500:
+ *         description: Error queueing child wallet token sweep.
+ */
+router.post(
+  '/sweep-tokens',
+  requireScope(SCOPES.WALLETS_FUND),
+  validate({ body: schemas.SweepChildTokensRequest }),
+  walletController.sweepChildTokensController
+);
+
+/**
+ * @swagger
+ * /api/wallets:
+ *   get:
+ *     summary: List the wallets registered in the server-side vault.
+ *     tags: [Wallet]
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [mother, child, user]
+ *         required: false
+ *         description: Only return wallets with this role.
+ *       - in: query
+ *         name: parentId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only return child wallets of this mother wallet ID.
+ *       - in: query
+ *         name: label
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only return wallets with this label.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, retired]
+ *         required: false
+ *         description: Only return wallets with this status.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved vault wallets (public information only).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 wallets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       publicKey:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                       parentId:
+ *                         type: string
+ *                         nullable: true
+ *                       label:
+ *                         type: string
+ *                         nullable: true
+ *                       index:
+ *                         type: number
+ *                         nullable: true
+ *                       derivationPath:
+ *                         type: string
+ *                         nullable: true
+ *                       status:
+ *                         type: string
+ *                         enum: [active, retired]
+ *                       hasMnemonic:
+ *                         type: boolean
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Error retrieving vault wallets.
+ */
+router.get(
+  '/',
+  requireScope(SCOPES.WALLETS_READ),
+  validate({ query: schemas.ListWalletsQuery }),
+  walletController.listVaultWalletsController
+);
+
+/**
+ * @swagger
+ * /api/wallets/import:
+ *   post:
+ *     summary: Import private keys into the vault.
+ *     description: |
+ *       Imports Solana CLI `id.json` byte arrays, base58 secret keys (Phantom), base64 secret keys
+ *       or an encrypted keystore file (such as `wallet-storage/mainnet/child-wallets.json` or a file
+ *       from `POST /api/wallets/export`). base58 and base64 keys may also be raw 32-byte seeds.
+ *       Keys already in the vault return their existing wallet; an invalid key imports nothing.
+ *       With SIGNER_URL set, the keys are imported into the signer service's vault.
+ *     tags: [Wallet]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportWalletsRequest'
+ *     responses:
+ *       201:
+ *         description: Wallets imported successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 wallets:
+ *                   type: array
+ *                   description: Public vault entries of the imported wallets.
+ *                   items:
+ *                     type: object
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Parent wallet not found in vault.
+ *       500:
+ *         description: Error importing wallets.
+ *       503:
+ *         description: Remote signer unavailable (SIGNER_URL).
+ */
+router.post(
+  '/import',
+  requireScope(SCOPES.WALLETS_CREATE),
+  validate({ body: schemas.ImportWalletsRequest }),
+  walletController.importWalletsController
+);
+
+/**
+ * @swagger
+ * /api/wallets/export:
+ *   post:
+ *     summary: Export the private keys of vault wallets.
+ *     description: |
+ *       Exports wallets selected by ID, or every child wallet of a mother wallet, as Solana CLI
+ *       `id.json` byte arrays, base58 secret keys (Phantom) or base64 secret keys, or as one
+ *       encrypted keystore file protected by the given passphrase. Requires the `wallets:export` scope.
+ *       Not available with SIGNER_URL set: the keys stay in the signer service.
+ *     tags: [Wallet]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExportWalletsRequest'
+ *     responses:
+ *       200:
+ *         description: Wallets exported successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 format:
+ *                   type: string
+ *                 wallets:
+ *                   type: array
+ *                   description: Public vault entries, each with its `secretKey` in the requested format (except for keystore).
+ *                   items:
+ *                     type: object
+ *                 keystore:
+ *                   type: object
+ *                   description: The encrypted keystore file (keystore format only).
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Missing scope, or SIGNER_URL is set.
+ *       404:
+ *         description: Wallet not found in vault.
+ *       500:
+ *         description: Error exporting wallets.
+ */
+router.post(
+  '/export',
+  requireScope(SCOPES.WALLETS_EXPORT),
+  validate({ body: schemas.ExportWalletsRequest }),
+  walletController.exportWalletsController
+);
 
 /**
  * @swagger
@@ -298,11 +660,20 @@ router.post('/return-funds', walletController.returnFundsController);
  *                   type: number
  *                   description: Wallet balance in lamports (1 SOL = 1,000,000,000 lamports)
  *       400:
- *         description: Invalid public key format.
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Error retrieving wallet balance.
  */
-router.get('/balance/:walletPublicKey', walletController.getWalletBalanceController);
+router.get(
+  '/balance/:walletPublicKey',
+  requireScope(SCOPES.WALLETS_READ),
+  validate({ params: schemas.WalletPublicKeyParams }),
+  walletController.getWalletBalanceController
+);
 
 /**
  * @swagger
@@ -317,6 +688,12 @@ router.get('/balance/:walletPublicKey', walletController.getWalletBalanceControl
  *           type: string
  *         required: true
  *         description: The public key of the wallet.
+ *       - in: query
+ *         name: mintAddress
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The mint address of the SPL token.
  *     responses:
  *       200:
  *         description: Successfully retrieved wallet token balance.
@@ -325,16 +702,34 @@ router.get('/balance/:walletPublicKey', walletController.getWalletBalanceControl
  *             schema:
  *               type: object
  *               properties:
- *                 publicKey:
+ *                 message:
  *                   type: string
- *                 tokenBalance:
- *                   type: number
- *                   description: Wallet token balance in lamports (1 SOL = 1,000,000,000 lamports)
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     publicKey:
+ *                       type: string
+ *                     mintAddress:
+ *                       type: string
+ *                     balance:
+ *                       type: number
+ *                       description: Token balance in the token's base units
+ *                     decimals:
+ *                       type: number
  *       400:
- *         description: Invalid public key format.
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Error retrieving wallet token balance.
  */
-router.get('/token-balance/:walletPublicKey', walletController.getTokenBalanceController);
+router.get(
+  '/token-balance/:walletPublicKey',
+  requireScope(SCOPES.WALLETS_READ),
+  validate({ params: schemas.WalletPublicKeyParams, query: schemas.TokenBalanceQuery }),
+  walletController.getTokenBalanceController
+);
 
 module.exports = router; 
\ No newline at end of file
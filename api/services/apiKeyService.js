@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ApiKeyService');
+
+/**
+ * API key store.
+ * Only SHA-256 hashes of API keys are stored. Keys are loaded from
+ * `wallet-storage/api-keys.json` (override with API_KEYS_PATH) and, for hosts
+ * without persistent disks, from the API_KEYS environment variable
+ * (a JSON array of `{id, name, keyHash, scopes}`).
+ */
+
+const API_KEYS_PATH = process.env.API_KEYS_PATH
+  || path.join(process.cwd(), 'wallet-storage', 'api-keys.json');
+
+// Permission scopes that can be granted to an API key
+const SCOPES = {
+  WALLETS_READ: 'wallets:read',       // Balances, vault listing and job status
+  WALLETS_CREATE: 'wallets:create',   // Create/import mother wallets, derive children
+  WALLETS_FUND: 'wallets:fund',       // Move SOL between mother and child wallets
+  WALLETS_EXPORT: 'wallets:export',   // Export private keys
+  JUPITER_QUOTE: 'jupiter:quote',     // Swap quotes and token lists
+  JUPITER_SWAP: 'jupiter:swap',       // Execute swaps
+  FEES_READ: 'fees:read',             // Fee ledger and reports
+  ADMIN: '*'                          // Every scope
+};
+
+/**
+ * Hashes a raw API key for storage and lookup.
+ * @param {string} apiKey - The raw API key.
+ * @returns {string} Hex encoded SHA-256 hash.
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex');
+}
+
+/**
+ * Reads the API keys stored on disk.
+ * @returns {Array<object>} Stored API key records.
+ */
+function readKeyFile() {
+  if (!fs.existsSync(API_KEYS_PATH)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(API_KEYS_PATH, 'utf8'));
+}
+
+/**
+ * Writes the API keys to disk.
+ * @param {Array<object>} records - API key records.
+ */
+function writeKeyFile(records) {
+  fs.mkdirSync(path.dirname(API_KEYS_PATH), { recursive: true });
+  fs.writeFileSync(API_KEYS_PATH, JSON.stringify(records, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Reads the API keys configured through the API_KEYS environment variable.
+ * @returns {Array<object>} API key records.
+ */
+function readEnvKeys() {
+  if (!process.env.API_KEYS) {
+    return [];
+  }
+  try {
+    return JSON.parse(process.env.API_KEYS);
+  } catch (error) {
+    logger.error('API_KEYS is not valid JSON, ignoring it:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Checks that every scope is known.
+ * @param {Array<string>} scopes - Scopes to check.
+ * @throws {Error} If a scope is unknown.
+ */
+function validateScopes(scopes) {
+  const validScopes = Object.values(SCOPES);
+  const unknownScopes = scopes.filter(scope => !validScopes.includes(scope));
+  if (unknownScopes.length > 0) {
+    throw new Error(`Unknown scopes: ${unknownScopes.join(', ')}. Valid scopes: ${validScopes.join(', ')}`);
+  }
+}
+
+/**
+ * Creates a new API key and stores its hash.
+ * @param {string} name - Name of the key owner (e.g. "frontend", "volume-bot").
+ * @param {Array<string>} scopes - Scopes granted to the key.
+ * @returns {{id: string, name: string, scopes: Array<string>, apiKey: string}} The key record, including the raw key (shown only once).
+ * @throws {Error} If a scope is unknown.
+ */
+function createApiKey(name, scopes) {
+  validateScopes(scopes);
+
+  const apiKey = `sk_${crypto.randomBytes(32).toString('hex')}`;
+  const record = {
+    id: `key_${crypto.randomBytes(8).toString('hex')}`,
+    name,
+    keyHash: hashApiKey(apiKey),
+    scopes,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+
+  writeKeyFile([...readKeyFile(), record]);
+
+  return { id: record.id, name, scopes, apiKey };
+}
+
+/**
+ * Lists the API keys (without hashes).
+ * @returns {Array<{id: string, name: string, scopes: Array<string>, createdAt: string, revokedAt: string|null, source: string}>}
+ */
+function listApiKeys() {
+  const strip = source => ({ keyHash, ...record }) => ({ ...record, source });
+  return [
+    ...readKeyFile().map(strip('file')),
+    ...readEnvKeys().map(strip('env'))
+  ];
+}
+
+/**
+ * Revokes an API key stored on disk.
+ * @param {string} id - The API key ID.
+ * @throws {Error} If the key does not exist.
+ */
+function revokeApiKey(id) {
+  const records = readKeyFile();
+  const record = records.find(item => item.id === id);
+  if (!record) {
+    throw new Error(`API key not found: ${id}`);
+  }
+  record.revokedAt = new Date().toISOString();
+  writeKeyFile(records);
+}
+
+/**
+ * Finds the active API key matching a raw key.
+ * @param {string} apiKey - The raw API key from the request.
+ * @returns {{id: string, name: string, scopes: Array<string>}|null} The key, or null if unknown or revoked.
+ */
+function findApiKey(apiKey) {
+  const keyHash = Buffer.from(hashApiKey(apiKey), 'hex');
+  const record = [...readKeyFile(), ...readEnvKeys()].find(item => {
+    const storedHash = Buffer.from(item.keyHash || '', 'hex');
+    return storedHash.length === keyHash.length && crypto.timingSafeEqual(storedHash, keyHash);
+  });
+
+  if (!record || record.revokedAt) {
+    return null;
+  }
+
+  return { id: record.id, name: record.name, scopes: record.scopes || [] };
+}
+
+/**
+ * Checks whether an API key has a scope.
+ * @param {{scopes: Array<string>}} key - The API key.
+ * @param {string} scope - The required scope.
+ * @returns {boolean}
+ */
+function hasScope(key, scope) {
+  return key.scopes.includes(SCOPES.ADMIN) || key.scopes.includes(scope);
+}
+
+module.exports = {
+  SCOPES,
+  hashApiKey,
+  validateScopes,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  hasScope
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { NETWORKS, getNetworkConfig } = require('../config/network');
+const { createLogger } = require('../utils/logger');
+const { parseDateRange } = require('../utils/dateRange');
+
+const logger = createLogger('FeeLedger');
+
+/**
+ * Ledger of collected service fees, one JSON line per fee.
+ * Written to `wallet-storage/fee-ledger.jsonl` (override with FEE_LEDGER_PATH) by the
+ * API (Jupiter platform fees) and by the volume runs in `src/` (fee transfers to the
+ * service wallet, see `src/fees/feeLedger.ts`). Lines are only ever appended, so both
+ * processes can write to the same file and finance can reconcile the service wallet's
+ * on-chain receipts against it.
+ */
+
+const FEE_LEDGER_PATH = process.env.FEE_LEDGER_PATH
+  || path.join(process.cwd(), 'wallet-storage', 'fee-ledger.jsonl');
+
+// jupiter-swap: platform fee of a swap; transfer-fee: fee transfer of a volume run
+const FEE_SOURCES = ['jupiter-swap', 'transfer-fee'];
+
+const CSV_COLUMNS = [
+  'id',
+  'recordedAt',
+  'network',
+  'source',
+  'runId',
+  'walletId',
+  'sourceWallet',
+  'mint',
+  'amount',
+  'decimals',
+  'uiAmount',
+  'expectedAmount',
+  'feeAccount',
+  'signature'
+];
+
+/**
+ * Converts a base unit amount to token units.
+ * @param {bigint} amount - The amount in base units.
+ * @param {number} decimals - The decimals of the mint.
+ * @returns {number} The amount in token units.
+ */
+function toUiAmount(amount, decimals) {
+  return Number(amount) / Math.pow(10, decimals);
+}
+
+/**
+ * Appends a collected fee to the ledger.
+ * @param {object} fee - The fee.
+ * @param {string} fee.source - One of FEE_SOURCES.
+ * @param {string} fee.sourceWallet - Public key of the wallet the fee was charged to.
+ * @param {string} fee.mint - Mint the fee was paid in (the wrapped SOL mint for SOL).
+ * @param {bigint|string} fee.amount - Collected amount in base units.
+ * @param {number} fee.decimals - Decimals of the mint.
+ * @param {string} fee.feeAccount - Token account that received the fee (the service wallet itself for transfer fees).
+ * @param {string} fee.signature - Transaction that paid the fee.
+ * @param {string} [fee.walletId] - Vault wallet ID of the source wallet.
+ * @param {string} [fee.runId] - ID of the run the fee belongs to.
+ * @param {bigint|string} [fee.expectedAmount] - Quoted amount in base units.
+ * @returns {object} The ledger record.
+ * @throws {Error} If the source is unknown or the ledger cannot be written.
+ */
+function recordFee({
+  source,
+  sourceWallet,
+  mint,
+  amount,
+  decimals,
+  feeAccount,
+  signature,
+  walletId = null,
+  runId = null,
+  expectedAmount = null
+}) {
+  if (!FEE_SOURCES.includes(source)) {
+    throw new Error(`Invalid fee source: ${source}. Must be one of: ${FEE_SOURCES.join(', ')}`);
+  }
+
+  const record = {
+    id: `fee_${crypto.randomBytes(12).toString('hex')}`,
+    recordedAt: new Date().toISOString(),
+    network: getNetworkConfig().network,
+    source,
+    runId,
+    walletId,
+    sourceWallet,
+    mint,
+    amount: amount.toString(),
+    decimals,
+    expectedAmount: expectedAmount === null ? null : expectedAmount.toString(),
+    feeAccount,
+    signature
+  };
+
+  fs.mkdirSync(path.dirname(FEE_LEDGER_PATH), { recursive: true });
+  fs.appendFileSync(FEE_LEDGER_PATH, `${JSON.stringify(record)}\n`);
+  logger.info(`Recorded ${source} fee of ${record.amount} ${mint} (${signature})`);
+
+  return record;
+}
+
+/**
+ * Reads every ledger record. Lines that are not valid JSON (e.g. a write cut short by a
+ * crash) are skipped with a warning.
+ * @returns {Array<object>} The records in the order they were written.
+ */
+function readLedger() {
+  if (!fs.existsSync(FEE_LEDGER_PATH)) {
+    return [];
+  }
+
+  const records = [];
+  fs.readFileSync(FEE_LEDGER_PATH, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      logger.warn(`Skipping malformed fee ledger line ${index + 1}: ${error.message}`);
+    }
+  });
+  return records;
+}
+
+/**
+ * Sums the ledger records per network and mint. A mint address can exist on several
+ * clusters, and devnet tokens must never be added to mainnet revenue.
+ * @param {Array<object>} fees - The records.
+ * @returns {Array<{network: string, mint: string, count: number, amount: string, decimals: number, uiAmount: number}>}
+ *   One entry per network and mint, in order of first appearance.
+ */
+function totalsByMint(fees) {
+  const totals = new Map();
+  for (const fee of fees) {
+    const key = `${fee.network}:${fee.mint}`;
+    const total = totals.get(key) || { network: fee.network, mint: fee.mint, count: 0, amount: 0n, decimals: fee.decimals };
+    total.count++;
+    total.amount += BigInt(fee.amount);
+    totals.set(key, total);
+  }
+  return [...totals.values()].map(total => ({
+    ...total,
+    amount: total.amount.toString(),
+    uiAmount: toUiAmount(total.amount, total.decimals)
+  }));
+}
+
+/**
+ * Lists ledger records, newest first, with per-mint totals of the selection.
+ * The ledger can be shared by processes running on different clusters, so only fees of
+ * the cluster the API runs on are listed unless another network is asked for.
+ * @param {object} [filters] - Optional filters.
+ * @param {string} [filters.network] - Only fees recorded on this cluster (defaults to the selected cluster).
+ * @param {string} [filters.from] - Only fees recorded at or after this ISO 8601 date or date-time.
+ * @param {string} [filters.to] - Only fees recorded at or before this ISO 8601 date or date-time.
+ * @param {string} [filters.mint] - Only fees paid in this mint (address or known token symbol).
+ * @param {string} [filters.source] - Only fees from this source.
+ * @param {string} [filters.runId] - Only fees of this run.
+ * @param {string} [filters.walletId] - Only fees charged to this vault wallet.
+ * @returns {{fees: Array<object>, totals: Array<object>}} The records and their totals.
+ * @throws {Error} If the date range is invalid.
+ */
+function listFees({ network = getNetworkConfig().network, from, to, mint, source, runId, walletId } = {}) {
+  const { fromTime, toTime } = parseDateRange(from, to);
+  const mintAddress = mint && (NETWORKS[network].mints[mint] || mint);
+
+  const fees = readLedger()
+    .filter(fee => {
+      const recordedAt = Date.parse(fee.recordedAt);
+      return fee.network === network
+        && recordedAt >= fromTime && recordedAt < toTime
+        && (!mintAddress || fee.mint === mintAddress)
+        && (!source || fee.source === source)
+        && (!runId || fee.runId === runId)
+        && (!walletId || fee.walletId === walletId);
+    })
+    .map(fee => ({ ...fee, uiAmount: toUiAmount(BigInt(fee.amount), fee.decimals) }))
+    .reverse();
+
+  return { fees, totals: totalsByMint(fees) };
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break.
+ * @param {*} value - The field value.
+ * @returns {string} The CSV field.
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats ledger records as CSV with a header row.
+ * @param {Array<object>} fees - Records from listFees.
+ * @returns {string} The CSV document.
+ */
+function toCsv(fees) {
+  const rows = fees.map(fee => CSV_COLUMNS.map(column => toCsvField(fee[column])).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+}
+
+module.exports = {
+  FEE_SOURCES,
+  recordFee,
+  listFees,
+  toCsv
+};
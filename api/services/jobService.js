@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { connection } = require('../utils/solanaUtils');
+const { reconcileSentTransaction } = require('../utils/transactionUtils');
+const { atomicWriteJson } = require('../utils/fileUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('JobService');
+
+/**
+ * Persistent background jobs.
+ * Long-running operations (e.g. funding dozens of child wallets) run outside the
+ * HTTP request. Jobs and their per-item progress are written to
+ * `wallet-storage/jobs.json` (override with JOBS_PATH) after every change, so a
+ * restarted server can pick up interrupted jobs where they stopped.
+ * Jobs hold wallet IDs, public keys, amounts and signatures only, never secrets.
+ */
+
+const JOBS_PATH = process.env.JOBS_PATH
+  || path.join(process.cwd(), 'wallet-storage', 'jobs.json');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+const ITEM_STATUSES = ['pending', 'sent', 'confirmed', 'failed', 'skipped'];
+
+// Handlers by job type: async (job, context) => result
+const handlers = new Map();
+
+// Jobs run one at a time so concurrent jobs never race on the same mother wallet balance
+let queueTail = Promise.resolve();
+
+let jobs = null;
+
+/**
+ * Loads the jobs from disk (cached after the first call).
+ * @returns {Array<object>} The jobs.
+ */
+function loadJobs() {
+  if (!jobs) {
+    jobs = fs.existsSync(JOBS_PATH) ? JSON.parse(fs.readFileSync(JOBS_PATH, 'utf8')) : [];
+  }
+  return jobs;
+}
+
+/**
+ * Persists the jobs.
+ */
+function saveJobs() {
+  atomicWriteJson(JOBS_PATH, jobs);
+}
+
+/**
+ * Finds a job by ID.
+ * @param {string} jobId - The job ID.
+ * @returns {object} The stored job.
+ * @throws {Error} If the job does not exist.
+ */
+function findJob(jobId) {
+  const job = loadJobs().find(item => item.id === jobId);
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+  return job;
+}
+
+/**
+ * Summarizes item statuses of a job.
+ * @param {object} job - The job.
+ * @returns {object} Item counts by status, plus the total.
+ */
+function getProgress(job) {
+  const progress = Object.fromEntries(ITEM_STATUSES.map(status => [status, 0]));
+  for (const item of job.items) {
+    progress[item.status]++;
+  }
+  return { total: job.items.length, ...progress };
+}
+
+/**
+ * Returns a copy of a job with its progress summary.
+ * @param {object} job - The job.
+ * @returns {object} The job view returned by the API.
+ */
+function toJobView(job) {
+  return { ...JSON.parse(JSON.stringify(job)), progress: getProgress(job) };
+}
+
+/**
+ * Registers the function that executes jobs of a type.
+ * The handler receives the job and a context with `updateItem(index, changes)` and
+ * must skip items that are already finished, since resumed jobs run the handler again.
+ * @param {string} type - The job type.
+ * @param {Function} handler - async (job, context) => result.
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Settles items left in `sent` state by an interrupted run: items whose transaction
+ * landed become `confirmed`, the others go back to `pending` once their blockhash has
+ * expired. Items sent in the same transaction have identical signature lists and are
+ * reconciled together. Handlers that send transactions call this before anything else.
+ * @param {object} job - The job.
+ * @param {Function} updateItem - The `updateItem` function of the job context.
+ */
+async function settleSentItems(job, updateItem) {
+  const outcomes = new Map();
+  for (const item of job.items.filter(entry => entry.status === 'sent')) {
+    const key = item.signatures.map(sent => sent.signature).join(',');
+    if (!outcomes.has(key)) {
+      logger.info(`Reconciling in-flight transaction ${item.signatures[item.signatures.length - 1].signature}`);
+      outcomes.set(key, await reconcileSentTransaction(connection, item.signatures));
+    }
+    const outcome = outcomes.get(key);
+    if (outcome.confirmed) {
+      updateItem(item.index, { status: 'confirmed', signature: outcome.signature, error: null });
+    } else {
+      updateItem(item.index, { status: 'pending' });
+    }
+  }
+}
+
+/**
+ * Runs a job with its registered handler and records the outcome.
+ * @param {string} jobId - The job ID.
+ */
+async function runJob(jobId) {
+  const job = findJob(jobId);
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    throw new Error(`No handler registered for job type: ${job.type}`);
+  }
+
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date().toISOString();
+  job.updatedAt = new Date().toISOString();
+  job.attempts = (job.attempts || 0) + 1;
+  saveJobs();
+  logger.info(`Running ${job.type} job ${job.id} (${job.items.length} items, attempt ${job.attempts})`);
+
+  const context = {
+    updateItem(index, changes) {
+      Object.assign(job.items[index], changes, { updatedAt: new Date().toISOString() });
+      job.updatedAt = new Date().toISOString();
+      saveJobs();
+    }
+  };
+
+  try {
+    job.result = await handler(job, context);
+    job.status = 'completed';
+    job.error = null;
+    logger.info(`Job ${job.id} completed`, getProgress(job));
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    logger.error(`Job ${job.id} failed:`, error);
+  }
+
+  job.completedAt = new Date().toISOString();
+  job.updatedAt = job.completedAt;
+  saveJobs();
+}
+
+/**
+ * Queues a job for execution after the jobs already queued.
+ * @param {string} jobId - The job ID.
+ */
+function enqueueJob(jobId) {
+  queueTail = queueTail
+    .then(() => runJob(jobId))
+    .catch(error => logger.error(`Could not run job ${jobId}:`, error));
+}
+
+/**
+ * Creates a job, persists it and queues it.
+ * @param {string} type - The job type (must have a registered handler).
+ * @param {object} params - Job parameters (no secrets).
+ * @param {Array<object>} items - Units of work; each gets `index` and `status: 'pending'`.
+ * @returns {object} The job view.
+ * @throws {Error} If no handler is registered for the type.
+ */
+function createJob(type, params, items) {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: `job_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    status: 'queued',
+    params,
+    items: items.map((item, index) => ({
+      index,
+      ...item,
+      status: 'pending',
+      signatures: [],
+      error: null,
+      updatedAt: now
+    })),
+    result: null,
+    error: null,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null
+  };
+
+  loadJobs().push(job);
+  saveJobs();
+  logger.info(`Queued ${type} job ${job.id} with ${items.length} items`);
+  enqueueJob(job.id);
+
+  return toJobView(job);
+}
+
+/**
+ * Gets a job with its per-item status.
+ * @param {string} jobId - The job ID.
+ * @returns {object} The job view.
+ * @throws {Error} If the job does not exist.
+ */
+function getJob(jobId) {
+  return toJobView(findJob(jobId));
+}
+
+/**
+ * Lists jobs, newest first.
+ * @param {object} [filter] - Optional filter.
+ * @param {string} [filter.type] - Only return jobs of this type.
+ * @param {string} [filter.status] - Only return jobs with this status.
+ * @returns {Array<object>} Job summaries (without items).
+ */
+function listJobs({ type, status } = {}) {
+  return loadJobs()
+    .filter(job => !type || job.type === type)
+    .filter(job => !status || job.status === status)
+    .map(job => {
+      const { items, ...summary } = job;
+      return { ...summary, progress: getProgress(job) };
+    })
+    .reverse();
+}
+
+/**
+ * Re-queues jobs that were queued or running when the server stopped.
+ * Call once at startup, after the job handlers are registered.
+ * @returns {number} The number of resumed jobs.
+ */
+function resumeJobs() {
+  const interrupted = loadJobs().filter(job => job.status === 'queued' || job.status === 'running');
+  for (const job of interrupted) {
+    logger.info(`Resuming ${job.status} ${job.type} job ${job.id}`);
+    enqueueJob(job.id);
+  }
+  return interrupted.length;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  ITEM_STATUSES,
+  registerJobHandler,
+  settleSentItems,
+  createJob,
+  getJob,
+  listJobs,
+  resumeJobs
+};
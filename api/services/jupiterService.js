@@ -1,34 +1,67 @@
-const { Connection, Keypair, VersionedTransaction } = require('@solana/web3.js');
+const { Connection, Keypair, PublicKey, Transaction, VersionedTransaction } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction
+} = require('@solana/spl-token');
 const bs58 = require('bs58');
-const { createJupiterApiClient } = require('@jup-ag/api');
+const { SwapApi, Configuration } = require('@jup-ag/api');
 const { connection, retry } = require('../utils/solanaUtils');
+const vaultService = require('./vaultService');
+const feeLedgerService = require('./feeLedgerService');
 const { 
   sendAndConfirmVersionedTransaction,
+  sendAndConfirmTransactionWrapper,
   lamportsToSol,
   rateLimitedRpcCall,
 } = require('../utils/transactionUtils');
+const { signVersionedTransaction } = require('../utils/signer');
+const { createLogger } = require('../utils/logger');
+const { getNetworkConfig } = require('../config/network');
 
-// Common token addresses
-const TOKENS = {
-  SOL: 'So11111111111111111111111111111111111111112',
-  USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-  USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
-  BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263'
-};
+const logger = createLogger('JupiterService');
+
+// Common token addresses on the selected network
+const TOKENS = getNetworkConfig().mints;
 
 // Fee collector wallet address
-const FEE_COLLECTOR_ADDRESS = 'FKS2idx6M1WyBeWtMr2tY9XSFsVvKNy84rS9jq9W1qfo';
+const FEE_COLLECTOR_ADDRESS = process.env.FEE_COLLECTOR_PUBKEY || 'FKS2idx6M1WyBeWtMr2tY9XSFsVvKNy84rS9jq9W1qfo';
+
+// Platform fee added to quotes that do not set platformFeeBps (10 bps = 0.1%)
+const DEFAULT_FEE_BPS = resolveDefaultFeeBps(process.env.DEFAULT_FEE_BPS);
 
 // Configure Jupiter API client with proper base URL for free usage
-// Based on Jupiter docs: https://dev.jup.ag/docs/ - use lite-api.jup.ag for free usage
+// Based on Jupiter docs: https://dev.jup.ag/docs/ - use lite-api.jup.ag for free usage.
+// JUPITER_API_BASE_URL points the client elsewhere, e.g. at scripts/mock-jupiter-server.js
+const JUPITER_API_BASE_URL = process.env.JUPITER_API_BASE_URL || 'https://lite-api.jup.ag/swap/v1';
+
 const jupiterApiConfig = {
-  basePath: 'https://lite-api.jup.ag'
+  basePath: JUPITER_API_BASE_URL.replace(/\/+$/, '')
 };
 
-console.log(`[JupiterService-SDK] Initializing Jupiter API client with base URL: ${jupiterApiConfig.basePath}`);
+logger.info(`Initializing Jupiter API client with base URL: ${jupiterApiConfig.basePath}`);
 
-// Instantiate the Jupiter API client with proper configuration
-const jupiterApi = createJupiterApiClient(jupiterApiConfig);
+// Instantiate the Jupiter API client with proper configuration.
+// createJupiterApiClient() always replaces basePath with its own server URL, so build the client directly.
+const jupiterApi = new SwapApi(new Configuration(jupiterApiConfig));
+
+/**
+ * Reads DEFAULT_FEE_BPS.
+ * @param {string} [value] - The environment value (defaults to 10 bps).
+ * @returns {number} The fee in basis points.
+ * @throws {Error} If the value is not a whole number of basis points between 0 and 10000.
+ */
+function resolveDefaultFeeBps(value) {
+  if (value === undefined || value.trim() === '') {
+    return 10;
+  }
+  const feeBps = Number(value);
+  if (!Number.isInteger(feeBps) || feeBps < 0 || feeBps > 10000) {
+    throw new Error(`Invalid DEFAULT_FEE_BPS: ${value} (expected basis points between 0 and 10000)`);
+  }
+  return feeBps;
+}
 
 /**
  * Enhanced error handler to extract meaningful error information from the Jupiter API response.
@@ -37,7 +70,7 @@ const jupiterApi = createJupiterApiClient(jupiterApiConfig);
  */
 async function extractJupiterError(error) {
   // Log the raw error object for deep debugging
-  console.error('[JupiterService-SDK] Raw error object:', {
+  logger.error('Raw error object:', {
     message: error.message,
     name: error.name,
     stack: error.stack,
@@ -81,14 +114,14 @@ async function getQuoteService(
   slippageBps = 50,
   onlyDirectRoutes = false,
   asLegacyTransaction = false,
-  platformFeeBps = 0
+  platformFeeBps = DEFAULT_FEE_BPS
 ) {
   try {
     const resolvedInputMint = TOKENS[inputMint] || inputMint;
     const resolvedOutputMint = TOKENS[outputMint] || outputMint;
     
-    console.log(`[JupiterService-SDK] Requesting quote: ${amount} of ${resolvedInputMint} → ${resolvedOutputMint}`);
-    console.log(`[JupiterService-SDK] Quote parameters:`, {
+    logger.info(`Requesting quote: ${amount} of ${resolvedInputMint} → ${resolvedOutputMint}`);
+    logger.debug(`Quote parameters:`, {
       slippageBps,
       onlyDirectRoutes,
       asLegacyTransaction,
@@ -109,7 +142,7 @@ async function getQuoteService(
       throw new Error('Could not find any route');
     }
     
-    console.log(`[JupiterService-SDK] ✅ Quote successful:`, {
+    logger.info(`Quote successful:`, {
       inAmount: quote.inAmount,
       outAmount: quote.outAmount,
       priceImpactPct: quote.priceImpactPct,
@@ -120,30 +153,197 @@ async function getQuoteService(
 
   } catch (error) {
     const detailedError = await extractJupiterError(error);
-    console.error('[JupiterService-SDK] Error fetching Jupiter quote:', detailedError);
+    logger.error('Error fetching Jupiter quote:', detailedError);
     throw new Error(detailedError);
   }
 }
 
+/**
+ * Gets the platform fee a quote was priced with.
+ * @param {object} quoteResponse - The Jupiter quote response.
+ * @returns {{amount: bigint, feeBps: number}|null} The fee, or null if the quote carries none.
+ */
+function getPlatformFee(quoteResponse) {
+  const platformFee = quoteResponse.platformFee;
+  if (!platformFee || !platformFee.feeBps || platformFee.amount === undefined) {
+    return null;
+  }
+  return { amount: BigInt(platformFee.amount), feeBps: platformFee.feeBps };
+}
+
+/**
+ * Checks that a quote is priced with the configured platform fee.
+ * The quote comes back from the client, so a stripped or lowered `platformFee` must not
+ * get a swap built that pays less than DEFAULT_FEE_BPS.
+ * @param {object} quoteResponse - The Jupiter quote response.
+ * @throws {Error} If the quote's fee differs from DEFAULT_FEE_BPS or carries no amount.
+ */
+function assertConfiguredPlatformFee(quoteResponse) {
+  const feeBps = (quoteResponse.platformFee && quoteResponse.platformFee.feeBps) || 0;
+  if (feeBps !== DEFAULT_FEE_BPS) {
+    throw new Error(`Platform fee mismatch: the quote charges ${feeBps} bps, expected ${DEFAULT_FEE_BPS} bps. Request a new quote without changing its platformFee.`);
+  }
+  if (feeBps > 0 && !getPlatformFee(quoteResponse)) {
+    throw new Error('Platform fee mismatch: the quote carries no platform fee amount. Request a new quote without changing its platformFee.');
+  }
+}
+
+/**
+ * Resolves the fee collector's associated token account for the mint the platform fee is
+ * paid in and creates it when it does not exist yet, with the swapping wallet paying the rent.
+ * Jupiter takes the fee in the output mint of ExactIn swaps and in the input mint of ExactOut swaps.
+ * @param {object} quoteResponse - The Jupiter quote response.
+ * @param {object} payer - Signer of the swapping wallet (see utils/signer.js).
+ * @returns {Promise<{feeAccount: PublicKey, feeMint: string}>} The fee account and its mint.
+ * @throws {Error} If the fee mint is not an SPL Token or Token-2022 mint or the account cannot be created.
+ */
+async function ensureFeeAccount(quoteResponse, payer) {
+  const feeMint = quoteResponse.swapMode === 'ExactOut' ? quoteResponse.inputMint : quoteResponse.outputMint;
+  const mint = new PublicKey(feeMint);
+  let feeCollector;
+  try {
+    feeCollector = new PublicKey(FEE_COLLECTOR_ADDRESS);
+  } catch (error) {
+    throw new Error(`Invalid FEE_COLLECTOR_PUBKEY: ${FEE_COLLECTOR_ADDRESS}`);
+  }
+
+  const mintInfo = await rateLimitedRpcCall(async () => {
+    return await connection.getAccountInfo(mint);
+  });
+  if (!mintInfo || ![TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].some(programId => programId.equals(mintInfo.owner))) {
+    throw new Error(`Fee mint ${feeMint} is not an SPL Token or Token-2022 mint`);
+  }
+
+  const feeAccount = getAssociatedTokenAddressSync(mint, feeCollector, true, mintInfo.owner);
+  const feeAccountInfo = await rateLimitedRpcCall(async () => {
+    return await connection.getAccountInfo(feeAccount);
+  });
+
+  if (!feeAccountInfo) {
+    logger.info(`Creating fee account ${feeAccount.toBase58()} for mint ${feeMint}...`);
+    const transaction = new Transaction().add(
+      createAssociatedTokenAccountIdempotentInstruction(
+        payer.publicKey,
+        feeAccount,
+        feeCollector,
+        mint,
+        mintInfo.owner
+      )
+    );
+    const signature = await sendAndConfirmTransactionWrapper(connection, transaction, [payer], {
+      computeUnitLimit: 50000,
+      history: { type: 'create-token-account' }
+    });
+    logger.info(`Fee account created: ${signature}`);
+  }
+
+  return { feeAccount, feeMint };
+}
+
+/**
+ * Checks the platform fee a landed swap paid into the fee account against the quote
+ * and records the collected amount in the fee ledger.
+ * The fee is a share of the actual output, so it may fall short of the quoted amount
+ * by up to the quote's slippage. Never throws: the swap has already landed.
+ * @param {string} signature - The swap transaction signature.
+ * @param {object} quoteResponse - The Jupiter quote response.
+ * @param {PublicKey} feeAccount - The fee collector's token account.
+ * @param {string} feeMint - The mint of the fee account.
+ * @param {{walletId: string, sourceWallet: string, runId?: string}} payer - The swapping wallet and its run.
+ * @returns {Promise<object>} The `feeCollection` part of the swap response.
+ */
+async function verifyFeeCollection(signature, quoteResponse, feeAccount, feeMint, payer) {
+  const platformFee = getPlatformFee(quoteResponse);
+  const slippageBps = BigInt(quoteResponse.slippageBps || 0);
+  const minimumAmount = (platformFee.amount * (10000n - slippageBps)) / 10000n;
+  const feeCollection = {
+    transactionId: signature,
+    feeAccount: feeAccount.toBase58(),
+    feeTokenMint: feeMint,
+    feeBps: platformFee.feeBps,
+    expectedAmount: platformFee.amount.toString()
+  };
+
+  try {
+    // Confirmed transactions can take a moment to be served by getTransaction
+    const swapTransaction = await retry(async () => {
+      const result = await rateLimitedRpcCall(async () => {
+        return await connection.getTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+      });
+      if (!result || !result.meta) {
+        throw new Error(`Transaction ${signature} not found`);
+      }
+      return result;
+    });
+
+    const findBalance = balances => (balances || []).find(balance => balance.mint === feeMint && balance.owner === FEE_COLLECTOR_ADDRESS);
+    const preBalance = findBalance(swapTransaction.meta.preTokenBalances);
+    const postBalance = findBalance(swapTransaction.meta.postTokenBalances);
+    const collectedAmount = BigInt(postBalance ? postBalance.uiTokenAmount.amount : 0) - BigInt(preBalance ? preBalance.uiTokenAmount.amount : 0);
+    const decimals = (postBalance || preBalance || { uiTokenAmount: { decimals: 0 } }).uiTokenAmount.decimals;
+
+    feeCollection.collectedAmount = collectedAmount.toString();
+    feeCollection.feeAmount = Number(collectedAmount) / Math.pow(10, decimals);
+
+    if (collectedAmount > 0n) {
+      try {
+        const record = feeLedgerService.recordFee({
+          source: 'jupiter-swap',
+          ...payer,
+          mint: feeMint,
+          amount: collectedAmount,
+          decimals,
+          expectedAmount: platformFee.amount,
+          feeAccount: feeCollection.feeAccount,
+          signature
+        });
+        feeCollection.ledgerId = record.id;
+      } catch (error) {
+        logger.error(`Could not record the platform fee of ${signature} in the fee ledger:`, error.message);
+      }
+    }
+
+    if (collectedAmount < minimumAmount) {
+      logger.warn(`Platform fee shortfall on ${signature}: collected ${collectedAmount}, quoted ${platformFee.amount}`);
+      return {
+        status: 'failed',
+        ...feeCollection,
+        message: `Collected ${collectedAmount} base units of ${feeMint}, expected at least ${minimumAmount} (quoted ${platformFee.amount}).`
+      };
+    }
+
+    logger.info(`Platform fee collected: ${feeCollection.feeAmount} of ${feeMint} into ${feeCollection.feeAccount}`);
+    return { status: 'success', ...feeCollection };
+  } catch (error) {
+    logger.error(`Could not verify the platform fee of ${signature}:`, error.message);
+    return {
+      status: 'failed',
+      ...feeCollection,
+      message: `Could not verify the collected fee: ${error.message}`
+    };
+  }
+}
+
 /**
  * [ENHANCED] Execute a swap on Jupiter using the SDK with better error handling.
+ * @param {string} userWalletId - The vault wallet ID of the wallet that signs the swap.
  * @returns {Promise<object>} Swap result including transaction ID.
  * @throws {Error} If the swap fails.
  */
 async function executeSwapService(
-  userWalletPrivateKeyBase58,
+  userWalletId,
   quoteResponse,
   wrapAndUnwrapSol = true,
   asLegacyTransaction = false,
-  collectFees = true
+  collectFees = true,
+  runId = null
 ) {
   try {
-    const secretKey = bs58.decode(userWalletPrivateKeyBase58);
-    const userWallet = Keypair.fromSecretKey(secretKey);
+    const userWallet = vaultService.getSigner(userWalletId);
     const userPublicKey = userWallet.publicKey;
 
-    console.log(`[JupiterService-SDK] Executing swap for user: ${userPublicKey.toBase58()}`);
-    console.log(`[JupiterService-SDK] Swap parameters:`, {
+    logger.info(`Executing swap for user: ${userPublicKey.toBase58()}`);
+    logger.debug(`Swap parameters:`, {
       inputMint: quoteResponse.inputMint,
       outputMint: quoteResponse.outputMint,
       inAmount: quoteResponse.inAmount,
@@ -152,15 +352,31 @@ async function executeSwapService(
       asLegacyTransaction
     });
 
+    // The platform fee is charged by Jupiter when the quote carries one and a fee account is passed
+    let feeAccount = null;
+    let feeMint = null;
+    let feeSkipReason = null;
+    if (collectFees) {
+      assertConfiguredPlatformFee(quoteResponse);
+    }
+    if (!collectFees) {
+      feeSkipReason = 'Fee collection disabled for this swap.';
+    } else if (!getPlatformFee(quoteResponse)) {
+      feeSkipReason = 'No platform fee is configured (DEFAULT_FEE_BPS is 0).';
+    } else {
+      ({ feeAccount, feeMint } = await ensureFeeAccount(quoteResponse, userWallet));
+    }
+
     // Enhanced swap request with proper error handling
-    console.log(`[JupiterService-SDK] Calling Jupiter swapPost API...`);
+    logger.info(`Calling Jupiter swapPost API...`);
     
     const swapResult = await jupiterApi.swapPost({
       swapRequest: {
         userPublicKey: userPublicKey.toBase58(),
         quoteResponse: quoteResponse,
         wrapAndUnwrapSol: wrapAndUnwrapSol,
-        dynamicComputeUnitLimit: true
+        dynamicComputeUnitLimit: true,
+        ...(feeAccount && { feeAccount: feeAccount.toBase58() })
       }
     });
 
@@ -168,7 +384,7 @@ async function executeSwapService(
       throw new Error('Invalid swap response: missing swapTransaction');
     }
 
-    console.log(`[JupiterService-SDK] ✅ Swap transaction received from Jupiter API`);
+    logger.info(`Swap transaction received from Jupiter API`);
 
     // Deserialize the transaction
     const swapTransactionBuf = Buffer.from(swapResult.swapTransaction, 'base64');
@@ -176,7 +392,7 @@ async function executeSwapService(
 
         // Pre-flight check for native SOL swaps to prevent "custom program error: 1"
     if (quoteResponse.inputMint === TOKENS.SOL) {
-      console.log(`[JupiterService-SDK] Performing pre-flight balance check for native SOL swap...`);
+      logger.info(`Performing pre-flight balance check for native SOL swap...`);
       const balance = await rateLimitedRpcCall(async () => {
         return await connection.getBalance(userPublicKey);
       });
@@ -196,27 +412,42 @@ async function executeSwapService(
       // Total required lamports = Swap Amount + Rent for wSOL Account + Buffered Network Fee
       const requiredLamports = BigInt(quoteResponse.inAmount) + BigInt(RENT_FOR_WSOL_ACCOUNT) + BigInt(bufferedFee);
 
-      console.log(`[JupiterService-SDK] Required SOL: ~${lamportsToSol(Number(requiredLamports))} (Amount: ${lamportsToSol(Number(quoteResponse.inAmount))} + Rent: ${lamportsToSol(RENT_FOR_WSOL_ACCOUNT)} + Fee w/Buffer: ${lamportsToSol(bufferedFee)})`);
-      console.log(`[JupiterService-SDK] Available SOL: ${lamportsToSol(balance)}`);
+      logger.info(`Required SOL: ~${lamportsToSol(Number(requiredLamports))} (Amount: ${lamportsToSol(Number(quoteResponse.inAmount))} + Rent: ${lamportsToSol(RENT_FOR_WSOL_ACCOUNT)} + Fee w/Buffer: ${lamportsToSol(bufferedFee)})`);
+      logger.info(`Available SOL: ${lamportsToSol(balance)}`);
 
       if (BigInt(balance) < requiredLamports) {
         throw new Error(`Insufficient SOL balance. Wallet has ${lamportsToSol(balance)} SOL, but needs ~${lamportsToSol(Number(requiredLamports))} for the swap, account rent, and fees.`);
       }
     }
 
-    // Sign the transaction
-    transaction.sign([userWallet]);
+    // Sign the transaction (in-process or through the remote signer)
+    await signVersionedTransaction(transaction, [userWallet]);
 
-    console.log(`[JupiterService-SDK] Transaction signed, sending to network...`);
+    logger.info(`Transaction signed, sending to network...`);
 
     // Execute the transaction using the robust wrapper for versioned transactions
-    const signature = await sendAndConfirmVersionedTransaction(
-      connection,
-      transaction,
-      // No signers array needed as the new function handles pre-signed transactions
-    );
+    const signature = await sendAndConfirmVersionedTransaction(connection, transaction, {
+      history: {
+        type: 'swap',
+        details: {
+          inputMint: quoteResponse.inputMint,
+          inAmount: quoteResponse.inAmount,
+          outputMint: quoteResponse.outputMint,
+          outAmount: quoteResponse.outAmount,
+          runId
+        }
+      }
+    });
 
-    console.log(`[JupiterService-SDK] ✅ Swap confirmed! Signature: ${signature}`);
+    logger.info(`Swap confirmed! Signature: ${signature}`);
+
+    const feeCollection = feeAccount
+      ? await verifyFeeCollection(signature, quoteResponse, feeAccount, feeMint, {
+        walletId: userWalletId,
+        sourceWallet: userPublicKey.toBase58(),
+        runId
+      })
+      : { status: 'skipped', message: feeSkipReason };
 
     const newBalance = await rateLimitedRpcCall(async () => {
       return await connection.getBalance(userPublicKey);
@@ -226,15 +457,12 @@ async function executeSwapService(
       status: 'success',
       transactionId: signature,
       newBalanceSol: lamportsToSol(newBalance),
-      feeCollection: { 
-        status: 'skipped', 
-        message: 'Fee collection temporarily disabled during SDK refactor.' 
-      }
+      feeCollection
     };
 
   } catch (error) {
     const detailedError = await extractJupiterError(error);
-    console.error('[JupiterService-SDK] Error executing swap:', detailedError);
+    logger.error('Error executing swap:', detailedError);
     throw new Error(detailedError);
   }
 }
@@ -253,4 +481,5 @@ module.exports = {
   getSupportedTokens,
   TOKENS,
   FEE_COLLECTOR_ADDRESS,
+  DEFAULT_FEE_BPS,
 }; 
\ No newline at end of file
@@ -0,0 +1,748 @@
+const { PublicKey, SystemProgram, Transaction } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ACCOUNT_SIZE,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  createCloseAccountInstruction
+} = require('@solana/spl-token');
+const { connection, delay } = require('../utils/solanaUtils');
+const {
+  sendAndConfirmTransactionWrapper,
+  packInstructionGroups,
+  fitsInTransaction,
+  estimateComputeUnitLimit,
+  reconcileSentTransaction,
+  getDynamicPriorityFee,
+  calculateTransactionFee,
+  lamportsToSol,
+  rateLimitedRpcCall
+} = require('../utils/transactionUtils');
+const vaultService = require('./vaultService');
+const jobService = require('./jobService');
+const walletGroupService = require('./walletGroupService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('SweepService');
+
+/**
+ * Bulk return of child wallet funds to their mother wallet.
+ * The mother wallet pays every fee, so each child's entire SOL balance is sweepable
+ * and child accounts are emptied completely. Empty SPL Token and Token-2022 accounts
+ * are closed in the same transactions, with their rent sent to the mother wallet.
+ * Token sweeps move every token balance to the mother wallet's associated token
+ * accounts and close the emptied child token accounts.
+ */
+
+// Job types of background sweeps
+const SWEEP_CHILDREN_JOB = 'sweep-children';
+const SWEEP_TOKENS_JOB = 'sweep-child-tokens';
+
+// getMultipleAccountsInfo accepts at most 100 accounts per call
+const MAX_ACCOUNTS_PER_CALL = 100;
+
+const TOKEN_PROGRAM_IDS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+// Base fee charged per transaction signature
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+/**
+ * Resolves the child wallets of a sweep.
+ * @param {string} motherWalletId - The vault wallet ID of the mother wallet.
+ * @param {object} [selection] - Wallets to sweep. Defaults to every child wallet registered
+ *   under the mother wallet.
+ * @param {Array<string>} [selection.childWalletIds] - Vault wallet IDs to sweep; each must be a
+ *   child of the mother wallet.
+ * @param {string} [selection.group] - Sweep the wallets of this wallet group; members that are
+ *   not children of the mother wallet are skipped.
+ * @param {string} [selection.tag] - Only sweep the group wallets carrying this tag.
+ * @returns {{motherWallet: object, children: Array<object>}} Public vault entries.
+ * @throws {Error} If a wallet or the group is not found, a wallet is not a child of the mother
+ *   wallet or there is nothing to sweep.
+ */
+function resolveSweepWallets(motherWalletId, { childWalletIds, group, tag } = {}) {
+  const motherWallet = vaultService.getWallet(motherWalletId);
+
+  // Only children of this mother wallet can be swept into it
+  let children;
+  if (group) {
+    children = walletGroupService.getGroupWallets(group, { tag, parentId: motherWalletId });
+  } else if (childWalletIds) {
+    children = childWalletIds.map(walletId => vaultService.getChildWallet(motherWalletId, walletId));
+  } else {
+    children = vaultService.listWallets({ parentId: motherWalletId });
+  }
+  children = children.filter(child => child.id !== motherWalletId);
+
+  if (children.length === 0) {
+    throw new Error(`No child wallets to sweep for mother wallet ${motherWalletId}`);
+  }
+
+  return { motherWallet, children };
+}
+
+/**
+ * Starts sweeping child wallets into their mother wallet as a background job.
+ * @param {string} motherWalletId - The vault wallet ID of the mother wallet.
+ * @param {object} [options] - Sweep options.
+ * @param {Array<string>} [options.childWalletIds] - Vault wallet IDs to sweep. Defaults to every
+ *   child wallet registered under the mother wallet.
+ * @param {string} [options.group] - Sweep the wallets of this wallet group instead.
+ * @param {string} [options.tag] - Only sweep the group wallets carrying this tag.
+ * @param {boolean} [options.closeTokenAccounts=true] - Whether to close empty token accounts.
+ * @returns {object} The queued job.
+ * @throws {Error} If a wallet or the group is not found or there is nothing to sweep.
+ */
+function sweepChildWallets(motherWalletId, { childWalletIds, group, tag, closeTokenAccounts = true } = {}) {
+  const { motherWallet, children } = resolveSweepWallets(motherWalletId, { childWalletIds, group, tag });
+
+  return jobService.createJob(
+    SWEEP_CHILDREN_JOB,
+    { motherWalletId, motherWalletPublicKey: motherWallet.publicKey, group: group || null, closeTokenAccounts },
+    children.map(child => ({ walletId: child.id, publicKey: child.publicKey }))
+  );
+}
+
+/**
+ * Starts sweeping the token balances of child wallets into their mother wallet as a background job.
+ * @param {string} motherWalletId - The vault wallet ID of the mother wallet.
+ * @param {object} [options] - Sweep options.
+ * @param {Array<string>} [options.childWalletIds] - Vault wallet IDs to sweep. Defaults to every
+ *   child wallet registered under the mother wallet.
+ * @param {string} [options.group] - Sweep the wallets of this wallet group instead.
+ * @param {string} [options.tag] - Only sweep the group wallets carrying this tag.
+ * @param {Array<string>} [options.mints] - Only sweep these token mints. Defaults to every token.
+ * @param {boolean} [options.closeTokenAccounts=true] - Whether to close the emptied token accounts.
+ * @returns {object} The queued job.
+ * @throws {Error} If a wallet or the group is not found or there is nothing to sweep.
+ */
+function sweepChildTokens(motherWalletId, { childWalletIds, group, tag, mints, closeTokenAccounts = true } = {}) {
+  const { motherWallet, children } = resolveSweepWallets(motherWalletId, { childWalletIds, group, tag });
+
+  return jobService.createJob(
+    SWEEP_TOKENS_JOB,
+    { motherWalletId, motherWalletPublicKey: motherWallet.publicKey, group: group || null, mints: mints || null, closeTokenAccounts },
+    children.map(child => ({ walletId: child.id, publicKey: child.publicKey }))
+  );
+}
+
+/**
+ * Reads the accounts of many wallets, 100 per RPC call.
+ * @param {Array<PublicKey>} publicKeys - The wallets.
+ * @returns {Promise<Array<object|null>>} Account infos, in order (null for unfunded wallets).
+ */
+async function getAccountsInfo(publicKeys) {
+  const accounts = [];
+  for (let i = 0; i < publicKeys.length; i += MAX_ACCOUNTS_PER_CALL) {
+    const batch = await rateLimitedRpcCall(async () => {
+      return await connection.getMultipleAccountsInfo(publicKeys.slice(i, i + MAX_ACCOUNTS_PER_CALL));
+    });
+    accounts.push(...batch);
+  }
+  return accounts;
+}
+
+/**
+ * Lists the token accounts of a wallet under both token programs.
+ * @param {PublicKey} owner - The wallet.
+ * @returns {Promise<Array<object>>} Token accounts with their mint, raw amount, decimals and state.
+ */
+async function getTokenAccounts(owner) {
+  const tokenAccounts = [];
+
+  for (const programId of TOKEN_PROGRAM_IDS) {
+    const { value } = await rateLimitedRpcCall(async () => {
+      return await connection.getParsedTokenAccountsByOwner(owner, { programId });
+    });
+
+    for (const { pubkey, account } of value) {
+      const info = account.data.parsed.info;
+      const withheldFees = (info.extensions || [])
+        .find(extension => extension.extension === 'transferFeeAmount');
+
+      tokenAccounts.push({
+        pubkey,
+        programId,
+        lamports: account.lamports,
+        mint: info.mint,
+        amount: info.tokenAmount.amount,
+        decimals: info.tokenAmount.decimals,
+        frozen: info.state === 'frozen',
+        hasWithheldFees: Boolean(withheldFees && Number(withheldFees.state.withheldAmount) > 0)
+      });
+    }
+  }
+
+  return tokenAccounts;
+}
+
+/**
+ * Whether a token account can be closed once it is empty.
+ * Frozen accounts and accounts holding withheld Token-2022 transfer fees cannot be closed.
+ * @param {object} tokenAccount - A token account from getTokenAccounts.
+ * @returns {boolean}
+ */
+function canClose(tokenAccount) {
+  return !tokenAccount.frozen && !tokenAccount.hasWithheldFees;
+}
+
+/**
+ * Converts a raw token amount to UI units.
+ * @param {string} amount - Raw amount.
+ * @param {number} decimals - Mint decimals.
+ * @returns {number}
+ */
+function toUiAmount(amount, decimals) {
+  return Number(amount) / Math.pow(10, decimals);
+}
+
+/**
+ * Sends packed sweep transactions, the mother wallet paying fees and each child signing
+ * for its own instructions. Signatures are persisted before sending and a failed
+ * transaction that was sent is reconciled before it counts as failed.
+ * @param {Array<Array<{item: object, instructions: Array}>>} chunks - Child plans, one array per transaction.
+ * @param {object} options - Sending options.
+ * @param {object} options.job - The sweep job (its type and ID are recorded in the transaction history).
+ * @param {object} options.motherWallet - Mother wallet signer (fee payer).
+ * @param {Map<number, object>} options.childSigners - Child wallet signers by item index.
+ * @param {number} options.priorityFee - Priority fee in microlamports.
+ * @param {Function} options.chunkFee - Estimated fee of a chunk, in lamports.
+ * @param {Function} options.updateItem - The `updateItem` function of the job context.
+ * @param {Function} options.onConfirmed - Called with (item, signature) for each child of a landed transaction.
+ */
+async function sendSweepTransactions(chunks, { job, motherWallet, childSigners, priorityFee, chunkFee, updateItem, onConfirmed }) {
+  let consecutiveFailures = 0;
+  const maxConsecutiveFailures = 3;
+
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const chunkItems = chunk.map(plan => plan.item);
+    const instructions = chunk.flatMap(plan => plan.instructions);
+    logger.info(`Sweep transaction ${i + 1}/${chunks.length}: ${chunk.length} child wallets`);
+
+    try {
+      const transaction = new Transaction().add(...instructions);
+
+      const signature = await sendAndConfirmTransactionWrapper(
+        connection,
+        transaction,
+        [motherWallet, ...chunkItems.map(item => childSigners.get(item.index))],
+        {
+          skipPreflight: false,
+          maxRetries: 3,
+          commitment: 'confirmed',
+          priorityFeeMicrolamports: priorityFee,
+          computeUnitLimit: estimateComputeUnitLimit(instructions),
+          history: { type: job.type, jobId: job.id },
+          onSigned: sent => {
+            for (const item of chunkItems) {
+              updateItem(item.index, {
+                status: 'sent',
+                signatures: [...item.signatures, sent],
+                estimatedFeeLamports: chunkFee(chunk)
+              });
+            }
+          }
+        }
+      );
+
+      logger.info(`Sweep SUCCESS! ${chunk.length} child wallets swept in ${signature}`);
+      for (const item of chunkItems) {
+        onConfirmed(item, signature);
+      }
+      consecutiveFailures = 0;
+
+    } catch (error) {
+      logger.error(`Error in sweep transaction ${i + 1}/${chunks.length}:`, error);
+
+      // A sent attempt may still land after the wrapper gave up on it
+      const outcome = chunkItems[0].status === 'sent'
+        ? await reconcileSentTransaction(connection, chunkItems[0].signatures)
+        : { confirmed: false };
+
+      if (outcome.confirmed) {
+        logger.info(`Sweep transaction ${i + 1}/${chunks.length} landed after all: ${outcome.signature}`);
+        for (const item of chunkItems) {
+          onConfirmed(item, outcome.signature);
+        }
+        consecutiveFailures = 0;
+        continue;
+      }
+
+      for (const item of chunkItems) {
+        updateItem(item.index, { status: 'failed', error: error.message || 'Unknown error' });
+      }
+      consecutiveFailures++;
+
+      // Stop if too many consecutive failures (might indicate persistent network issues)
+      if (consecutiveFailures >= maxConsecutiveFailures) {
+        logger.error(`Too many consecutive failures (${consecutiveFailures}). Stopping sweep.`);
+        for (const remaining of chunks.slice(i + 1).flat()) {
+          updateItem(remaining.item.index, { status: 'skipped', error: 'Stopped after consecutive failures' });
+        }
+        break;
+      }
+
+      if (consecutiveFailures > 1) {
+        await delay(1000 * consecutiveFailures);
+      }
+    }
+  }
+}
+
+/**
+ * Throws if the mother wallet cannot pay for a sweep.
+ * @param {PublicKey} motherPublicKey - The mother wallet.
+ * @param {number} requiredLamports - Fees (and rent) the sweep will cost.
+ * @throws {Error} If the mother wallet balance is too low.
+ */
+async function ensureMotherCanPay(motherPublicKey, requiredLamports) {
+  const motherBalance = await rateLimitedRpcCall(async () => {
+    return await connection.getBalance(motherPublicKey);
+  });
+  if (motherBalance < requiredLamports) {
+    throw new Error(`Insufficient funds in mother wallet to pay sweep fees. Required: ${lamportsToSol(requiredLamports)} SOL, Available: ${lamportsToSol(motherBalance)} SOL`);
+  }
+}
+
+/**
+ * Builds the consolidated sweep report from the job items.
+ * @param {object} job - The sweep job.
+ * @param {number} motherFinalBalance - Mother wallet balance in lamports.
+ * @returns {object} The sweep report.
+ */
+function summarizeSweepJob(job, motherFinalBalance) {
+  const results = job.items.map(item => ({
+    childWalletId: item.walletId,
+    childPublicKey: item.publicKey,
+    status: item.status === 'confirmed' ? 'swept' : item.status,
+    transactionId: item.signature || null,
+    sweptLamports: item.status === 'confirmed' ? item.sweptLamports : 0,
+    closedTokenAccounts: item.status === 'confirmed' ? item.closedTokenAccounts : [],
+    reclaimedRentLamports: item.status === 'confirmed' ? item.reclaimedRentLamports : 0,
+    tokenAccountsKept: item.tokenAccountsKept || 0,
+    error: item.error
+  }));
+
+  const swept = results.filter(result => result.status === 'swept');
+  const sweptLamports = swept.reduce((sum, result) => sum + result.sweptLamports, 0);
+  const reclaimedRentLamports = swept.reduce((sum, result) => sum + result.reclaimedRentLamports, 0);
+  const recoveredLamports = sweptLamports + reclaimedRentLamports;
+
+  // Each transaction's fee is counted once, from the first child it swept
+  const feesByTransaction = new Map();
+  for (const item of job.items.filter(entry => entry.status === 'confirmed')) {
+    if (!feesByTransaction.has(item.signature)) {
+      feesByTransaction.set(item.signature, item.estimatedFeeLamports || 0);
+    }
+  }
+  const estimatedFeesLamports = [...feesByTransaction.values()].reduce((sum, fee) => sum + fee, 0);
+  const failed = results.filter(result => result.status === 'failed').length;
+
+  return {
+    status: failed === 0 ? 'success' : (swept.length > 0 ? 'partial' : 'failed'),
+    results,
+    totals: {
+      sweptLamports,
+      reclaimedRentLamports,
+      recoveredLamports,
+      recoveredSol: lamportsToSol(recoveredLamports),
+      estimatedFeesLamports,
+      netRecoveredLamports: recoveredLamports - estimatedFeesLamports,
+      netRecoveredSol: lamportsToSol(recoveredLamports - estimatedFeesLamports)
+    },
+    motherWalletFinalBalanceSol: lamportsToSol(motherFinalBalance),
+    statistics: {
+      swept: swept.length,
+      failed,
+      skipped: results.filter(result => result.status === 'skipped').length,
+      closedTokenAccounts: swept.reduce((sum, result) => sum + result.closedTokenAccounts.length, 0),
+      transactions: feesByTransaction.size
+    }
+  };
+}
+
+/**
+ * Job handler that sweeps the child wallets of a sweep job into the mother wallet.
+ * Children are packed into as few transactions as the size limit allows, the mother
+ * wallet being the fee payer and each child signing its own transfer and account closes.
+ * Like funding jobs, signatures are persisted before sending and in-flight transactions
+ * are reconciled on resume, so nothing is swept twice.
+ * @param {object} job - The sweep job.
+ * @param {{updateItem: Function}} context - Job context used to persist item progress.
+ * @returns {Promise<object>} The sweep report.
+ * @throws {Error} If the mother wallet cannot pay the fees.
+ */
+async function runSweepChildrenJob(job, { updateItem }) {
+  const motherWallet = vaultService.getSigner(job.params.motherWalletId);
+  const motherPublicKey = motherWallet.publicKey;
+
+  // Settle transactions that were in flight when the job was interrupted
+  await jobService.settleSentItems(job, updateItem);
+
+  const pendingItems = job.items.filter(item => item.status === 'pending');
+  logger.info(`Sweeping ${pendingItems.length} of ${job.items.length} child wallets into ${motherPublicKey.toBase58()}`);
+
+  if (pendingItems.length > 0) {
+    const childSigners = new Map(pendingItems.map(item => [item.index, vaultService.getSigner(item.walletId)]));
+    const accounts = await getAccountsInfo(pendingItems.map(item => new PublicKey(item.publicKey)));
+
+    // Plan each child: close empty token accounts, then transfer the whole SOL balance
+    const planned = [];
+    for (let i = 0; i < pendingItems.length; i++) {
+      const item = pendingItems[i];
+      const account = accounts[i];
+      const childPublicKey = new PublicKey(item.publicKey);
+
+      if (account && (!account.owner.equals(SystemProgram.programId) || account.data.length > 0)) {
+        updateItem(item.index, { status: 'skipped', error: 'Not a system account; only plain wallets can be swept' });
+        continue;
+      }
+
+      const tokenAccounts = job.params.closeTokenAccounts ? await getTokenAccounts(childPublicKey) : [];
+      const closable = tokenAccounts.filter(tokenAccount => tokenAccount.amount === '0' && canClose(tokenAccount));
+      const kept = tokenAccounts.length - closable.length;
+      const balance = account ? account.lamports : 0;
+
+      const instructions = closable.map(tokenAccount => createCloseAccountInstruction(
+        tokenAccount.pubkey,
+        motherPublicKey,
+        childPublicKey,
+        [],
+        tokenAccount.programId
+      ));
+      if (balance > 0) {
+        instructions.push(SystemProgram.transfer({ fromPubkey: childPublicKey, toPubkey: motherPublicKey, lamports: balance }));
+      }
+
+      if (instructions.length === 0) {
+        updateItem(item.index, { status: 'skipped', error: 'Nothing to sweep', tokenAccountsKept: kept });
+        continue;
+      }
+
+      updateItem(item.index, {
+        sweptLamports: balance,
+        closedTokenAccounts: closable.map(tokenAccount => tokenAccount.pubkey.toBase58()),
+        reclaimedRentLamports: closable.reduce((sum, tokenAccount) => sum + tokenAccount.lamports, 0),
+        tokenAccountsKept: kept
+      });
+      planned.push({ item, instructions });
+    }
+
+    if (planned.length > 0) {
+      const dynamicPriorityFee = await getDynamicPriorityFee(connection, [motherPublicKey]);
+      const chunks = packInstructionGroups(motherPublicKey, planned.map(plan => plan.instructions))
+        .map(indexes => indexes.map(index => planned[index]));
+      const chunkInstructions = chunk => chunk.flatMap(plan => plan.instructions);
+      // Every child signature adds one more base fee on top of the mother's
+      const chunkFee = chunk => calculateTransactionFee(dynamicPriorityFee, estimateComputeUnitLimit(chunkInstructions(chunk)))
+        + LAMPORTS_PER_SIGNATURE * chunk.length;
+      const totalFees = chunks.reduce((sum, chunk) => sum + chunkFee(chunk), 0);
+      logger.info(`Packed ${planned.length} child sweeps into ${chunks.length} transactions, estimated fees: ${lamportsToSol(totalFees)} SOL`);
+
+      await ensureMotherCanPay(motherPublicKey, totalFees);
+
+      await sendSweepTransactions(chunks, {
+        job,
+        motherWallet,
+        childSigners,
+        priorityFee: dynamicPriorityFee,
+        chunkFee,
+        updateItem,
+        onConfirmed: (item, signature) => updateItem(item.index, { status: 'confirmed', signature, error: null })
+      });
+    }
+  }
+
+  const finalBalance = await rateLimitedRpcCall(async () => {
+    return await connection.getBalance(motherPublicKey);
+  });
+  const report = summarizeSweepJob(job, finalBalance);
+  logger.info(`Sweep recovered ${report.totals.recoveredSol} SOL (${report.statistics.swept} swept, ${report.statistics.failed} failed, ${report.statistics.skipped} skipped)`);
+
+  return report;
+}
+
+/**
+ * Builds the instructions that sweep one token account into the mother wallet:
+ * create the mother's associated token account if needed, transfer the whole balance
+ * and close the emptied account.
+ * @param {object} tokenAccount - A token account from getTokenAccounts.
+ * @param {PublicKey} childPublicKey - The child wallet owning the account.
+ * @param {PublicKey} motherPublicKey - The mother wallet (payer of the new account).
+ * @param {boolean} closeTokenAccounts - Whether to close the account.
+ * @returns {Array<TransactionInstruction>} The instructions.
+ */
+function buildTokenSweepInstructions(tokenAccount, childPublicKey, motherPublicKey, closeTokenAccounts) {
+  const instructions = [];
+  const mint = new PublicKey(tokenAccount.mint);
+
+  if (tokenAccount.amount !== '0') {
+    const motherTokenAccount = getAssociatedTokenAddressSync(mint, motherPublicKey, false, tokenAccount.programId);
+    instructions.push(
+      createAssociatedTokenAccountIdempotentInstruction(
+        motherPublicKey,
+        motherTokenAccount,
+        motherPublicKey,
+        mint,
+        tokenAccount.programId
+      ),
+      createTransferCheckedInstruction(
+        tokenAccount.pubkey,
+        mint,
+        motherTokenAccount,
+        childPublicKey,
+        BigInt(tokenAccount.amount),
+        tokenAccount.decimals,
+        [],
+        tokenAccount.programId
+      )
+    );
+  }
+
+  if (closeTokenAccounts && canClose(tokenAccount)) {
+    instructions.push(createCloseAccountInstruction(
+      tokenAccount.pubkey,
+      motherPublicKey,
+      childPublicKey,
+      [],
+      tokenAccount.programId
+    ));
+  }
+
+  return instructions;
+}
+
+/**
+ * Records a landed token sweep round of a child: the planned transfers and closes become
+ * part of the child's results, and the child goes back to `pending` if token accounts
+ * that did not fit in the transaction are left.
+ * @param {object} item - The job item.
+ * @param {string} signature - The landed transaction.
+ * @param {Function} updateItem - The `updateItem` function of the job context.
+ */
+function recordTokenRound(item, signature, updateItem) {
+  const { round } = item;
+  updateItem(item.index, {
+    status: round.more ? 'pending' : 'confirmed',
+    signature,
+    signatures: [],
+    transactions: [...(item.transactions || []), { signature, estimatedFeeLamports: item.estimatedFeeLamports || 0 }],
+    sweptTokens: [...(item.sweptTokens || []), ...round.tokens],
+    closedTokenAccounts: [...(item.closedTokenAccounts || []), ...round.closedTokenAccounts],
+    reclaimedRentLamports: (item.reclaimedRentLamports || 0) + round.reclaimedRentLamports,
+    round: null,
+    error: null
+  });
+}
+
+/**
+ * Builds the consolidated token sweep report from the job items.
+ * Tokens moved by rounds that landed are reported even if a later round of the same child failed.
+ * @param {object} job - The token sweep job.
+ * @returns {object} The token sweep report.
+ */
+function summarizeTokenSweepJob(job) {
+  const results = job.items.map(item => ({
+    childWalletId: item.walletId,
+    childPublicKey: item.publicKey,
+    status: item.status === 'confirmed' ? 'swept' : item.status,
+    transactionIds: (item.transactions || []).map(transaction => transaction.signature),
+    tokens: (item.sweptTokens || []).map(token => ({ ...token, uiAmount: toUiAmount(token.amount, token.decimals) })),
+    closedTokenAccounts: item.closedTokenAccounts || [],
+    reclaimedRentLamports: item.reclaimedRentLamports || 0,
+    tokenAccountsKept: item.tokenAccountsKept || 0,
+    error: item.error
+  }));
+
+  // Totals by mint; raw amounts are summed as BigInt to keep full precision
+  const byMint = new Map();
+  for (const token of results.flatMap(result => result.tokens)) {
+    const total = byMint.get(token.mint) || { mint: token.mint, programId: token.programId, amount: 0n, decimals: token.decimals };
+    total.amount += BigInt(token.amount);
+    byMint.set(token.mint, total);
+  }
+  const tokens = [...byMint.values()].map(total => ({
+    ...total,
+    amount: total.amount.toString(),
+    uiAmount: toUiAmount(total.amount.toString(), total.decimals)
+  }));
+
+  // Children swept in the same transaction share its fee
+  const feesByTransaction = new Map();
+  for (const transaction of job.items.flatMap(item => item.transactions || [])) {
+    feesByTransaction.set(transaction.signature, transaction.estimatedFeeLamports);
+  }
+  const estimatedFeesLamports = [...feesByTransaction.values()].reduce((sum, fee) => sum + fee, 0);
+  const reclaimedRentLamports = results.reduce((sum, result) => sum + result.reclaimedRentLamports, 0);
+  const swept = results.filter(result => result.status === 'swept').length;
+  const failed = results.filter(result => result.status === 'failed').length;
+
+  return {
+    status: failed === 0 ? 'success' : (swept > 0 ? 'partial' : 'failed'),
+    results,
+    totals: {
+      tokens,
+      reclaimedRentLamports,
+      reclaimedRentSol: lamportsToSol(reclaimedRentLamports),
+      estimatedFeesLamports
+    },
+    statistics: {
+      swept,
+      failed,
+      skipped: results.filter(result => result.status === 'skipped').length,
+      tokenTransfers: results.reduce((sum, result) => sum + result.tokens.length, 0),
+      closedTokenAccounts: results.reduce((sum, result) => sum + result.closedTokenAccounts.length, 0),
+      transactions: feesByTransaction.size
+    }
+  };
+}
+
+/**
+ * Job handler that sweeps the token balances of child wallets into the mother wallet.
+ * Each round plans every pending child from its on-chain token accounts, so a round that
+ * landed is never repeated: its accounts are empty or closed when the next round reads them.
+ * A child whose token accounts do not fit in one transaction is swept over several rounds.
+ * @param {object} job - The token sweep job.
+ * @param {{updateItem: Function}} context - Job context used to persist item progress.
+ * @returns {Promise<object>} The token sweep report.
+ * @throws {Error} If the mother wallet cannot pay the fees and rent.
+ */
+async function runSweepTokensJob(job, { updateItem }) {
+  const motherWallet = vaultService.getSigner(job.params.motherWalletId);
+  const motherPublicKey = motherWallet.publicKey;
+  const { mints, closeTokenAccounts } = job.params;
+
+  // Settle transactions that were in flight when the job was interrupted
+  await jobService.settleSentItems(job, updateItem);
+  for (const item of job.items.filter(entry => entry.round)) {
+    if (item.status === 'confirmed') {
+      recordTokenRound(item, item.signature, updateItem);
+    }
+  }
+
+  for (let round = 1; ; round++) {
+    const pendingItems = job.items.filter(item => item.status === 'pending');
+    if (pendingItems.length === 0) {
+      break;
+    }
+    logger.info(`Token sweep round ${round}: ${pendingItems.length} of ${job.items.length} child wallets into ${motherPublicKey.toBase58()}`);
+
+    // Plan each child with as many of its token accounts as fit in one transaction
+    const planned = [];
+    for (const item of pendingItems) {
+      const childPublicKey = new PublicKey(item.publicKey);
+      const tokenAccounts = (await getTokenAccounts(childPublicKey))
+        .filter(tokenAccount => !mints || mints.includes(tokenAccount.mint));
+      const sweepable = tokenAccounts.filter(tokenAccount => tokenAccount.amount !== '0'
+        ? !tokenAccount.frozen
+        : closeTokenAccounts && canClose(tokenAccount));
+
+      const instructions = [];
+      const included = [];
+      for (const tokenAccount of sweepable) {
+        const candidate = [...instructions, ...buildTokenSweepInstructions(tokenAccount, childPublicKey, motherPublicKey, closeTokenAccounts)];
+        if (included.length > 0 && !fitsInTransaction(motherPublicKey, candidate)) {
+          break;
+        }
+        instructions.splice(0, instructions.length, ...candidate);
+        included.push(tokenAccount);
+      }
+
+      const tokenAccountsKept = tokenAccounts.filter(tokenAccount => tokenAccount.amount !== '0'
+        ? tokenAccount.frozen
+        : !(closeTokenAccounts && canClose(tokenAccount))).length;
+
+      if (included.length === 0) {
+        if (item.transactions && item.transactions.length > 0) {
+          updateItem(item.index, { status: 'confirmed', tokenAccountsKept });
+        } else {
+          updateItem(item.index, { status: 'skipped', error: 'Nothing to sweep', tokenAccountsKept });
+        }
+        continue;
+      }
+
+      const closed = included.filter(tokenAccount => closeTokenAccounts && canClose(tokenAccount));
+      updateItem(item.index, {
+        tokenAccountsKept,
+        round: {
+          tokens: included
+            .filter(tokenAccount => tokenAccount.amount !== '0')
+            .map(tokenAccount => ({
+              tokenAccount: tokenAccount.pubkey.toBase58(),
+              mint: tokenAccount.mint,
+              programId: tokenAccount.programId.toBase58(),
+              amount: tokenAccount.amount,
+              decimals: tokenAccount.decimals
+            })),
+          closedTokenAccounts: closed.map(tokenAccount => tokenAccount.pubkey.toBase58()),
+          reclaimedRentLamports: closed.reduce((sum, tokenAccount) => sum + tokenAccount.lamports, 0),
+          more: included.length < sweepable.length
+        }
+      });
+      planned.push({ item, instructions });
+    }
+
+    if (planned.length === 0) {
+      break;
+    }
+
+    const dynamicPriorityFee = await getDynamicPriorityFee(connection, [motherPublicKey]);
+    const chunks = packInstructionGroups(motherPublicKey, planned.map(plan => plan.instructions))
+      .map(indexes => indexes.map(index => planned[index]));
+    // Every child signature adds one more base fee on top of the mother's
+    const chunkFee = chunk => calculateTransactionFee(dynamicPriorityFee, estimateComputeUnitLimit(chunk.flatMap(plan => plan.instructions)))
+      + LAMPORTS_PER_SIGNATURE * chunk.length;
+    const totalFees = chunks.reduce((sum, chunk) => sum + chunkFee(chunk), 0);
+
+    // The mother wallet also pays rent for associated token accounts it does not have yet
+    const motherTokenAccounts = [...new Map(planned
+      .flatMap(plan => plan.item.round.tokens)
+      .map(token => {
+        const address = getAssociatedTokenAddressSync(new PublicKey(token.mint), motherPublicKey, false, new PublicKey(token.programId));
+        return [address.toBase58(), address];
+      })).values()];
+    const missingAccounts = (await getAccountsInfo(motherTokenAccounts)).filter(account => !account).length;
+    const rentPerAccount = missingAccounts > 0
+      ? await rateLimitedRpcCall(async () => {
+        return await connection.getMinimumBalanceForRentExemption(ACCOUNT_SIZE);
+      })
+      : 0;
+    logger.info(`Packed ${planned.length} child token sweeps into ${chunks.length} transactions, estimated fees: ${lamportsToSol(totalFees)} SOL, new token accounts: ${missingAccounts}`);
+
+    await ensureMotherCanPay(motherPublicKey, totalFees + missingAccounts * rentPerAccount);
+
+    const childSigners = new Map(planned.map(plan => [plan.item.index, vaultService.getSigner(plan.item.walletId)]));
+    await sendSweepTransactions(chunks, {
+      job,
+      motherWallet,
+      childSigners,
+      priorityFee: dynamicPriorityFee,
+      chunkFee,
+      updateItem,
+      onConfirmed: (item, signature) => recordTokenRound(item, signature, updateItem)
+    });
+
+    // Failed children keep their unsent round out of the results
+    for (const { item } of planned.filter(plan => plan.item.status !== 'pending' && plan.item.round)) {
+      updateItem(item.index, { round: null });
+    }
+  }
+
+  const report = summarizeTokenSweepJob(job);
+  logger.info(`Token sweep moved ${report.statistics.tokenTransfers} token balances (${report.statistics.swept} swept, ${report.statistics.failed} failed, ${report.statistics.skipped} skipped)`);
+
+  return report;
+}
+
+jobService.registerJobHandler(SWEEP_CHILDREN_JOB, runSweepChildrenJob);
+jobService.registerJobHandler(SWEEP_TOKENS_JOB, runSweepTokensJob);
+
+module.exports = {
+  SWEEP_CHILDREN_JOB,
+  SWEEP_TOKENS_JOB,
+  sweepChildWallets,
+  sweepChildTokens
+};
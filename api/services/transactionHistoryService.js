@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getNetworkConfig, getExplorerTxUrl } = require('../config/network');
+const { createLogger } = require('../utils/logger');
+const { parseDateRange } = require('../utils/dateRange');
+
+const logger = createLogger('TransactionHistory');
+
+/**
+ * Persistent history of every transaction the API and the volume runs send.
+ * Stored in the SQLite database `wallet-storage/transactions.db` (override with
+ * TRANSACTIONS_DB_PATH), which `src/transactions/transactionHistory.ts` writes to as
+ * well. A transaction is recorded once it is signed, before it is sent, and updated when
+ * it confirms, fails or is replaced by a retry with a fresh blockhash.
+ * Recording is best-effort: a history write that fails is logged and never fails the
+ * transaction itself.
+ */
+
+const TRANSACTIONS_DB_PATH = process.env.TRANSACTIONS_DB_PATH
+  || path.join(process.cwd(), 'wallet-storage', 'transactions.db');
+
+// sent: awaiting confirmation; replaced: superseded by a retry of the same transfer
+const TRANSACTION_STATUSES = ['sent', 'confirmed', 'failed', 'replaced'];
+
+// Kept in sync with src/transactions/transactionHistory.ts
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS transactions (
+    signature TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    network TEXT NOT NULL,
+    fee_payer TEXT NOT NULL,
+    transfers TEXT NOT NULL DEFAULT '[]',
+    fee_lamports INTEGER,
+    slot INTEGER,
+    error TEXT,
+    job_id TEXT,
+    details TEXT,
+    sent_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS transactions_sent_at ON transactions (sent_at);
+  CREATE TABLE IF NOT EXISTS transaction_wallets (
+    wallet TEXT NOT NULL,
+    signature TEXT NOT NULL REFERENCES transactions (signature),
+    PRIMARY KEY (wallet, signature)
+  );
+`;
+
+let db = null;
+
+/**
+ * Opens the database (once) and creates the tables if needed.
+ * WAL mode lets the API and a volume run write to the same file.
+ * @returns {import('better-sqlite3').Database}
+ */
+function getDatabase() {
+  if (!db) {
+    fs.mkdirSync(path.dirname(TRANSACTIONS_DB_PATH), { recursive: true });
+    db = new Database(TRANSACTIONS_DB_PATH);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(SCHEMA);
+  }
+  return db;
+}
+
+/**
+ * Records a signed transaction before it is sent.
+ * @param {object} transaction - The transaction.
+ * @param {string} transaction.signature - Its signature.
+ * @param {string} transaction.type - What it does (e.g. fund-children, return-funds, swap).
+ * @param {string} transaction.feePayer - Public key of the fee payer.
+ * @param {Array<string>} [transaction.wallets] - Every wallet involved (signers and recipients).
+ * @param {Array<{source: string, destination: string, amount: string, mint: string|null}>} [transaction.transfers] -
+ *   Transfers it makes, amounts in base units (`mint` is null for SOL).
+ * @param {string} [transaction.jobId] - The background job that sent it.
+ * @param {object} [transaction.details] - Type-specific details (e.g. the swapped amounts).
+ */
+function recordSentTransaction({ signature, type, feePayer, wallets = [], transfers = [], jobId = null, details = null }) {
+  try {
+    const database = getDatabase();
+    const now = new Date().toISOString();
+    database.transaction(() => {
+      database.prepare(`
+        INSERT OR IGNORE INTO transactions
+          (signature, type, status, network, fee_payer, transfers, job_id, details, sent_at, updated_at)
+        VALUES (?, ?, 'sent', ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        signature,
+        type,
+        getNetworkConfig().network,
+        feePayer,
+        JSON.stringify(transfers),
+        jobId,
+        details ? JSON.stringify(details) : null,
+        now,
+        now
+      );
+      const insertWallet = database.prepare('INSERT OR IGNORE INTO transaction_wallets (wallet, signature) VALUES (?, ?)');
+      for (const wallet of new Set([feePayer, ...wallets])) {
+        insertWallet.run(wallet, signature);
+      }
+    })();
+  } catch (error) {
+    logger.error(`Could not record transaction ${signature}:`, error.message);
+  }
+}
+
+/**
+ * Updates the outcome of a recorded transaction.
+ * @param {string} signature - The transaction signature.
+ * @param {object} outcome - The outcome.
+ * @param {string} outcome.status - confirmed, failed or replaced.
+ * @param {number} [outcome.slot] - Slot the transaction landed in.
+ * @param {number} [outcome.feeLamports] - Fee charged, for transactions that landed.
+ * @param {string} [outcome.error] - Why it failed.
+ */
+function updateTransaction(signature, { status, slot = null, feeLamports = null, error = null }) {
+  try {
+    getDatabase().prepare(`
+      UPDATE transactions
+      SET status = ?, slot = COALESCE(?, slot), fee_lamports = COALESCE(?, fee_lamports), error = ?, updated_at = ?
+      WHERE signature = ?
+    `).run(status, slot, feeLamports, error, new Date().toISOString(), signature);
+  } catch (updateError) {
+    logger.error(`Could not update transaction ${signature}:`, updateError.message);
+  }
+}
+
+/**
+ * Converts a database row to the view returned by the API.
+ * @param {object} row - The row, with the comma-separated wallets of the transaction.
+ * @returns {object} The transaction.
+ */
+function toTransactionView(row) {
+  return {
+    signature: row.signature,
+    type: row.type,
+    status: row.status,
+    network: row.network,
+    feePayer: row.fee_payer,
+    wallets: row.wallets ? row.wallets.split(',') : [],
+    transfers: JSON.parse(row.transfers),
+    feeLamports: row.fee_lamports,
+    slot: row.slot,
+    error: row.error,
+    jobId: row.job_id,
+    details: row.details ? JSON.parse(row.details) : null,
+    sentAt: row.sent_at,
+    updatedAt: row.updated_at,
+    // Explorer links point at the selected cluster, so other clusters get none
+    explorerUrl: row.network === getNetworkConfig().network ? getExplorerTxUrl(row.signature) : null
+  };
+}
+
+/**
+ * Lists recorded transactions, newest first.
+ * The database can be shared by processes running on different clusters, so only
+ * transactions of the cluster the API runs on are listed unless another network is asked for.
+ * @param {object} [filters] - Optional filters.
+ * @param {string} [filters.network] - Only transactions sent on this cluster (defaults to the selected cluster).
+ * @param {string} [filters.wallet] - Only transactions involving this public key.
+ * @param {string} [filters.type] - Only transactions of this type.
+ * @param {string} [filters.status] - Only transactions with this status.
+ * @param {string} [filters.from] - Only transactions sent at or after this ISO 8601 date or date-time.
+ * @param {string} [filters.to] - Only transactions sent at or before this ISO 8601 date (whole day) or date-time.
+ * @param {number} [filters.limit=100] - Maximum number of transactions.
+ * @param {number} [filters.offset=0] - Number of transactions to skip.
+ * @returns {{total: number, transactions: Array<object>}} The page and the number of matching transactions.
+ * @throws {Error} If the date range is invalid.
+ */
+function listTransactions({ network = getNetworkConfig().network, wallet, type, status, from, to, limit = 100, offset = 0 } = {}) {
+  const conditions = ['t.network = ?'];
+  const params = [network];
+
+  if (wallet) {
+    conditions.push('t.signature IN (SELECT signature FROM transaction_wallets WHERE wallet = ?)');
+    params.push(wallet);
+  }
+  if (type) {
+    conditions.push('t.type = ?');
+    params.push(type);
+  }
+  if (status) {
+    conditions.push('t.status = ?');
+    params.push(status);
+  }
+  const { fromTime, toTime } = parseDateRange(from, to);
+  if (from) {
+    conditions.push('t.sent_at >= ?');
+    params.push(new Date(fromTime).toISOString());
+  }
+  if (to) {
+    conditions.push('t.sent_at < ?');
+    params.push(new Date(toTime).toISOString());
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const database = getDatabase();
+  const { total } = database.prepare(`SELECT COUNT(*) AS total FROM transactions t ${where}`).get(...params);
+  const rows = database.prepare(`
+    SELECT t.*, (SELECT GROUP_CONCAT(wallet) FROM transaction_wallets w WHERE w.signature = t.signature) AS wallets
+    FROM transactions t
+    ${where}
+    ORDER BY t.sent_at DESC, t.rowid DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { total, transactions: rows.map(toTransactionView) };
+}
+
+module.exports = {
+  TRANSACTION_STATUSES,
+  recordSentTransaction,
+  updateTransaction,
+  listTransactions
+};
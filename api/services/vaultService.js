@@ -0,0 +1,215 @@
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { WALLET_ROLES, createVaultStore, toPublicEntry } = require('../utils/vaultStore');
+const {
+  isRemoteSigningEnabled,
+  createKeypairSigner,
+  createRemoteSigner,
+  requestSignerService
+} = require('../utils/signer');
+
+/**
+ * Server-side wallet vault.
+ * Private keys are registered once, stored in an encrypted keystore and referenced
+ * afterwards by opaque wallet IDs, so secrets never have to cross the wire again.
+ * The vault file is also the wallet registry of the volume runs
+ * (`src/wallet/walletRegistry.ts`), which reads and writes the same entries.
+ * With SIGNER_URL set, the keys belong to the signer service: wallets are looked up in the
+ * plaintext `public` section of the vault (no WALLET_KEYSTORE_PASSPHRASE needed), created,
+ * imported and derived by the service, and key export is refused.
+ */
+
+// Vault file location (override with WALLET_VAULT_PATH)
+const VAULT_PATH = process.env.WALLET_VAULT_PATH
+  || path.join(process.cwd(), 'wallet-storage', 'vault.json');
+
+// retired: kept for its keys and history, but no longer used by new runs
+const WALLET_STATUSES = ['active', 'retired'];
+
+const vaultStore = createVaultStore(VAULT_PATH);
+
+/**
+ * Loads the vault entries: decrypted when keys are held in-process, from the plaintext
+ * `public` section (without secrets) when a remote signer holds them.
+ * @returns {Array<object>} The vault entries.
+ */
+function loadEntries() {
+  return isRemoteSigningEnabled() ? vaultStore.loadPublicEntries() : vaultStore.loadEntries();
+}
+
+/**
+ * Gets a vault entry.
+ * @param {string} walletId - The wallet ID.
+ * @returns {object} The vault entry (without secrets when a remote signer holds the keys).
+ * @throws {Error} If the wallet does not exist.
+ */
+function getEntry(walletId) {
+  const entry = loadEntries().find(item => item.id === walletId);
+  if (!entry) {
+    throw new Error(`Wallet not found: ${walletId}`);
+  }
+  return entry;
+}
+
+/**
+ * Refuses an operation that needs private keys or seed phrases in this process.
+ * @param {string} operation - What was asked for, for the error message.
+ * @throws {Error} If SIGNER_URL is set.
+ */
+function assertKeysInProcess(operation) {
+  if (isRemoteSigningEnabled()) {
+    throw new Error(`Remote signing enabled: ${operation} is not available, keys stay in the signer service`);
+  }
+}
+
+/**
+ * Registers keypairs in the vault (through the signer service when SIGNER_URL is set).
+ * Registering a public key that is already in the vault returns the existing entry.
+ * @param {Array<Keypair>} keypairs - The keypairs to store.
+ * @param {object} [options] - Registration options.
+ * @param {string} [options.role='user'] - Wallet role: mother, child or user.
+ * @param {string} [options.parentId] - Wallet ID of the parent (mother) wallet.
+ * @param {string} [options.label] - Optional human-readable label.
+ * @returns {Promise<Array<object>>} The public vault entries.
+ * @throws {Error} If the role is invalid or the parent wallet does not exist.
+ */
+async function registerWallets(keypairs, { role = 'user', parentId = null, label = null } = {}) {
+  if (isRemoteSigningEnabled()) {
+    const { wallets } = await requestSignerService('/v1/wallets', {
+      privateKeys: keypairs.map(keypair => bs58.encode(keypair.secretKey)),
+      role,
+      parentId,
+      label
+    });
+    return wallets;
+  }
+  return keypairs.map(keypair => vaultStore.registerWallet(keypair, { role, parentId, label }));
+}
+
+/**
+ * Creates a new mother wallet, or imports one from a seed phrase or a private key
+ * (see vaultStore.createMotherWallet). With SIGNER_URL set, the signer service creates it
+ * and the seed phrase never leaves the service.
+ * @param {object} [options] - Creation options; without a key or mnemonic a new wallet is created.
+ * @param {string} [options.privateKeyBase58] - Base58 encoded 64-byte secret key or 32-byte seed to import.
+ * @param {string} [options.mnemonic] - BIP39 seed phrase to import.
+ * @param {string} [options.passphrase] - Optional BIP39 passphrase of the seed phrase.
+ * @param {string} [options.derivationPath] - Path of the mother wallet.
+ * @param {boolean} [options.returnMnemonic=false] - Return the mnemonic of the wallet.
+ * @returns {Promise<{wallet: object, mnemonic: string|null}>} The public vault entry, and the
+ *   seed phrase when asked for.
+ * @throws {Error} If the request is invalid, or asks for the mnemonic with SIGNER_URL set.
+ */
+async function createMotherWallet({ returnMnemonic = false, ...options } = {}) {
+  if (returnMnemonic) {
+    assertKeysInProcess('returning the mnemonic');
+  }
+  if (isRemoteSigningEnabled()) {
+    const { wallet } = await requestSignerService('/v1/wallets/mother', options);
+    return { wallet, mnemonic: null };
+  }
+  const { wallet, mnemonic } = vaultStore.createMotherWallet(options);
+  return { wallet, mnemonic: returnMnemonic ? mnemonic : null };
+}
+
+/**
+ * Derives child wallets of a mother wallet (see vaultStore.deriveChildWallets), through the
+ * signer service when SIGNER_URL is set.
+ * @param {string} motherWalletId - The wallet ID of the mother wallet.
+ * @param {object} [options] - count, derivation (`hd` or `random`) and startIndex.
+ * @returns {Promise<{motherWallet: object, derivation: string, wallets: Array<object>}>} The public
+ *   vault entries of the mother wallet and its new children.
+ * @throws {Error} If the mother wallet does not exist, or has no mnemonic for `hd` derivation.
+ */
+async function deriveChildWallets(motherWalletId, options = {}) {
+  if (isRemoteSigningEnabled()) {
+    return requestSignerService(`/v1/wallets/${encodeURIComponent(motherWalletId)}/children`, options);
+  }
+  return vaultStore.deriveChildWallets(motherWalletId, options);
+}
+
+/**
+ * Gets the public information of a wallet in the vault.
+ * @param {string} walletId - The wallet ID.
+ * @returns {object} The public vault entry.
+ * @throws {Error} If the wallet does not exist.
+ */
+function getWallet(walletId) {
+  return toPublicEntry(getEntry(walletId));
+}
+
+/**
+ * Gets a child wallet of a mother wallet, so funds are only ever moved between a mother
+ * wallet and its own children.
+ * @param {string} motherWalletId - The wallet ID of the mother wallet.
+ * @param {string} walletId - The wallet ID of the child wallet.
+ * @returns {object} The public vault entry of the child wallet.
+ * @throws {Error} If the wallet does not exist or is not a child of the mother wallet.
+ */
+function getChildWallet(motherWalletId, walletId) {
+  const wallet = getWallet(walletId);
+  if (wallet.parentId !== motherWalletId) {
+    throw new Error(`Wallet ${walletId} is not a child of mother wallet ${motherWalletId}`);
+  }
+  return wallet;
+}
+
+/**
+ * Lists wallets in the vault.
+ * @param {object} [filter] - Optional filter.
+ * @param {string} [filter.role] - Only return wallets with this role.
+ * @param {string} [filter.parentId] - Only return children of this wallet.
+ * @param {string} [filter.label] - Only return wallets with this label.
+ * @param {string} [filter.status] - Only return wallets with this status.
+ * @returns {Array<object>} The public vault entries.
+ */
+function listWallets({ role, parentId, label, status } = {}) {
+  return loadEntries()
+    .map(toPublicEntry)
+    .filter(entry => !role || entry.role === role)
+    .filter(entry => !parentId || entry.parentId === parentId)
+    .filter(entry => !label || entry.label === label)
+    .filter(entry => !status || entry.status === status);
+}
+
+/**
+ * Loads the keypair of a wallet for key export; transactions are signed through getSigner.
+ * Never expose the result over the API.
+ * @param {string} walletId - The wallet ID.
+ * @returns {Keypair} The wallet keypair.
+ * @throws {Error} If the wallet does not exist, or SIGNER_URL is set.
+ */
+function getKeypair(walletId) {
+  assertKeysInProcess('key export');
+  return Keypair.fromSecretKey(bs58.decode(vaultStore.getEntry(walletId).privateKeyBase58));
+}
+
+/**
+ * Gets the signer of a wallet. With SIGNER_URL set, transactions are signed by the remote
+ * signer service and the key is never decoded in this process; otherwise the vault key signs.
+ * @param {string} walletId - The wallet ID.
+ * @returns {{publicKey: PublicKey, signMessage: Function}} The signer (see utils/signer.js).
+ * @throws {Error} If the wallet does not exist.
+ */
+function getSigner(walletId) {
+  const entry = getEntry(walletId);
+  if (isRemoteSigningEnabled()) {
+    return createRemoteSigner(entry.publicKey);
+  }
+  return createKeypairSigner(Keypair.fromSecretKey(bs58.decode(entry.privateKeyBase58)));
+}
+
+module.exports = {
+  WALLET_ROLES,
+  WALLET_STATUSES,
+  assertKeysInProcess,
+  registerWallets,
+  createMotherWallet,
+  deriveChildWallets,
+  getWallet,
+  getChildWallet,
+  listWallets,
+  getKeypair,
+  getSigner
+};
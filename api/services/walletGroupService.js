@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+const { connection } = require('../utils/solanaUtils');
+const solanaUtils = require('../utils/solanaUtils');
+const { lamportsToSol, rateLimitedRpcCall } = require('../utils/transactionUtils');
+const vaultService = require('./vaultService');
+const { atomicWriteJson } = require('../utils/fileUtils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('WalletGroupService');
+
+/**
+ * Named wallet groups.
+ * A group ("campaign-a", "market-maker-pool") is a named list of vault wallets, each with
+ * its own label, tags and notes, so funding, sweeps and balance queries can target the
+ * group by name instead of re-sending wallet lists. Groups are written to
+ * `wallet-storage/wallet-groups.json` (override with WALLET_GROUPS_PATH); they hold
+ * wallet IDs and metadata only, never secrets, so the file is not encrypted.
+ */
+
+const GROUPS_PATH = process.env.WALLET_GROUPS_PATH
+  || path.join(process.cwd(), 'wallet-storage', 'wallet-groups.json');
+
+// getMultipleAccountsInfo accepts at most 100 accounts per call
+const MAX_ACCOUNTS_PER_CALL = 100;
+
+let groups = null;
+
+/**
+ * Loads the groups from disk (cached after the first call).
+ * @returns {Array<object>} The groups.
+ */
+function loadGroups() {
+  if (!groups) {
+    groups = fs.existsSync(GROUPS_PATH) ? JSON.parse(fs.readFileSync(GROUPS_PATH, 'utf8')) : [];
+  }
+  return groups;
+}
+
+/**
+ * Persists the groups.
+ */
+function saveGroups() {
+  atomicWriteJson(GROUPS_PATH, groups);
+}
+
+/**
+ * Finds a group by name.
+ * @param {string} name - The group name.
+ * @returns {object} The stored group.
+ * @throws {Error} If the group does not exist.
+ */
+function findGroup(name) {
+  const group = loadGroups().find(item => item.name === name);
+  if (!group) {
+    throw new Error(`Wallet group not found: ${name}`);
+  }
+  return group;
+}
+
+/**
+ * Builds a group member from a request, keeping the metadata of an existing member.
+ * @param {{walletId: string, label?: string, tags?: Array<string>, notes?: string}} wallet - The member.
+ * @param {object} [existing] - The stored member with the same wallet ID.
+ * @returns {object} The stored member.
+ * @throws {Error} If the wallet is not in the vault.
+ */
+function toMember(wallet, existing) {
+  // Only vault wallets can be grouped, since funding and sweeps sign with their keys
+  vaultService.getWallet(wallet.walletId);
+
+  return {
+    walletId: wallet.walletId,
+    label: wallet.label !== undefined ? wallet.label : (existing ? existing.label : null),
+    tags: wallet.tags !== undefined ? [...new Set(wallet.tags)] : (existing ? existing.tags : []),
+    notes: wallet.notes !== undefined ? wallet.notes : (existing ? existing.notes : null),
+    addedAt: existing ? existing.addedAt : new Date().toISOString()
+  };
+}
+
+/**
+ * Adds wallets to a member list. Wallets that are already members keep their place.
+ * Builds a new list, so an unknown wallet leaves the stored members unchanged.
+ * @param {Array<object>} members - The stored members.
+ * @param {Array<object>} wallets - The wallets to add or update.
+ * @returns {Array<object>} The new member list.
+ * @throws {Error} If a wallet is not in the vault.
+ */
+function mergeMembers(members, wallets) {
+  const merged = [...members];
+  for (const wallet of wallets) {
+    const index = merged.findIndex(member => member.walletId === wallet.walletId);
+    if (index === -1) {
+      merged.push(toMember(wallet));
+    } else {
+      merged[index] = toMember(wallet, merged[index]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Returns the API view of a group: its members with their public vault entries.
+ * Members whose wallet is no longer in the vault are listed with `publicKey: null`.
+ * @param {object} group - The stored group.
+ * @returns {object} The group view.
+ */
+function toGroupView(group) {
+  const vaultWallets = new Map(vaultService.listWallets().map(wallet => [wallet.id, wallet]));
+
+  return {
+    ...group,
+    walletCount: group.wallets.length,
+    wallets: group.wallets.map(member => {
+      const wallet = vaultWallets.get(member.walletId);
+      return {
+        ...member,
+        publicKey: wallet ? wallet.publicKey : null,
+        role: wallet ? wallet.role : null,
+        status: wallet ? wallet.status : null
+      };
+    })
+  };
+}
+
+/**
+ * Lists the groups.
+ * @param {object} [filter] - Optional filter.
+ * @param {string} [filter.tag] - Only return groups with a wallet carrying this tag.
+ * @returns {Array<object>} The groups, without their member lists.
+ */
+function listGroups({ tag } = {}) {
+  return loadGroups()
+    .filter(group => !tag || group.wallets.some(member => member.tags.includes(tag)))
+    .map(({ wallets, ...group }) => ({ ...group, walletCount: wallets.length }));
+}
+
+/**
+ * Gets a group with its members.
+ * @param {string} name - The group name.
+ * @returns {object} The group view.
+ * @throws {Error} If the group does not exist.
+ */
+function getGroup(name) {
+  return toGroupView(findGroup(name));
+}
+
+/**
+ * Creates a group.
+ * @param {object} options - The group.
+ * @param {string} options.name - Unique group name.
+ * @param {string} [options.description] - Optional description.
+ * @param {Array<{walletId: string, label?: string, tags?: Array<string>, notes?: string}>} [options.wallets] - Initial members.
+ * @returns {object} The group view.
+ * @throws {Error} If the name is taken or a wallet is not in the vault.
+ */
+function createGroup({ name, description = null, wallets = [] }) {
+  const stored = loadGroups();
+  if (stored.some(group => group.name === name)) {
+    throw new Error(`Wallet group already exists: ${name}`);
+  }
+
+  const members = mergeMembers([], wallets);
+  const now = new Date().toISOString();
+  const group = { name, description, wallets: members, createdAt: now, updatedAt: now };
+
+  stored.push(group);
+  saveGroups();
+  logger.info(`Created wallet group ${name} with ${members.length} wallets`);
+
+  return toGroupView(group);
+}
+
+/**
+ * Updates the description of a group.
+ * @param {string} name - The group name.
+ * @param {{description?: string|null}} changes - The new description.
+ * @returns {object} The group view.
+ * @throws {Error} If the group does not exist.
+ */
+function updateGroup(name, { description }) {
+  const group = findGroup(name);
+  if (description !== undefined) {
+    group.description = description;
+    group.updatedAt = new Date().toISOString();
+    saveGroups();
+  }
+  return toGroupView(group);
+}
+
+/**
+ * Deletes a group. Its wallets stay in the vault.
+ * @param {string} name - The group name.
+ * @throws {Error} If the group does not exist.
+ */
+function deleteGroup(name) {
+  const group = findGroup(name);
+  groups = groups.filter(item => item !== group);
+  saveGroups();
+  logger.info(`Deleted wallet group ${name}`);
+}
+
+/**
+ * Adds wallets to a group. Wallets that are already members keep their place and get
+ * the label, tags and notes given here (omitted fields are left unchanged).
+ * @param {string} name - The group name.
+ * @param {Array<{walletId: string, label?: string, tags?: Array<string>, notes?: string}>} wallets - The wallets.
+ * @returns {object} The group view.
+ * @throws {Error} If the group does not exist or a wallet is not in the vault.
+ */
+function addGroupWallets(name, wallets) {
+  const group = findGroup(name);
+
+  group.wallets = mergeMembers(group.wallets, wallets);
+  group.updatedAt = new Date().toISOString();
+  saveGroups();
+
+  return toGroupView(group);
+}
+
+/**
+ * Updates the label, tags or notes of a group member.
+ * @param {string} name - The group name.
+ * @param {string} walletId - The vault wallet ID of the member.
+ * @param {{label?: string|null, tags?: Array<string>, notes?: string|null}} changes - The new metadata.
+ * @returns {object} The group view.
+ * @throws {Error} If the group does not exist or the wallet is not a member.
+ */
+function updateGroupWallet(name, walletId, changes) {
+  const group = findGroup(name);
+  const index = group.wallets.findIndex(member => member.walletId === walletId);
+  if (index === -1) {
+    throw new Error(`Wallet not in group ${name}: ${walletId}`);
+  }
+
+  group.wallets[index] = toMember({ ...changes, walletId }, group.wallets[index]);
+  group.updatedAt = new Date().toISOString();
+  saveGroups();
+
+  return toGroupView(group);
+}
+
+/**
+ * Removes a wallet from a group. The wallet stays in the vault.
+ * @param {string} name - The group name.
+ * @param {string} walletId - The vault wallet ID of the member.
+ * @returns {object} The group view.
+ * @throws {Error} If the group does not exist or the wallet is not a member.
+ */
+function removeGroupWallet(name, walletId) {
+  const group = findGroup(name);
+  if (!group.wallets.some(member => member.walletId === walletId)) {
+    throw new Error(`Wallet not in group ${name}: ${walletId}`);
+  }
+
+  group.wallets = group.wallets.filter(member => member.walletId !== walletId);
+  group.updatedAt = new Date().toISOString();
+  saveGroups();
+
+  return toGroupView(group);
+}
+
+/**
+ * Gets the vault wallets of a group, for funding and sweeps.
+ * A group can hold wallets of several mother wallets, so funding and sweeps pass `parentId`
+ * to only get the children of their mother wallet; the other members are skipped.
+ * @param {string} name - The group name.
+ * @param {object} [filter] - Optional filter.
+ * @param {string} [filter.tag] - Only return members carrying this tag.
+ * @param {string} [filter.parentId] - Only return members that are children of this wallet.
+ * @returns {Array<object>} The public vault entries of the members, in group order.
+ * @throws {Error} If the group does not exist, has no (matching) wallets or a wallet left the vault.
+ */
+function getGroupWallets(name, { tag, parentId } = {}) {
+  const members = findGroup(name).wallets.filter(member => !tag || member.tags.includes(tag));
+  let wallets = members.map(member => vaultService.getWallet(member.walletId));
+
+  if (parentId) {
+    const skipped = wallets.filter(wallet => wallet.parentId !== parentId);
+    if (skipped.length > 0) {
+      logger.warn(`Skipping ${skipped.length} wallet(s) of group ${name} that are not children of wallet ${parentId}`);
+    }
+    wallets = wallets.filter(wallet => wallet.parentId === parentId);
+  }
+
+  if (wallets.length === 0) {
+    const conditions = [tag && `with tag ${tag}`, parentId && `that are children of wallet ${parentId}`].filter(Boolean);
+    throw new Error(`No wallets in group ${name}${conditions.map(condition => ` ${condition}`).join('')}`);
+  }
+  return wallets;
+}
+
+/**
+ * Gets the SOL balance, and optionally a token balance, of every wallet in a group.
+ * SOL balances are read 100 wallets per RPC call.
+ * @param {string} name - The group name.
+ * @param {object} [options] - Balance options.
+ * @param {string} [options.mintAddress] - Also return the balance of this SPL token.
+ * @param {string} [options.tag] - Only return members carrying this tag.
+ * @returns {Promise<{group: string, wallets: Array<object>, totalSol: number, totalTokenBalance?: number}>}
+ * @throws {Error} If the group does not exist or has no (matching) wallets.
+ */
+async function getGroupBalances(name, { mintAddress, tag } = {}) {
+  const group = findGroup(name);
+  const members = group.wallets.filter(member => !tag || member.tags.includes(tag));
+  if (members.length === 0) {
+    throw new Error(`No wallets in group ${name}${tag ? ` with tag ${tag}` : ''}`);
+  }
+
+  const wallets = members.map(member => ({ ...member, publicKey: vaultService.getWallet(member.walletId).publicKey }));
+
+  const lamports = [];
+  for (let i = 0; i < wallets.length; i += MAX_ACCOUNTS_PER_CALL) {
+    const batch = wallets.slice(i, i + MAX_ACCOUNTS_PER_CALL).map(wallet => new PublicKey(wallet.publicKey));
+    const accounts = await rateLimitedRpcCall(async () => {
+      return await connection.getMultipleAccountsInfo(batch);
+    });
+    lamports.push(...accounts.map(account => (account ? account.lamports : 0)));
+  }
+
+  const balances = [];
+  for (let i = 0; i < wallets.length; i++) {
+    const { walletId, label, tags, publicKey } = wallets[i];
+    const balance = {
+      walletId,
+      publicKey,
+      label,
+      tags,
+      balanceSol: lamportsToSol(lamports[i]),
+      balanceLamports: lamports[i]
+    };
+    if (mintAddress) {
+      const token = await rateLimitedRpcCall(async () => {
+        return await solanaUtils.getTokenBalance(publicKey, mintAddress);
+      });
+      balance.tokenBalance = token.balance;
+      balance.tokenDecimals = token.decimals;
+    }
+    balances.push(balance);
+  }
+
+  return {
+    group: name,
+    wallets: balances,
+    totalSol: lamportsToSol(lamports.reduce((sum, value) => sum + value, 0)),
+    ...(mintAddress ? {
+      mintAddress,
+      totalTokenBalance: balances.reduce((sum, balance) => sum + balance.tokenBalance, 0)
+    } : {})
+  };
+}
+
+module.exports = {
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupWallets,
+  updateGroupWallet,
+  removeGroupWallet,
+  getGroupWallets,
+  getGroupBalances
+};
@@ -0,0 +1,91 @@
+const vaultService = require('./vaultService');
+const { decodeKeys, encodeKey, encryptKeystore } = require('../utils/keyFormats');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('WalletKeyService');
+
+/**
+ * Moves private keys between the vault and standard tooling: Solana CLI `id.json`
+ * byte arrays, base58 (Phantom), base64 and encrypted keystore files (see keyFormats.js).
+ */
+
+/**
+ * Imports private keys into the vault (through the signer service when SIGNER_URL is set).
+ * Keys already in the vault return their existing entry.
+ * @param {object} request - The import.
+ * @param {string} request.format - solana-cli, base58, base64 or keystore.
+ * @param {Array<string|Array<number>>} [request.keys] - The keys (solana-cli, base58 and base64).
+ * @param {object} [request.keystore] - The keystore file (keystore).
+ * @param {string} [request.passphrase] - Passphrase of the keystore file.
+ * @param {string} [request.role='user'] - Vault role of the imported wallets.
+ * @param {string} [request.parentId] - Mother wallet ID of imported child wallets.
+ * @param {string} [request.label] - Label of the imported wallets.
+ * @returns {Promise<Array<object>>} The public vault entries.
+ * @throws {Error} If a key is invalid, the role and parent do not match or the parent does not exist.
+ */
+async function importWallets({ format, keys, keystore, passphrase, role = 'user', parentId = null, label = null }) {
+  if (format === 'keystore' ? !keystore || keys : !keys || keystore) {
+    throw new Error('Invalid request: the keystore format takes a keystore file, the other formats a keys array');
+  }
+  if ((role === 'child') !== Boolean(parentId)) {
+    throw new Error('Invalid request: child wallets need a parentId, and only child wallets take one');
+  }
+  if (parentId) {
+    const parent = vaultService.getWallet(parentId);
+    if (parent.role !== 'mother') {
+      throw new Error(`Invalid request: parent wallet ${parentId} is not a mother wallet`);
+    }
+  }
+
+  // Decode every key before registering any, so an invalid key imports nothing
+  const keypairs = decodeKeys(format, format === 'keystore' ? keystore : keys, passphrase);
+  const wallets = await vaultService.registerWallets(keypairs, { role, parentId, label });
+
+  logger.info(`Imported ${wallets.length} ${role} wallets from ${format}`);
+  return wallets;
+}
+
+/**
+ * Exports the private keys of vault wallets, selected by ID or as the child set of a
+ * mother wallet.
+ * @param {object} request - The export.
+ * @param {string} request.format - solana-cli, base58, base64 or keystore.
+ * @param {Array<string>} [request.walletIds] - The wallets to export.
+ * @param {string} [request.parentId] - Export every child wallet of this mother wallet.
+ * @param {string} [request.passphrase] - Passphrase of the keystore file (keystore format).
+ * @returns {{format: string, wallets: Array<object>, keystore?: object}} The wallets, each with its
+ *   `secretKey` in the requested format, or their public entries and one keystore file.
+ * @throws {Error} If the selection is invalid, a wallet does not exist or SIGNER_URL is set.
+ */
+function exportWallets({ format, walletIds, parentId, passphrase }) {
+  vaultService.assertKeysInProcess('key export');
+  if (Boolean(walletIds) === Boolean(parentId)) {
+    throw new Error('Invalid request: provide either walletIds or parentId');
+  }
+  if (format === 'keystore' && !passphrase) {
+    throw new Error('Invalid request: the keystore format needs a passphrase');
+  }
+
+  const wallets = walletIds
+    ? walletIds.map(walletId => vaultService.getWallet(walletId))
+    : vaultService.listWallets({ parentId: vaultService.getWallet(parentId).id });
+  if (wallets.length === 0) {
+    throw new Error(`Invalid request: wallet ${parentId} has no child wallets`);
+  }
+  const keypairs = wallets.map(wallet => vaultService.getKeypair(wallet.id));
+
+  logger.warn(`Exporting private keys of ${wallets.length} wallets as ${format}`);
+
+  if (format === 'keystore') {
+    return { format, wallets, keystore: encryptKeystore(keypairs, passphrase) };
+  }
+  return {
+    format,
+    wallets: wallets.map((wallet, index) => ({ ...wallet, secretKey: encodeKey(keypairs[index], format) }))
+  };
+}
+
+module.exports = {
+  importWallets,
+  exportWallets
+};
@@ -7,54 +7,75 @@ const solanaUtils = require('../utils/solanaUtils');
 const { 
   sendAndConfirmTransactionWrapper, 
   createSolTransferTransaction, 
+  createMultiSolTransferTransaction,
+  packSolTransfers,
+  getTransferComputeUnitLimit,
+  reconcileSentTransaction,
   getDynamicPriorityFee,
   calculateTransactionFee,
   solToLamports,
   lamportsToSol,
   rateLimitedRpcCall
 } = require('../utils/transactionUtils');
+const { writeEncryptedJson } = require('../utils/keystore');
+const vaultService = require('./vaultService');
+const jobService = require('./jobService');
+const walletGroupService = require('./walletGroupService');
+const hdWallet = require('../utils/hdWallet');
 const web3 = require('@solana/web3.js');
+const { createLogger } = require('../utils/logger');
+const { assertTransferWithinLimit } = require('../config/network');
 
-// Define the Solana mainnet RPC endpoint
-const MAINNET_URL = 'https://api.mainnet-beta.solana.com';
+const logger = createLogger('WalletService');
+
+// Job type of background child wallet funding
+const FUND_CHILDREN_JOB = 'fund-children';
 
 /**
- * Creates a new mother wallet or imports one from a base58 encoded private key.
- * @param {string} [privateKeyBase58] - Optional base58 encoded private key to import.
- * @returns {Promise<{publicKey: string, privateKeyBase58: string}>} An object containing the public key and base58 encoded private key.
- * @throws {Error} If private key decoding or keypair creation fails.
+ * Creates a new mother wallet or imports one from a seed phrase or a private key.
+ * New mother wallets are generated from a 24-word mnemonic so their child wallets can be
+ * derived deterministically; the mnemonic is only returned when asked for, so it can be
+ * backed up. Imported seed phrases keep that ability: the mother wallet is derived at
+ * `derivationPath` (BIP44 account 0 by default) and its children at the standard paths.
+ * Wallets imported from a private key (64-byte secret key or 32-byte seed) have no
+ * seed phrase. The keys are stored in the server-side vault; with SIGNER_URL set, the signer
+ * service creates the wallet and keeps the mnemonic, so it cannot be returned.
+ * @param {object} [options] - Creation options; without a key or mnemonic a new wallet is created.
+ * @param {string} [options.privateKeyBase58] - Base58 encoded 64-byte secret key or 32-byte seed to import.
+ * @param {string} [options.mnemonic] - BIP39 seed phrase to import.
+ * @param {string} [options.passphrase] - Optional BIP39 passphrase of the seed phrase.
+ * @param {string} [options.derivationPath] - Path of the mother wallet (default `m/44'/501'/0'/0'`).
+ * @param {boolean} [options.returnMnemonic=false] - Return the mnemonic of a new wallet.
+ * @returns {Promise<{id: string, publicKey: string, hasMnemonic: boolean, derivationPath: string|null, mnemonic?: string}>}
+ *   The vault wallet ID and public key, and the mnemonic of a new wallet when asked for.
+ * @throws {Error} If the key, mnemonic or derivation path is invalid, the options conflict, or the
+ *   mnemonic is asked for with SIGNER_URL set.
  */
-async function createOrImportMotherWalletService(privateKeyBase58) {
-  let keypair;
-
-  if (privateKeyBase58) {
-    try {
-      const secretKeyBytes = bs58.decode(privateKeyBase58);
-      if (secretKeyBytes.length !== 64 && secretKeyBytes.length !== 32) { // 32 for seed, 64 for full secret key
-        // For simplicity, we'll assume bs58 encoded secret keys are typically full 64 bytes.
-        // Keypair.fromSecretKey expects 64 bytes. If it's a 32-byte seed, it needs different handling
-        // which is not typical for direct bs58 encoded private keys.
-        // Let's stick to Keypair.fromSecretKey which expects 64 bytes.
-        // If you intend to support 32-byte seeds that are bs58 encoded, this logic needs adjustment.
-        // For now, we'll assume the input bs58 string decodes to a 64-byte secret key.
-        console.warn(`Decoded secret key length is ${secretKeyBytes.length}. Expected 64 bytes for Keypair.fromSecretKey.`);
-        // If Keypair.fromSecretKey handles various lengths gracefully, this warning might be for info only.
-        // Test with actual key formats intended for use.
-      }
-      keypair = Keypair.fromSecretKey(secretKeyBytes);
-      console.log('Mother wallet imported successfully.');
-    } catch (error) {
-      console.error('Failed to import mother wallet from private key:', error);
-      throw new Error('Invalid private key provided or failed to derive keypair.');
-    }
-  } else {
-    keypair = Keypair.generate();
-    console.log('New mother wallet generated successfully.');
+async function createOrImportMotherWalletService({
+  privateKeyBase58,
+  mnemonic,
+  passphrase = '',
+  derivationPath = hdWallet.getDerivationPath(0),
+  returnMnemonic = false
+} = {}) {
+  if (mnemonic && returnMnemonic) {
+    throw new Error('Invalid request: returnMnemonic only applies to new wallets');
   }
 
+  const { wallet, mnemonic: newMnemonic } = await vaultService.createMotherWallet({
+    privateKeyBase58,
+    mnemonic,
+    passphrase,
+    derivationPath,
+    returnMnemonic
+  });
+
   return {
-    publicKey: keypair.publicKey.toBase58(),
-    privateKeyBase58: bs58.encode(keypair.secretKey),
+    id: wallet.id,
+    publicKey: wallet.publicKey,
+    hasMnemonic: wallet.hasMnemonic,
+    derivationPath: wallet.derivationPath,
+    ...(returnMnemonic ? { mnemonic: newMnemonic } : {})
   };
 }
 
@@ -83,183 +104,264 @@ async function getWalletInfo(publicKeyStr) {
       balanceLamports,
     };
   } catch (error) {
-    console.error('Error retrieving wallet info:', error);
+    logger.error('Error retrieving wallet info:', error);
     throw new Error(`Unable to get wallet info: ${error.message}`);
   }
 }
 
 /**
- * Derives child wallets from a mother wallet public key.
- * Note: In this implementation, we're creating new random wallets rather than using
- * hierarchical deterministic derivation, which aligns with the original script's approach.
+ * Derives child wallets for a mother wallet in the vault.
+ * With `hd` derivation, child `i` is derived from the mother mnemonic at `m/44'/501'/i'/0'`
+ * (matching WalletManager), so children can always be regenerated from the seed alone;
+ * deriving an index that is already in the vault returns the existing wallet.
+ * With `random` derivation, new random wallets are generated (the original script's approach).
+ * Each child is registered in the vault under the mother wallet ID (by the signer service
+ * when SIGNER_URL is set, in which case the keys cannot be saved to a file here).
  * 
- * @param {string} motherWalletPublicKey - The public key of the mother wallet.
+ * @param {string} motherWalletId - The vault wallet ID of the mother wallet.
  * @param {number} count - The number of child wallets to derive (default: 3).
- * @param {boolean} [saveToFile=false] - Whether to save the wallets to a file.
- * @returns {Promise<{motherWalletPublicKey: string, childWallets: Array<{publicKey: string, privateKeyBase58: string}>}>}
+ * @param {boolean} [saveToFile=false] - Whether to also export the wallets to the mainnet wallet storage.
+ * @param {object} [options] - Derivation options.
+ * @param {string} [options.derivation] - `hd` or `random`. Defaults to `hd` when the mother wallet has a mnemonic.
+ * @param {number} [options.startIndex=1] - First account index for `hd` derivation (0 is the mother wallet).
+ * @returns {Promise<{motherWalletId: string, motherWalletPublicKey: string, derivation: string,
+ *   childWallets: Array<{id: string, publicKey: string, index: number|null, derivationPath: string|null}>}>}
  * @throws {Error} If there's an error generating the child wallets.
  */
-async function deriveChildWallets(motherWalletPublicKey, count = 3, saveToFile = false) {
+async function deriveChildWallets(motherWalletId, count = 3, saveToFile = false, options = {}) {
   try {
-    console.log(`Generating ${count} child wallets for mother wallet: ${motherWalletPublicKey}`);
-    
-    // Validate mother wallet public key
-    new PublicKey(motherWalletPublicKey); // This will throw if invalid
-    
-    // Generate child wallets
-    const childWallets = [];
-    
-    for (let i = 0; i < count; i++) {
-      const keypair = Keypair.generate();
-      childWallets.push({
-        publicKey: keypair.publicKey.toBase58(),
-        privateKeyBase58: bs58.encode(keypair.secretKey)
-      });
+    if (saveToFile) {
+      vaultService.assertKeysInProcess('saveToFile');
     }
+
+    const { motherWallet, derivation, wallets } = await vaultService.deriveChildWallets(motherWalletId, {
+      count,
+      derivation: options.derivation,
+      startIndex: options.startIndex ?? hdWallet.FIRST_CHILD_INDEX
+    });
     
     // If saveToFile is true, save the wallets to the mainnet wallet storage directory
+    // as an encrypted keystore (never in plaintext)
     if (saveToFile) {
       const mainnetWalletPath = path.join(process.cwd(), 'wallet-storage', 'mainnet');
-      if (!fs.existsSync(mainnetWalletPath)) {
-        fs.mkdirSync(mainnetWalletPath, { recursive: true });
-      }
-      
       const childWalletsPath = path.join(mainnetWalletPath, 'child-wallets.json');
-      fs.writeFileSync(
+      writeEncryptedJson(
         childWalletsPath,
-        JSON.stringify(childWallets.map(wallet => {
+        wallets.map(wallet => {
+          const keypair = vaultService.getKeypair(wallet.id);
           return {
-            publicKey: wallet.publicKey,
-            secretKey: Array.from(bs58.decode(wallet.privateKeyBase58))
+            publicKey: keypair.publicKey.toBase58(),
+            secretKey: Array.from(keypair.secretKey)
           };
-        }), null, 2),
-        'utf-8'
+        })
       );
-      console.log(`Child wallets saved to: ${childWalletsPath}`);
+      logger.info(`Child wallets saved (encrypted) to: ${childWalletsPath}`);
     }
     
     return {
-      motherWalletPublicKey,
-      childWallets
+      motherWalletId: motherWallet.id,
+      motherWalletPublicKey: motherWallet.publicKey,
+      derivation,
+      childWallets: wallets.map(wallet => ({
+        id: wallet.id,
+        publicKey: wallet.publicKey,
+        index: wallet.index,
+        derivationPath: wallet.derivationPath
+      }))
     };
   } catch (error) {
-    console.error('Error deriving child wallets:', error);
+    logger.error('Error deriving child wallets:', error);
     throw new Error(`Failed to derive child wallets: ${error.message}`);
   }
 }
 
 /**
- * Funds multiple child wallets from a mother wallet using IMMEDIATE confirmation strategy.
- * @param {string} motherWalletPrivateKeyBase58 - The mother wallet's private key in base58 encoding.
- * @param {Array<{publicKey: string, amountSol: number}>} childWallets - Array of child wallets to fund.
- * @returns {Promise<{status: string, results: Array, motherWalletFinalBalanceSol: number}>}
- * @throws {Error} If there's an error funding the wallets.
+ * Starts funding child wallets from a mother wallet as a background job.
+ * Returns as soon as the job is persisted; progress is reported by `jobService.getJob`.
+ * @param {string} motherWalletId - The vault wallet ID of the mother wallet.
+ * @param {Array<{walletId?: string, publicKey?: string, amountSol: number}>} [childWallets] - Array of child wallets to fund,
+ *   identified either by vault wallet ID or by public key. Not used with `options.group`.
+ * @param {object} [options] - Group funding options.
+ * @param {string} [options.group] - Fund the wallets of this wallet group that are children of
+ *   the mother wallet instead.
+ * @param {string} [options.tag] - Only fund the group wallets carrying this tag.
+ * @param {number} [options.amountSol] - The amount of SOL to send to each group wallet.
+ * @returns {object} The queued job.
+ * @throws {Error} If the mother wallet, a child wallet ID or the group is not found, or an amount is above the transfer limit.
  */
-async function fundChildWallets(motherWalletPrivateKeyBase58, childWallets) {
-  try {
-    console.log(`[WalletService] Starting IMMEDIATE funding for ${childWallets.length} child wallets`);
-    
-    // Decode mother wallet private key
-    const motherSecretKey = bs58.decode(motherWalletPrivateKeyBase58);
-    const motherWallet = Keypair.fromSecretKey(motherSecretKey);
-    const motherPublicKey = motherWallet.publicKey.toBase58();
-    
-    console.log(`[WalletService] Mother wallet public key: ${motherPublicKey}`);
-    
+function fundChildWallets(motherWalletId, childWallets, { group, tag, amountSol } = {}) {
+  const motherWallet = vaultService.getWallet(motherWalletId);
+  if (group) {
+    // Members that are not children of this mother wallet are skipped
+    childWallets = walletGroupService.getGroupWallets(group, { tag, parentId: motherWalletId })
+      .map(wallet => ({ walletId: wallet.id, amountSol }));
+  }
+  childWallets.forEach(wallet => assertTransferWithinLimit(wallet.amountSol));
+
+  // Resolve child wallet IDs to public keys now, so unknown IDs are rejected before queueing
+  const items = childWallets.map(wallet => ({
+    walletId: wallet.walletId || null,
+    publicKey: wallet.publicKey || vaultService.getWallet(wallet.walletId).publicKey,
+    amountSol: wallet.amountSol
+  }));
+
+  return jobService.createJob(
+    FUND_CHILDREN_JOB,
+    { motherWalletId, motherWalletPublicKey: motherWallet.publicKey, group: group || null },
+    items
+  );
+}
+
+/**
+ * Builds the funding summary from the job items.
+ * @param {object} job - The funding job.
+ * @param {number} motherFinalBalance - Mother wallet balance in lamports.
+ * @returns {{status: string, results: Array, motherWalletFinalBalanceSol: number, statistics: object}}
+ */
+function summarizeFundingJob(job, motherFinalBalance) {
+  const results = job.items.map(item => ({
+    childPublicKey: item.publicKey,
+    transactionId: item.signature || null,
+    status: item.status === 'confirmed' ? 'funded' : item.status,
+    error: item.error,
+    ...(item.status === 'confirmed' ? { newBalanceSol: item.newBalanceSol } : {})
+  }));
+
+  const successful = results.filter(result => result.status === 'funded').length;
+  const attempted = results.filter(result => result.status === 'funded' || result.status === 'failed').length;
+  const successRate = attempted > 0 ? successful / attempted : 0;
+
+  let overallStatus;
+  if (successRate >= 0.8) {
+    overallStatus = 'success';
+  } else if (successRate >= 0.5) {
+    overallStatus = 'partial';
+  } else {
+    overallStatus = 'failed';
+  }
+
+  return {
+    status: overallStatus,
+    results,
+    motherWalletFinalBalanceSol: lamportsToSol(motherFinalBalance),
+    statistics: {
+      attempted,
+      successful,
+      failed: attempted - successful,
+      skipped: results.filter(result => result.status === 'skipped').length,
+      successRate: Math.round(successRate * 100),
+      transactions: new Set(results.filter(result => result.transactionId).map(result => result.transactionId)).size
+    }
+  };
+}
+
+/**
+ * Job handler that funds the child wallets of a funding job using IMMEDIATE confirmation strategy.
+ * Transfers are packed into as few transactions as the transaction size limit allows; all
+ * children in a transaction share its outcome and signature. Every signature is persisted
+ * before it is sent. When an interrupted job is resumed, transactions that were already sent
+ * are reconciled on-chain first and only resent once their blockhash has expired, so no child
+ * is funded twice.
+ * @param {object} job - The funding job.
+ * @param {{updateItem: Function}} context - Job context used to persist item progress.
+ * @returns {Promise<{status: string, results: Array, motherWalletFinalBalanceSol: number, statistics: object}>}
+ * @throws {Error} If the mother wallet cannot fund any transfer.
+ */
+async function runFundChildWalletsJob(job, { updateItem }) {
+  const motherWallet = vaultService.getSigner(job.params.motherWalletId);
+  logger.info(`Mother wallet public key: ${motherWallet.publicKey.toBase58()}`);
+
+  // Settle transactions that were in flight when the job was interrupted
+  await jobService.settleSentItems(job, updateItem);
+
+  const pendingItems = job.items.filter(item => item.status === 'pending');
+  logger.info(`Starting IMMEDIATE funding for ${pendingItems.length} of ${job.items.length} child wallets`);
+
+  if (pendingItems.length > 0) {
     // Check mother wallet balance
     const motherBalance = await rateLimitedRpcCall(async () => {
       return await connection.getBalance(motherWallet.publicKey);
     });
-    const motherBalanceInSol = lamportsToSol(motherBalance);
-    console.log(`[WalletService] Mother wallet balance: ${motherBalanceInSol} SOL`);
-    
+    logger.info(`Mother wallet balance: ${lamportsToSol(motherBalance)} SOL`);
+
     // Get dynamic priority fee for accurate fee calculation
     const dynamicPriorityFee = await getDynamicPriorityFee(connection, [motherWallet.publicKey]);
-    console.log(`[WalletService] Using dynamic priority fee: ${dynamicPriorityFee} microlamports`);
-    
-    // Calculate accurate fees per transaction
-    const feePerTransaction = calculateTransactionFee(dynamicPriorityFee, 200000);
-    console.log(`[WalletService] Estimated fee per transaction: ${lamportsToSol(feePerTransaction)} SOL`);
-    
-    // Calculate total amount needed with accurate fees
-    const totalAmountSol = childWallets.reduce((sum, wallet) => sum + wallet.amountSol, 0);
-    const totalAmountLamports = solToLamports(totalAmountSol);
-    const totalFeesLamports = childWallets.length * feePerTransaction;
-    const totalNeededLamports = totalAmountLamports + totalFeesLamports;
-    
-    console.log(`[WalletService] Total amount to distribute: ${totalAmountSol} SOL`);
-    console.log(`[WalletService] Total estimated fees: ${lamportsToSol(totalFeesLamports)} SOL`);
-    console.log(`[WalletService] Total needed: ${lamportsToSol(totalNeededLamports)} SOL`);
-    
+    logger.info(`Using dynamic priority fee: ${dynamicPriorityFee} microlamports`);
+
+    // Pack the transfers into transactions and price each one
+    const packItems = items => packSolTransfers(
+      motherWallet.publicKey,
+      items.map(item => ({ toPubkey: new PublicKey(item.publicKey), lamports: solToLamports(item.amountSol) }))
+    ).map(indexes => indexes.map(index => items[index]));
+    const chunkFee = transferCount => calculateTransactionFee(dynamicPriorityFee, getTransferComputeUnitLimit(transferCount));
+    const chunkCost = chunk => chunk.reduce((sum, item) => sum + solToLamports(item.amountSol), 0) + chunkFee(chunk.length);
+
+    let chunks = packItems(pendingItems);
+    const totalNeededLamports = chunks.reduce((sum, chunk) => sum + chunkCost(chunk), 0);
+    logger.info(`Packed ${pendingItems.length} transfers into ${chunks.length} transactions`);
+    logger.info(`Total needed (amounts + fees): ${lamportsToSol(totalNeededLamports)} SOL`);
+
     // Check if we have sufficient funds with a safety buffer
     const safetyBufferLamports = 2000000; // 0.002 SOL safety buffer
     if (motherBalance < totalNeededLamports + safetyBufferLamports) {
-      // Calculate how many transactions we can actually afford
-      const availableForTransactions = motherBalance - safetyBufferLamports;
-      const maxAffordableTransactions = Math.floor(availableForTransactions / (solToLamports(childWallets[0].amountSol) + feePerTransaction));
-      
-      if (maxAffordableTransactions <= 0) {
-        throw new Error(`Insufficient funds in mother wallet. Required: ${lamportsToSol(totalNeededLamports)} SOL, Available: ${motherBalanceInSol} SOL, Safety buffer: ${lamportsToSol(safetyBufferLamports)} SOL`);
+      // Keep the longest run of children the balance covers, fees included
+      let available = motherBalance - safetyBufferLamports;
+      let affordableCount = 0;
+      for (const chunk of chunks) {
+        let count = chunk.length;
+        while (count > 0 && chunkCost(chunk.slice(0, count)) > available) {
+          count--;
+        }
+        affordableCount += count;
+        if (count < chunk.length) {
+          break;
+        }
+        available -= chunkCost(chunk);
       }
-      
-      console.warn(`[WalletService] ⚠️ Only enough funds for ${maxAffordableTransactions} out of ${childWallets.length} transactions`);
-      console.warn(`[WalletService] Will process first ${maxAffordableTransactions} wallets`);
-      
-      // Trim the array to what we can afford
-      childWallets = childWallets.slice(0, maxAffordableTransactions);
+
+      if (affordableCount <= 0) {
+        throw new Error(`Insufficient funds in mother wallet. Required: ${lamportsToSol(totalNeededLamports)} SOL, Available: ${lamportsToSol(motherBalance)} SOL, Safety buffer: ${lamportsToSol(safetyBufferLamports)} SOL`);
+      }
+
+      logger.warn(`Only enough funds for ${affordableCount} out of ${pendingItems.length} transfers`);
+      for (const item of pendingItems.slice(affordableCount)) {
+        updateItem(item.index, { status: 'skipped', error: 'Insufficient funds in mother wallet' });
+      }
+      chunks = packItems(pendingItems.slice(0, affordableCount));
     }
-    
-    const results = [];
-    let successfulTransactions = 0;
+
     let consecutiveFailures = 0;
     const maxConsecutiveFailures = 3;
-    
-    for (let i = 0; i < childWallets.length; i++) {
-      const { publicKey, amountSol } = childWallets[i];
-      console.log(`[WalletService] Funding wallet ${i + 1}/${childWallets.length}: ${publicKey} with ${amountSol} SOL`);
-      
+
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      const remainingItems = chunks.slice(i).flat();
+      logger.info(`Funding transaction ${i + 1}/${chunks.length}: ${chunk.length} child wallets`);
+
       // Check remaining balance before each transaction
       const currentBalance = await rateLimitedRpcCall(async () => {
         return await connection.getBalance(motherWallet.publicKey);
       });
-      const remainingTransactions = childWallets.length - i;
-      const neededForRemaining = remainingTransactions * (solToLamports(amountSol) + feePerTransaction);
-      
+      const neededForRemaining = chunks.slice(i).reduce((sum, remaining) => sum + chunkCost(remaining), 0);
+
       if (currentBalance < neededForRemaining) {
-        console.warn(`[WalletService] ⚠️ Insufficient funds for remaining transactions. Stopping at transaction ${i + 1}`);
-        console.warn(`[WalletService] Current balance: ${lamportsToSol(currentBalance)} SOL, Needed: ${lamportsToSol(neededForRemaining)} SOL`);
+        logger.warn(`Insufficient funds for remaining transactions. Stopping at transaction ${i + 1}`);
+        logger.warn(`Current balance: ${lamportsToSol(currentBalance)} SOL, Needed: ${lamportsToSol(neededForRemaining)} SOL`);
+        for (const remaining of remainingItems) {
+          updateItem(remaining.index, { status: 'skipped', error: 'Insufficient funds in mother wallet' });
+        }
         break;
       }
-      
+
+      const childPublicKeys = chunk.map(item => new PublicKey(item.publicKey));
+
       try {
-        // Convert SOL to lamports
-        const amountLamports = solToLamports(amountSol);
-        
-        // Create and validate child wallet public key
-        const childPublicKey = new PublicKey(publicKey);
-        
-        // Get current balance
-        const childCurrentBalance = await rateLimitedRpcCall(async () => {
-          return await connection.getBalance(childPublicKey);
-        });
-        console.log(`[WalletService] Current child balance: ${lamportsToSol(childCurrentBalance)} SOL`);
-        
-        // Create transfer transaction using robust utilities
-        const transaction = createSolTransferTransaction(
+        const transaction = createMultiSolTransferTransaction(
           motherWallet.publicKey,
-          childPublicKey,
-          amountLamports
+          chunk.map((item, index) => ({ toPubkey: childPublicKeys[index], lamports: solToLamports(item.amountSol) }))
         );
-        
-        // MINIMAL delay between transactions - only if needed for rate limiting
-        if (i > 0 && consecutiveFailures === 0) {
-          const minimalDelay = 500; // Reduced from 2000ms+ to 500ms
-          console.log(`[WalletService] Brief ${minimalDelay}ms delay for rate limiting...`);
-          await delay(minimalDelay);
-        }
-        
-        // Send transaction using IMMEDIATE confirmation strategy
-        console.log(`[WalletService] Sending transaction with IMMEDIATE confirmation...`);
+
+        // Send transaction using IMMEDIATE confirmation strategy; each attempt is recorded before it is sent
         const signature = await sendAndConfirmTransactionWrapper(
           connection,
           transaction,
@@ -269,110 +371,113 @@ async function fundChildWallets(motherWalletPrivateKeyBase58, childWallets) {
             maxRetries: 3,
             commitment: 'confirmed',
             priorityFeeMicrolamports: dynamicPriorityFee,
-            computeUnitLimit: 200000
+            computeUnitLimit: getTransferComputeUnitLimit(chunk.length),
+            history: { type: FUND_CHILDREN_JOB, jobId: job.id },
+            onSigned: sent => {
+              for (const item of chunk) {
+                updateItem(item.index, { status: 'sent', signatures: [...item.signatures, sent] });
+              }
+            }
           }
         );
-        
-        console.log(`[WalletService] ✅ Funding SUCCESS!`);
-        
-        // Get updated balance
-        const newBalance = await rateLimitedRpcCall(async () => {
-          return await connection.getBalance(childPublicKey);
+
+        // Read all new child balances with one call
+        const accounts = await rateLimitedRpcCall(async () => {
+          return await connection.getMultipleAccountsInfo(childPublicKeys);
         });
-        console.log(`[WalletService] New child balance: ${lamportsToSol(newBalance)} SOL`);
-        
-        results.push({
-          childPublicKey: publicKey,
-          transactionId: signature,
-          status: 'funded',
-          error: null,
-          newBalanceSol: lamportsToSol(newBalance)
+        logger.info(`Funding SUCCESS! ${chunk.length} child wallets funded in ${signature}`);
+
+        chunk.forEach((item, index) => {
+          updateItem(item.index, {
+            status: 'confirmed',
+            signature,
+            error: null,
+            newBalanceSol: lamportsToSol(accounts[index] ? accounts[index].lamports : 0)
+          });
         });
-        
-        successfulTransactions++;
         consecutiveFailures = 0; // Reset consecutive failures on success
-        
+
       } catch (error) {
-        console.error(`[WalletService] ❌ Error funding wallet ${publicKey}:`, error);
+        logger.error(`Error funding transaction ${i + 1}/${chunks.length}:`, error);
+
+        // A sent attempt may still land after the wrapper gave up on it
+        const outcome = chunk[0].status === 'sent'
+          ? await reconcileSentTransaction(connection, chunk[0].signatures)
+          : { confirmed: false };
+
+        if (outcome.confirmed) {
+          logger.info(`Transaction ${i + 1}/${chunks.length} landed after all: ${outcome.signature}`);
+          for (const item of chunk) {
+            updateItem(item.index, { status: 'confirmed', signature: outcome.signature, error: null });
+          }
+          consecutiveFailures = 0;
+          continue;
+        }
+
+        for (const item of chunk) {
+          updateItem(item.index, { status: 'failed', error: error.message || 'Unknown error' });
+        }
         consecutiveFailures++;
-        
-        results.push({
-          childPublicKey: publicKey,
-          transactionId: null,
-          status: 'failed',
-          error: error.message || 'Unknown error'
-        });
-        
+
         // Stop if too many consecutive failures (might indicate persistent network issues)
         if (consecutiveFailures >= maxConsecutiveFailures) {
-          console.error(`[WalletService] 🛑 Too many consecutive failures (${consecutiveFailures}). Stopping funding process.`);
+          logger.error(`Too many consecutive failures (${consecutiveFailures}). Stopping funding process.`);
+          for (const remaining of remainingItems.slice(chunk.length)) {
+            updateItem(remaining.index, { status: 'skipped', error: 'Stopped after consecutive failures' });
+          }
           break;
         }
-        
+
         // Minimal delay after failures - don't wait too long
         if (consecutiveFailures > 1) {
-          const errorDelayTime = 1000 * consecutiveFailures; // Reduced from 5000ms
-          console.log(`[WalletService] Adding ${errorDelayTime}ms delay after consecutive failures...`);
+          const errorDelayTime = 1000 * consecutiveFailures;
+          logger.info(`Adding ${errorDelayTime}ms delay after consecutive failures...`);
           await delay(errorDelayTime);
         }
       }
     }
-    
-    // Determine overall status
-    const totalAttempted = results.length;
-    const successRate = successfulTransactions / totalAttempted;
-    let overallStatus;
-    
-    if (successRate >= 0.8) {
-      overallStatus = 'success';
-    } else if (successRate >= 0.5) {
-      overallStatus = 'partial';
-    } else {
-      overallStatus = 'failed';
-    }
-    
-    // Get final mother wallet balance
-    const finalBalance = await rateLimitedRpcCall(async () => {
-      return await connection.getBalance(motherWallet.publicKey);
-    });
-    console.log(`[WalletService] Final mother wallet balance: ${lamportsToSol(finalBalance)} SOL`);
-    console.log(`[WalletService] 📊 Success rate: ${successfulTransactions}/${totalAttempted} (${(successRate * 100).toFixed(1)}%)`);
-    
-    return {
-      status: overallStatus,
-      results: results,
-      motherWalletFinalBalanceSol: lamportsToSol(finalBalance),
-      statistics: {
-        attempted: totalAttempted,
-        successful: successfulTransactions,
-        failed: totalAttempted - successfulTransactions,
-        successRate: Math.round(successRate * 100)
-      }
-    };
-  } catch (error) {
-    console.error('[WalletService] Error funding child wallets:', error);
-    throw new Error(`Failed to fund child wallets: ${error.message}`);
   }
+
+  // Get final mother wallet balance
+  const finalBalance = await rateLimitedRpcCall(async () => {
+    return await connection.getBalance(motherWallet.publicKey);
+  });
+  const summary = summarizeFundingJob(job, finalBalance);
+  logger.info(`Final mother wallet balance: ${summary.motherWalletFinalBalanceSol} SOL`);
+  logger.info(`Success rate: ${summary.statistics.successful}/${summary.statistics.attempted} (${summary.statistics.successRate}%) in ${summary.statistics.transactions} transactions`);
+
+  return summary;
 }
 
+jobService.registerJobHandler(FUND_CHILDREN_JOB, runFundChildWalletsJob);
+
 /**
- * Returns funds from a child wallet to a mother wallet using IMMEDIATE confirmation strategy.
- * @param {string} childWalletPrivateKeyBase58 - The child wallet's private key in base58 encoding.
- * @param {string} motherWalletPublicKey - The mother wallet's public key in base58 encoding.
+ * Returns funds from a child wallet to its mother wallet using IMMEDIATE confirmation strategy.
+ * Funds only ever go to the child's parent wallet in the vault, never to a caller-chosen address.
+ * @param {string} childWalletId - The vault wallet ID of the child wallet.
+ * @param {string} [motherWalletId] - The vault wallet ID of the mother wallet. When given, it must
+ *   be the child's parent wallet.
  * @param {boolean} returnAllFunds - Whether to return all funds or keep some for transaction fees.
  * @returns {Promise<{status: string, transactionId: string, amountReturnedSol: number, newChildBalanceSol: number}>}
  * @throws {Error} If there's an error returning funds.
  */
-async function returnFundsToMotherWallet(childWalletPrivateKeyBase58, motherWalletPublicKey, returnAllFunds = false) {
+async function returnFundsToMotherWallet(childWalletId, motherWalletId, returnAllFunds = false) {
   try {
-    console.log(`[WalletService] Returning funds to mother wallet: ${motherWalletPublicKey}`);
-    
-    // Decode child wallet private key
-    const childSecretKey = bs58.decode(childWalletPrivateKeyBase58);
-    const childWallet = Keypair.fromSecretKey(childSecretKey);
+    // Load the child wallet and its signer from the vault
+    const childEntry = vaultService.getWallet(childWalletId);
+    if (!childEntry.parentId) {
+      throw new Error(`Wallet ${childWalletId} has no mother wallet`);
+    }
+    if (motherWalletId) {
+      vaultService.getChildWallet(motherWalletId, childWalletId);
+    }
+    const childWallet = vaultService.getSigner(childWalletId);
     const childPublicKey = childWallet.publicKey.toBase58();
+    const motherWalletPublicKey = vaultService.getWallet(childEntry.parentId).publicKey;
+    
+    logger.info(`Returning funds to mother wallet: ${motherWalletPublicKey}`);
     
-    console.log(`[WalletService] Child wallet public key: ${childPublicKey}`);
+    logger.info(`Child wallet public key: ${childPublicKey}`);
     
     // Validate mother wallet public key
     const motherPublicKey = new PublicKey(motherWalletPublicKey);
@@ -382,7 +487,7 @@ async function returnFundsToMotherWallet(childWalletPrivateKeyBase58, motherWall
       return await connection.getBalance(childWallet.publicKey);
     });
     const childBalanceInSol = lamportsToSol(childBalance);
-    console.log(`[WalletService] Child wallet balance: ${childBalanceInSol} SOL`);
+    logger.info(`Child wallet balance: ${childBalanceInSol} SOL`);
     
     // Get dynamic priority fee
     const dynamicPriorityFee = await getDynamicPriorityFee(connection, [childWallet.publicKey, motherPublicKey]);
@@ -390,7 +495,7 @@ async function returnFundsToMotherWallet(childWalletPrivateKeyBase58, motherWall
     // Calculate transaction fees more accurately using the new utility
     const totalTransactionFee = calculateTransactionFee(dynamicPriorityFee, 200000);
     
-    console.log(`[WalletService] Estimated total transaction fee: ${lamportsToSol(totalTransactionFee)} SOL`);
+    logger.info(`Estimated total transaction fee: ${lamportsToSol(totalTransactionFee)} SOL`);
     
     if (childBalance <= totalTransactionFee) {
       throw new Error(`Insufficient funds in child wallet. Balance (${childBalanceInSol} SOL) is too low to cover transaction fees (${lamportsToSol(totalTransactionFee)} SOL).`);
@@ -412,7 +517,7 @@ async function returnFundsToMotherWallet(childWalletPrivateKeyBase58, motherWall
       }
     }
     
-    console.log(`[WalletService] Returning ${lamportsToSol(amountToReturn)} SOL to mother wallet`);
+    logger.info(`Returning ${lamportsToSol(amountToReturn)} SOL to mother wallet`);
     
     // Create transfer transaction using robust utilities
     const transaction = createSolTransferTransaction(
@@ -422,7 +527,7 @@ async function returnFundsToMotherWallet(childWalletPrivateKeyBase58, motherWall
     );
     
     // Send transaction using IMMEDIATE confirmation strategy
-    console.log(`[WalletService] Sending return transaction with IMMEDIATE confirmation...`);
+    logger.info(`Sending return transaction with IMMEDIATE confirmation...`);
     const signature = await sendAndConfirmTransactionWrapper(
       connection,
       transaction,
@@ -432,11 +537,12 @@ async function returnFundsToMotherWallet(childWalletPrivateKeyBase58, motherWall
         maxRetries: 3,
         commitment: 'confirmed',
         priorityFeeMicrolamports: dynamicPriorityFee,
-        computeUnitLimit: 200000
+        computeUnitLimit: 200000,
+        history: { type: 'return-funds' }
       }
     );
     
-    console.log(`[WalletService] ✅ Return funds SUCCESS!`);
+    logger.info(`Return funds SUCCESS!`);
     
     // Get updated balances
     const newChildBalance = await rateLimitedRpcCall(async () => {
@@ -446,8 +552,8 @@ async function returnFundsToMotherWallet(childWalletPrivateKeyBase58, motherWall
       return await connection.getBalance(motherPublicKey);
     });
     
-    console.log(`[WalletService] New child wallet balance: ${lamportsToSol(newChildBalance)} SOL`);
-    console.log(`[WalletService] New mother wallet balance: ${lamportsToSol(newMotherBalance)} SOL`);
+    logger.info(`New child wallet balance: ${lamportsToSol(newChildBalance)} SOL`);
+    logger.info(`New mother wallet balance: ${lamportsToSol(newMotherBalance)} SOL`);
     
     return {
       status: 'success',
@@ -457,7 +563,7 @@ async function returnFundsToMotherWallet(childWalletPrivateKeyBase58, motherWall
       message: 'Funds returned to mother wallet successfully'
     };
   } catch (error) {
-    console.error('[WalletService] Error returning funds to mother wallet:', error);
+    logger.error('Error returning funds to mother wallet:', error);
     throw new Error(`Failed to return funds: ${error.message}`);
   }
 }
@@ -498,12 +604,13 @@ async function getTokenBalance(walletPublicKey, mintAddress) {
             decimals: decimals
         };
     } catch (error) {
-        console.error('[WalletService] Error getting token balance:', error.message);
+        logger.error('Error getting token balance:', error.message);
         throw error;
     }
 }
 
 module.exports = {
+  FUND_CHILDREN_JOB,
   createOrImportMotherWalletService,
   getWalletInfo,
   deriveChildWallets,
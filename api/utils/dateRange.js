@@ -0,0 +1,30 @@
+/**
+ * Date range filters of the fee ledger and the transaction history.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses the bounds of a date range. A date without a time (e.g. `2025-01-31`) covers
+ * that whole day, so `to=2025-01-31` includes everything recorded on January 31st.
+ * @param {string} [from] - Inclusive start, as an ISO 8601 date or date-time.
+ * @param {string} [to] - Inclusive end, as an ISO 8601 date or date-time.
+ * @returns {{fromTime: number, toTime: number}} The range in epoch milliseconds, `toTime` exclusive.
+ *   Missing bounds are -Infinity and Infinity.
+ * @throws {Error} If `from` is after `to`.
+ */
+function parseDateRange(from, to) {
+  const fromTime = from ? Date.parse(from) : -Infinity;
+  let toTime = Infinity;
+  if (to) {
+    toTime = /^\d{4}-\d{2}-\d{2}$/.test(to) ? Date.parse(to) + DAY_MS : Date.parse(to) + 1;
+  }
+  if (fromTime >= toTime) {
+    throw new Error(`Invalid date range: from (${from}) is after to (${to})`);
+  }
+  return { fromTime, toTime };
+}
+
+module.exports = {
+  parseDateRange
+};
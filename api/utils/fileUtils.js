@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File helpers for the JSON stores under `wallet-storage/` (jobs, wallet groups, vault).
+ */
+
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 10000;
+
+// A lock this old was left behind by a crashed process
+const LOCK_STALE_MS = 30000;
+
+/**
+ * Blocks the calling thread for a while.
+ * @param {number} ms - Milliseconds to wait.
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Checks whether a lock file was left behind by a crashed process.
+ * @param {string} lockPath - The lock file.
+ * @returns {boolean} True if the lock is stale or no longer exists.
+ */
+function isStaleLock(lockPath) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return true;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Writes a value as JSON through a temporary file and a rename, so readers (in this or
+ * another process) see either the previous or the new file, never a truncated one.
+ * @param {string} filePath - Destination file.
+ * @param {any} data - Value to serialize.
+ * @param {object} [options] - Write options.
+ * @param {number} [options.mode] - File mode of the written file (e.g. 0o600).
+ */
+function atomicWriteJson(filePath, data, { mode } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Per-process name, so two processes writing the same file never share a temporary file
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), mode === undefined ? undefined : { mode });
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Runs a read-modify-write of a file while holding `<file>.lock`, so processes sharing the
+ * file (the API, volume runs, the signer daemon) never overwrite each other's changes.
+ * The lock is created exclusively, so it works across processes; the callback runs synchronously.
+ * @param {string} filePath - The file to lock.
+ * @param {Function} fn - Callback run while the lock is held.
+ * @returns {any} The callback's return value.
+ * @throws {Error} If the lock is not released within 10 seconds.
+ */
+function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (isStaleLock(lockPath)) {
+        fs.rmSync(lockPath, { force: true });
+      } else if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for the lock on ${filePath}`);
+      } else {
+        sleepSync(LOCK_RETRY_MS);
+      }
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+module.exports = {
+  atomicWriteJson,
+  withFileLock
+};
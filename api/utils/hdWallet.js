@@ -0,0 +1,89 @@
+const bip39 = require('bip39');
+const { derivePath } = require('ed25519-hd-key');
+const { Keypair } = require('@solana/web3.js');
+
+/**
+ * BIP44 hierarchical deterministic derivation for Solana wallets.
+ * Matches `WalletManager` in `src/wallet/walletManager.ts`: the mother wallet is
+ * account 0 (`m/44'/501'/0'/0'`) and child wallet `i` is `m/44'/501'/i'/0'`, so
+ * every wallet can be regenerated from the mother mnemonic alone.
+ */
+
+// Index of the first child wallet (account 0 is the mother wallet)
+const FIRST_CHILD_INDEX = 1;
+
+/**
+ * Gets the BIP44 derivation path for an account index.
+ * @param {number} index - The account index.
+ * @returns {string} The derivation path.
+ */
+function getDerivationPath(index) {
+  return `m/44'/501'/${index}'/0'`;
+}
+
+/**
+ * Generates a new 24-word mnemonic.
+ * @returns {string} The mnemonic phrase.
+ */
+function generateMnemonic() {
+  return bip39.generateMnemonic(256);
+}
+
+/**
+ * Checks whether a mnemonic phrase is valid.
+ * @param {string} mnemonic - The mnemonic phrase.
+ * @returns {boolean}
+ */
+function validateMnemonic(mnemonic) {
+  return bip39.validateMnemonic(mnemonic);
+}
+
+/**
+ * Gets the account index of a standard BIP44 derivation path.
+ * @param {string} derivationPath - The derivation path.
+ * @returns {number|null} The account index, or null if the path is not `m/44'/501'/i'/0'`.
+ */
+function getDerivationIndex(derivationPath) {
+  const match = /^m\/44'\/501'\/(\d+)'\/0'$/.exec(derivationPath);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Derives the keypair at a derivation path from a mnemonic.
+ * Only hardened paths are valid for ed25519 (e.g. `m/44'/501'/0'` for older wallets).
+ * @param {string} mnemonic - The mnemonic phrase.
+ * @param {string} derivationPath - The derivation path.
+ * @param {string} [passphrase=''] - Optional BIP39 passphrase.
+ * @returns {Keypair} The derived keypair.
+ * @throws {Error} If the mnemonic or the derivation path is invalid.
+ */
+function deriveKeypairAtPath(mnemonic, derivationPath, passphrase = '') {
+  if (!validateMnemonic(mnemonic)) {
+    throw new Error('Invalid mnemonic');
+  }
+  const seed = bip39.mnemonicToSeedSync(mnemonic, passphrase);
+  const { key } = derivePath(derivationPath, seed.toString('hex'));
+  return Keypair.fromSeed(key);
+}
+
+/**
+ * Derives the keypair of an account index from a mnemonic.
+ * @param {string} mnemonic - The mnemonic phrase.
+ * @param {number} index - The account index (0 for the mother wallet).
+ * @param {string} [passphrase=''] - Optional BIP39 passphrase.
+ * @returns {Keypair} The derived keypair.
+ * @throws {Error} If the mnemonic is invalid.
+ */
+function deriveKeypairFromMnemonic(mnemonic, index, passphrase = '') {
+  return deriveKeypairAtPath(mnemonic, getDerivationPath(index), passphrase);
+}
+
+module.exports = {
+  FIRST_CHILD_INDEX,
+  getDerivationPath,
+  getDerivationIndex,
+  generateMnemonic,
+  validateMnemonic,
+  deriveKeypairAtPath,
+  deriveKeypairFromMnemonic
+};
@@ -0,0 +1,191 @@
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { encryptPayload, decryptPayload, isKeystoreFile } = require('./keystore');
+
+/**
+ * Conversions between the private key formats wallets come in:
+ * - `solana-cli`: the JSON array of the 64 secret key bytes written by `solana-keygen` (`id.json`).
+ * - `base58`: the base58 secret key used by Phantom and the REST API.
+ * - `base64`: the base64 secret key (`privateKeyBase64` in the `src/` wallet storage).
+ * - `keystore`: our encrypted keystore (see `keystore.js`) holding wallet records with a
+ *   `secretKey` byte array, `privateKeyBase58` or `privateKeyBase64`, as written to
+ *   `wallet-storage/` by the API and the TypeScript wallet storage.
+ * The base58 and base64 formats also accept a raw 32-byte ed25519 seed.
+ */
+
+const KEY_FORMATS = ['solana-cli', 'base58', 'base64', 'keystore'];
+
+/**
+ * Creates a keypair from a 64-byte secret key or a 32-byte seed.
+ * @param {Uint8Array} bytes - The key bytes.
+ * @param {string} format - Name of the format, for error messages.
+ * @returns {Keypair} The keypair.
+ * @throws {Error} If the bytes have another length or the public key half does not match.
+ */
+function keypairFromBytes(bytes, format) {
+  if (bytes.length === 32) {
+    return Keypair.fromSeed(bytes);
+  }
+  if (bytes.length !== 64) {
+    throw new Error(`Invalid ${format} key: expected a 64-byte secret key or a 32-byte seed, got ${bytes.length} bytes`);
+  }
+  try {
+    return Keypair.fromSecretKey(bytes);
+  } catch (error) {
+    throw new Error(`Invalid ${format} key: the public key half does not match the secret key`);
+  }
+}
+
+/**
+ * Decodes a base58 encoded private key: a 64-byte secret key or a raw 32-byte ed25519 seed.
+ * @param {string} privateKeyBase58 - The base58 encoded key.
+ * @returns {Keypair} The keypair.
+ * @throws {Error} If the key is not valid base58 or has another length.
+ */
+function decodeBase58Key(privateKeyBase58) {
+  let bytes;
+  try {
+    bytes = bs58.decode(privateKeyBase58);
+  } catch (error) {
+    throw new Error('Invalid base58 key: not a base58 string');
+  }
+  return keypairFromBytes(bytes, 'base58');
+}
+
+/**
+ * Decodes a base64 encoded private key: a 64-byte secret key or a raw 32-byte ed25519 seed.
+ * @param {string} privateKeyBase64 - The base64 encoded key.
+ * @returns {Keypair} The keypair.
+ * @throws {Error} If the key is not valid base64 or has another length.
+ */
+function decodeBase64Key(privateKeyBase64) {
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(privateKeyBase64)) {
+    throw new Error('Invalid base64 key: not a base64 string');
+  }
+  return keypairFromBytes(Buffer.from(privateKeyBase64, 'base64'), 'base64');
+}
+
+/**
+ * Decodes a Solana CLI keypair: the JSON array of the 64 secret key bytes.
+ * @param {Array<number>|string} secretKey - The byte array, or its JSON text.
+ * @returns {Keypair} The keypair.
+ * @throws {Error} If the value is not an array of 64 bytes.
+ */
+function decodeSolanaCliKey(secretKey) {
+  let bytes = secretKey;
+  if (typeof bytes === 'string') {
+    try {
+      bytes = JSON.parse(bytes);
+    } catch (error) {
+      throw new Error('Invalid solana-cli key: not a JSON byte array');
+    }
+  }
+  if (!Array.isArray(bytes) || !bytes.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 255)) {
+    throw new Error('Invalid solana-cli key: expected an array of bytes');
+  }
+  if (bytes.length !== 64) {
+    throw new Error(`Invalid solana-cli key: expected 64 bytes, got ${bytes.length}`);
+  }
+  return keypairFromBytes(Uint8Array.from(bytes), 'solana-cli');
+}
+
+/**
+ * Gets the keypair of a stored wallet record, whichever of our storage formats it uses.
+ * @param {object} record - A wallet record with `secretKey`, `privateKeyBase58` or `privateKeyBase64`.
+ * @returns {Keypair} The keypair.
+ * @throws {Error} If the record holds no private key, or a key that does not match its `publicKey`.
+ */
+function keypairFromRecord(record) {
+  let keypair;
+  if (record && record.secretKey) {
+    keypair = decodeSolanaCliKey(record.secretKey);
+  } else if (record && record.privateKeyBase58) {
+    keypair = decodeBase58Key(record.privateKeyBase58);
+  } else if (record && record.privateKeyBase64) {
+    keypair = decodeBase64Key(record.privateKeyBase64);
+  } else {
+    throw new Error('Invalid keystore: a wallet record holds no private key');
+  }
+
+  if (record.publicKey && record.publicKey !== keypair.publicKey.toBase58()) {
+    throw new Error(`Invalid keystore: the private key of ${record.publicKey} belongs to another public key`);
+  }
+  return keypair;
+}
+
+/**
+ * Decodes private keys from one of KEY_FORMATS.
+ * @param {string} format - One of KEY_FORMATS.
+ * @param {Array<string|Array<number>>|object} keys - The keys (solana-cli, base58, base64) or one
+ *   encrypted keystore file (keystore), whose records may hold one wallet or an array of wallets.
+ * @param {string} [passphrase] - Passphrase of the keystore.
+ * @returns {Array<Keypair>} The keypairs.
+ * @throws {Error} If the format is unknown or a key is invalid.
+ */
+function decodeKeys(format, keys, passphrase) {
+  switch (format) {
+    case 'solana-cli':
+      return keys.map(decodeSolanaCliKey);
+    case 'base58':
+      return keys.map(decodeBase58Key);
+    case 'base64':
+      return keys.map(decodeBase64Key);
+    case 'keystore': {
+      if (!isKeystoreFile(keys)) {
+        throw new Error('Invalid keystore: expected an encrypted keystore file');
+      }
+      if (!passphrase) {
+        throw new Error('Invalid keystore: a passphrase is required');
+      }
+      const records = decryptPayload(keys, passphrase);
+      return (Array.isArray(records) ? records : [records]).map(keypairFromRecord);
+    }
+    default:
+      throw new Error(`Invalid key format: ${format}. Must be one of: ${KEY_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Encodes a private key in one of the single-key formats.
+ * @param {Keypair} keypair - The keypair.
+ * @param {string} format - solana-cli, base58 or base64.
+ * @returns {Array<number>|string} The encoded secret key.
+ * @throws {Error} If the format is unknown.
+ */
+function encodeKey(keypair, format) {
+  switch (format) {
+    case 'solana-cli':
+      return Array.from(keypair.secretKey);
+    case 'base58':
+      return bs58.encode(keypair.secretKey);
+    case 'base64':
+      return Buffer.from(keypair.secretKey).toString('base64');
+    default:
+      throw new Error(`Invalid key format: ${format}. Must be one of: ${KEY_FORMATS.filter(name => name !== 'keystore').join(', ')}`);
+  }
+}
+
+/**
+ * Encrypts keypairs into a keystore file in the format of `wallet-storage/mainnet/child-wallets.json`
+ * (records with `publicKey` and a `secretKey` byte array).
+ * @param {Array<Keypair>} keypairs - The keypairs.
+ * @param {string} passphrase - Passphrase of the keystore.
+ * @returns {object} The keystore file.
+ */
+function encryptKeystore(keypairs, passphrase) {
+  return encryptPayload(
+    keypairs.map(keypair => ({
+      publicKey: keypair.publicKey.toBase58(),
+      secretKey: Array.from(keypair.secretKey)
+    })),
+    passphrase
+  );
+}
+
+module.exports = {
+  KEY_FORMATS,
+  decodeBase58Key,
+  decodeKeys,
+  encodeKey,
+  encryptKeystore
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { atomicWriteJson } = require('./fileUtils');
+
+/**
+ * Encrypted keystore helpers for the API.
+ * Uses the same on-disk format as `src/wallet/keystore.ts` (scrypt + AES-256-GCM,
+ * per-file salt, plaintext `public` section) so files written here can be read by
+ * the TypeScript wallet storage and vice versa.
+ */
+
+const KEYSTORE_VERSION = 1;
+const KEYSTORE_PASSPHRASE_ENV = 'WALLET_KEYSTORE_PASSPHRASE';
+
+const SCRYPT_PARAMS = { n: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// Fields copied to the plaintext `public` section; everything else is only in the ciphertext
+const PUBLIC_FIELDS = ['id', 'publicKey', 'address', 'role', 'parentId', 'label', 'name', 'index', 'derivationPath', 'status', 'createdAt'];
+
+function deriveKey(passphrase, salt, { n, r, p }) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH, { N: n, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Keeps only the public fields of wallet data, so secrets nested anywhere in a record
+ * (e.g. `{wallet: {secretKey}}`) never reach the plaintext `public` section.
+ * @param {any} data - Wallet data (object or array of objects).
+ * @returns {any} A copy of the data with only the public fields that hold plain values.
+ */
+function stripSecrets(data) {
+  if (Array.isArray(data)) {
+    return data.map(toPublicRecord);
+  }
+  return toPublicRecord(data);
+}
+
+function toPublicRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return null;
+  }
+  return Object.fromEntries(
+    Object.entries(record)
+      .filter(([key, value]) => PUBLIC_FIELDS.includes(key) && (value === null || typeof value !== 'object'))
+  );
+}
+
+/**
+ * Checks whether a parsed JSON value is an encrypted keystore.
+ * @param {any} value - Parsed JSON value.
+ * @returns {boolean}
+ */
+function isKeystoreFile(value) {
+  return Boolean(value && typeof value === 'object' && value.kdf && value.ciphertext && value.version);
+}
+
+/**
+ * Gets the keystore passphrase from the environment.
+ * @returns {string} The passphrase.
+ * @throws {Error} If WALLET_KEYSTORE_PASSPHRASE is not set.
+ */
+function getKeystorePassphrase() {
+  const passphrase = process.env[KEYSTORE_PASSPHRASE_ENV];
+  if (!passphrase) {
+    throw new Error(`Keystore passphrase not configured: set ${KEYSTORE_PASSPHRASE_ENV} to store wallet keys.`);
+  }
+  return passphrase;
+}
+
+/**
+ * Encrypts data into the keystore format.
+ * @param {any} data - Data to encrypt (serialized as JSON).
+ * @param {string} [passphrase] - Passphrase (defaults to WALLET_KEYSTORE_PASSPHRASE).
+ * @returns {object} The keystore structure.
+ */
+function encryptPayload(data, passphrase = getKeystorePassphrase()) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const key = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.from(JSON.stringify(data), 'utf8')),
+    cipher.final()
+  ]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    kdf: 'scrypt',
+    kdfParams: { ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    public: stripSecrets(data)
+  };
+}
+
+/**
+ * Decrypts a keystore.
+ * @param {object} keystore - The keystore structure.
+ * @param {string} [passphrase] - Passphrase (defaults to WALLET_KEYSTORE_PASSPHRASE).
+ * @returns {any} The decrypted data.
+ * @throws {Error} If the scrypt parameters are not the ones this module writes, or the
+ *   passphrase is wrong or the keystore was modified.
+ */
+function decryptPayload(keystore, passphrase = getKeystorePassphrase()) {
+  if (keystore.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version: ${keystore.version}`);
+  }
+
+  // Keystores can be uploaded, and scrypt runs on the event loop: derive only with the
+  // parameters this module writes, so a file cannot make the derivation arbitrarily slow
+  const { n, r, p, salt } = keystore.kdfParams || {};
+  if (n !== SCRYPT_PARAMS.n || r !== SCRYPT_PARAMS.r || p !== SCRYPT_PARAMS.p || typeof salt !== 'string') {
+    throw new Error(`Invalid keystore: unsupported scrypt parameters n=${n}, r=${r}, p=${p}`);
+  }
+  const key = deriveKey(passphrase, Buffer.from(salt, 'base64'), { n, r, p });
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(keystore.authTag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    throw new Error('Failed to decrypt keystore: wrong passphrase or corrupted file');
+  }
+}
+
+/**
+ * Encrypts data and writes it (atomically) to a file readable only by the owner.
+ * @param {string} filePath - Destination file.
+ * @param {any} data - Data to encrypt.
+ * @param {string} [passphrase] - Passphrase (defaults to WALLET_KEYSTORE_PASSPHRASE).
+ */
+function writeEncryptedJson(filePath, data, passphrase = getKeystorePassphrase()) {
+  atomicWriteJson(filePath, encryptPayload(data, passphrase), { mode: 0o600 });
+}
+
+/**
+ * Reads a wallet file, decrypting it if it is a keystore.
+ * @param {string} filePath - File to read.
+ * @param {string} [passphrase] - Passphrase (defaults to WALLET_KEYSTORE_PASSPHRASE).
+ * @returns {any|null} The data, or null if the file does not exist.
+ */
+function readEncryptedJson(filePath, passphrase) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return isKeystoreFile(parsed) ? decryptPayload(parsed, passphrase) : parsed;
+}
+
+module.exports = {
+  KEYSTORE_VERSION,
+  stripSecrets,
+  isKeystoreFile,
+  getKeystorePassphrase,
+  encryptPayload,
+  decryptPayload,
+  writeEncryptedJson,
+  readEncryptedJson
+};
@@ -0,0 +1,223 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+
+/**
+ * Shared structured logger.
+ * - Levels follow LOG_LEVEL (error, warn, info, http, verbose, debug, silly; default info).
+ * - JSON lines when NODE_ENV=production or LOG_FORMAT=json, readable lines otherwise.
+ * - Every entry carries its module tag and, inside an Express request, the request ID.
+ * - Anything resembling a secret (private keys, mnemonics, API keys) is redacted.
+ * The same format is produced by `src/utils/logger.ts`.
+ */
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  http: 3,
+  verbose: 4,
+  debug: 5,
+  silly: 6
+};
+
+// Keys whose values are always redacted
+const SECRET_KEY_PATTERN = /(private|secret|mnemonic|seed|passphrase|password|api[-_]?key|authorization|access[-_]?token)/i;
+
+// Base58 strings as long as a 64-byte secret key (or a transaction signature)
+const BASE58_64_BYTES_PATTERN = /\b[1-9A-HJ-NP-Za-km-z]{85,90}\b/g;
+
+// Raw API keys
+const API_KEY_PATTERN = /\bsk_[0-9a-f]{64}\b/g;
+
+const REDACTED = '[REDACTED]';
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Gets the configured minimum level.
+ * @returns {number} The numeric level.
+ */
+function getLevelThreshold() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ?? LEVELS.info;
+}
+
+/**
+ * Whether logs are written as JSON lines.
+ * @returns {boolean}
+ */
+function useJsonFormat() {
+  return process.env.LOG_FORMAT === 'json'
+    || (process.env.LOG_FORMAT !== 'pretty' && process.env.NODE_ENV === 'production');
+}
+
+/**
+ * Checks whether 64 bytes form an ed25519 secret key (seed followed by its public key),
+ * which tells secret keys apart from transaction signatures of the same length.
+ * @param {Uint8Array|Array<number>} bytes - The bytes to check.
+ * @returns {boolean}
+ */
+function isSecretKeyBytes(bytes) {
+  try {
+    Keypair.fromSecretKey(Uint8Array.from(bytes));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Redacts secret-looking values from a string.
+ * @param {string} value - The string.
+ * @returns {string} The redacted string.
+ */
+function redactString(value) {
+  return value
+    .replace(API_KEY_PATTERN, REDACTED)
+    .replace(BASE58_64_BYTES_PATTERN, match => {
+      try {
+        const bytes = bs58.decode(match);
+        return bytes.length === 64 && isSecretKeyBytes(bytes) ? REDACTED : match;
+      } catch (error) {
+        return match;
+      }
+    });
+}
+
+/**
+ * Recursively redacts secrets from log metadata.
+ * @param {any} value - The value to redact.
+ * @param {number} [depth=0] - Current depth (deep structures are truncated).
+ * @returns {any} A redacted copy.
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return { message: redactString(value.message), name: value.name, stack: value.stack && redactString(value.stack) };
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth > 5) {
+    return '[Truncated]';
+  }
+  if ((Array.isArray(value) || value instanceof Uint8Array) && value.length === 64
+    && Array.from(value).every(Number.isInteger) && isSecretKeyBytes(value)) {
+    return REDACTED;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  if (typeof value.toBase58 === 'function') {
+    return value.toBase58();
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) {
+      continue;
+    }
+    result[key] = SECRET_KEY_PATTERN.test(key) && item !== null ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Splits log call arguments into a message and metadata.
+ * Plain objects are merged into the metadata, errors go to `error`, and
+ * everything else is formatted into the message like console.log.
+ * @param {Array<any>} args - The log call arguments.
+ * @returns {{message: string, meta: object}}
+ */
+function parseArgs(args) {
+  const parts = [];
+  const meta = {};
+
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      meta.error = arg;
+    } else if (arg && typeof arg === 'object' && Object.getPrototypeOf(arg) === Object.prototype) {
+      Object.assign(meta, arg);
+    } else {
+      parts.push(arg);
+    }
+  }
+
+  return { message: util.format(...parts), meta };
+}
+
+/**
+ * Writes a log entry.
+ * @param {string} level - The level name.
+ * @param {string} module - The module tag.
+ * @param {Array<any>} args - The log call arguments.
+ */
+function write(level, module, args) {
+  if (LEVELS[level] > getLevelThreshold()) {
+    return;
+  }
+
+  const { message, meta } = parseArgs(args);
+  const context = requestContext.getStore();
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    module,
+    ...(context && context.requestId ? { requestId: context.requestId } : {}),
+    message: redactString(message),
+    ...redact(meta)
+  };
+
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (useJsonFormat()) {
+    stream.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+
+  const { timestamp, level: entryLevel, module: entryModule, requestId, message: entryMessage, ...rest } = entry;
+  const requestTag = requestId ? ` (${requestId})` : '';
+  const details = Object.keys(rest).length > 0 ? ` ${util.inspect(rest, { depth: 4, breakLength: Infinity })}` : '';
+  stream.write(`${timestamp} ${entryLevel.toUpperCase()} [${entryModule}]${requestTag} ${entryMessage}${details}\n`);
+}
+
+/**
+ * Creates a logger for a module.
+ * @param {string} module - The module tag (e.g. "TransactionUtils").
+ * @returns {{error: Function, warn: Function, info: Function, http: Function, verbose: Function, debug: Function, silly: Function}}
+ */
+function createLogger(module) {
+  return Object.fromEntries(
+    Object.keys(LEVELS).map(level => [level, (...args) => write(level, module, args)])
+  );
+}
+
+/**
+ * Runs a function with a request ID attached to every log entry it produces.
+ * @param {string} requestId - The request ID.
+ * @param {Function} fn - The function to run.
+ * @returns {any} The function result.
+ */
+function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * Gets the request ID of the current request, if any.
+ * @returns {string|undefined}
+ */
+function getRequestId() {
+  const context = requestContext.getStore();
+  return context && context.requestId;
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  redact,
+  runWithRequestId,
+  getRequestId
+};
@@ -0,0 +1,157 @@
+/**
+ * Token-bucket rate limiter with a priority queue.
+ * The bucket holds up to `burst` credits and refills at `requestsPerSecond`. Each request
+ * takes `cost` credits and a concurrency slot; requests that cannot start yet wait in a
+ * queue ordered by priority class, first come first served within a class. Waiting
+ * requests can be cancelled with an AbortSignal.
+ */
+
+// Priority classes, most urgent first
+const PRIORITIES = ['send', 'confirm', 'normal', 'poll'];
+
+/**
+ * Gets the error a cancelled request rejects with.
+ * @param {AbortSignal} signal - The signal that was aborted.
+ * @returns {Error}
+ */
+function getAbortError(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Creates a rate limiter.
+ * @param {object} limits - The limits.
+ * @param {number} limits.requestsPerSecond - Credits added to the bucket per second.
+ * @param {number} limits.burst - Bucket size: credits that can be spent at once.
+ * @param {number} limits.maxConcurrent - Requests allowed in flight at the same time.
+ * @returns {{acquire: Function, getMetrics: Function}} The limiter.
+ */
+function createRateLimiter({ requestsPerSecond, burst, maxConcurrent }) {
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let inFlight = 0;
+  let timer = null;
+  let sequence = 0;
+  const queue = [];
+  const metrics = { acquired: 0, aborted: 0, totalWaitMs: 0, maxWaitMs: 0 };
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * requestsPerSecond);
+    lastRefill = now;
+  }
+
+  /**
+   * Starts queued requests while credits and concurrency slots allow.
+   */
+  function drain() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    refill();
+
+    while (queue.length > 0 && inFlight < maxConcurrent) {
+      const next = queue[0];
+      // A request costing more than the bucket holds runs once the bucket is full
+      const cost = Math.min(next.cost, burst);
+      if (tokens < cost) {
+        timer = setTimeout(drain, Math.ceil(((cost - tokens) / requestsPerSecond) * 1000));
+        return;
+      }
+
+      tokens -= cost;
+      queue.shift();
+      inFlight++;
+      const waitedMs = Date.now() - next.enqueuedAt;
+      metrics.acquired++;
+      metrics.totalWaitMs += waitedMs;
+      metrics.maxWaitMs = Math.max(metrics.maxWaitMs, waitedMs);
+      if (next.signal) {
+        next.signal.removeEventListener('abort', next.onAbort);
+      }
+
+      let released = false;
+      next.resolve(() => {
+        if (!released) {
+          released = true;
+          inFlight--;
+          drain();
+        }
+      });
+    }
+  }
+
+  /**
+   * Waits for permission to run a request.
+   * @param {object} [options] - Request options.
+   * @param {number} [options.cost=1] - Credits the request takes.
+   * @param {string} [options.priority='normal'] - Priority class (see PRIORITIES).
+   * @param {AbortSignal} [options.signal] - Cancels the wait.
+   * @returns {Promise<Function>} Resolves with a `release` function to call once the request is done.
+   * @throws {Error} AbortError if the signal aborts before the request starts.
+   */
+  function acquire({ cost = 1, priority = 'normal', signal } = {}) {
+    if (signal && signal.aborted) {
+      metrics.aborted++;
+      return Promise.reject(getAbortError(signal));
+    }
+
+    const rank = Math.max(0, PRIORITIES.indexOf(priority));
+    return new Promise((resolve, reject) => {
+      const entry = { cost, rank, priority: PRIORITIES[rank], signal, resolve, enqueuedAt: Date.now(), id: sequence++ };
+
+      if (signal) {
+        entry.onAbort = () => {
+          const index = queue.indexOf(entry);
+          if (index !== -1) {
+            queue.splice(index, 1);
+            metrics.aborted++;
+            reject(getAbortError(signal));
+            drain();
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      // Behind every queued request of the same or a more urgent class
+      const position = queue.findIndex(queued => queued.rank > rank);
+      queue.splice(position === -1 ? queue.length : position, 0, entry);
+      drain();
+    });
+  }
+
+  /**
+   * Gets queue metrics.
+   * @returns {object} Queue length by priority, requests in flight, available credits and wait times.
+   */
+  function getMetrics() {
+    refill();
+    return {
+      queued: queue.length,
+      queuedByPriority: Object.fromEntries(PRIORITIES.map(priority => [priority, queue.filter(entry => entry.priority === priority).length])),
+      inFlight,
+      availableCredits: Math.floor(tokens * 100) / 100,
+      acquired: metrics.acquired,
+      aborted: metrics.aborted,
+      averageWaitMs: metrics.acquired > 0 ? Math.round(metrics.totalWaitMs / metrics.acquired) : 0,
+      maxWaitMs: metrics.maxWaitMs
+    };
+  }
+
+  return {
+    acquire,
+    getMetrics
+  };
+}
+
+module.exports = {
+  PRIORITIES,
+  getAbortError,
+  createRateLimiter
+};
@@ -0,0 +1,456 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { Connection } = require('@solana/web3.js');
+const { createLogger } = require('./logger');
+const { PRIORITIES, createRateLimiter } = require('./rateLimiter');
+
+const logger = createLogger('RpcPool');
+
+/**
+ * Pool of Solana RPC endpoints with health checks and failover.
+ * - Endpoints come from SOLANA_RPC_ENDPOINTS: a comma-separated list of URLs, or a JSON array of
+ *   `{ "url", "weight", "roles": ["read", "send"], "tier": "PUBLIC"|"PREMIUM", "wsUrl", "name", "rateLimit" }`.
+ *   Without it, SOLANA_RPC_URL (or the public RPC of SOLANA_NETWORK) is the only endpoint.
+ * - Every endpoint has its own token-bucket rate limiter (see rateLimiter.js), sized by its tier
+ *   unless `rateLimit` sets `requestsPerSecond`, `burst` and `maxConcurrent`. Calls wait in a
+ *   priority queue: sends first, then confirmations, then other reads, then balance polling.
+ * - Reads and transaction sends are routed separately, each to a weighted random healthy endpoint
+ *   with the matching role. Latency and error rate lower an endpoint's share of the traffic.
+ * - Rate limits (429), timeouts and connection errors put an endpoint in a growing cooldown and the
+ *   call is retried on another endpoint. With several endpoints, a periodic `getSlot` health check
+ *   also takes endpoints lagging behind the highest slot out of rotation.
+ * The same configuration is read by `src/utils/rpcPool.ts`.
+ */
+
+const RPC_ROLES = ['read', 'send'];
+const RPC_TIERS = ['PUBLIC', 'PREMIUM'];
+
+// Connection methods that submit transactions
+const SEND_METHODS = new Set(['sendRawTransaction', 'sendTransaction', 'sendEncodedTransaction']);
+
+// Subscriptions stay on the primary endpoint, since subscription IDs belong to one connection
+const SUBSCRIPTION_METHOD_PATTERN = /^(on|remove)[A-Z]/;
+
+// Request credits and concurrency per tier. The public mainnet-beta RPC allows 100 requests per 10s
+// (40 per method), so it is kept well below that to leave room for web3.js's own internal calls
+const TIER_LIMITS = {
+  PUBLIC: { requestsPerSecond: 1, burst: 2, maxConcurrent: 2 },
+  PREMIUM: { requestsPerSecond: 10, burst: 10, maxConcurrent: 10 }
+};
+
+// Credits per call for methods providers bill above a plain request; any other method costs 1
+const METHOD_COSTS = {
+  getProgramAccounts: 10,
+  getParsedProgramAccounts: 10,
+  getTokenAccountsByOwner: 2,
+  getParsedTokenAccountsByOwner: 2,
+  getMultipleAccountsInfo: 2,
+  getTransaction: 2,
+  getParsedTransaction: 2
+};
+
+// Queue priority per method; any other method is 'normal'
+const METHOD_PRIORITIES = {
+  sendRawTransaction: 'send',
+  sendTransaction: 'send',
+  sendEncodedTransaction: 'send',
+  getLatestBlockhash: 'send',
+  simulateTransaction: 'send',
+  getFeeForMessage: 'send',
+  confirmTransaction: 'confirm',
+  getSignatureStatus: 'confirm',
+  getSignatureStatuses: 'confirm',
+  getBlockHeight: 'confirm',
+  getBalance: 'poll',
+  getAccountInfo: 'poll',
+  getMultipleAccountsInfo: 'poll',
+  getTokenAccountBalance: 'poll',
+  getParsedTokenAccountsByOwner: 'poll'
+};
+
+// confirmTransaction mostly waits on a WebSocket subscription, so it takes credits but no concurrency slot
+const SLOTLESS_METHODS = new Set(['confirmTransaction']);
+
+// Priority and cancellation for the pool calls made inside runWithRpcOptions
+const rpcOptions = new AsyncLocalStorage();
+
+// Errors worth retrying on another endpoint
+const FAILOVER_ERROR_PATTERN = /429|Too Many Requests|timed? ?out|timeout|ETIMEDOUT|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed|502|503|504|Bad Gateway|Service Unavailable|Gateway Time/i;
+
+const DEFAULT_OPTIONS = {
+  healthCheckIntervalMs: Number(process.env.RPC_HEALTH_CHECK_INTERVAL_MS ?? 30000),
+  maxSlotLag: Number(process.env.RPC_MAX_SLOT_LAG ?? 50),
+  cooldownMs: 5000,
+  maxCooldownMs: 60000,
+  // Endpoints slower than this get a proportionally smaller share of the traffic
+  referenceLatencyMs: 250
+};
+
+// Weight of the newest sample in the latency and error rate moving averages
+const SMOOTHING = 0.2;
+
+// The free public RPCs of mainnet-beta, devnet and testnet
+const PUBLIC_RPC_PATTERN = /api\.(mainnet-beta|devnet|testnet)\.solana\.com/;
+
+/**
+ * Detects the provider tier of an RPC URL (the free public cluster RPCs are strictly rate limited).
+ * @param {string} url - The RPC URL.
+ * @returns {string} PUBLIC or PREMIUM.
+ */
+function detectTier(url) {
+  return PUBLIC_RPC_PATTERN.test(url) ? 'PUBLIC' : 'PREMIUM';
+}
+
+/**
+ * Validates an endpoint configuration and fills in defaults.
+ * @param {object|string} entry - The endpoint configuration or URL.
+ * @returns {{url: string, name: string, weight: number, roles: Array<string>, tier: string, wsUrl?: string,
+ *   rateLimit: {requestsPerSecond: number, burst: number, maxConcurrent: number}}}
+ * @throws {Error} If the configuration is invalid.
+ */
+function normalizeEndpoint(entry) {
+  const { url, name, weight = 1, roles = RPC_ROLES, tier, wsUrl, rateLimit } = typeof entry === 'string' ? { url: entry } : entry;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid RPC endpoint configuration: ${url} is not a URL`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Invalid RPC endpoint configuration: ${parsed.host} must use http or https`);
+  }
+  if (typeof weight !== 'number' || !(weight > 0)) {
+    throw new Error(`Invalid RPC endpoint configuration: weight of ${parsed.host} must be a positive number`);
+  }
+  if (!Array.isArray(roles) || roles.length === 0 || roles.some(role => !RPC_ROLES.includes(role))) {
+    throw new Error(`Invalid RPC endpoint configuration: roles of ${parsed.host} must be a non-empty subset of ${RPC_ROLES.join(', ')}`);
+  }
+  if (tier !== undefined && !RPC_TIERS.includes(tier)) {
+    throw new Error(`Invalid RPC endpoint configuration: tier of ${parsed.host} must be one of ${RPC_TIERS.join(', ')}`);
+  }
+  const resolvedTier = tier || detectTier(url);
+  const limits = { ...TIER_LIMITS[resolvedTier], ...rateLimit };
+  if (Object.values(limits).some(value => typeof value !== 'number' || !(value > 0)) || Object.keys(limits).length !== 3) {
+    throw new Error(`Invalid RPC endpoint configuration: rateLimit of ${parsed.host} may only set positive requestsPerSecond, burst and maxConcurrent`);
+  }
+
+  return {
+    url,
+    // URLs often embed API keys, so endpoints are identified by host in logs and stats
+    name: name || parsed.host,
+    weight,
+    roles,
+    tier: resolvedTier,
+    wsUrl,
+    rateLimit: limits
+  };
+}
+
+/**
+ * Parses the endpoint list of SOLANA_RPC_ENDPOINTS.
+ * @param {string} [value] - Comma-separated URLs or a JSON array of endpoint configurations.
+ * @param {string|object} fallbackUrl - Endpoint URL or configuration used when the list is empty.
+ * @returns {Array<object>} Normalized endpoint configurations.
+ * @throws {Error} If the list is invalid or lacks an endpoint for reads or sends.
+ */
+function parseRpcEndpoints(value, fallbackUrl) {
+  const text = (value || '').trim();
+  let entries;
+  if (!text) {
+    entries = [fallbackUrl];
+  } else if (text.startsWith('[')) {
+    try {
+      entries = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid RPC endpoint configuration: ${error.message}`);
+    }
+  } else {
+    entries = text.split(',').map(url => url.trim()).filter(Boolean);
+  }
+
+  const endpoints = entries.map(normalizeEndpoint);
+  for (const role of RPC_ROLES) {
+    if (!endpoints.some(endpoint => endpoint.roles.includes(role))) {
+      throw new Error(`Invalid RPC endpoint configuration: no endpoint has the ${role} role`);
+    }
+  }
+  return endpoints;
+}
+
+/**
+ * Whether an RPC error should be retried on another endpoint.
+ * @param {Error} error - The error.
+ * @returns {boolean}
+ */
+function isFailoverError(error) {
+  return FAILOVER_ERROR_PATTERN.test((error && error.message) || '');
+}
+
+/**
+ * Runs a function with options for the pool calls it makes, including calls made by awaited helpers.
+ * @param {object} options - Call options.
+ * @param {string} [options.priority] - Queue priority (send, confirm, normal or poll) instead of the method's default.
+ * @param {AbortSignal} [options.signal] - Cancels calls still waiting in a rate limiter queue.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The return value of `fn`.
+ */
+function runWithRpcOptions({ priority, signal } = {}, fn) {
+  if (priority !== undefined && !PRIORITIES.includes(priority)) {
+    throw new Error(`Invalid RPC priority: ${priority} (expected one of ${PRIORITIES.join(', ')})`);
+  }
+  return rpcOptions.run({ priority, signal }, fn);
+}
+
+/**
+ * Creates a pool of RPC endpoints.
+ * @param {Array<object>} endpoints - Endpoint configurations (see parseRpcEndpoints).
+ * @param {object} [options] - Health check and cooldown settings (see DEFAULT_OPTIONS).
+ * @returns {{connection: Connection, getPrimaryEndpoint: Function, hasHealthyEndpoint: Function,
+ *   getStats: Function, checkHealth: Function, stop: Function}} The pool. `connection` is a drop-in
+ *   Connection whose calls are routed through the pool.
+ */
+function createRpcPool(endpoints, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const pool = endpoints.map(config => ({
+    ...config,
+    connection: new Connection(config.url, {
+      commitment: 'confirmed',
+      confirmTransactionInitialTimeout: 60000,
+      wsEndpoint: config.wsUrl,
+      // With somewhere to fail over to, rate limited calls move on instead of retrying in place
+      disableRetryOnRateLimit: endpoints.length > 1
+    }),
+    limiter: createRateLimiter(config.rateLimit || TIER_LIMITS[config.tier]),
+    latencyMs: null,
+    errorRate: 0,
+    requests: 0,
+    errors: 0,
+    consecutiveFailures: 0,
+    cooldownUntil: 0,
+    slot: null,
+    slotLag: 0,
+    lastError: null
+  }));
+
+  // The primary endpoint serves subscriptions and plain properties: the heaviest read endpoint
+  const primary = pool
+    .filter(endpoint => endpoint.roles.includes('read'))
+    .reduce((best, endpoint) => (endpoint.weight > best.weight ? endpoint : best));
+
+  const isHealthy = (endpoint, now = Date.now()) => endpoint.cooldownUntil <= now && endpoint.slotLag <= settings.maxSlotLag;
+
+  /**
+   * Records the outcome of a call to an endpoint.
+   */
+  function record(endpoint, latencyMs, error) {
+    endpoint.requests++;
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : (1 - SMOOTHING) * endpoint.latencyMs + SMOOTHING * latencyMs;
+    endpoint.errorRate = (1 - SMOOTHING) * endpoint.errorRate + SMOOTHING * (error ? 1 : 0);
+
+    if (!error) {
+      endpoint.consecutiveFailures = 0;
+      return;
+    }
+
+    endpoint.errors++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.message;
+    const cooldown = Math.min(settings.cooldownMs * Math.pow(2, endpoint.consecutiveFailures - 1), settings.maxCooldownMs);
+    endpoint.cooldownUntil = Date.now() + cooldown;
+    logger.warn(`RPC endpoint ${endpoint.name} failed, out of rotation for ${cooldown}ms: ${error.message}`);
+  }
+
+  /**
+   * Picks an endpoint for a role, weighted by configuration, error rate and latency.
+   * When no endpoint is healthy, the one whose cooldown ends first is used.
+   */
+  function select(role, exclude) {
+    const candidates = pool.filter(endpoint => endpoint.roles.includes(role) && !exclude.has(endpoint));
+    const now = Date.now();
+    const healthy = candidates.filter(endpoint => isHealthy(endpoint, now));
+    if (healthy.length === 0) {
+      return candidates.reduce((best, endpoint) => (endpoint.cooldownUntil < best.cooldownUntil ? endpoint : best));
+    }
+
+    const scores = healthy.map(endpoint => endpoint.weight
+      * Math.max(0.05, 1 - endpoint.errorRate)
+      * (endpoint.latencyMs ? Math.min(1, settings.referenceLatencyMs / endpoint.latencyMs) : 1));
+    let target = Math.random() * scores.reduce((sum, score) => sum + score, 0);
+    for (let i = 0; i < healthy.length; i++) {
+      target -= scores[i];
+      if (target <= 0) {
+        return healthy[i];
+      }
+    }
+    return healthy[healthy.length - 1];
+  }
+
+  /**
+   * Runs a call on the endpoints of a role, moving to the next endpoint on failover errors.
+   * Each attempt first waits for the endpoint's rate limiter.
+   */
+  async function call(role, method, invoke) {
+    const tried = new Set();
+    const candidates = pool.filter(endpoint => endpoint.roles.includes(role)).length;
+    const { priority, signal } = rpcOptions.getStore() || {};
+    const request = {
+      cost: METHOD_COSTS[method] || 1,
+      priority: priority || METHOD_PRIORITIES[method] || 'normal',
+      signal
+    };
+    let lastError;
+
+    while (tried.size < candidates) {
+      const endpoint = select(role, tried);
+      tried.add(endpoint);
+      let release = await endpoint.limiter.acquire(request);
+      if (SLOTLESS_METHODS.has(method)) {
+        release();
+        release = () => {};
+      }
+      const startedAt = Date.now();
+      try {
+        const result = await invoke(endpoint.connection);
+        record(endpoint, Date.now() - startedAt, null);
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (!isFailoverError(error)) {
+          // The endpoint answered; the request itself was rejected
+          record(endpoint, Date.now() - startedAt, null);
+          throw error;
+        }
+        record(endpoint, Date.now() - startedAt, error);
+        if (tried.size < candidates) {
+          logger.info(`Failing over ${role} call from ${endpoint.name}`);
+        }
+      } finally {
+        release();
+      }
+    }
+    throw lastError;
+  }
+
+  const connection = new Proxy(primary.connection, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function' || typeof property !== 'string'
+        || property.startsWith('_') || SUBSCRIPTION_METHOD_PATTERN.test(property)) {
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+      const role = SEND_METHODS.has(property) ? 'send' : 'read';
+      return (...args) => call(role, property, endpointConnection => endpointConnection[property](...args));
+    }
+  });
+
+  /**
+   * Refreshes the slot of every endpoint and the slot lag of each behind the highest.
+   * @returns {Promise<void>}
+   */
+  async function checkHealth() {
+    await Promise.all(pool.map(async endpoint => {
+      const release = await endpoint.limiter.acquire({ priority: 'poll' });
+      const startedAt = Date.now();
+      try {
+        endpoint.slot = await endpoint.connection.getSlot('confirmed');
+        record(endpoint, Date.now() - startedAt, null);
+      } catch (error) {
+        record(endpoint, Date.now() - startedAt, error);
+      } finally {
+        release();
+      }
+    }));
+
+    const highestSlot = Math.max(...pool.map(endpoint => endpoint.slot || 0));
+    for (const endpoint of pool) {
+      const lag = endpoint.slot === null ? 0 : highestSlot - endpoint.slot;
+      if (lag > settings.maxSlotLag && endpoint.slotLag <= settings.maxSlotLag) {
+        logger.warn(`RPC endpoint ${endpoint.name} is ${lag} slots behind, out of rotation`);
+      }
+      endpoint.slotLag = lag;
+    }
+    logger.debug('RPC pool health', { endpoints: getStats() });
+  }
+
+  /**
+   * Whether an endpoint with a role is currently in rotation.
+   * @param {string} role - read or send.
+   * @returns {boolean}
+   */
+  function hasHealthyEndpoint(role) {
+    return pool.some(endpoint => endpoint.roles.includes(role) && isHealthy(endpoint));
+  }
+
+  /**
+   * Gets the configuration of the primary endpoint.
+   * @returns {{url: string, name: string, weight: number, roles: Array<string>, tier: string}}
+   */
+  function getPrimaryEndpoint() {
+    const { url, name, weight, roles, tier } = primary;
+    return { url, name, weight, roles, tier };
+  }
+
+  /**
+   * Gets health statistics and rate limiter queue metrics of every endpoint (without URLs, which may hold API keys).
+   * @returns {Array<object>}
+   */
+  function getStats() {
+    const now = Date.now();
+    return pool.map(endpoint => ({
+      name: endpoint.name,
+      tier: endpoint.tier,
+      roles: endpoint.roles,
+      weight: endpoint.weight,
+      healthy: isHealthy(endpoint, now),
+      latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      errorRate: Math.round(endpoint.errorRate * 1000) / 1000,
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      slot: endpoint.slot,
+      slotLag: endpoint.slotLag,
+      cooldownRemainingMs: Math.max(0, endpoint.cooldownUntil - now),
+      lastError: endpoint.lastError,
+      rateLimit: endpoint.rateLimit,
+      queue: endpoint.limiter.getMetrics()
+    }));
+  }
+
+  // Health checks only matter when there is somewhere to fail over to
+  let timer = null;
+  if (pool.length > 1 && settings.healthCheckIntervalMs > 0) {
+    checkHealth().catch(error => logger.error('RPC health check failed:', error));
+    timer = setInterval(() => {
+      checkHealth().catch(error => logger.error('RPC health check failed:', error));
+    }, settings.healthCheckIntervalMs);
+    timer.unref();
+  }
+
+  /**
+   * Stops the periodic health checks.
+   */
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    connection,
+    getPrimaryEndpoint,
+    hasHealthyEndpoint,
+    getStats,
+    checkHealth,
+    stop
+  };
+}
+
+module.exports = {
+  RPC_ROLES,
+  RPC_TIERS,
+  TIER_LIMITS,
+  parseRpcEndpoints,
+  isFailoverError,
+  runWithRpcOptions,
+  createRpcPool
+};
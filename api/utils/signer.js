@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Signer');
+
+/**
+ * Transaction signers.
+ * A signer is `{ publicKey, signMessage(message) }`: it returns the ed25519 signature of a
+ * serialized transaction message, so the code that builds and sends transactions never needs
+ * the secret key itself.
+ * - Keypair signers sign in-process with a key loaded from the vault.
+ * - Remote signers send the message to a signer service over HTTP, so keys can live in an
+ *   isolated process or an HSM-backed service. `scripts/signer-daemon.js` is a local stand-in
+ *   for such a service.
+ * Remote signer protocol (shared with `src/wallet/signer.ts`):
+ * - `POST {SIGNER_URL}/v1/sign` with `Authorization: Bearer {SIGNER_AUTH_TOKEN}` and
+ *   `{ "publicKey": base58, "message": base64 }` returns `{ "signature": base64 }`.
+ * - Failures return `{ "error": string }` with a 4xx status when the request is refused
+ *   (unknown key, not a transaction the key has to sign) or a 5xx status.
+ * - `POST {SIGNER_URL}/v1/wallets...` creates, imports and derives wallets in the service's
+ *   vault (see `scripts/signer-daemon.js`), so the API never holds keys it did not receive.
+ */
+
+const SIGNER_URL = process.env.SIGNER_URL || null;
+const SIGNER_AUTH_TOKEN = process.env.SIGNER_AUTH_TOKEN || null;
+const SIGNER_TIMEOUT_MS = parseInt(process.env.SIGNER_TIMEOUT_MS || '10000', 10);
+
+// DER headers of ed25519 keys: PKCS#8 followed by the 32-byte seed, SPKI followed by the public key
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const SIGNATURE_LENGTH = 64;
+
+/**
+ * Checks whether signing goes through a remote signer (SIGNER_URL is set).
+ * @returns {boolean}
+ */
+function isRemoteSigningEnabled() {
+  return Boolean(SIGNER_URL);
+}
+
+/**
+ * Creates a signer that signs in-process with a keypair.
+ * @param {import('@solana/web3.js').Keypair} keypair - The keypair.
+ * @returns {{publicKey: PublicKey, signMessage: Function}} The signer.
+ */
+function createKeypairSigner(keypair) {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(keypair.secretKey.slice(0, 32))]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  return {
+    publicKey: keypair.publicKey,
+    async signMessage(message) {
+      return new Uint8Array(crypto.sign(null, Buffer.from(message), privateKey));
+    }
+  };
+}
+
+/**
+ * Checks an ed25519 signature of a message.
+ * @param {PublicKey} publicKey - The signing key.
+ * @param {Uint8Array} message - The signed message.
+ * @param {Uint8Array} signature - The signature.
+ * @returns {boolean}
+ */
+function verifySignature(publicKey, message, signature) {
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.toBuffer()]),
+    format: 'der',
+    type: 'spki'
+  });
+  return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+/**
+ * Creates a signer that asks a remote signer service to sign for a public key.
+ * Signatures are verified before they are returned, so a misbehaving service cannot
+ * get an invalid transaction sent.
+ * @param {string|PublicKey} publicKey - The public key the service signs for.
+ * @param {object} [options] - Service options.
+ * @param {string} [options.url] - Base URL of the service (defaults to SIGNER_URL).
+ * @param {string} [options.authToken] - Bearer token (defaults to SIGNER_AUTH_TOKEN).
+ * @param {number} [options.timeoutMs] - Request timeout (defaults to SIGNER_TIMEOUT_MS or 10s).
+ * @returns {{publicKey: PublicKey, signMessage: Function}} The signer.
+ * @throws {Error} If no service URL is configured.
+ */
+function createRemoteSigner(publicKey, { url = SIGNER_URL, authToken = SIGNER_AUTH_TOKEN, timeoutMs = SIGNER_TIMEOUT_MS } = {}) {
+  if (!url) {
+    throw new Error('Remote signer URL not configured. Set SIGNER_URL.');
+  }
+  const key = new PublicKey(publicKey);
+  const endpoint = `${url.replace(/\/+$/, '')}/v1/sign`;
+
+  return {
+    publicKey: key,
+    async signMessage(message) {
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(authToken && { Authorization: `Bearer ${authToken}` })
+          },
+          body: JSON.stringify({ publicKey: key.toBase58(), message: Buffer.from(message).toString('base64') }),
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+      } catch (error) {
+        throw new Error(`Signer unavailable for ${key.toBase58()}: ${error.message}`);
+      }
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const reason = body.error || `HTTP ${response.status}`;
+        if (response.status >= 500) {
+          throw new Error(`Signer unavailable for ${key.toBase58()}: ${reason}`);
+        }
+        throw new Error(`Signer rejected signing for ${key.toBase58()}: ${reason}`);
+      }
+
+      const signature = Buffer.from(typeof body.signature === 'string' ? body.signature : '', 'base64');
+      if (signature.length !== SIGNATURE_LENGTH || !verifySignature(key, message, signature)) {
+        throw new Error(`Signer rejected signing for ${key.toBase58()}: invalid signature returned`);
+      }
+      return new Uint8Array(signature);
+    }
+  };
+}
+
+/**
+ * Sends a request to the signer service (other than signing), such as creating a wallet.
+ * @param {string} path - Path below SIGNER_URL, e.g. `/v1/wallets`.
+ * @param {object} body - JSON request body.
+ * @param {object} [options] - Service options.
+ * @param {string} [options.url] - Base URL of the service (defaults to SIGNER_URL).
+ * @param {string} [options.authToken] - Bearer token (defaults to SIGNER_AUTH_TOKEN).
+ * @param {number} [options.timeoutMs] - Request timeout (defaults to SIGNER_TIMEOUT_MS or 10s).
+ * @returns {Promise<object>} The JSON response.
+ * @throws {Error} "Signer unavailable" if the service cannot be reached or fails, "Signer rejected"
+ *   with the service's reason (e.g. "Wallet not found: ...") if it refuses the request.
+ */
+async function requestSignerService(path, body, { url = SIGNER_URL, authToken = SIGNER_AUTH_TOKEN, timeoutMs = SIGNER_TIMEOUT_MS } = {}) {
+  if (!url) {
+    throw new Error('Remote signer URL not configured. Set SIGNER_URL.');
+  }
+
+  let response;
+  try {
+    response = await fetch(`${url.replace(/\/+$/, '')}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(authToken && { Authorization: `Bearer ${authToken}` })
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    throw new Error(`Signer unavailable: ${error.message}`);
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = result.error || `HTTP ${response.status}`;
+    if (response.status >= 500) {
+      throw new Error(`Signer unavailable: ${reason}`);
+    }
+    throw new Error(`Signer rejected the request: ${reason}`);
+  }
+  return result;
+}
+
+/**
+ * Wraps keypairs as signers; signers are returned unchanged.
+ * @param {object} signer - A signer or a keypair.
+ * @returns {{publicKey: PublicKey, signMessage: Function}} The signer.
+ */
+function toTransactionSigner(signer) {
+  return typeof signer.signMessage === 'function' ? signer : createKeypairSigner(signer);
+}
+
+/**
+ * Signs a legacy transaction, replacing any previous signatures like `Transaction.sign`.
+ * The first signer should be the fee payer. Signers are asked in parallel.
+ * @param {import('@solana/web3.js').Transaction} transaction - The transaction, with its blockhash set.
+ * @param {Array<object>} signers - Signers or keypairs.
+ * @returns {Promise<import('@solana/web3.js').Transaction>} The signed transaction.
+ * @throws {Error} If there are no signers, a signer is not required by the transaction or signing fails.
+ */
+async function signTransaction(transaction, signers) {
+  if (signers.length === 0) {
+    throw new Error('No signers');
+  }
+
+  const unique = [];
+  for (const signer of signers.map(toTransactionSigner)) {
+    if (!unique.some(item => item.publicKey.equals(signer.publicKey))) {
+      unique.push(signer);
+    }
+  }
+
+  transaction.signatures = unique.map(signer => ({ publicKey: signer.publicKey, signature: null }));
+  const message = transaction.serializeMessage();
+
+  const signatures = await Promise.all(unique.map(signer => signer.signMessage(message)));
+  unique.forEach((signer, index) => {
+    transaction.addSignature(signer.publicKey, Buffer.from(signatures[index]));
+  });
+  logger.debug(`Signed transaction with ${unique.length} signer(s)`);
+
+  return transaction;
+}
+
+/**
+ * Signs a versioned transaction (such as a Jupiter swap) with the given signers.
+ * @param {import('@solana/web3.js').VersionedTransaction} transaction - The transaction.
+ * @param {Array<object>} signers - Signers or keypairs.
+ * @returns {Promise<import('@solana/web3.js').VersionedTransaction>} The signed transaction.
+ * @throws {Error} If a signer is not required by the transaction or signing fails.
+ */
+async function signVersionedTransaction(transaction, signers) {
+  const transactionSigners = signers.map(toTransactionSigner);
+  const message = transaction.message.serialize();
+
+  const signatures = await Promise.all(transactionSigners.map(signer => signer.signMessage(message)));
+  transactionSigners.forEach((signer, index) => {
+    transaction.addSignature(signer.publicKey, signatures[index]);
+  });
+
+  return transaction;
+}
+
+module.exports = {
+  isRemoteSigningEnabled,
+  createKeypairSigner,
+  createRemoteSigner,
+  requestSignerService,
+  toTransactionSigner,
+  signTransaction,
+  signVersionedTransaction
+};
@@ -1,18 +1,24 @@
-const { Connection } = require('@solana/web3.js');
 const { TOKEN_PROGRAM_ID } = require('@solana/spl-token');
 const web3 = require('@solana/web3.js');
+const { createLogger } = require('./logger');
+const { createRpcPool, parseRpcEndpoints } = require('./rpcPool');
+const { getNetworkConfig } = require('../config/network');
 
-// Get RPC URL from environment variable or use default mainnet-beta
-const MAINNET_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const logger = createLogger('SolanaUtils');
 
-console.log(`[SolanaUtils] Using RPC endpoint: ${MAINNET_URL}`);
+// RPC URL from SOLANA_RPC_URL, or the public RPC of the SOLANA_NETWORK cluster
+const { network, rpcUrl, wsUrl } = getNetworkConfig();
+const RPC_URL = rpcUrl;
 
-// Create connection with optimized settings for fast confirmation
-let connection = new Connection(MAINNET_URL, {
-  commitment: 'confirmed',
-  confirmTransactionInitialTimeout: 60000, // Increased timeout for better confirmation
-  wsEndpoint: undefined // Disable WebSocket for more predictable behavior
-});
+// Endpoint pool (SOLANA_RPC_ENDPOINTS, or the single RPC URL)
+const rpcPool = createRpcPool(parseRpcEndpoints(process.env.SOLANA_RPC_ENDPOINTS, { url: RPC_URL, wsUrl }));
+
+logger.info(`Solana network: ${network}`);
+
+logger.info(`Using RPC endpoints: ${rpcPool.getStats().map(endpoint => `${endpoint.name} (${endpoint.roles.join('/')}, weight ${endpoint.weight})`).join(', ')}`);
+
+// Shared connection; every call is routed to a healthy endpoint of the pool
+let connection = rpcPool.connection;
 
 /**
  * Helper function to add delay between operations
@@ -47,7 +53,7 @@ async function retry(fn, maxRetries = 3, initialDelay = 1000) {
       
       if (i < maxRetries - 1) {
         const waitTime = initialDelay * Math.pow(2, i);
-        console.log(`[SolanaUtils] Attempt ${i + 1} failed. Retrying in ${waitTime}ms...`);
+        logger.warn(`Attempt ${i + 1} failed. Retrying in ${waitTime}ms...`);
         await delay(waitTime);
       }
     }
@@ -62,7 +68,7 @@ async function retry(fn, maxRetries = 3, initialDelay = 1000) {
  * @returns {Promise<{blockhash: string, lastValidBlockHeight: number}>}
  */
 async function getRecentBlockhash(connectionOverride = null, commitment = 'confirmed') {
-  console.log(`[SolanaUtils] Fetching recent blockhash with commitment: ${commitment}`);
+  logger.debug(`Fetching recent blockhash with commitment: ${commitment}`);
   
   const conn = connectionOverride || connection;
   
@@ -70,7 +76,7 @@ async function getRecentBlockhash(connectionOverride = null, commitment = 'confi
     return await conn.getLatestBlockhash(commitment);
   }, 3, 1000);
   
-  console.log(`[SolanaUtils] Blockhash obtained: ${result.blockhash.slice(0, 8)}...`);
+  logger.debug(`Blockhash obtained: ${result.blockhash.slice(0, 8)}...`);
   return result;
 }
 
@@ -82,7 +88,7 @@ async function getRecentBlockhash(connectionOverride = null, commitment = 'confi
  */
 async function getTokenBalance(walletPublicKey, mintAddress) {
     try {
-        console.log(`[SolanaUtils] Getting token balance for mint: ${mintAddress}`);
+        logger.debug(`Getting token balance for mint: ${mintAddress}`);
         
         const tokenAccounts = await connection.getParsedTokenAccountsByOwner(
             new web3.PublicKey(walletPublicKey),
@@ -97,21 +103,23 @@ async function getTokenBalance(walletPublicKey, mintAddress) {
         const balance = Number(account.account.data.parsed.info.tokenAmount.amount);
         const decimals = account.account.data.parsed.info.tokenAmount.decimals;
 
-        console.log(`[SolanaUtils] Token balance: ${balance} (decimals: ${decimals})`);
+        logger.info(`Token balance: ${balance} (decimals: ${decimals})`);
         return { balance, decimals };
     } catch (error) {
-        console.error(`[SolanaUtils] Error getting token balance: ${error.message}`);
+        logger.error(`Error getting token balance: ${error.message}`);
         throw error;
     }
 }
 
 module.exports = {
   connection,
+  rpcPool,
   delay,
   sleep,
   retry,
   getRecentBlockhash,
   getTokenBalance,
+  RPC_URL,
   // Legacy exports for compatibility
-  MAINNET_URL
+  MAINNET_URL: RPC_URL
 }; 
\ No newline at end of file
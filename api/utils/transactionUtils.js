@@ -1,17 +1,26 @@
 const web3 = require('@solana/web3.js');
-const { connection, delay } = require('./solanaUtils');
+const bs58 = require('bs58');
+const { connection, delay, rpcPool } = require('./solanaUtils');
+const { isFailoverError, runWithRpcOptions } = require('./rpcPool');
+const { getAbortError } = require('./rateLimiter');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, decodeTransferCheckedInstruction } = require('@solana/spl-token');
+const { getExplorerTxUrl } = require('../config/network');
+const { recordSentTransaction, updateTransaction } = require('../services/transactionHistoryService');
+const { signTransaction } = require('./signer');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('TransactionUtils');
 
 /**
  * RPC Provider Configuration for optimal settings
- * These settings are optimized for each provider type
+ * These settings are optimized for each provider type. Request pacing is done per endpoint
+ * by the rate limiters of the RPC pool (see TIER_LIMITS in rpcPool.js).
  */
 const RPC_CONFIGS = {
     // Public mainnet-beta (free tier) - VERY strict rate limiting required
     // Official limits: 100 req/10s total, 40 req/10s per method, 40 concurrent connections
     PUBLIC: {
         name: 'Public Mainnet-Beta',
-        rpcCallInterval: 1000, // 1000ms between calls (conservative for 100 req/10s = max 10 req/s)
-        maxConcurrentRequests: 2, // Very low concurrent requests (limit is 40)
         retryBackoff: 15000, // 15s backoff for 429 errors (much longer)
         confirmationTimeout: 60000, // 60s confirmation timeout (longer for rate-limited environment)
         useWebSocket: true, // Always use WebSocket to avoid polling
@@ -21,8 +30,6 @@ const RPC_CONFIGS = {
     // Premium providers (QuickNode, Helius, Alchemy) - relaxed settings
     PREMIUM: {
         name: 'Premium RPC Provider',
-        rpcCallInterval: 100, // 100ms between calls (higher limits)
-        maxConcurrentRequests: 10, // More concurrent requests allowed
         retryBackoff: 1000, // 1s backoff
         confirmationTimeout: 30000, // 30s confirmation timeout
         useWebSocket: true, // WebSocket preferred but polling fallback available
@@ -30,61 +37,49 @@ const RPC_CONFIGS = {
     }
 };
 
-// Detect RPC type based on URL
+// Pick the configuration from the tier of the primary RPC endpoint (detected from its URL or configured)
 function getRpcConfig() {
-    const rpcUrl = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
-    
-    if (rpcUrl.includes('api.mainnet-beta.solana.com')) {
-        console.log(`[TransactionUtils] Using PUBLIC RPC configuration for: ${rpcUrl}`);
-        return RPC_CONFIGS.PUBLIC;
-    } else {
-        console.log(`[TransactionUtils] Using PREMIUM RPC configuration for: ${rpcUrl}`);
-        return RPC_CONFIGS.PREMIUM;
-    }
+    const { name, tier } = rpcPool.getPrimaryEndpoint();
+    logger.info(`Using ${tier} RPC configuration for: ${name}`);
+    return RPC_CONFIGS[tier];
 }
 
 const currentRpcConfig = getRpcConfig();
 
 /**
- * Enhanced RPC rate limiting protection based on provider type
+ * Runs RPC calls with retries on rate limit and connection errors.
+ * The calls made by `rpcFunction` wait in the rate limiter queue of the endpoint they are
+ * routed to, ordered by `priority` (by default, the priority of each RPC method).
+ * @param {Function} rpcFunction - Async function making the RPC calls.
+ * @param {number} [retries=3] - Attempts before giving up.
+ * @param {object} [options] - Call options.
+ * @param {string} [options.priority] - Queue priority: send, confirm, normal or poll.
+ * @param {AbortSignal} [options.signal] - Cancels queued calls and pending retries.
+ * @returns {Promise<*>} The result of `rpcFunction`.
  */
-let lastRpcCall = 0;
-let concurrentRequests = 0;
-
-async function rateLimitedRpcCall(rpcFunction, retries = 3) {
-    // Wait for concurrent request slot
-    while (concurrentRequests >= currentRpcConfig.maxConcurrentRequests) {
-        await sleep(50); // Short wait for slot to open
-    }
-    
-    concurrentRequests++;
-    
-    try {
-        for (let i = 0; i < retries; i++) {
-            try {
-                // Ensure minimum interval between RPC calls
-                const now = Date.now();
-                const timeSinceLastCall = now - lastRpcCall;
-                if (timeSinceLastCall < currentRpcConfig.rpcCallInterval) {
-                    await sleep(currentRpcConfig.rpcCallInterval - timeSinceLastCall);
-                }
-                lastRpcCall = Date.now();
-                
-                return await rpcFunction();
-            } catch (error) {
-                if (error.message.includes('429') || error.message.includes('Too Many Requests')) {
-                    const backoffTime = Math.min(currentRpcConfig.retryBackoff * Math.pow(2, i), 30000);
-                    console.warn(`[TransactionUtils] RPC rate limited, waiting ${backoffTime}ms (attempt ${i + 1}/${retries})`);
-                    await sleep(backoffTime);
+async function rateLimitedRpcCall(rpcFunction, retries = 3, { priority, signal } = {}) {
+    for (let i = 0; i < retries; i++) {
+        if (signal && signal.aborted) {
+            throw getAbortError(signal);
+        }
+        try {
+            return await runWithRpcOptions({ priority, signal }, rpcFunction);
+        } catch (error) {
+            if (isFailoverError(error)) {
+                // The failing endpoint is out of rotation now; retry at once if another one is available
+                if (rpcPool.hasHealthyEndpoint('read')) {
+                    logger.warn(`RPC call failed (${error.message}), retrying on another endpoint (attempt ${i + 1}/${retries})`);
                     continue;
                 }
-                throw error;
+                const backoffTime = Math.min(currentRpcConfig.retryBackoff * Math.pow(2, i), 30000);
+                logger.warn(`RPC rate limited or unavailable, waiting ${backoffTime}ms (attempt ${i + 1}/${retries})`);
+                await sleep(backoffTime, signal);
+                continue;
             }
+            throw error;
         }
-        throw new Error('RPC call failed after rate limiting retries');
-    } finally {
-        concurrentRequests--;
     }
+    throw new Error('RPC call failed after rate limiting retries');
 }
 
 /**
@@ -94,23 +89,40 @@ async function rateLimitedRpcCall(rpcFunction, retries = 3) {
  * @returns {Promise<{blockhash: string, lastValidBlockHeight: number}>}
  */
 async function getRecentBlockhash(connection, commitment = 'confirmed') {
-    console.log(`[TransactionUtils] Fetching recent blockhash with commitment: ${commitment}`);
+    logger.debug(`Fetching recent blockhash with commitment: ${commitment}`);
     
     const result = await rateLimitedRpcCall(async () => {
         return await connection.getLatestBlockhash(commitment);
     });
     
-    console.log(`[TransactionUtils] Blockhash obtained: ${result.blockhash.slice(0, 8)}...`);
+    logger.debug(`Blockhash obtained: ${result.blockhash.slice(0, 8)}...`);
     return result;
 }
 
 /**
  * Sleep utility function
  * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Ends the sleep early with an AbortError
  * @returns {Promise<void>}
  */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+    if (!signal) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    if (signal.aborted) {
+        return Promise.reject(getAbortError(signal));
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(getAbortError(signal));
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
 }
 
 /**
@@ -121,7 +133,7 @@ function sleep(ms) {
  * @returns {web3.Transaction} The transaction with priority fee instructions added.
  */
 function addPriorityFeeInstructions(transaction, priorityFeeMicrolamports = 100000, computeUnitLimit = 200000) {
-    console.log(`[TransactionUtils] Adding priority fee: ${priorityFeeMicrolamports} microlamports, CU limit: ${computeUnitLimit}`);
+    logger.info(`Adding priority fee: ${priorityFeeMicrolamports} microlamports, CU limit: ${computeUnitLimit}`);
     
     // Add compute unit limit instruction
     const computeUnitLimitInstruction = web3.ComputeBudgetProgram.setComputeUnitLimit({
@@ -150,7 +162,7 @@ function addPriorityFeeInstructions(transaction, priorityFeeMicrolamports = 1000
  * @returns {Promise<object>} Confirmation result
  */
 async function confirmTransactionAdvanced(connection, signature, blockhash, lastValidBlockHeight, commitment = 'confirmed') {
-    console.log(`[TransactionUtils] Starting ADVANCED WebSocket confirmation for: ${signature.slice(0, 8)}...`);
+    logger.info(`Starting ADVANCED WebSocket confirmation for: ${signature.slice(0, 8)}...`);
 
     // Per user feedback, the WebSocket-based confirmation is preferred and more reliable.
     // We will no longer fall back to full polling if the WebSocket connection fails,
@@ -161,12 +173,12 @@ async function confirmTransactionAdvanced(connection, signature, blockhash, last
             return await confirmWithWebSocket(connection, signature, blockhash, lastValidBlockHeight, commitment);
         } catch (error) {
             // Let errors (like timeouts) propagate to the retry logic in sendAndConfirmTransactionWrapper.
-            console.warn(`[TransactionUtils] WebSocket confirmation failed: ${error.message}. This may trigger a retry.`);
+            logger.warn(`WebSocket confirmation failed: ${error.message}. This may trigger a retry.`);
             throw error;
         }
     } else {
         // Fallback for RPC configs that do not support or recommend WebSockets.
-        console.log(`[TransactionUtils] RPC config directs to use polling confirmation.`);
+        logger.info(`RPC config directs to use polling confirmation.`);
         return await confirmWithPolling(connection, signature, blockhash, lastValidBlockHeight, commitment);
     }
 }
@@ -175,12 +187,13 @@ async function confirmTransactionAdvanced(connection, signature, blockhash, last
  * WebSocket-based confirmation (optimal for rate limiting)
  */
 async function confirmWithWebSocket(connection, signature, blockhash, lastValidBlockHeight, commitment) {
-    console.log(`[TransactionUtils] Using WebSocket confirmation strategy`);
+    logger.info(`Using WebSocket confirmation strategy`);
     
     return new Promise((resolve, reject) => {
         let subscriptionId = null;
         let timeoutId = null;
         let resolved = false;
+        let slot = null;
         
         const cleanup = () => {
             if (timeoutId) {
@@ -208,8 +221,8 @@ async function confirmWithWebSocket(connection, signature, blockhash, lastValidB
             } else if (result.err) {
                 reject(new Error(`Transaction failed: ${JSON.stringify(result.err)}`));
             } else {
-                console.log(`[TransactionUtils] ✅ WebSocket confirmation successful!`);
-                resolve({ value: result });
+                logger.info(`WebSocket confirmation successful!`);
+                resolve({ context: { slot }, value: result });
             }
         };
         
@@ -218,7 +231,8 @@ async function confirmWithWebSocket(connection, signature, blockhash, lastValidB
             subscriptionId = connection.onSignatureWithOptions(
                 signature,
                 (notificationResult, context) => {
-                    console.log(`[TransactionUtils] WebSocket notification received in slot: ${context.slot}`);
+                    logger.debug(`WebSocket notification received in slot: ${context.slot}`);
+                    slot = context.slot;
                     handleResult(notificationResult);
                 },
                 { commitment: commitment }
@@ -228,7 +242,7 @@ async function confirmWithWebSocket(connection, signature, blockhash, lastValidB
             timeoutId = setTimeout(async () => {
                 if (resolved) return;
                 
-                console.log(`[TransactionUtils] WebSocket timeout reached, doing final status check...`);
+                logger.info(`WebSocket timeout reached, doing final status check...`);
                 
                 try {
                     // Final check before timeout
@@ -242,7 +256,8 @@ async function confirmWithWebSocket(connection, signature, blockhash, lastValidB
                                            (commitment === 'confirmed' && status.confirmationStatus === 'finalized');
                         
                         if (isConfirmed && !status.err) {
-                            console.log(`[TransactionUtils] ✅ Confirmed by fallback status check!`);
+                            logger.info(`Confirmed by fallback status check!`);
+                            slot = status.slot;
                             handleResult(status);
                             return;
                         }
@@ -250,7 +265,7 @@ async function confirmWithWebSocket(connection, signature, blockhash, lastValidB
                     
                     handleResult(null, true); // Timeout
                 } catch (error) {
-                    console.warn(`[TransactionUtils] Final status check failed: ${error.message}`);
+                    logger.warn(`Final status check failed: ${error.message}`);
                     handleResult(null, true); // Timeout
                 }
             }, currentRpcConfig.confirmationTimeout);
@@ -266,7 +281,7 @@ async function confirmWithWebSocket(connection, signature, blockhash, lastValidB
  * Polling-based confirmation with smart rate limiting
  */
 async function confirmWithPolling(connection, signature, blockhash, lastValidBlockHeight, commitment) {
-    console.log(`[TransactionUtils] Using polling confirmation strategy`);
+    logger.info(`Using polling confirmation strategy`);
     
     try {
         // Use the official confirmTransaction method with rate limiting
@@ -282,11 +297,11 @@ async function confirmWithPolling(connection, signature, blockhash, lastValidBlo
             throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
         }
         
-        console.log(`[TransactionUtils] ✅ Polling confirmation successful!`);
+        logger.info(`Polling confirmation successful!`);
         return confirmation;
         
     } catch (error) {
-        console.error(`[TransactionUtils] ❌ Polling confirmation failed: ${error.message}`);
+        logger.error(`Polling confirmation failed: ${error.message}`);
         throw error;
     }
 }
@@ -297,7 +312,7 @@ async function confirmWithPolling(connection, signature, blockhash, lastValidBlo
  */
 async function checkTransactionStatus(connection, signature) {
     try {
-        console.log(`[TransactionUtils] Checking existing transaction status for: ${signature.slice(0, 8)}...`);
+        logger.debug(`Checking existing transaction status for: ${signature.slice(0, 8)}...`);
         
         const status = await rateLimitedRpcCall(async () => {
             return await connection.getSignatureStatus(signature);
@@ -307,10 +322,10 @@ async function checkTransactionStatus(connection, signature) {
             const result = status.value;
             if (result.confirmationStatus === 'confirmed' || result.confirmationStatus === 'finalized') {
                 if (!result.err) {
-                    console.log(`[TransactionUtils] ✅ Transaction already confirmed! Status: ${result.confirmationStatus}`);
-                    return { confirmed: true, signature };
+                    logger.info(`Transaction already confirmed! Status: ${result.confirmationStatus}`);
+                    return { confirmed: true, signature, slot: result.slot };
                 } else {
-                    console.log(`[TransactionUtils] ❌ Transaction failed with error: ${JSON.stringify(result.err)}`);
+                    logger.warn(`Transaction failed with error: ${JSON.stringify(result.err)}`);
                     return { confirmed: false, error: result.err };
                 }
             }
@@ -318,7 +333,7 @@ async function checkTransactionStatus(connection, signature) {
         
         return { confirmed: false };
     } catch (error) {
-        console.warn(`[TransactionUtils] Could not check transaction status: ${error.message}`);
+        logger.warn(`Could not check transaction status: ${error.message}`);
         return { confirmed: false };
     }
 }
@@ -334,7 +349,7 @@ function calculateTransactionFee(priorityFeeMicrolamports = 100000, computeUnitL
     const priorityFeeInLamports = Math.ceil((priorityFeeMicrolamports * computeUnitLimit) / 1000000);
     const totalFee = baseFee + priorityFeeInLamports;
     
-    console.log(`[TransactionUtils] Fee calculation: Base=${baseFee}, Priority=${priorityFeeInLamports}, Total=${totalFee} lamports`);
+    logger.debug(`Fee calculation: Base=${baseFee}, Priority=${priorityFeeInLamports}, Total=${totalFee} lamports`);
     return totalFee;
 }
 
@@ -344,13 +359,21 @@ function calculateTransactionFee(priorityFeeMicrolamports = 100000, computeUnitL
  * Includes duplicate transaction prevention based on research findings
  * @param {web3.Connection} connection - Solana connection object.
  * @param {web3.Transaction} transaction - The transaction to send.
- * @param {web3.Signer[]} signers - Array of signers for the transaction.
+ * @param {Array<web3.Signer|object>} signers - Keypairs or signers (see signer.js); the first pays the fees.
  * @param {object} [options] - Optional parameters.
  * @param {boolean} [options.skipPreflight=false] - Whether to skip preflight simulation.
  * @param {number} [options.maxRetries=3] - Maximum retries for sending/confirming.
  * @param {web3.Commitment} [options.commitment='confirmed'] - Desired commitment level.
  * @param {number} [options.priorityFeeMicrolamports=100000] - Priority fee in microlamports.
  * @param {number} [options.computeUnitLimit=200000] - Compute unit limit.
+ * @param {Function} [options.onSigned] - Called with `{signature, lastValidBlockHeight}` after each
+ *   attempt is signed and before it is sent, so callers can persist the signature first.
+ * @param {object} [options.history] - How the transaction is recorded in the transaction history.
+ * @param {string} [options.history.type='transaction'] - What it does (e.g. fund-children).
+ * @param {string} [options.history.jobId] - The background job sending it.
+ * @param {Array<object>} [options.history.transfers] - Its transfers, when they cannot be read from
+ *   its SOL and TransferChecked instructions.
+ * @param {object} [options.history.details] - Type-specific details.
  * @returns {Promise<string>} The transaction signature.
  */
 async function sendAndConfirmTransactionWrapper(connection, transaction, signers, options = {}) {
@@ -359,33 +382,52 @@ async function sendAndConfirmTransactionWrapper(connection, transaction, signers
         maxRetries = 3,
         commitment = 'confirmed',
         priorityFeeMicrolamports = 100000,
-        computeUnitLimit = 200000
+        computeUnitLimit = 200000,
+        onSigned = null,
+        history = {}
     } = options;
 
-    console.log(`[TransactionUtils] Starting ADVANCED transaction strategy with ${maxRetries} max retries`);
-    console.log(`[TransactionUtils] RPC Config: ${currentRpcConfig.name} - ${currentRpcConfig.description}`);
-    console.log(`[TransactionUtils] Configuration: skipPreflight=${skipPreflight}, commitment=${commitment}`);
+    logger.info(`Starting ADVANCED transaction strategy with ${maxRetries} max retries`);
+    logger.info(`RPC Config: ${currentRpcConfig.name} - ${currentRpcConfig.description}`);
+    logger.info(`Configuration: skipPreflight=${skipPreflight}, commitment=${commitment}`);
 
     // Add priority fee instructions
     addPriorityFeeInstructions(transaction, priorityFeeMicrolamports, computeUnitLimit);
 
     let retries = 0;
     let lastSignature = null;
+    // Last signature recorded in the transaction history whose outcome is not known yet
+    let pendingSignature = null;
+    let feeLamports = null;
+    const transfers = history.transfers || getInstructionTransfers(transaction.instructions);
+    const markConfirmed = (signature, slot) => {
+        updateTransaction(signature, { status: 'confirmed', slot, feeLamports });
+    };
+    const markFailed = error => {
+        if (pendingSignature) {
+            updateTransaction(pendingSignature, { status: 'failed', error: error.message });
+        }
+    };
 
     while (retries < maxRetries) {
         try {
-            console.log(`[TransactionUtils] Attempt ${retries + 1}/${maxRetries}: Preparing transaction...`);
+            logger.info(`Attempt ${retries + 1}/${maxRetries}: Preparing transaction...`);
             
             // CRITICAL: Check if last transaction succeeded before retrying
             if (lastSignature) {
-                console.log(`[TransactionUtils] Checking if previous transaction already succeeded...`);
+                logger.debug(`Checking if previous transaction already succeeded...`);
                 const statusCheck = await checkTransactionStatus(connection, lastSignature);
                 
                 if (statusCheck.confirmed) {
-                    console.log(`[TransactionUtils] ✅ Previous transaction already confirmed! Returning: ${lastSignature}`);
+                    logger.info(`Previous transaction already confirmed! Returning: ${lastSignature}`);
+                    markConfirmed(lastSignature, statusCheck.slot);
                     return lastSignature;
                 } else if (statusCheck.error) {
-                    console.log(`[TransactionUtils] Previous transaction failed definitively, proceeding with new attempt`);
+                    logger.info(`Previous transaction failed definitively, proceeding with new attempt`);
+                    updateTransaction(lastSignature, { status: 'failed', error: JSON.stringify(statusCheck.error) });
+                    if (pendingSignature === lastSignature) {
+                        pendingSignature = null;
+                    }
                 }
             }
             
@@ -397,14 +439,29 @@ async function sendAndConfirmTransactionWrapper(connection, transaction, signers
             transaction.recentBlockhash = latestBlockhash.blockhash;
             transaction.feePayer = signers[0].publicKey;
 
-            console.log(`[TransactionUtils] Fresh blockhash: ${latestBlockhash.blockhash.slice(0, 8)}... Valid until: ${latestBlockhash.lastValidBlockHeight}`);
+            logger.debug(`Fresh blockhash: ${latestBlockhash.blockhash.slice(0, 8)}... Valid until: ${latestBlockhash.lastValidBlockHeight}`);
+
+            // Sign transaction (in-process or through the remote signer)
+            await signTransaction(transaction, signers);
+            const signature = bs58.encode(transaction.signature);
+
+            // A retry with a fresh blockhash supersedes the previous attempt
+            if (pendingSignature && pendingSignature !== signature) {
+                updateTransaction(pendingSignature, { status: 'replaced' });
+            }
+            pendingSignature = signature;
+            feeLamports = recordSignedTransaction(signature, transaction.compileMessage(), transfers, history);
 
-            // Sign transaction
-            transaction.sign(...signers);
+            if (onSigned) {
+                await onSigned({
+                    signature,
+                    lastValidBlockHeight: latestBlockhash.lastValidBlockHeight
+                });
+            }
             
             // Send transaction immediately
             const rawTransaction = transaction.serialize();
-            console.log(`[TransactionUtils] Sending transaction (${rawTransaction.length} bytes)...`);
+            logger.debug(`Sending transaction (${rawTransaction.length} bytes)...`);
             
             // Send with optimized settings for current RPC type
             lastSignature = await rateLimitedRpcCall(async () => {
@@ -415,11 +472,11 @@ async function sendAndConfirmTransactionWrapper(connection, transaction, signers
                 });
             });
 
-            console.log(`[TransactionUtils] Transaction sent: ${lastSignature}`);
-            console.log(`[TransactionUtils] Solscan: https://solscan.io/tx/${lastSignature}?cluster=mainnet-beta`);
+            logger.info(`Transaction sent: ${lastSignature}`);
+            logger.info(`Explorer: ${getExplorerTxUrl(lastSignature)}`);
 
             // ADVANCED confirmation using WebSocket with polling fallback
-            await confirmTransactionAdvanced(
+            const confirmation = await confirmTransactionAdvanced(
                 connection, 
                 lastSignature, 
                 latestBlockhash.blockhash, 
@@ -427,38 +484,49 @@ async function sendAndConfirmTransactionWrapper(connection, transaction, signers
                 commitment
             );
 
-            console.log(`[TransactionUtils] ✅ Transaction SUCCESS: ${lastSignature}`);
+            logger.info(`Transaction SUCCESS: ${lastSignature}`);
+            markConfirmed(lastSignature, confirmation.context.slot);
             return lastSignature;
 
         } catch (error) {
-            console.warn(`[TransactionUtils] ❌ Attempt ${retries + 1} failed: ${error.message}`);
+            logger.warn(`Attempt ${retries + 1} failed: ${error.message}`);
             retries++;
             
             // Handle specific error types with appropriate responses
             if (error.message.includes('insufficient funds') || error.message.includes('Insufficient funds')) {
-                console.error(`[TransactionUtils] 💰 Insufficient funds - stopping all retries`);
+                logger.error(`Insufficient funds - stopping all retries`);
+                markFailed(error);
+                throw error;
+            }
+
+            // A signer that refused the transaction will refuse it again
+            if (error.message.includes('Signer rejected')) {
+                logger.error(`Signing refused - stopping all retries`);
+                markFailed(error);
                 throw error;
             }
             
             // For confirmation timeouts, check if transaction actually succeeded
             if (error.message.includes('timed out') || error.message.includes('block height exceeded')) {
-                console.warn(`[TransactionUtils] ⏰ Confirmation issue - will check transaction status`);
+                logger.warn(`Confirmation issue - will check transaction status`);
                 
                 if (lastSignature) {
-                    console.log(`[TransactionUtils] Doing final check for signature: ${lastSignature.slice(0, 8)}...`);
+                    logger.info(`Doing final check for signature: ${lastSignature.slice(0, 8)}...`);
                     // Give network a moment to propagate
                     await sleep(2000);
                     
                     const finalCheck = await checkTransactionStatus(connection, lastSignature);
                     if (finalCheck.confirmed) {
-                        console.log(`[TransactionUtils] ✅ Transaction actually succeeded! Returning: ${lastSignature}`);
+                        logger.info(`Transaction actually succeeded! Returning: ${lastSignature}`);
+                        markConfirmed(lastSignature, finalCheck.slot);
                         return lastSignature;
                     }
                 }
             }
             
             if (retries >= maxRetries) {
-                console.error(`[TransactionUtils] 🚫 All retries exhausted after ${maxRetries} attempts`);
+                logger.error(`All retries exhausted after ${maxRetries} attempts`);
+                markFailed(error);
                 throw new Error(`Transaction failed after ${maxRetries} attempts: ${error.message}`);
             }
 
@@ -474,7 +542,7 @@ async function sendAndConfirmTransactionWrapper(connection, transaction, signers
                 backoffTime = 1500; // Standard delay for other errors
             }
             
-            console.log(`[TransactionUtils] ⏳ Retrying in ${backoffTime}ms...`);
+            logger.info(`Retrying in ${backoffTime}ms...`);
             await sleep(backoffTime);
         }
     }
@@ -490,7 +558,7 @@ async function sendAndConfirmTransactionWrapper(connection, transaction, signers
  * @returns {web3.Transaction} The transaction with transfer instruction.
  */
 function createSolTransferTransaction(fromPubkey, toPubkey, lamports) {
-    console.log(`[TransactionUtils] Creating SOL transfer: ${lamports} lamports from ${fromPubkey.toBase58().slice(0, 8)}... to ${toPubkey.toBase58().slice(0, 8)}...`);
+    logger.debug(`Creating SOL transfer: ${lamports} lamports from ${fromPubkey.toBase58().slice(0, 8)}... to ${toPubkey.toBase58().slice(0, 8)}...`);
     
     const transaction = new web3.Transaction();
     
@@ -504,6 +572,160 @@ function createSolTransferTransaction(fromPubkey, toPubkey, lamports) {
     return transaction;
 }
 
+/**
+ * Creates one transaction with a SOL transfer instruction per recipient.
+ * @param {web3.PublicKey} fromPubkey - Sender's public key (pays for every transfer).
+ * @param {Array<{toPubkey: web3.PublicKey, lamports: number}>} transfers - Recipients and amounts.
+ * @returns {web3.Transaction} The transaction with all transfer instructions.
+ */
+function createMultiSolTransferTransaction(fromPubkey, transfers) {
+    logger.debug(`Creating SOL transfer to ${transfers.length} recipients from ${fromPubkey.toBase58().slice(0, 8)}...`);
+
+    const transaction = new web3.Transaction();
+    for (const { toPubkey, lamports } of transfers) {
+        transaction.add(web3.SystemProgram.transfer({ fromPubkey, toPubkey, lamports }));
+    }
+    return transaction;
+}
+
+/**
+ * Compute unit limit for a transaction with the given number of SOL transfers.
+ * A system transfer uses 150 CU; the margin covers the compute budget instructions.
+ * @param {number} transferCount - Number of transfer instructions.
+ * @returns {number} Compute unit limit.
+ */
+function getTransferComputeUnitLimit(transferCount) {
+    return Math.min(200000, 5000 + transferCount * 500);
+}
+
+// Compute units budgeted per instruction, by program (generous upper bounds)
+const INSTRUCTION_COMPUTE_UNITS = {
+    [web3.SystemProgram.programId.toBase58()]: 500,
+    TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA: 10000,
+    TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb: 20000,
+    ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL: 40000
+};
+const DEFAULT_INSTRUCTION_COMPUTE_UNITS = 50000;
+const MAX_COMPUTE_UNIT_LIMIT = 1400000;
+
+/**
+ * Estimates a compute unit limit for a list of instructions.
+ * @param {Array<web3.TransactionInstruction>} instructions - The instructions.
+ * @returns {number} Compute unit limit.
+ */
+function estimateComputeUnitLimit(instructions) {
+    const units = instructions.reduce(
+        (sum, instruction) => sum + (INSTRUCTION_COMPUTE_UNITS[instruction.programId.toBase58()] || DEFAULT_INSTRUCTION_COMPUTE_UNITS),
+        5000
+    );
+    return Math.min(MAX_COMPUTE_UNIT_LIMIT, units);
+}
+
+/**
+ * Checks whether instructions fit in one transaction: PACKET_DATA_SIZE (1232 bytes) and the
+ * compute unit cap. The size includes the priority fee instructions added by
+ * sendAndConfirmTransactionWrapper and one signature per required signer.
+ * @param {web3.PublicKey} feePayer - Fee payer of the transaction.
+ * @param {Array<web3.TransactionInstruction>} instructions - The instructions.
+ * @returns {boolean} True if the instructions fit.
+ */
+function fitsInTransaction(feePayer, instructions) {
+    const computeUnitLimit = estimateComputeUnitLimit(instructions);
+    const transaction = new web3.Transaction().add(
+        ...instructions,
+        web3.ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }),
+        web3.ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 })
+    );
+    transaction.recentBlockhash = web3.PublicKey.default.toBase58();
+    transaction.feePayer = feePayer;
+    const message = transaction.compileMessage();
+    // Size of a signed transaction: signature count (1 byte) + signatures + message
+    const size = 1 + 64 * message.header.numRequiredSignatures + message.serialize().length;
+    return size <= web3.PACKET_DATA_SIZE && computeUnitLimit < MAX_COMPUTE_UNIT_LIMIT;
+}
+
+/**
+ * Splits groups of instructions into transactions that each fit (see fitsInTransaction).
+ * A group is never split across transactions.
+ * @param {web3.PublicKey} feePayer - Fee payer of every transaction.
+ * @param {Array<Array<web3.TransactionInstruction>>} groups - Instruction groups, in order.
+ * @param {number} [maxGroupsPerTransaction=Infinity] - Optional cap on groups per transaction.
+ * @returns {Array<Array<number>>} Indexes into `groups`, one array per transaction.
+ */
+function packInstructionGroups(feePayer, groups, maxGroupsPerTransaction = Infinity) {
+    const fits = indexes => fitsInTransaction(feePayer, indexes.flatMap(index => groups[index]));
+
+    const packed = [];
+    let current = [];
+    for (let index = 0; index < groups.length; index++) {
+        const candidate = [...current, index];
+        if (current.length > 0 && (candidate.length > maxGroupsPerTransaction || !fits(candidate))) {
+            packed.push(current);
+            current = [index];
+        } else {
+            current = candidate;
+        }
+    }
+    if (current.length > 0) {
+        packed.push(current);
+    }
+
+    logger.debug(`Packed ${groups.length} instruction groups into ${packed.length} transactions`);
+    return packed;
+}
+
+/**
+ * Splits SOL transfers from one payer into groups that each fit in a single transaction.
+ * @param {web3.PublicKey} fromPubkey - Sender's public key (pays for every transfer).
+ * @param {Array<{toPubkey: web3.PublicKey, lamports: number}>} transfers - Transfers to pack, in order.
+ * @param {number} [maxTransfersPerTransaction=Infinity] - Optional cap on transfers per transaction.
+ * @returns {Array<Array<number>>} Indexes into `transfers`, one array per transaction.
+ */
+function packSolTransfers(fromPubkey, transfers, maxTransfersPerTransaction = Infinity) {
+    return packInstructionGroups(
+        fromPubkey,
+        transfers.map(({ toPubkey, lamports }) => [web3.SystemProgram.transfer({ fromPubkey, toPubkey, lamports })]),
+        maxTransfersPerTransaction
+    );
+}
+
+/**
+ * Waits until one of the signatures sent for a transaction lands or all of them expire.
+ * A transaction whose blockhash has expired can no longer land, so it is safe to send again.
+ * @param {web3.Connection} connection - Solana connection object.
+ * @param {Array<{signature: string, lastValidBlockHeight: number}>} signatures - Signatures sent for the transaction.
+ * @returns {Promise<{confirmed: boolean, signature?: string}>} The landed signature, if any.
+ */
+async function reconcileSentTransaction(connection, signatures) {
+    const lastValidBlockHeight = Math.max(...signatures.map(item => item.lastValidBlockHeight));
+
+    while (true) {
+        // Read the block height before the statuses: if nothing landed by then and the
+        // height was already past the last valid one, nothing can land afterwards
+        const blockHeight = await rateLimitedRpcCall(async () => {
+            return await connection.getBlockHeight('confirmed');
+        });
+        const { value: statuses } = await rateLimitedRpcCall(async () => {
+            return await connection.getSignatureStatuses(
+                signatures.map(item => item.signature),
+                { searchTransactionHistory: true }
+            );
+        });
+
+        const landedIndex = statuses.findIndex(status => status && !status.err
+            && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized'));
+        if (landedIndex >= 0) {
+            return { confirmed: true, signature: signatures[landedIndex].signature };
+        }
+        if (blockHeight > lastValidBlockHeight) {
+            return { confirmed: false };
+        }
+
+        logger.info(`Waiting for sent transaction to land or expire (block height ${blockHeight}/${lastValidBlockHeight})...`);
+        await sleep(2000);
+    }
+}
+
 /**
  * Converts SOL amount to lamports.
  * @param {number} solAmount - Amount in SOL.
@@ -531,7 +753,7 @@ function lamportsToSol(lamports) {
  */
 async function estimateTransactionFee(connection, transaction, signers) {
     try {
-        console.log(`[TransactionUtils] Estimating transaction fee...`);
+        logger.debug(`Estimating transaction fee...`);
         
         // Get recent blockhash
         const { blockhash } = await getRecentBlockhash(connection);
@@ -545,10 +767,10 @@ async function estimateTransactionFee(connection, transaction, signers) {
         
         const estimatedFee = fee.value || 5000; // Default fallback fee
         
-        console.log(`[TransactionUtils] Estimated fee: ${estimatedFee} lamports (${lamportsToSol(estimatedFee)} SOL)`);
+        logger.info(`Estimated fee: ${estimatedFee} lamports (${lamportsToSol(estimatedFee)} SOL)`);
         return estimatedFee;
     } catch (error) {
-        console.warn(`[TransactionUtils] Error estimating transaction fee: ${error.message}`);
+        logger.warn(`Error estimating transaction fee: ${error.message}`);
         return 5000; // Default fallback fee
     }
 }
@@ -561,7 +783,7 @@ async function estimateTransactionFee(connection, transaction, signers) {
  */
 async function getDynamicPriorityFee(connection, accounts = []) {
     try {
-        console.log(`[TransactionUtils] Getting dynamic priority fee...`);
+        logger.debug(`Getting dynamic priority fee...`);
         
         // Try to get recent prioritization fees with rate limiting protection
         if (connection.getRecentPrioritizationFees) {
@@ -580,19 +802,126 @@ async function getDynamicPriorityFee(connection, accounts = []) {
                 const percentile90Index = Math.floor(sortedFees.length * 0.9);
                 const recommendedFee = Math.max(sortedFees[percentile90Index] || 100000, 50000);
                 
-                console.log(`[TransactionUtils] Dynamic priority fee (90th percentile): ${recommendedFee} microlamports`);
+                logger.info(`Dynamic priority fee (90th percentile): ${recommendedFee} microlamports`);
                 return recommendedFee;
             }
         }
         
-        console.log(`[TransactionUtils] Using fallback priority fee: 100000 microlamports`);
+        logger.info(`Using fallback priority fee: 100000 microlamports`);
         return 100000;
     } catch (error) {
-        console.warn(`[TransactionUtils] Error getting dynamic priority fee: ${error.message}`);
+        logger.warn(`Error getting dynamic priority fee: ${error.message}`);
         return 100000;
     }
 }
 
+// ============================================================================
+// TRANSACTION HISTORY
+// ============================================================================
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+// Compute units the runtime budgets per instruction when no limit is set
+const DEFAULT_COMPUTE_UNITS_PER_INSTRUCTION = 200000;
+
+/**
+ * Fee a compiled transaction pays when it lands: the base fee per signature plus the
+ * priority fee set by its compute budget instructions. Computed from the message, so no
+ * RPC call is needed.
+ * @param {web3.Message|web3.MessageV0} message - The compiled message.
+ * @returns {number} Fee in lamports.
+ */
+function getMessageFee(message) {
+    let computeUnitLimit = null;
+    let computeUnitPrice = 0n;
+    let otherInstructions = 0;
+
+    for (const instruction of message.compiledInstructions) {
+        const programId = message.staticAccountKeys[instruction.programIdIndex];
+        if (!programId.equals(web3.ComputeBudgetProgram.programId)) {
+            otherInstructions++;
+            continue;
+        }
+        const data = Buffer.from(instruction.data);
+        if (data[0] === 2) {
+            computeUnitLimit = data.readUInt32LE(1); // SetComputeUnitLimit
+        } else if (data[0] === 3) {
+            computeUnitPrice = data.readBigUInt64LE(1); // SetComputeUnitPrice, in microlamports
+        }
+    }
+
+    if (computeUnitLimit === null) {
+        computeUnitLimit = Math.min(MAX_COMPUTE_UNIT_LIMIT, otherInstructions * DEFAULT_COMPUTE_UNITS_PER_INSTRUCTION);
+    }
+    const priorityFee = (computeUnitPrice * BigInt(computeUnitLimit) + 999999n) / 1000000n;
+    return message.header.numRequiredSignatures * LAMPORTS_PER_SIGNATURE + Number(priorityFee);
+}
+
+/**
+ * Lists the SOL transfers and SPL TransferChecked instructions of a transaction.
+ * For token transfers the source is the owner of the source account and the destination
+ * is the destination token account.
+ * @param {Array<web3.TransactionInstruction>} instructions - The instructions.
+ * @returns {Array<{source: string, destination: string, amount: string, mint: string|null}>}
+ *   The transfers, amounts in base units (`mint` is null for SOL).
+ */
+function getInstructionTransfers(instructions) {
+    const transfers = [];
+
+    for (const instruction of instructions) {
+        if (instruction.programId.equals(web3.SystemProgram.programId)) {
+            if (web3.SystemInstruction.decodeInstructionType(instruction) === 'Transfer') {
+                const { fromPubkey, toPubkey, lamports } = web3.SystemInstruction.decodeTransfer(instruction);
+                transfers.push({ source: fromPubkey.toBase58(), destination: toPubkey.toBase58(), amount: lamports.toString(), mint: null });
+            }
+        } else if (instruction.programId.equals(TOKEN_PROGRAM_ID) || instruction.programId.equals(TOKEN_2022_PROGRAM_ID)) {
+            try {
+                const { keys, data } = decodeTransferCheckedInstruction(instruction, instruction.programId);
+                transfers.push({
+                    source: keys.owner.pubkey.toBase58(),
+                    destination: keys.destination.pubkey.toBase58(),
+                    amount: data.amount.toString(),
+                    mint: keys.mint.pubkey.toBase58()
+                });
+            } catch (error) {
+                // Not a TransferChecked instruction (e.g. CloseAccount)
+            }
+        }
+    }
+
+    return transfers;
+}
+
+/**
+ * Records a signed transaction in the transaction history, with its signers and the
+ * wallets it sends from or sends SOL to.
+ * @param {string} signature - The transaction signature.
+ * @param {web3.Message|web3.MessageV0} message - Its compiled message.
+ * @param {Array<object>} transfers - Its transfers (see getInstructionTransfers).
+ * @param {object} history - The `history` option of the sender.
+ * @returns {number} The fee it pays if it lands, in lamports.
+ */
+function recordSignedTransaction(signature, message, transfers, history) {
+    const signerKeys = message.staticAccountKeys
+        .slice(0, message.header.numRequiredSignatures)
+        .map(publicKey => publicKey.toBase58());
+
+    recordSentTransaction({
+        signature,
+        type: history.type || 'transaction',
+        feePayer: signerKeys[0],
+        wallets: [
+            ...signerKeys,
+            ...transfers.map(transfer => transfer.source),
+            ...transfers.filter(transfer => transfer.mint === null).map(transfer => transfer.destination)
+        ],
+        transfers,
+        jobId: history.jobId,
+        details: history.details
+    });
+
+    return getMessageFee(message);
+}
+
 // ============================================================================
 // JUPITER-SPECIFIC TRANSACTION UTILITIES
 // ============================================================================
@@ -608,11 +937,11 @@ async function getDynamicPriorityFee(connection, accounts = []) {
  */
 function addPriorityFeeInstructionsVersioned(transaction, priorityFeeMicrolamports = 100000, computeUnitLimit = 200000) {
     if (transaction instanceof web3.VersionedTransaction) {
-        console.log(`[TransactionUtils] VersionedTransaction detected - priority fees handled internally by Jupiter`);
+        logger.info(`VersionedTransaction detected - priority fees handled internally by Jupiter`);
         return transaction; // Return as-is, Jupiter handles priority fees internally
     }
     
-    console.warn(`[TransactionUtils] addPriorityFeeInstructionsVersioned called with non-VersionedTransaction - use addPriorityFeeInstructions instead`);
+    logger.warn(`addPriorityFeeInstructionsVersioned called with non-VersionedTransaction - use addPriorityFeeInstructions instead`);
     return transaction;
 }
 
@@ -624,42 +953,60 @@ function addPriorityFeeInstructionsVersioned(transaction, priorityFeeMicrolampor
  * @param {web3.VersionedTransaction} transaction - The pre-signed versioned transaction.
  * @param {object} [options] - Optional parameters.
  * @param {web3.Commitment} [options.commitment='confirmed'] - Desired commitment level.
+ * @param {object} [options.history] - How the transaction is recorded in the transaction history
+ *   (see sendAndConfirmTransactionWrapper).
  * @returns {Promise<string>} The transaction signature.
  */
 async function sendAndConfirmVersionedTransaction(connection, transaction, options = {}) {
-    const { commitment = 'confirmed' } = options;
+    const { commitment = 'confirmed', history = {} } = options;
 
-    console.log(`[TransactionUtils] Sending pre-signed VersionedTransaction...`);
-    
-    const rawTransaction = transaction.serialize();
-    const signature = await rateLimitedRpcCall(async () => {
-        return await connection.sendRawTransaction(rawTransaction, {
-            skipPreflight: true, // Recommended for Jupiter txs
-            preflightCommitment: commitment,
+    logger.info(`Sending pre-signed VersionedTransaction...`);
+
+    const signedSignature = bs58.encode(transaction.signatures[0]);
+    const feeLamports = recordSignedTransaction(signedSignature, transaction.message, history.transfers || [], history);
+
+    try {
+        const rawTransaction = transaction.serialize();
+        const signature = await rateLimitedRpcCall(async () => {
+            return await connection.sendRawTransaction(rawTransaction, {
+                skipPreflight: true, // Recommended for Jupiter txs
+                preflightCommitment: commitment,
+            });
         });
-    });
 
-    console.log(`[TransactionUtils] Transaction sent: ${signature}`);
-    console.log(`[TransactionUtils] Solscan: https://solscan.io/tx/${signature}?cluster=mainnet-beta`);
+        logger.info(`Transaction sent: ${signature}`);
+        logger.info(`Explorer: ${getExplorerTxUrl(signature)}`);
 
-    const latestBlockhash = await getRecentBlockhash(connection, commitment);
+        const latestBlockhash = await getRecentBlockhash(connection, commitment);
 
-    await confirmTransactionAdvanced(
-        connection, 
-        signature, 
-        latestBlockhash.blockhash,
-        latestBlockhash.lastValidBlockHeight, 
-        commitment
-    );
+        const confirmation = await confirmTransactionAdvanced(
+            connection, 
+            signature, 
+            latestBlockhash.blockhash,
+            latestBlockhash.lastValidBlockHeight, 
+            commitment
+        );
 
-    console.log(`[TransactionUtils] ✅ VersionedTransaction SUCCESS: ${signature}`);
-    return signature;
+        logger.info(`VersionedTransaction SUCCESS: ${signature}`);
+        updateTransaction(signedSignature, { status: 'confirmed', slot: confirmation.context.slot, feeLamports });
+        return signature;
+    } catch (error) {
+        updateTransaction(signedSignature, { status: 'failed', error: error.message });
+        throw error;
+    }
 }
 
 module.exports = {
     addPriorityFeeInstructions,
     sendAndConfirmTransactionWrapper,
     createSolTransferTransaction,
+    createMultiSolTransferTransaction,
+    packSolTransfers,
+    packInstructionGroups,
+    fitsInTransaction,
+    estimateComputeUnitLimit,
+    getTransferComputeUnitLimit,
+    reconcileSentTransaction,
     solToLamports,
     lamportsToSol,
     estimateTransactionFee,
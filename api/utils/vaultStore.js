@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { isKeystoreFile, readEncryptedJson, stripSecrets, writeEncryptedJson } = require('./keystore');
+const { withFileLock } = require('./fileUtils');
+const hdWallet = require('./hdWallet');
+const { decodeBase58Key } = require('./keyFormats');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('VaultStore');
+
+/**
+ * Wallet vault file.
+ * The vault is an encrypted keystore of wallet entries
+ * (`{id, publicKey, role, parentId, label, index, derivationPath, status, createdAt,
+ * privateKeyBase58, mnemonic?, mnemonicPassphrase?}`), shared with the wallet registry of
+ * the volume runs (`src/wallet/walletRegistry.ts`). The store holds everything that needs
+ * the decrypted keys: registering, generating and deriving wallets. It is used by the API
+ * (`api/services/vaultService.js`) when it signs in-process, and by the signer daemon
+ * (`scripts/signer-daemon.js`) otherwise.
+ */
+
+const WALLET_ROLES = ['mother', 'child', 'user'];
+
+/**
+ * Returns the public view of a vault entry (no secrets).
+ * Entries written before wallets had a status are active. Entries read from the plaintext
+ * `public` section carry no mnemonic; mother wallets with a derivation path were created
+ * from one.
+ * @param {object} entry - A vault entry.
+ * @returns {{id: string, publicKey: string, role: string, parentId: string|null, label: string|null,
+ *   index: number|null, derivationPath: string|null, status: string, hasMnemonic: boolean, createdAt: string}}
+ */
+function toPublicEntry(entry) {
+  const { privateKeyBase58, mnemonic, mnemonicPassphrase, ...publicEntry } = entry;
+  const hasMnemonic = 'privateKeyBase58' in entry
+    ? Boolean(mnemonic)
+    : entry.role === 'mother' && Boolean(entry.derivationPath);
+  return { ...publicEntry, status: entry.status || 'active', hasMnemonic };
+}
+
+/**
+ * Creates a store for a vault file.
+ * @param {string} vaultPath - The vault file.
+ * @param {object} [options] - Store options.
+ * @param {string} [options.passphrase] - Keystore passphrase (defaults to WALLET_KEYSTORE_PASSPHRASE).
+ * @returns {object} The store.
+ */
+function createVaultStore(vaultPath, { passphrase } = {}) {
+  // Decrypted entries, loaded lazily and reloaded when another process writes the file
+  let entries = null;
+  let entriesModifiedAt = null;
+
+  // Entries of the plaintext `public` section, cached the same way
+  let publicEntries = null;
+  let publicEntriesModifiedAt = null;
+
+  /**
+   * Gets the modification stamp of the vault file. Every write renames a new file into
+   * place, so the inode changes even when two writes share a modification time.
+   * @returns {string|null} The inode and modification time, or null if the vault does not exist yet.
+   */
+  function getModifiedAt() {
+    if (!fs.existsSync(vaultPath)) {
+      return null;
+    }
+    const { ino, mtimeMs } = fs.statSync(vaultPath);
+    return `${ino}:${mtimeMs}`;
+  }
+
+  /**
+   * Loads the vault entries from disk (cached until the file changes).
+   * @returns {Array<object>} The vault entries, including secrets.
+   */
+  function loadEntries() {
+    const modifiedAt = getModifiedAt();
+    if (!entries || modifiedAt !== entriesModifiedAt) {
+      entries = readEncryptedJson(vaultPath, passphrase) || [];
+      entriesModifiedAt = modifiedAt;
+    }
+    return entries;
+  }
+
+  /**
+   * Loads the vault entries from the plaintext `public` section, without the passphrase.
+   * @returns {Array<object>} The vault entries, without secrets.
+   */
+  function loadPublicEntries() {
+    const modifiedAt = getModifiedAt();
+    if (!publicEntries || modifiedAt !== publicEntriesModifiedAt) {
+      const vault = modifiedAt ? JSON.parse(fs.readFileSync(vaultPath, 'utf8')) : [];
+      publicEntries = isKeystoreFile(vault) ? vault.public : stripSecrets(vault);
+      publicEntriesModifiedAt = modifiedAt;
+    }
+    return publicEntries;
+  }
+
+  /**
+   * Persists the vault entries as an encrypted keystore. Only called inside withFileLock,
+   * after loadEntries, so entries another process added in the meantime are kept.
+   * @param {Array<object>} updated - The vault entries, including secrets.
+   */
+  function saveEntries(updated) {
+    writeEncryptedJson(vaultPath, updated, passphrase);
+    entries = updated;
+    entriesModifiedAt = getModifiedAt();
+  }
+
+  /**
+   * Gets a vault entry, including secrets.
+   * @param {string} walletId - The wallet ID.
+   * @returns {object} The vault entry.
+   * @throws {Error} If the wallet does not exist.
+   */
+  function getEntry(walletId) {
+    const entry = loadEntries().find(item => item.id === walletId);
+    if (!entry) {
+      throw new Error(`Wallet not found: ${walletId}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Registers a keypair. Registering a public key that is already in the vault returns
+   * the existing entry.
+   * @param {Keypair} keypair - The keypair to store.
+   * @param {object} [options] - Registration options.
+   * @param {string} [options.role='user'] - Wallet role: mother, child or user.
+   * @param {string} [options.parentId] - Wallet ID of the parent (mother) wallet.
+   * @param {string} [options.label] - Optional human-readable label.
+   * @param {number} [options.index] - HD account index the wallet was derived at.
+   * @param {string} [options.derivationPath] - BIP44 path the wallet was derived at.
+   * @param {string} [options.mnemonic] - Seed phrase the wallet (and its children) derive from.
+   * @param {string} [options.passphrase] - BIP39 passphrase of the seed phrase.
+   * @returns {object} The public vault entry.
+   * @throws {Error} If the role is invalid or the parent wallet does not exist.
+   */
+  function registerWallet(keypair, {
+    role = 'user',
+    parentId = null,
+    label = null,
+    index = null,
+    derivationPath = null,
+    mnemonic = null,
+    passphrase: mnemonicPassphrase = null
+  } = {}) {
+    if (!WALLET_ROLES.includes(role)) {
+      throw new Error(`Invalid wallet role: ${role}. Must be one of: ${WALLET_ROLES.join(', ')}`);
+    }
+
+    return withFileLock(vaultPath, () => {
+      const current = loadEntries();
+      if (parentId && !current.some(entry => entry.id === parentId)) {
+        throw new Error(`Wallet not found: ${parentId}`);
+      }
+
+      const publicKey = keypair.publicKey.toBase58();
+      const existing = current.find(entry => entry.publicKey === publicKey);
+      if (existing) {
+        return toPublicEntry(existing);
+      }
+
+      const entry = {
+        id: `wal_${crypto.randomBytes(12).toString('hex')}`,
+        publicKey,
+        role,
+        parentId,
+        label,
+        index,
+        derivationPath,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        privateKeyBase58: bs58.encode(keypair.secretKey)
+      };
+      if (mnemonic) {
+        entry.mnemonic = mnemonic;
+      }
+      if (mnemonic && mnemonicPassphrase) {
+        entry.mnemonicPassphrase = mnemonicPassphrase;
+      }
+
+      saveEntries([...current, entry]);
+      logger.info(`Registered ${role} wallet ${entry.id} (${publicKey})`);
+
+      return toPublicEntry(entry);
+    });
+  }
+
+  /**
+   * Creates a new mother wallet from a fresh 24-word mnemonic, or imports one from a seed
+   * phrase or a private key. Seed phrases are derived at `derivationPath`.
+   * @param {object} [options] - Creation options; without a key or mnemonic a new wallet is created.
+   * @param {string} [options.privateKeyBase58] - Base58 encoded 64-byte secret key or 32-byte seed to import.
+   * @param {string} [options.mnemonic] - BIP39 seed phrase to import.
+   * @param {string} [options.passphrase] - Optional BIP39 passphrase of the seed phrase.
+   * @param {string} [options.derivationPath] - Path of the mother wallet (default `m/44'/501'/0'/0'`).
+   * @returns {{wallet: object, mnemonic: string|null}} The public vault entry and the seed phrase.
+   * @throws {Error} If the key, mnemonic or derivation path is invalid, or the options conflict.
+   */
+  function createMotherWallet({
+    privateKeyBase58,
+    mnemonic: importedMnemonic,
+    passphrase: mnemonicPassphrase = '',
+    derivationPath = hdWallet.getDerivationPath(0)
+  } = {}) {
+    if (privateKeyBase58 && importedMnemonic) {
+      throw new Error('Invalid request: provide either privateKeyBase58 or mnemonic, not both');
+    }
+    if (privateKeyBase58 && (mnemonicPassphrase || derivationPath !== hdWallet.getDerivationPath(0))) {
+      throw new Error('Invalid request: passphrase and derivationPath only apply to seed phrases');
+    }
+
+    let keypair;
+    let mnemonic = null;
+
+    if (privateKeyBase58) {
+      keypair = decodeBase58Key(privateKeyBase58);
+      logger.info('Mother wallet imported from private key successfully.');
+    } else {
+      // Seed phrases are often copied with extra spaces or capitals
+      mnemonic = importedMnemonic
+        ? importedMnemonic.trim().toLowerCase().split(/\s+/).join(' ')
+        : hdWallet.generateMnemonic();
+      keypair = hdWallet.deriveKeypairAtPath(mnemonic, derivationPath, mnemonicPassphrase);
+      logger.info(importedMnemonic
+        ? `Mother wallet imported from mnemonic at ${derivationPath}.`
+        : 'New mother wallet generated successfully.');
+    }
+
+    const wallet = registerWallet(keypair, {
+      role: 'mother',
+      index: mnemonic ? hdWallet.getDerivationIndex(derivationPath) : null,
+      derivationPath: mnemonic ? derivationPath : null,
+      mnemonic,
+      passphrase: mnemonicPassphrase
+    });
+    return { wallet, mnemonic };
+  }
+
+  /**
+   * Derives child wallets of a mother wallet and registers them under its ID.
+   * With `hd` derivation, child `i` is derived from the mother mnemonic at `m/44'/501'/i'/0'`
+   * (matching WalletManager); deriving an index that is already in the vault returns the
+   * existing wallet. With `random` derivation, new random wallets are generated.
+   * @param {string} motherWalletId - The wallet ID of the mother wallet.
+   * @param {object} [options] - Derivation options.
+   * @param {number} [options.count=3] - The number of child wallets.
+   * @param {string} [options.derivation] - `hd` or `random`. Defaults to `hd` when the mother wallet has a mnemonic.
+   * @param {number} [options.startIndex=1] - First account index for `hd` derivation (0 is the mother wallet).
+   * @returns {{motherWallet: object, derivation: string, wallets: Array<object>}} The public vault
+   *   entries of the mother wallet and its new children.
+   * @throws {Error} If the mother wallet does not exist, or has no mnemonic for `hd` derivation.
+   */
+  function deriveChildWallets(motherWalletId, { count = 3, derivation, startIndex = hdWallet.FIRST_CHILD_INDEX } = {}) {
+    const mother = getEntry(motherWalletId);
+    const mnemonic = mother.mnemonic || null;
+    const method = derivation || (mnemonic ? 'hd' : 'random');
+
+    if (method === 'hd' && !mnemonic) {
+      throw new Error('HD derivation requires a mother wallet created from a mnemonic');
+    }
+
+    logger.info(`Generating ${count} child wallets (${method}) for mother wallet: ${mother.publicKey}`);
+
+    const wallets = [];
+    for (let i = 0; i < count; i++) {
+      if (method === 'hd') {
+        const index = startIndex + i;
+        const keypair = hdWallet.deriveKeypairFromMnemonic(mnemonic, index, mother.mnemonicPassphrase || '');
+        wallets.push(registerWallet(keypair, {
+          role: 'child',
+          parentId: mother.id,
+          index,
+          derivationPath: hdWallet.getDerivationPath(index)
+        }));
+      } else {
+        wallets.push(registerWallet(Keypair.generate(), { role: 'child', parentId: mother.id }));
+      }
+    }
+
+    return { motherWallet: toPublicEntry(mother), derivation: method, wallets };
+  }
+
+  return {
+    loadEntries,
+    loadPublicEntries,
+    getEntry,
+    registerWallet,
+    createMotherWallet,
+    deriveChildWallets
+  };
+}
+
+module.exports = {
+  WALLET_ROLES,
+  toPublicEntry,
+  createVaultStore
+};
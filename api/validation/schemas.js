@@ -0,0 +1,607 @@
+/**
+ * JSON schemas for API requests.
+ * The schemas use the subset of JSON Schema shared with OpenAPI 3.0 (no `$ref`,
+ * custom `format`s only), so the same objects validate requests and document them.
+ */
+
+// Upper bound on the number of wallets handled in one request
+const MAX_WALLETS_PER_REQUEST = 100;
+
+const walletId = {
+  type: 'string',
+  pattern: '^wal_[0-9a-f]{24}$',
+  description: 'Opaque vault wallet ID.',
+  example: 'wal_3f9a1c0e5b7d2a4c6e8f0a1b'
+};
+
+const jobId = {
+  type: 'string',
+  pattern: '^job_[0-9a-f]{24}$',
+  description: 'Background job ID.',
+  example: 'job_8c2e4f6a0b1d3c5e7f9a2b4c'
+};
+
+const runId = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9_.:-]{1,64}$',
+  description: 'ID of the run (e.g. a volume bot session) the operation belongs to, recorded in the fee ledger.',
+  example: 'run_2025-01-31_a'
+};
+
+const isoDate = {
+  type: 'string',
+  format: 'iso-date',
+  description: 'ISO 8601 date (whole day) or date-time.',
+  example: '2025-01-31'
+};
+
+const publicKey = {
+  type: 'string',
+  format: 'solana-address',
+  description: 'Base58 encoded Solana public key.',
+  example: 'FKS2idx6M1WyBeWtMr2tY9XSFsVvKNy84rS9jq9W1qfo'
+};
+
+const tokenMint = {
+  type: 'string',
+  format: 'token-mint',
+  description: 'Token mint address or supported token symbol (SOL, USDC, USDT, BONK).',
+  example: 'SOL'
+};
+
+// The clusters of api/config/network.js
+const network = {
+  type: 'string',
+  enum: ['mainnet-beta', 'devnet', 'testnet', 'localnet'],
+  description: 'Solana cluster. Defaults to the cluster the API runs on (SOLANA_NETWORK).',
+  example: 'mainnet-beta'
+};
+
+const groupName = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$',
+  description: 'Name of a wallet group (letters, digits, `_`, `.` and `-`).',
+  example: 'campaign-a'
+};
+
+const groupTag = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9][A-Za-z0-9_.:-]{0,31}$',
+  example: 'buyer'
+};
+
+const basisPoints = {
+  type: 'integer',
+  minimum: 0,
+  maximum: 10000
+};
+
+const CreateMotherWalletRequest = {
+  type: 'object',
+  properties: {
+    privateKeyBase58: {
+      type: 'string',
+      minLength: 32,
+      maxLength: 128,
+      description: 'Base58 encoded private key to import: a 64-byte secret key or a raw 32-byte seed.'
+    },
+    mnemonic: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 512,
+      description: 'BIP39 seed phrase (12 to 24 words) to import.',
+      example: 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+    },
+    passphrase: {
+      type: 'string',
+      maxLength: 256,
+      description: 'Optional BIP39 passphrase of the seed phrase (new or imported).'
+    },
+    derivationPath: {
+      type: 'string',
+      pattern: "^m(/[0-9]{1,9}')+$",
+      maxLength: 64,
+      default: "m/44'/501'/0'/0'",
+      description: 'Hardened derivation path of the mother wallet in the seed phrase (e.g. m/44\'/501\'/0\' for older wallets).'
+    },
+    returnMnemonic: {
+      type: 'boolean',
+      default: false,
+      description: 'Return the seed phrase of a new wallet once, so it can be backed up.'
+    }
+  },
+  additionalProperties: false
+};
+
+const DeriveChildWalletsRequest = {
+  type: 'object',
+  required: ['motherWalletId'],
+  properties: {
+    motherWalletId: walletId,
+    count: {
+      type: 'integer',
+      minimum: 1,
+      maximum: MAX_WALLETS_PER_REQUEST,
+      default: 3,
+      description: 'The number of child wallets to derive.'
+    },
+    saveToFile: {
+      type: 'boolean',
+      default: false,
+      description: 'Whether to also export the wallets to the (encrypted) mainnet wallet storage.'
+    },
+    derivation: {
+      type: 'string',
+      enum: ['hd', 'random'],
+      description: 'Derivation mode. Defaults to `hd` when the mother wallet was created from a seed, otherwise `random`.'
+    },
+    startIndex: {
+      type: 'integer',
+      minimum: 1,
+      description: 'First BIP44 account index for `hd` derivation (0 is the mother wallet).'
+    }
+  },
+  additionalProperties: false
+};
+
+const FundChildWalletsRequest = {
+  type: 'object',
+  required: ['motherWalletId'],
+  anyOf: [
+    { required: ['childWallets'] },
+    { required: ['group', 'amountSol'] }
+  ],
+  not: { required: ['childWallets', 'group'] },
+  properties: {
+    motherWalletId: walletId,
+    childWallets: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_WALLETS_PER_REQUEST,
+      description: 'Child wallets to fund, identified by vault wallet ID or public key. Not used with `group`.',
+      items: {
+        type: 'object',
+        required: ['amountSol'],
+        anyOf: [
+          { required: ['walletId'] },
+          { required: ['publicKey'] }
+        ],
+        properties: {
+          walletId,
+          publicKey,
+          amountSol: {
+            type: 'number',
+            minimum: 0.000000001,
+            description: 'The amount of SOL to send to the child wallet (at least 1 lamport).',
+            example: 0.002
+          }
+        },
+        additionalProperties: false
+      }
+    },
+    group: { ...groupName, description: 'Fund the wallets of this wallet group that are children of the mother wallet instead of `childWallets`.' },
+    tag: { ...groupTag, description: 'Only fund the group wallets carrying this tag.' },
+    amountSol: {
+      type: 'number',
+      minimum: 0.000000001,
+      description: 'The amount of SOL to send to each group wallet (with `group`).',
+      example: 0.002
+    }
+  },
+  additionalProperties: false
+};
+
+const ReturnFundsRequest = {
+  type: 'object',
+  required: ['childWalletId'],
+  properties: {
+    childWalletId: walletId,
+    motherWalletId: {
+      ...walletId,
+      description: "Vault wallet ID of the mother wallet. Optional: funds always go to the child's parent wallet, and a different ID is rejected."
+    },
+    returnAllFunds: {
+      type: 'boolean',
+      default: false,
+      description: 'Whether to return all funds or keep some for transaction fees.'
+    }
+  },
+  additionalProperties: false
+};
+
+const SweepChildWalletsRequest = {
+  type: 'object',
+  required: ['motherWalletId'],
+  not: { required: ['childWalletIds', 'group'] },
+  properties: {
+    motherWalletId: walletId,
+    childWalletIds: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_WALLETS_PER_REQUEST,
+      uniqueItems: true,
+      description: 'Vault wallet IDs of the child wallets to sweep; each must be a child of the mother wallet. Defaults to every child wallet of the mother wallet in the vault.',
+      items: walletId
+    },
+    group: { ...groupName, description: 'Sweep the wallets of this wallet group that are children of the mother wallet instead of `childWalletIds`.' },
+    tag: { ...groupTag, description: 'Only sweep the group wallets carrying this tag.' },
+    closeTokenAccounts: {
+      type: 'boolean',
+      default: true,
+      description: 'Whether to close empty SPL Token and Token-2022 accounts and reclaim their rent.'
+    }
+  },
+  additionalProperties: false
+};
+
+const SweepChildTokensRequest = {
+  type: 'object',
+  required: ['motherWalletId'],
+  not: { required: ['childWalletIds', 'group'] },
+  properties: {
+    motherWalletId: walletId,
+    childWalletIds: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_WALLETS_PER_REQUEST,
+      uniqueItems: true,
+      description: 'Vault wallet IDs of the child wallets to sweep; each must be a child of the mother wallet. Defaults to every child wallet of the mother wallet in the vault.',
+      items: walletId
+    },
+    group: { ...groupName, description: 'Sweep the wallets of this wallet group that are children of the mother wallet instead of `childWalletIds`.' },
+    tag: { ...groupTag, description: 'Only sweep the group wallets carrying this tag.' },
+    mints: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 50,
+      uniqueItems: true,
+      description: 'Only sweep these token mints (SPL Token or Token-2022). Defaults to every token held.',
+      items: { ...publicKey, description: 'Token mint address.', example: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' }
+    },
+    closeTokenAccounts: {
+      type: 'boolean',
+      default: true,
+      description: 'Whether to close the emptied token accounts and reclaim their rent.'
+    }
+  },
+  additionalProperties: false
+};
+
+const QuoteRequest = {
+  type: 'object',
+  required: ['inputMint', 'outputMint', 'amount'],
+  properties: {
+    inputMint: tokenMint,
+    outputMint: { ...tokenMint, example: 'USDC' },
+    amount: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Amount of input token in base units (e.g., lamports for SOL).',
+      example: 1000000
+    },
+    slippageBps: { ...basisPoints, default: 50, description: 'Slippage tolerance in basis points (1 bps = 0.01%).' },
+    onlyDirectRoutes: { type: 'boolean', default: false, description: 'Whether to only use direct swap routes.' },
+    asLegacyTransaction: { type: 'boolean', default: false, description: 'Whether to use legacy transactions.' },
+    platformFeeBps: { ...basisPoints, description: 'Platform fee in basis points, charged on the swap output. Defaults to DEFAULT_FEE_BPS (10). Swaps that collect fees only accept quotes priced with DEFAULT_FEE_BPS.', example: 10 }
+  },
+  additionalProperties: false
+};
+
+const SwapRequest = {
+  type: 'object',
+  required: ['userWalletId', 'quoteResponse'],
+  properties: {
+    userWalletId: { ...walletId, description: 'The vault wallet ID of the wallet that signs the swap.' },
+    quoteResponse: {
+      type: 'object',
+      required: ['inputMint', 'outputMint', 'inAmount', 'outAmount'],
+      description: 'The Jupiter quote response object from the /quote endpoint.',
+      properties: {
+        inputMint: { type: 'string' },
+        outputMint: { type: 'string' },
+        inAmount: { type: 'string' },
+        outAmount: { type: 'string' },
+        platformFee: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            amount: { type: 'string' },
+            feeBps: { type: 'integer' }
+          }
+        }
+      }
+    },
+    wrapAndUnwrapSol: { type: 'boolean', default: true, description: 'Whether to automatically wrap and unwrap SOL.' },
+    asLegacyTransaction: { type: 'boolean', default: false, description: 'Whether to use legacy transactions.' },
+    collectFees: { type: 'boolean', default: true, description: 'Whether to collect the platform fee of the quote into the fee collector wallet. The quote must then be priced with DEFAULT_FEE_BPS.' },
+    runId
+  },
+  additionalProperties: false
+};
+
+const PublicKeyParams = {
+  type: 'object',
+  required: ['publicKey'],
+  properties: { publicKey }
+};
+
+const WalletPublicKeyParams = {
+  type: 'object',
+  required: ['walletPublicKey'],
+  properties: { walletPublicKey: publicKey }
+};
+
+const TokenBalanceQuery = {
+  type: 'object',
+  required: ['mintAddress'],
+  properties: {
+    mintAddress: { ...publicKey, description: 'The mint address of the SPL token.' }
+  }
+};
+
+const ListWalletsQuery = {
+  type: 'object',
+  properties: {
+    role: { type: 'string', enum: ['mother', 'child', 'user'], description: 'Only return wallets with this role.' },
+    parentId: { ...walletId, description: 'Only return child wallets of this mother wallet ID.' },
+    label: { type: 'string', minLength: 1, maxLength: 64, description: 'Only return wallets with this label.' },
+    status: { type: 'string', enum: ['active', 'retired'], description: 'Only return wallets with this status.' }
+  }
+};
+
+const JobIdParams = {
+  type: 'object',
+  required: ['jobId'],
+  properties: { jobId }
+};
+
+const ListJobsQuery = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', description: 'Only return jobs of this type.', example: 'fund-children' },
+    status: {
+      type: 'string',
+      enum: ['queued', 'running', 'completed', 'failed'],
+      description: 'Only return jobs with this status.'
+    }
+  }
+};
+
+const ListFeesQuery = {
+  type: 'object',
+  properties: {
+    network: { ...network, description: 'Only fees recorded on this cluster. Defaults to the cluster the API runs on (SOLANA_NETWORK).' },
+    from: { ...isoDate, description: 'Only fees recorded at or after this ISO 8601 date or date-time.', example: '2025-01-01' },
+    to: { ...isoDate, description: 'Only fees recorded at or before this ISO 8601 date (whole day included) or date-time.' },
+    mint: { ...tokenMint, description: 'Only fees paid in this mint (address or supported token symbol).' },
+    source: {
+      type: 'string',
+      enum: ['jupiter-swap', 'transfer-fee'],
+      description: 'Only fees from Jupiter swaps or from fee transfers of volume runs.'
+    },
+    runId,
+    walletId: { ...walletId, description: 'Only fees charged to this vault wallet.' },
+    format: { type: 'string', enum: ['json', 'csv'], default: 'json', description: 'Response format.' }
+  },
+  additionalProperties: false
+};
+
+const keyFormat = {
+  type: 'string',
+  enum: ['solana-cli', 'base58', 'base64', 'keystore'],
+  description: 'solana-cli: `id.json` byte array; base58: Phantom secret key; base64: base64 secret key; keystore: encrypted keystore file.',
+  example: 'solana-cli'
+};
+
+const ImportWalletsRequest = {
+  type: 'object',
+  required: ['format'],
+  anyOf: [
+    { required: ['keys'] },
+    { required: ['keystore'] }
+  ],
+  properties: {
+    format: keyFormat,
+    keys: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_WALLETS_PER_REQUEST,
+      description: 'Private keys to import (solana-cli, base58 and base64 formats). base58 and base64 keys may also be raw 32-byte seeds.',
+      items: {
+        anyOf: [
+          { type: 'string', minLength: 32, maxLength: 128 },
+          { type: 'array', minItems: 64, maxItems: 64, items: { type: 'integer', minimum: 0, maximum: 255 } }
+        ]
+      }
+    },
+    keystore: {
+      type: 'object',
+      description: 'Encrypted keystore file to import (keystore format), holding one wallet record or an array of them.'
+    },
+    passphrase: { type: 'string', maxLength: 256, description: 'Passphrase of the keystore file.' },
+    role: {
+      type: 'string',
+      enum: ['mother', 'child', 'user'],
+      default: 'user',
+      description: 'Vault role of the imported wallets.'
+    },
+    parentId: { ...walletId, description: 'Mother wallet of imported child wallets (required with role child).' },
+    label: { type: 'string', maxLength: 64, description: 'Optional label of the imported wallets.' }
+  },
+  additionalProperties: false
+};
+
+const ExportWalletsRequest = {
+  type: 'object',
+  required: ['format'],
+  anyOf: [
+    { required: ['walletIds'] },
+    { required: ['parentId'] }
+  ],
+  properties: {
+    format: keyFormat,
+    walletIds: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_WALLETS_PER_REQUEST,
+      uniqueItems: true,
+      items: walletId,
+      description: 'Wallets to export.'
+    },
+    parentId: { ...walletId, description: 'Export every child wallet of this mother wallet.' },
+    passphrase: {
+      type: 'string',
+      minLength: 8,
+      maxLength: 256,
+      description: 'Passphrase to encrypt the keystore file with (required for the keystore format).'
+    }
+  },
+  additionalProperties: false
+};
+
+const ListTransactionsQuery = {
+  type: 'object',
+  properties: {
+    network: { ...network, description: 'Only transactions sent on this cluster. Defaults to the cluster the API runs on (SOLANA_NETWORK).' },
+    wallet: { ...publicKey, description: 'Only transactions this wallet signed, sent from or received SOL in.' },
+    type: { type: 'string', description: 'Only transactions of this type.', example: 'fund-children' },
+    status: {
+      type: 'string',
+      enum: ['sent', 'confirmed', 'failed', 'replaced'],
+      description: 'Only transactions with this status.'
+    },
+    from: { ...isoDate, description: 'Only transactions sent at or after this ISO 8601 date or date-time.', example: '2025-01-01' },
+    to: { ...isoDate, description: 'Only transactions sent at or before this ISO 8601 date (whole day included) or date-time.' },
+    limit: { type: 'integer', minimum: 1, maximum: 500, default: 100, description: 'Maximum number of transactions returned.' },
+    offset: { type: 'integer', minimum: 0, default: 0, description: 'Number of transactions to skip.' }
+  },
+  additionalProperties: false
+};
+
+const groupMember = {
+  type: 'object',
+  required: ['walletId'],
+  properties: {
+    walletId,
+    label: { type: 'string', maxLength: 64, nullable: true, description: 'Label of the wallet in the group.', example: 'buyer-1' },
+    tags: {
+      type: 'array',
+      maxItems: 20,
+      uniqueItems: true,
+      items: groupTag,
+      description: 'Tags of the wallet in the group.'
+    },
+    notes: { type: 'string', maxLength: 1000, nullable: true, description: 'Free-form notes on the wallet.' }
+  },
+  additionalProperties: false
+};
+
+const GroupNameParams = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: groupName }
+};
+
+const GroupWalletParams = {
+  type: 'object',
+  required: ['name', 'walletId'],
+  properties: { name: groupName, walletId }
+};
+
+const ListGroupsQuery = {
+  type: 'object',
+  properties: {
+    tag: { ...groupTag, description: 'Only return groups with a wallet carrying this tag.' }
+  },
+  additionalProperties: false
+};
+
+const GroupBalancesQuery = {
+  type: 'object',
+  properties: {
+    mintAddress: { ...publicKey, description: 'Also return the balance of this SPL token.' },
+    tag: { ...groupTag, description: 'Only return the group wallets carrying this tag.' }
+  },
+  additionalProperties: false
+};
+
+const CreateWalletGroupRequest = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: groupName,
+    description: { type: 'string', maxLength: 500, description: 'Optional description of the group.' },
+    wallets: {
+      type: 'array',
+      maxItems: MAX_WALLETS_PER_REQUEST,
+      description: 'Initial vault wallets of the group.',
+      items: groupMember
+    }
+  },
+  additionalProperties: false
+};
+
+const UpdateWalletGroupRequest = {
+  type: 'object',
+  required: ['description'],
+  properties: {
+    description: { type: 'string', maxLength: 500, nullable: true, description: 'New description of the group (null clears it).' }
+  },
+  additionalProperties: false
+};
+
+const AddGroupWalletsRequest = {
+  type: 'object',
+  required: ['wallets'],
+  properties: {
+    wallets: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_WALLETS_PER_REQUEST,
+      description: 'Vault wallets to add. Wallets already in the group get the label, tags and notes given here.',
+      items: groupMember
+    }
+  },
+  additionalProperties: false
+};
+
+const UpdateGroupWalletRequest = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    label: groupMember.properties.label,
+    tags: groupMember.properties.tags,
+    notes: groupMember.properties.notes
+  },
+  additionalProperties: false
+};
+
+module.exports = {
+  MAX_WALLETS_PER_REQUEST,
+  CreateMotherWalletRequest,
+  DeriveChildWalletsRequest,
+  FundChildWalletsRequest,
+  ReturnFundsRequest,
+  SweepChildWalletsRequest,
+  SweepChildTokensRequest,
+  QuoteRequest,
+  SwapRequest,
+  PublicKeyParams,
+  WalletPublicKeyParams,
+  TokenBalanceQuery,
+  ListWalletsQuery,
+  JobIdParams,
+  ListJobsQuery,
+  ListFeesQuery,
+  ListTransactionsQuery,
+  ImportWalletsRequest,
+  ExportWalletsRequest,
+  GroupNameParams,
+  GroupWalletParams,
+  ListGroupsQuery,
+  GroupBalancesQuery,
+  CreateWalletGroupRequest,
+  UpdateWalletGroupRequest,
+  AddGroupWalletsRequest,
+  UpdateGroupWalletRequest
+};
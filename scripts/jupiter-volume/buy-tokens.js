@@ -40,8 +40,8 @@ const TOKENS = {
   BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263'
 };
 
-// Jupiter API base URL
-const JUPITER_API_BASE = 'https://lite-api.jup.ag/swap/v1';
+// Jupiter API base URL (JUPITER_API_BASE_URL overrides it, e.g. for the mock server)
+const JUPITER_API_BASE = (process.env.JUPITER_API_BASE_URL || 'https://lite-api.jup.ag/swap/v1').replace(/\/+$/, '');
 
 // Fetch price quote from Jupiter
 async function getQuote(inputMint, outputMint, amount, slippageBps = 50) {
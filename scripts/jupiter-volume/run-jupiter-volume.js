@@ -7,7 +7,10 @@
  * 3. Sell tokens back to SOL
  * 4. Generate report of volume and transactions
  * 
- * Usage: node run-jupiter-volume.js [--amount n] [--wallets 0,1] [--token USDC]
+ * Usage: node run-jupiter-volume.js [--amount n] [--wallets 0,1 | --group name] [--token USDC]
+ *
+ * --group uses the mainnet child wallets of a wallet group (created with POST /api/wallets/groups)
+ * instead of a list of indices. It needs a build (npm run build) and WALLET_KEYSTORE_PASSPHRASE.
  */
 const path = require('path');
 const fs = require('fs');
@@ -40,6 +43,34 @@ function runScript(scriptPath, args = []) {
   }
 }
 
+// Resolves a wallet group to the indices of its mainnet child wallets
+function loadGroupWalletIndices(groupName) {
+  const groupsPath = process.env.WALLET_GROUPS_PATH
+    || path.join(process.cwd(), 'wallet-storage', 'wallet-groups.json');
+  const groups = fs.existsSync(groupsPath) ? JSON.parse(fs.readFileSync(groupsPath, 'utf8')) : [];
+  const group = groups.find(item => item.name === groupName);
+  if (!group) {
+    throw new Error(`Wallet group not found: ${groupName}`);
+  }
+
+  const { defaultWalletRegistry, MAINNET_MOTHER_LABEL } = require('../../dist/wallet/walletRegistry');
+  const motherWallet = defaultWalletRegistry.getMotherWallet(MAINNET_MOTHER_LABEL);
+  if (!motherWallet) {
+    throw new Error('Mainnet mother wallet not found in the wallet registry. Run "npm run migrate-wallets" first.');
+  }
+
+  const indices = [];
+  for (const member of group.wallets) {
+    const wallet = defaultWalletRegistry.get(member.walletId);
+    if (wallet.parentId === motherWallet.id && wallet.index !== null && wallet.status === 'active') {
+      indices.push(wallet.index);
+    } else {
+      console.warn(`Warning: ${member.walletId} is not an active mainnet child wallet, skipping it`);
+    }
+  }
+  return indices;
+}
+
 async function main() {
   try {
     console.log('===== JUPITER VOLUME TEST WORKFLOW =====');
@@ -50,6 +81,7 @@ async function main() {
     const args = process.argv.slice(2);
     let solAmount = 0.002; // Default amount of SOL to use per wallet
     let walletIndices = [0, 1]; // Default wallet indices
+    let groupName = null; // Wallet group to use instead of the indices
     let tokenMint = TOKENS.USDC; // Default token to swap
     
     for (let i = 0; i < args.length; i++) {
@@ -73,6 +105,11 @@ async function main() {
             walletIndices = [0, 1];
           }
         }
+      } else if (arg === '--group' || arg === '-g') {
+        if (i + 1 < args.length) {
+          groupName = args[i + 1];
+          i++;
+        }
       } else if (arg === '--token' || arg === '-t') {
         if (i + 1 < args.length) {
           const token = args[i + 1].toUpperCase();
@@ -91,9 +128,17 @@ async function main() {
       }
     }
     
+    if (groupName) {
+      walletIndices = loadGroupWalletIndices(groupName);
+      if (walletIndices.length === 0) {
+        console.error(`Wallet group ${groupName} has no mainnet child wallets. Stopping test.`);
+        process.exit(1);
+      }
+    }
+    
     console.log('Configuration:');
     console.log(`- SOL amount per wallet: ${solAmount} SOL`);
-    console.log(`- Wallet indices: ${walletIndices.join(', ')}`);
+    console.log(`- Wallet indices: ${walletIndices.join(', ')}${groupName ? ` (group ${groupName})` : ''}`);
     console.log(`- Token to swap: ${tokenMint}\n`);
     
     // Create temp directory for results
@@ -107,6 +152,7 @@ async function main() {
     fs.writeFileSync(configFile, JSON.stringify({
       solAmount,
       walletIndices,
+      group: groupName,
       tokenMint,
       timestamp: new Date().toISOString()
     }, null, 2));
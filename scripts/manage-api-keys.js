@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Script to manage API keys for the Express API
+ * 
+ * Usage:
+ *   node scripts/manage-api-keys.js create <name> <scope,scope,...>
+ *   node scripts/manage-api-keys.js list
+ *   node scripts/manage-api-keys.js revoke <keyId>
+ *   node scripts/manage-api-keys.js hash <name> <scope,scope,...>
+ * 
+ * `create` stores the key hash in wallet-storage/api-keys.json and prints the
+ * raw key once. `hash` prints a record for the API_KEYS environment variable
+ * instead (for hosts without a persistent disk, e.g. Render).
+ */
+const crypto = require('crypto');
+const apiKeyService = require('../api/services/apiKeyService');
+
+function parseScopes(arg) {
+  if (!arg) {
+    console.error(`Missing scopes. Valid scopes: ${Object.values(apiKeyService.SCOPES).join(', ')}`);
+    process.exit(1);
+  }
+  const scopes = arg.split(',').map(scope => scope.trim()).filter(Boolean);
+  apiKeyService.validateScopes(scopes);
+  return scopes;
+}
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'create': {
+        const [name, scopes] = args;
+        const key = apiKeyService.createApiKey(name || 'unnamed', parseScopes(scopes));
+        console.log(`Created API key ${key.id} (${key.name}) with scopes: ${key.scopes.join(', ')}`);
+        console.log(`API key (shown only once): ${key.apiKey}`);
+        break;
+      }
+      case 'list': {
+        console.table(apiKeyService.listApiKeys());
+        break;
+      }
+      case 'revoke': {
+        apiKeyService.revokeApiKey(args[0]);
+        console.log(`Revoked API key ${args[0]}`);
+        break;
+      }
+      case 'hash': {
+        const [name, scopes] = args;
+        const apiKey = `sk_${crypto.randomBytes(32).toString('hex')}`;
+        const record = {
+          id: `key_${crypto.randomBytes(8).toString('hex')}`,
+          name: name || 'unnamed',
+          keyHash: apiKeyService.hashApiKey(apiKey),
+          scopes: parseScopes(scopes)
+        };
+        console.log(`API key (shown only once): ${apiKey}`);
+        console.log('Add this record to the API_KEYS environment variable (JSON array):');
+        console.log(JSON.stringify(record));
+        break;
+      }
+      default:
+        console.log('Usage: node scripts/manage-api-keys.js <create|list|revoke|hash> [...args]');
+        process.exit(command ? 1 : 0);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Script to import wallet files from before the wallet registry into the registry
+ *
+ * Usage:
+ *   node scripts/migrate-wallet-storage.js [--dir <wallet storage directory>]
+ *
+ * Reads mother-wallet.json and child-wallets.json, and their copies in the mainnet/
+ * subdirectory, and registers their wallets in the vault (WALLET_VAULT_PATH, default
+ * wallet-storage/vault.json). Needs WALLET_KEYSTORE_PASSPHRASE. Wallets that are already
+ * registered are left alone, so the script can be run more than once. The legacy files
+ * are not modified.
+ */
+const path = require('path');
+const fs = require('fs');
+
+// Ensure the dist directory exists
+const distPath = path.join(__dirname, '../dist');
+if (!fs.existsSync(distPath)) {
+  console.error('Error: dist directory not found. Please run "npm run build" first.');
+  process.exit(1);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const dirIndex = args.indexOf('--dir');
+  const storageDir = dirIndex !== -1 ? path.resolve(args[dirIndex + 1]) : undefined;
+
+  try {
+    const { migrateWalletStorage } = require('../dist/wallet/registryMigration');
+    const { files, wallets } = migrateWalletStorage({ storageDir });
+
+    if (files.length === 0) {
+      console.log('No legacy wallet files found.');
+      return;
+    }
+    console.log(`Read ${files.length} wallet files:`);
+    files.forEach(file => console.log(`  ${file}`));
+    console.table(wallets.map(({ id, publicKey, role, label, index, status }) => ({ id, publicKey, role, label, index, status })));
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Jupiter swap API (/quote and /swap)
+ * Quotes are computed from a fixed price, so the same request always gets the same answer.
+ * Swaps are real transactions on a local validator between native SOL and a mock token
+ * whose mint authority is the mock server's treasury: buying transfers SOL to the treasury
+ * and mints tokens to the buyer, selling burns the tokens and the treasury pays out SOL.
+ * The treasury and the mock mint are derived from fixed seeds, so their addresses never change.
+ *
+ * Quotes requested with platformFeeBps carry a platformFee, which swaps pay into the feeAccount
+ * of the swap request (minted mock tokens on buys, wrapped SOL on sells).
+ *
+ * Error fixtures reproduce Jupiter's 4xx/5xx responses. Queue one for the next request(s)
+ * with `POST /__mock/fixtures {"fixture": "no-route", "times": 1}` or make every request
+ * fail with `--fail <fixture>`; `GET /__mock` lists them with the mock mint and treasury.
+ *
+ * Usage: node scripts/mock-jupiter-server.js [--port 8787] [--rpc-url http://127.0.0.1:8899]
+ *          [--price 100] [--fail <fixture>]
+ * Then point the API or the jupiter-volume scripts at it:
+ *   JUPITER_API_BASE_URL=http://127.0.0.1:8787 SOLANA_NETWORK=localnet npm run start:api
+ */
+const crypto = require('crypto');
+const express = require('express');
+const {
+  Connection,
+  Keypair,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction
+} = require('@solana/web3.js');
+const {
+  MINT_SIZE,
+  TOKEN_PROGRAM_ID,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createBurnCheckedInstruction,
+  createInitializeMint2Instruction,
+  createMintToInstruction,
+  createSyncNativeInstruction,
+  getAssociatedTokenAddressSync,
+  getMinimumBalanceForRentExemptMint
+} = require('@solana/spl-token');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const MOCK_TOKEN_DECIMALS = 6;
+const TREASURY_AIRDROP_SOL = 100;
+
+// Responses of the real API for the errors classifyJupiterError handles
+const FIXTURES = {
+  'no-route': {
+    routes: ['quote'],
+    status: 400,
+    body: { error: 'Could not find any route', errorCode: 'COULD_NOT_FIND_ANY_ROUTE' }
+  },
+  'invalid-mint': {
+    routes: ['quote'],
+    status: 400,
+    body: { error: 'Invalid input mint', errorCode: 'INVALID_INPUT_MINT' }
+  },
+  'deserialize': {
+    routes: ['swap'],
+    status: 422,
+    body: { error: 'Failed to deserialize the JSON body into the target type: quoteResponse: missing field `routePlan`' }
+  },
+  'rate-limited': {
+    routes: ['quote', 'swap'],
+    status: 429,
+    body: { error: 'Too Many Requests' }
+  },
+  'server-error': {
+    routes: ['quote', 'swap'],
+    status: 500,
+    body: { error: 'Internal Server Error' }
+  },
+  // Gateways answer with plain text, which exercises the non-JSON error path
+  'unavailable': {
+    routes: ['quote', 'swap'],
+    status: 503,
+    text: 'Service Unavailable'
+  }
+};
+
+/**
+ * Derives a keypair from a fixed label, so mock addresses are the same on every run
+ */
+function keypairFromLabel(label) {
+  return Keypair.fromSeed(crypto.createHash('sha256').update(`mock-jupiter:${label}`).digest());
+}
+
+/**
+ * Parses the command line options
+ */
+function parseArgs(args) {
+  const options = { port: 8787, rpcUrl: 'http://127.0.0.1:8899', price: 100, fail: null };
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+    switch (args[i]) {
+      case '--port': options.port = Number(value); i++; break;
+      case '--rpc-url': options.rpcUrl = value; i++; break;
+      case '--price': options.price = Number(value); i++; break;
+      case '--fail': options.fail = value; i++; break;
+      default: throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+  if (!Number.isInteger(options.price) || options.price <= 0) {
+    throw new Error('--price must be a positive whole number of mock tokens per SOL');
+  }
+  if (options.fail && !FIXTURES[options.fail]) {
+    throw new Error(`Unknown fixture: ${options.fail} (expected one of ${Object.keys(FIXTURES).join(', ')})`);
+  }
+  return options;
+}
+
+/**
+ * Creates the mock server
+ * @param {object} options - port, rpcUrl, price (mock tokens per SOL) and fail (fixture applied to every request)
+ * @returns {{app: import('express').Express, setup: Function, treasury: Keypair, mint: Keypair}}
+ */
+function createMockJupiterServer({ rpcUrl, price, fail = null }) {
+  const connection = new Connection(rpcUrl, 'confirmed');
+  const treasury = keypairFromLabel('treasury');
+  const mint = keypairFromLabel('mint');
+  const mintAddress = mint.publicKey.toBase58();
+  const queuedFixtures = [];
+  let slot = 0;
+
+  /**
+   * Creates the treasury balance and the mock mint on the validator if they are missing
+   */
+  async function setup() {
+    if (await connection.getBalance(treasury.publicKey) < LAMPORTS_PER_SOL) {
+      const signature = await connection.requestAirdrop(treasury.publicKey, TREASURY_AIRDROP_SOL * LAMPORTS_PER_SOL);
+      await connection.confirmTransaction({ signature, ...(await connection.getLatestBlockhash()) });
+    }
+    if (!(await connection.getAccountInfo(mint.publicKey))) {
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+      const message = new TransactionMessage({
+        payerKey: treasury.publicKey,
+        recentBlockhash: blockhash,
+        instructions: [
+          SystemProgram.createAccount({
+            fromPubkey: treasury.publicKey,
+            newAccountPubkey: mint.publicKey,
+            space: MINT_SIZE,
+            lamports: await getMinimumBalanceForRentExemptMint(connection),
+            programId: TOKEN_PROGRAM_ID
+          }),
+          createInitializeMint2Instruction(mint.publicKey, MOCK_TOKEN_DECIMALS, treasury.publicKey, null)
+        ]
+      }).compileToV0Message();
+      const transaction = new VersionedTransaction(message);
+      transaction.sign([treasury, mint]);
+      const signature = await connection.sendTransaction(transaction);
+      await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight });
+    }
+  }
+
+  /**
+   * Computes the output amount at the fixed price (ExactIn)
+   */
+  function quoteOutAmount(inputMint, amount) {
+    const scale = 10n ** BigInt(9 - MOCK_TOKEN_DECIMALS);
+    return inputMint === SOL_MINT
+      ? (amount * BigInt(price)) / scale
+      : (amount * scale) / BigInt(price);
+  }
+
+  /**
+   * Takes the fixture to answer a request with, if any
+   */
+  function takeFixture(route) {
+    const index = queuedFixtures.findIndex(entry => FIXTURES[entry.fixture].routes.includes(route));
+    if (index !== -1) {
+      const entry = queuedFixtures[index];
+      if (--entry.times <= 0) {
+        queuedFixtures.splice(index, 1);
+      }
+      return FIXTURES[entry.fixture];
+    }
+    return fail && FIXTURES[fail].routes.includes(route) ? FIXTURES[fail] : null;
+  }
+
+  function sendFixture(res, fixture) {
+    if (fixture.text) {
+      return res.status(fixture.status).type('text/plain').send(fixture.text);
+    }
+    return res.status(fixture.status).json(fixture.body);
+  }
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/__mock', (req, res) => {
+    res.json({
+      mint: mintAddress,
+      decimals: MOCK_TOKEN_DECIMALS,
+      treasury: treasury.publicKey.toBase58(),
+      pricePerSol: price,
+      fixtures: Object.keys(FIXTURES),
+      queuedFixtures
+    });
+  });
+
+  app.post('/__mock/fixtures', (req, res) => {
+    const { fixture, times = 1 } = req.body || {};
+    if (!FIXTURES[fixture] || !Number.isInteger(times) || times < 1) {
+      return res.status(400).json({ error: `Expected {"fixture": one of ${Object.keys(FIXTURES).join(', ')}, "times": n}` });
+    }
+    queuedFixtures.push({ fixture, times });
+    res.status(201).json({ queuedFixtures });
+  });
+
+  app.delete('/__mock/fixtures', (req, res) => {
+    queuedFixtures.length = 0;
+    res.status(204).end();
+  });
+
+  app.get('/quote', (req, res) => {
+    const fixture = takeFixture('quote');
+    if (fixture) {
+      return sendFixture(res, fixture);
+    }
+
+    const { inputMint, outputMint, amount, slippageBps = '50', platformFeeBps = '0' } = req.query;
+    const pair = [inputMint, outputMint].sort().join();
+    if (pair !== [SOL_MINT, mintAddress].sort().join()) {
+      return sendFixture(res, FIXTURES['no-route']);
+    }
+    if (!/^\d+$/.test(amount || '') || BigInt(amount) === 0n) {
+      return res.status(400).json({ error: 'Query parameter amount must be a positive integer' });
+    }
+
+    // Like Jupiter, the platform fee is taken out of the output
+    const grossOutAmount = quoteOutAmount(inputMint, BigInt(amount));
+    const feeBps = Number(platformFeeBps);
+    const feeAmount = (grossOutAmount * BigInt(feeBps)) / 10000n;
+    const outAmount = grossOutAmount - feeAmount;
+    const threshold = (outAmount * BigInt(10000 - Number(slippageBps))) / 10000n;
+    res.json({
+      inputMint,
+      inAmount: amount,
+      outputMint,
+      outAmount: outAmount.toString(),
+      otherAmountThreshold: threshold.toString(),
+      swapMode: 'ExactIn',
+      slippageBps: Number(slippageBps),
+      platformFee: feeBps > 0 ? { amount: feeAmount.toString(), feeBps } : null,
+      priceImpactPct: '0',
+      routePlan: [{
+        swapInfo: {
+          ammKey: treasury.publicKey.toBase58(),
+          label: 'Mock',
+          inputMint,
+          outputMint,
+          inAmount: amount,
+          outAmount: grossOutAmount.toString(),
+          feeAmount: '0',
+          feeMint: inputMint
+        },
+        percent: 100
+      }],
+      contextSlot: ++slot,
+      timeTaken: 0
+    });
+  });
+
+  app.post('/swap', async (req, res) => {
+    const fixture = takeFixture('swap');
+    if (fixture) {
+      return sendFixture(res, fixture);
+    }
+
+    const { userPublicKey, quoteResponse, feeAccount } = req.body || {};
+    if (!userPublicKey || !quoteResponse || !Array.isArray(quoteResponse.routePlan)) {
+      return sendFixture(res, FIXTURES.deserialize);
+    }
+
+    try {
+      const user = new PublicKey(userPublicKey);
+      const inAmount = BigInt(quoteResponse.inAmount);
+      const outAmount = BigInt(quoteResponse.outAmount);
+      const userTokenAccount = getAssociatedTokenAddressSync(mint.publicKey, user);
+      // Without a fee account Jupiter swaps without charging the quoted platform fee
+      const feeAmount = feeAccount && quoteResponse.platformFee ? BigInt(quoteResponse.platformFee.amount) : 0n;
+      const instructions = quoteResponse.inputMint === SOL_MINT
+        ? [
+          SystemProgram.transfer({ fromPubkey: user, toPubkey: treasury.publicKey, lamports: inAmount }),
+          createAssociatedTokenAccountIdempotentInstruction(user, userTokenAccount, user, mint.publicKey),
+          createMintToInstruction(mint.publicKey, userTokenAccount, treasury.publicKey, outAmount)
+        ]
+        : [
+          createBurnCheckedInstruction(userTokenAccount, mint.publicKey, user, inAmount, MOCK_TOKEN_DECIMALS),
+          SystemProgram.transfer({ fromPubkey: treasury.publicKey, toPubkey: user, lamports: outAmount })
+        ];
+
+      if (feeAmount > 0n) {
+        const feeTokenAccount = new PublicKey(feeAccount);
+        instructions.push(...(quoteResponse.inputMint === SOL_MINT
+          ? [createMintToInstruction(mint.publicKey, feeTokenAccount, treasury.publicKey, feeAmount)]
+          : [
+            SystemProgram.transfer({ fromPubkey: treasury.publicKey, toPubkey: feeTokenAccount, lamports: feeAmount }),
+            createSyncNativeInstruction(feeTokenAccount)
+          ]));
+      }
+
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+      const message = new TransactionMessage({ payerKey: user, recentBlockhash: blockhash, instructions }).compileToV0Message();
+      const transaction = new VersionedTransaction(message);
+      // The treasury co-signs; the user's signature is added by the caller
+      transaction.sign([treasury]);
+
+      res.json({
+        swapTransaction: Buffer.from(transaction.serialize()).toString('base64'),
+        lastValidBlockHeight,
+        prioritizationFeeLamports: 0
+      });
+    } catch (error) {
+      res.status(500).json({ error: `Mock swap failed: ${error.message}` });
+    }
+  });
+
+  return { app, setup, treasury, mint };
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const { app, setup, treasury, mint } = createMockJupiterServer(options);
+
+    try {
+      await setup();
+    } catch (error) {
+      // Quotes and fixtures still work; swaps need the validator
+      console.warn(`Validator at ${options.rpcUrl} not ready, swaps will fail: ${error.message}`);
+    }
+
+    app.listen(options.port, '127.0.0.1', () => {
+      console.log('===== MOCK JUPITER SERVER =====');
+      console.log(`Listening on http://127.0.0.1:${options.port} (validator: ${options.rpcUrl})`);
+      console.log(`Mock token mint: ${mint.publicKey.toBase58()} (${MOCK_TOKEN_DECIMALS} decimals, ${options.price} per SOL)`);
+      console.log(`Treasury: ${treasury.publicKey.toBase58()}`);
+      console.log(`Fixtures: ${Object.keys(FIXTURES).join(', ')}${options.fail ? ` (failing every request with ${options.fail})` : ''}`);
+    });
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  FIXTURES,
+  createMockJupiterServer
+};
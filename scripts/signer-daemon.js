@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Local signer daemon, a stand-in for a KMS or HSM-backed signing service
+ * Serves the remote signer protocol of `api/utils/signer.js` and `src/wallet/signer.ts` with the
+ * keys of the wallet vault, so the API and the volume runs can sign without decoding keys in
+ * their own process. Run it as a separate user or on a separate host that alone can read the vault
+ * passphrase: the daemon is the only process that decrypts the vault. An API started with
+ * SIGNER_URL reads the plaintext `public` section of the vault and creates wallets through here.
+ *
+ * - `GET /v1/health` reports whether the daemon is up (no authentication).
+ * - `GET /v1/keys` lists the public keys it signs for.
+ * - `POST /v1/sign` with `{ "publicKey": base58, "message": base64 }` returns `{ "signature": base64 }`.
+ *   Only Solana transaction messages that require a signature of the key are signed.
+ * - `POST /v1/wallets` with `{ "privateKeys": [base58], role, parentId, label }` imports keys and
+ *   returns `{ "wallets": [...] }`.
+ * - `POST /v1/wallets/mother` with the options of `createMotherWallet` (privateKeyBase58, mnemonic,
+ *   passphrase, derivationPath) creates or imports a mother wallet and returns `{ "wallet": {...} }`.
+ * - `POST /v1/wallets/:walletId/children` with `{ count, derivation, startIndex }` derives child
+ *   wallets and returns `{ motherWallet, derivation, wallets }`.
+ * Wallet responses are public vault entries; keys and seed phrases never leave the daemon.
+ * Every request except the health check needs `Authorization: Bearer $SIGNER_AUTH_TOKEN`.
+ * The vault is reloaded when it changes, so wallets written by the volume runs can sign right away.
+ *
+ * Usage: SIGNER_AUTH_TOKEN=... WALLET_KEYSTORE_PASSPHRASE=... node scripts/signer-daemon.js
+ *          [--port 8790] [--host 127.0.0.1] [--vault wallet-storage/vault.json]
+ * Then point the API (no WALLET_KEYSTORE_PASSPHRASE needed) or the volume runs at it:
+ *   SIGNER_URL=http://127.0.0.1:8790 SIGNER_AUTH_TOKEN=... npm run start:api
+ */
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const bs58 = require('bs58');
+const { Keypair, PublicKey, VersionedMessage } = require('@solana/web3.js');
+const { createVaultStore } = require('../api/utils/vaultStore');
+const { decodeBase58Key } = require('../api/utils/keyFormats');
+const { createKeypairSigner } = require('../api/utils/signer');
+const { createLogger } = require('../api/utils/logger');
+
+const logger = createLogger('SignerDaemon');
+
+// A serialized transaction message never exceeds the 1232-byte packet size
+const MAX_MESSAGE_BYTES = 1232;
+
+// Wallet imports carry up to a few thousand base58 keys
+const MAX_BODY_SIZE = '256kb';
+
+function parseArgs(args) {
+  const options = {
+    port: 8790,
+    host: '127.0.0.1',
+    vaultPath: process.env.WALLET_VAULT_PATH || path.join(process.cwd(), 'wallet-storage', 'vault.json')
+  };
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+    switch (args[i]) {
+      case '--port': options.port = Number(value); i++; break;
+      case '--host': options.host = value; i++; break;
+      case '--vault': options.vaultPath = path.resolve(value); i++; break;
+      default: throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Compares a bearer token in constant time
+ * @param {string|undefined} header - The Authorization header
+ * @param {string} authToken - The expected token
+ * @returns {boolean}
+ */
+function isAuthorized(header, authToken) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match) {
+    return false;
+  }
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(authToken));
+}
+
+/**
+ * Gets the signers required by a serialized transaction message
+ * @param {Buffer} message - The serialized legacy or v0 message
+ * @returns {Array<string>|null} Base58 public keys, or null if it is not a transaction message
+ */
+function getRequiredSigners(message) {
+  try {
+    const parsed = VersionedMessage.deserialize(message);
+    // Deserializing is lenient, so arbitrary bytes must also round-trip to count as a message
+    if (!Buffer.from(parsed.serialize()).equals(message)) {
+      return null;
+    }
+    return parsed.staticAccountKeys
+      .slice(0, parsed.header.numRequiredSignatures)
+      .map(key => key.toBase58());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Maps a vault error to an HTTP response
+ * @param {import('express').Response} res - The response
+ * @param {Error} error - The error thrown by the vault store
+ */
+function sendVaultError(res, error) {
+  if (error.message.includes('Wallet not found')) {
+    res.status(404).json({ error: error.message });
+  } else if (error.message.includes('Invalid') || error.message.includes('HD derivation requires')) {
+    res.status(400).json({ error: error.message });
+  } else {
+    logger.error('Vault operation failed:', error);
+    res.status(500).json({ error: `Vault operation failed: ${error.message}` });
+  }
+}
+
+/**
+ * Creates the signer daemon
+ * @param {object} options - vaultPath, authToken (bearer token clients must send) and
+ *   passphrase (defaults to WALLET_KEYSTORE_PASSPHRASE)
+ * @returns {{app: import('express').Express, loadSigners: Function}}
+ */
+function createSignerDaemon({ vaultPath, authToken, passphrase = process.env.WALLET_KEYSTORE_PASSPHRASE }) {
+  if (!authToken) {
+    throw new Error('SIGNER_AUTH_TOKEN is required');
+  }
+
+  const store = createVaultStore(vaultPath, { passphrase });
+  let signers = new Map();
+  let signerEntries = null;
+
+  // Signers by public key, rebuilt when the store reloads the vault
+  const loadSigners = () => {
+    const entries = store.loadEntries();
+    if (entries !== signerEntries) {
+      signers = new Map(entries.map(entry => [
+        entry.publicKey,
+        createKeypairSigner(Keypair.fromSecretKey(bs58.decode(entry.privateKeyBase58)))
+      ]));
+      signerEntries = entries;
+    }
+    return signers;
+  };
+
+  const app = express();
+  app.use(express.json({ limit: MAX_BODY_SIZE }));
+
+  app.get('/v1/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  app.use((req, res, next) => {
+    if (!isAuthorized(req.headers.authorization, authToken)) {
+      return res.status(401).json({ error: 'Missing or invalid bearer token' });
+    }
+    next();
+  });
+
+  app.get('/v1/keys', (req, res) => {
+    try {
+      res.json({ publicKeys: [...loadSigners().keys()] });
+    } catch (error) {
+      res.status(500).json({ error: `Cannot read vault: ${error.message}` });
+    }
+  });
+
+  app.post('/v1/sign', async (req, res) => {
+    const { publicKey, message } = req.body || {};
+    try {
+      new PublicKey(publicKey);
+    } catch (error) {
+      return res.status(400).json({ error: 'publicKey must be a base58 public key' });
+    }
+    const messageBytes = typeof message === 'string' ? Buffer.from(message, 'base64') : Buffer.alloc(0);
+    if (messageBytes.length === 0 || messageBytes.length > MAX_MESSAGE_BYTES) {
+      return res.status(400).json({ error: `message must be a base64 transaction message of at most ${MAX_MESSAGE_BYTES} bytes` });
+    }
+
+    const requiredSigners = getRequiredSigners(messageBytes);
+    if (!requiredSigners) {
+      return res.status(400).json({ error: 'message is not a Solana transaction message' });
+    }
+    if (!requiredSigners.includes(publicKey)) {
+      return res.status(403).json({ error: `${publicKey} is not a required signer of this message` });
+    }
+
+    let signer;
+    try {
+      signer = loadSigners().get(publicKey);
+    } catch (error) {
+      return res.status(500).json({ error: `Cannot read vault: ${error.message}` });
+    }
+    if (!signer) {
+      return res.status(404).json({ error: `No key for ${publicKey}` });
+    }
+
+    try {
+      const signature = await signer.signMessage(messageBytes);
+      logger.info(`Signed message for ${publicKey} (${messageBytes.length} bytes)`);
+      res.json({ signature: Buffer.from(signature).toString('base64') });
+    } catch (error) {
+      logger.error(`Signing failed for ${publicKey}:`, error);
+      res.status(500).json({ error: `Signing failed: ${error.message}` });
+    }
+  });
+
+  app.post('/v1/wallets', (req, res) => {
+    const { privateKeys, role, parentId, label } = req.body || {};
+    if (!Array.isArray(privateKeys) || privateKeys.length === 0) {
+      return res.status(400).json({ error: 'privateKeys must be a non-empty array of base58 keys' });
+    }
+    try {
+      const keypairs = privateKeys.map(decodeBase58Key);
+      const wallets = keypairs.map(keypair => store.registerWallet(keypair, { role, parentId, label }));
+      res.status(201).json({ wallets });
+    } catch (error) {
+      sendVaultError(res, error);
+    }
+  });
+
+  app.post('/v1/wallets/mother', (req, res) => {
+    const { privateKeyBase58, mnemonic, passphrase: mnemonicPassphrase, derivationPath } = req.body || {};
+    try {
+      const { wallet } = store.createMotherWallet({ privateKeyBase58, mnemonic, passphrase: mnemonicPassphrase, derivationPath });
+      res.status(201).json({ wallet });
+    } catch (error) {
+      sendVaultError(res, error);
+    }
+  });
+
+  app.post('/v1/wallets/:walletId/children', (req, res) => {
+    const { count, derivation, startIndex } = req.body || {};
+    try {
+      res.status(201).json(store.deriveChildWallets(req.params.walletId, { count, derivation, startIndex }));
+    } catch (error) {
+      sendVaultError(res, error);
+    }
+  });
+
+  return { app, loadSigners };
+}
+
+function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const { app, loadSigners } = createSignerDaemon({ vaultPath: options.vaultPath, authToken: process.env.SIGNER_AUTH_TOKEN });
+
+    // Fail fast on a missing passphrase instead of on the first signing request
+    const keyCount = loadSigners().size;
+
+    app.listen(options.port, options.host, () => {
+      logger.info(`Listening on http://${options.host}:${options.port}`);
+      logger.info(`Vault: ${options.vaultPath} (${keyCount} keys)`);
+    });
+  } catch (error) {
+    logger.error(`Failed to start: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createSignerDaemon
+};
@@ -7,24 +7,146 @@ export const SOLANA_RPC_URL_DEVNET = 'https://api.devnet.solana.com';
 export const SOLANA_WSS_URL_DEVNET = 'wss://api.devnet.solana.com';
 export const SOLANA_RPC_URL_MAINNET = 'https://api.mainnet-beta.solana.com';
 export const SOLANA_WSS_URL_MAINNET = 'wss://api.mainnet-beta.solana.com';
+export const SOLANA_RPC_URL_TESTNET = 'https://api.testnet.solana.com';
+export const SOLANA_WSS_URL_TESTNET = 'wss://api.testnet.solana.com';
+export const SOLANA_RPC_URL_LOCALNET = 'http://127.0.0.1:8899';
+export const SOLANA_WSS_URL_LOCALNET = 'ws://127.0.0.1:8900';
 
-// Fee configuration
-export const FEE_RATE_NUMERATOR = 1n;
-export const FEE_RATE_DENOMINATOR = 1000n; // 0.1% fee
-export const SERVICE_WALLET_ADDRESS = '7fMgRsNxhD7yDASScVNrPGYzymnxuAP6oUcAkYYXwpbS'; // Replace with actual service wallet address
+/**
+ * Solana clusters, selected with SOLANA_NETWORK (`mainnet` and `localhost` are accepted as aliases).
+ * `localnet` is a local solana-test-validator. The same clusters are defined in `api/config/network.js`.
+ */
+export type SolanaNetwork = 'mainnet-beta' | 'devnet' | 'testnet' | 'localnet';
+
+/**
+ * Network name reported in run summaries and events
+ */
+export type NetworkType = 'mainnet' | 'devnet' | 'testnet' | 'localnet';
+
+export interface NetworkConfig {
+  rpcUrl: string;
+  wsUrl: string;
+  /** Genesis hash identifying the cluster (null on localnet, where it changes with every ledger reset) */
+  genesisHash: string | null;
+  /** Well-known token mints by symbol */
+  mints: Record<string, string>;
+  /** Largest single transfer in SOL, or null for no limit (MAX_SOL_PER_TRANSFER overrides it; 0 removes it) */
+  maxSolPerTransfer: number | null;
+}
+
+export const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+export const NETWORKS: Record<SolanaNetwork, NetworkConfig> = {
+  'mainnet-beta': {
+    rpcUrl: SOLANA_RPC_URL_MAINNET,
+    wsUrl: SOLANA_WSS_URL_MAINNET,
+    genesisHash: '5eykt4UsFv8P8NJdTREpY1vzqKqZKvdpKuc147dw2N9d',
+    mints: {
+      SOL: WRAPPED_SOL_MINT,
+      USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+      USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+      BONK: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263'
+    },
+    // Real funds: cap single transfers to limit the damage of a mistyped amount
+    maxSolPerTransfer: 10
+  },
+  devnet: {
+    rpcUrl: SOLANA_RPC_URL_DEVNET,
+    wsUrl: SOLANA_WSS_URL_DEVNET,
+    genesisHash: 'EtWTRABZaYq6iMfeYKouRu166VL2xqa1wBEdfTUmbaRM',
+    mints: {
+      SOL: WRAPPED_SOL_MINT,
+      USDC: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU'
+    },
+    maxSolPerTransfer: null
+  },
+  testnet: {
+    rpcUrl: SOLANA_RPC_URL_TESTNET,
+    wsUrl: SOLANA_WSS_URL_TESTNET,
+    genesisHash: '4uhcVJyU9pJkvQyS88uRDiswHXSCkY3zQawwpjk2NsNY',
+    mints: { SOL: WRAPPED_SOL_MINT },
+    maxSolPerTransfer: null
+  },
+  localnet: {
+    rpcUrl: SOLANA_RPC_URL_LOCALNET,
+    wsUrl: SOLANA_WSS_URL_LOCALNET,
+    genesisHash: null,
+    mints: { SOL: WRAPPED_SOL_MINT },
+    maxSolPerTransfer: null
+  }
+};
+
+const NETWORK_ALIASES: Record<string, SolanaNetwork> = {
+  mainnet: 'mainnet-beta',
+  localhost: 'localnet'
+};
+
+/**
+ * Resolves a cluster name or alias (the library defaults to devnet)
+ */
+export function resolveNetwork(value?: string): SolanaNetwork {
+  const name = (value || 'devnet').trim().toLowerCase();
+  const network = NETWORK_ALIASES[name] || name;
+  if (!(network in NETWORKS)) {
+    throw new Error(`Invalid SOLANA_NETWORK: ${value} (expected one of ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  return network as SolanaNetwork;
+}
 
-// Network to use (can be toggled between 'devnet' and 'mainnet')
-export const NETWORK = 'devnet';
+// Network to use, from SOLANA_NETWORK
+export const NETWORK: SolanaNetwork = resolveNetwork(process.env.SOLANA_NETWORK);
 
 // Get the appropriate RPC and WSS URLs based on the network
 export const getRpcUrl = (): string => {
-  return NETWORK === 'devnet' ? SOLANA_RPC_URL_DEVNET : SOLANA_RPC_URL_MAINNET;
+  return NETWORKS[NETWORK].rpcUrl;
 };
 
 export const getWssUrl = (): string => {
-  return NETWORK === 'devnet' ? SOLANA_WSS_URL_DEVNET : SOLANA_WSS_URL_MAINNET;
+  return NETWORKS[NETWORK].wsUrl;
 };
 
+/**
+ * Gets the configuration of the selected cluster, with MAX_SOL_PER_TRANSFER applied
+ */
+export function getNetworkConfig(): NetworkConfig & { network: SolanaNetwork } {
+  const config = NETWORKS[NETWORK];
+  const override = process.env.MAX_SOL_PER_TRANSFER;
+  let maxSolPerTransfer = config.maxSolPerTransfer;
+  if (override !== undefined && override.trim() !== '') {
+    const cap = Number(override);
+    if (!Number.isFinite(cap) || cap < 0) {
+      throw new Error(`Invalid MAX_SOL_PER_TRANSFER: ${override} (expected a number of SOL, 0 for no limit)`);
+    }
+    maxSolPerTransfer = cap === 0 ? null : cap;
+  }
+  return { network: NETWORK, ...config, maxSolPerTransfer };
+}
+
+/**
+ * Gets the network name reported in run summaries and events
+ */
+export function getNetworkType(): NetworkType {
+  return NETWORK === 'mainnet-beta' ? 'mainnet' : NETWORK;
+}
+
+/**
+ * Builds an explorer link on the selected cluster.
+ * Solscan covers the public clusters; localnet links open the Solana Explorer with a custom RPC URL.
+ */
+export function getExplorerUrl(type: 'tx' | 'account' | 'token', value: string, rpcUrl: string = getRpcUrl()): string {
+  if (NETWORK === 'localnet') {
+    const path = type === 'tx' ? 'tx' : 'address';
+    return `https://explorer.solana.com/${path}/${value}?cluster=custom&customUrl=${encodeURIComponent(rpcUrl)}`;
+  }
+  const cluster = NETWORK === 'mainnet-beta' ? '' : `?cluster=${NETWORK}`;
+  return `https://solscan.io/${type}/${value}${cluster}`;
+}
+
+// Fee configuration
+export const FEE_RATE_NUMERATOR = 1n;
+export const FEE_RATE_DENOMINATOR = 1000n; // 0.1% fee
+export const SERVICE_WALLET_ADDRESS = '7fMgRsNxhD7yDASScVNrPGYzymnxuAP6oUcAkYYXwpbS'; // Replace with actual service wallet address
+
 // Transaction parameters
 export const MAX_RETRIES = 3;
 export const COMPUTE_UNIT_LIMIT_MINIMUM = 1000;
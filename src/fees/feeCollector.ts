@@ -185,6 +185,7 @@ export class FeeCollector {
       if (fee > 0n) {
         allTransfers.push({
           sourceIndex: op.sourceIndex,
+          sourceWalletId: op.sourceWalletId,
           destinationAddress: this.serviceWalletAddress,
           amount: fee,
           isFee: true
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { NETWORK } from '../config';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('FeeLedger');
+
+/**
+ * Where a fee was collected: the platform fee of an API swap or a fee transfer of a volume run
+ */
+export type FeeSource = 'jupiter-swap' | 'transfer-fee';
+
+/**
+ * A collected fee, as passed to recordFee
+ */
+export interface FeeLedgerEntry {
+  source: FeeSource;
+  sourceWallet: string;
+  mint: string;
+  amount: bigint;
+  decimals: number;
+  feeAccount: string;
+  signature: string;
+  walletId?: string | null;
+  runId?: string | null;
+  expectedAmount?: bigint | null;
+}
+
+/**
+ * A line of the fee ledger
+ */
+export interface FeeLedgerRecord {
+  id: string;
+  recordedAt: string;
+  network: string;
+  source: FeeSource;
+  runId: string | null;
+  walletId: string | null;
+  sourceWallet: string;
+  mint: string;
+  amount: string;
+  decimals: number;
+  expectedAmount: string | null;
+  feeAccount: string;
+  signature: string;
+}
+
+// Shared with the API (api/services/feeLedgerService.js), which serves it at GET /api/fees
+const FEE_LEDGER_PATH = process.env.FEE_LEDGER_PATH
+  || path.join(process.cwd(), 'wallet-storage', 'fee-ledger.jsonl');
+
+/**
+ * Creates an ID grouping the fees of one run in the ledger
+ *
+ * @returns A new run ID
+ */
+export function createRunId(): string {
+  return `run_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Appends a collected fee to the fee ledger, one JSON line per fee
+ *
+ * @param entry - The collected fee
+ * @returns The ledger record
+ */
+export function recordFee(entry: FeeLedgerEntry): FeeLedgerRecord {
+  const record: FeeLedgerRecord = {
+    id: `fee_${crypto.randomBytes(12).toString('hex')}`,
+    recordedAt: new Date().toISOString(),
+    network: NETWORK,
+    source: entry.source,
+    runId: entry.runId ?? null,
+    walletId: entry.walletId ?? null,
+    sourceWallet: entry.sourceWallet,
+    mint: entry.mint,
+    amount: entry.amount.toString(),
+    decimals: entry.decimals,
+    expectedAmount: entry.expectedAmount == null ? null : entry.expectedAmount.toString(),
+    feeAccount: entry.feeAccount,
+    signature: entry.signature
+  };
+
+  fs.mkdirSync(path.dirname(FEE_LEDGER_PATH), { recursive: true });
+  fs.appendFileSync(FEE_LEDGER_PATH, `${JSON.stringify(record)}\n`);
+  logger.info(`Recorded ${entry.source} fee of ${record.amount} ${entry.mint} (${entry.signature})`);
+
+  return record;
+}
@@ -1,5 +1,8 @@
 import { defaultSolanaRpcClient, SolanaRpcClient } from '../utils/solanaRpcClient';
 import { PrioritizationFeesResponse, isPrioritizationFeesResponse } from '../utils/rpcTypes';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('FeeOracle');
 
 /**
  * Default increase factor for fee spike threshold calculation
@@ -62,7 +65,7 @@ export class FeeOracle {
         
         if (fees.length === 0) {
           // If no data available, return a reasonable default (5000 micro-lamports)
-          console.warn('No recent prioritization fees available, using default value');
+          logger.warn('No recent prioritization fees available, using default value');
           return 5000n;
         }
 
@@ -70,7 +73,7 @@ export class FeeOracle {
         const allFees = fees.map(item => Number(item.prioritizationFee));
         
         if (allFees.length === 0) {
-          console.warn('No prioritization fees in result, using default value');
+          logger.warn('No prioritization fees in result, using default value');
           return 5000n;
         }
 
@@ -81,11 +84,11 @@ export class FeeOracle {
         
         return BigInt(sortedFees[clampedIndex]);
       } else {
-        console.warn('Invalid response from getRecentPrioritizationFees, using default value', response);
+        logger.warn('Invalid response from getRecentPrioritizationFees, using default value', response);
         return 5000n;
       }
     } catch (error) {
-      console.error('Error fetching priority fees:', error);
+      logger.error('Error fetching priority fees:', error);
       // Return a reasonable default in case of error
       return 5000n;
     }
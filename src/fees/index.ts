@@ -9,4 +9,12 @@ export {
   defaultFeeCollector,
   createFeeCollector,
   FeeCalculationResult
-} from './feeCollector'; 
\ No newline at end of file
+} from './feeCollector'; 
+
+export {
+  recordFee,
+  createRunId,
+  FeeSource,
+  FeeLedgerEntry,
+  FeeLedgerRecord
+} from './feeLedger';
@@ -3,6 +3,11 @@ import { SolanaRpcClient, defaultSolanaRpcClient } from '../utils/solanaRpcClien
 import { FeeOracle, defaultFeeOracle } from '../fees/feeOracle';
 import { SolNetworkError, TxTimeoutError } from '../utils/errors';
 import { EventEmitter } from '../utils/eventEmitter';
+import { createLogger } from '../utils/logger';
+import { SignerUnavailableError, WalletSignatureError } from '../wallet/errors';
+import { TransactionSigner, signTransaction } from '../wallet/signer';
+
+const logger = createLogger('WalletFunder');
 
 /**
  * Event types that WalletFunder can emit
@@ -148,14 +153,14 @@ export class WalletFunder extends EventEmitter<WalletFunderEvent, WalletFunderEv
   /**
    * Fund multiple child wallets from a mother wallet
    * 
-   * @param motherWallet - The mother wallet keypair to fund from
+   * @param motherWallet - The mother wallet keypair or signer to fund from
    * @param childAddresses - Array of child wallet addresses to fund
    * @param amountPerChild - Amount of SOL (in lamports) to fund each child wallet
    * @param options - Optional funding parameters
    * @returns A promise resolving to the funding result
    */
   async fundChildWallets(
-    motherWallet: Keypair,
+    motherWallet: Keypair | TransactionSigner,
     childAddresses: string[],
     amountPerChild: bigint,
     options: WalletFundingOptions = {}
@@ -329,14 +334,14 @@ export class WalletFunder extends EventEmitter<WalletFunderEvent, WalletFunderEv
   /**
    * Fund a chunk of child wallets from a mother wallet
    * 
-   * @param motherWallet - The mother wallet keypair to fund from
+   * @param motherWallet - The mother wallet keypair or signer to fund from
    * @param childAddresses - Array of child wallet addresses to fund in this chunk
    * @param amountPerChild - Amount of SOL (in lamports) to fund each child wallet
    * @param options - Optional funding parameters
    * @returns A promise resolving to the chunk funding result
    */
   private async fundChildWalletsChunk(
-    motherWallet: Keypair,
+    motherWallet: Keypair | TransactionSigner,
     childAddresses: string[],
     amountPerChild: bigint,
     options: WalletFundingOptions = {}
@@ -410,15 +415,20 @@ export class WalletFunder extends EventEmitter<WalletFunderEvent, WalletFunderEv
           );
         }
 
-        // Sign transaction
-        transaction.sign(motherWallet);
+        // Sign transaction (in-process or through the remote signer)
+        await signTransaction(transaction, [motherWallet]);
 
-        // Send transaction
-        const txSignature = await this.rpcClient.sendTransaction(transaction, {
-          skipPreflight,
-          maxRetries: 1,
-          preflightCommitment: 'confirmed'
-        });
+        // Send the signed transaction as is; sendTransaction would re-sign it with a keypair
+        let txSignature: string;
+        try {
+          txSignature = await this.rpcClient.connection.sendRawTransaction(transaction.serialize(), {
+            skipPreflight,
+            maxRetries: 1,
+            preflightCommitment: 'confirmed'
+          });
+        } catch (error) {
+          throw new SolNetworkError(`Failed to send transaction: ${error instanceof Error ? error.message : String(error)}`);
+        }
 
         if (!txSignature) {
           throw new SolNetworkError('Failed to send transaction: Empty signature returned');
@@ -471,7 +481,7 @@ export class WalletFunder extends EventEmitter<WalletFunderEvent, WalletFunderEv
             fee = BigInt(txResponse.meta.fee);
           }
         } catch (error) {
-          console.warn('Could not fetch transaction fee:', error);
+          logger.warn('Could not fetch transaction fee:', error);
           // Continue anyway as this is non-critical
         }
 
@@ -549,11 +559,16 @@ export class WalletFunder extends EventEmitter<WalletFunderEvent, WalletFunderEv
    * @returns True if the error is retryable, false otherwise
    */
   private isRetryableError(error: Error): boolean {
-    // Network errors and timeouts are retryable
-    if (error instanceof SolNetworkError || error instanceof TxTimeoutError) {
+    // Network errors, timeouts and remote signer outages are retryable
+    if (error instanceof SolNetworkError || error instanceof TxTimeoutError || error instanceof SignerUnavailableError) {
       return true;
     }
 
+    // A signer that refused the transaction will refuse it again
+    if (error instanceof WalletSignatureError) {
+      return false;
+    }
+
     // Check error message for known retryable patterns
     const retryablePatterns = [
       'timeout',
@@ -11,6 +11,25 @@ export {
   defaultSolanaRpcClient,
   createSolanaRpcClient
 } from './utils/solanaRpcClient';
+export {
+  RpcPool,
+  parseRpcEndpoints,
+  isFailoverError,
+  RPC_ROLES,
+  RPC_TIERS,
+  RpcRole,
+  RpcTier,
+  RpcEndpointConfig,
+  RpcPoolOptions,
+  RpcEndpointStats
+} from './utils/rpcPool';
+export {
+  createLogger,
+  redact,
+  LOG_LEVELS,
+  Logger,
+  LogLevel
+} from './utils/logger';
 
 // Export events module
 export * from './utils/events';
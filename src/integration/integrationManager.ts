@@ -1,16 +1,17 @@
 import { createSolanaRpcClient } from '../utils/solanaRpcClient';
 import { TxExecutor, defaultTxExecutor } from '../transactions/txExecutor';
-import { defaultWalletManager, getWalletFromIndex } from '../wallet/walletManager';
+import { DEFAULT_MOTHER_LABEL, defaultWalletRegistry } from '../wallet/walletRegistry';
+import { migrateWalletStorage } from '../wallet/registryMigration';
 import { defaultFeeOracle } from '../fees/feeOracle';
 import { FeeCollector, prepareFeeTransfers } from '../fees/feeCollector';
+import { createRunId, recordFee } from '../fees/feeLedger';
 import { Scheduler, defaultScheduler } from '../scheduler/scheduler';
 import { TokenInfo } from '../tokens/tokenInfo';
 import { DetailedTransferOp, OperationResult, RunSummary, TransferOp, OperationStatus } from '../models/types';
-import { SOLANA_RPC_URL_DEVNET, SERVICE_WALLET_ADDRESS } from '../config';
+import { NETWORK, SERVICE_WALLET_ADDRESS, WRAPPED_SOL_MINT, getNetworkType, getRpcUrl } from '../config';
 import { 
   createAndStoreMotherWallet, 
   generateAndStoreChildWallets,
-  importMotherWalletFromStorage,
   loadChildWallets,
   loadMotherWallet
 } from './walletStorage';
@@ -24,14 +25,25 @@ import fs from 'fs';
  * funding, scheduling transfers, and executing transactions.
  */
 export class IntegrationManager {
-  private rpcClient = createSolanaRpcClient(SOLANA_RPC_URL_DEVNET);
+  private rpcClient = createSolanaRpcClient(process.env.SOLANA_RPC_URL || getRpcUrl());
   private txExecutor = defaultTxExecutor;
   private scheduler = defaultScheduler;
   private feeOracle = defaultFeeOracle;
   private tokenInfo = new TokenInfo();
+  private motherLabel: string;
+  
+  /**
+   * Creates a new IntegrationManager
+   * 
+   * @param motherLabel - Label of the mother wallet in the wallet registry
+   */
+  constructor(motherLabel: string = DEFAULT_MOTHER_LABEL) {
+    this.motherLabel = motherLabel;
+  }
   
   /**
    * Initializes the system by creating a mother wallet and child wallets
+   * Wallet files from before the wallet registry are imported into it first.
    * 
    * @param childCount - Number of child wallets to create
    * @param forceNewMotherWallet - If true, creates a new mother wallet even if one exists
@@ -41,13 +53,20 @@ export class IntegrationManager {
     motherWallet: any, 
     childWallets: any[] 
   }> {
+    migrateWalletStorage();
+    
     // Check if mother wallet already exists
-    let motherWallet = loadMotherWallet();
+    let motherWallet = loadMotherWallet(this.motherLabel);
     
     if (!motherWallet || forceNewMotherWallet) {
+      if (motherWallet) {
+        // The replaced mother wallet keeps its keys in the registry
+        defaultWalletRegistry.setStatus(motherWallet.id, 'retired');
+      }
+      
       // Create mother wallet only if it doesn't exist or we're forcing a new one
       console.log('Creating mother wallet...');
-      motherWallet = await createAndStoreMotherWallet();
+      motherWallet = await createAndStoreMotherWallet(this.motherLabel);
       console.log(`Mother wallet created: ${motherWallet.publicKey}`);
     } else {
       console.log(`Using existing mother wallet: ${motherWallet.publicKey}`);
@@ -55,7 +74,7 @@ export class IntegrationManager {
     
     // Create child wallets
     console.log(`Generating ${childCount} child wallets...`);
-    const childWallets = await generateAndStoreChildWallets(childCount);
+    const childWallets = await generateAndStoreChildWallets(childCount, this.motherLabel);
     console.log(`${childCount} child wallets generated.`);
     
     return { motherWallet, childWallets };
@@ -69,28 +88,23 @@ export class IntegrationManager {
    */
   async fundChildWallets(amountSolPerChild: number): Promise<OperationResult[]> {
     // Load mother wallet
-    const motherWallet = loadMotherWallet();
+    const motherWallet = loadMotherWallet(this.motherLabel);
     if (!motherWallet) {
       throw new Error('Mother wallet not found. Call initializeSystem first.');
     }
     
-    // Import mother wallet
-    const motherSigner = await importMotherWalletFromStorage();
-    if (!motherSigner) {
-      throw new Error('Failed to import mother wallet from storage.');
-    }
-    
     // Load child wallets
-    const childWallets = loadChildWallets();
+    const childWallets = loadChildWallets(this.motherLabel);
     if (childWallets.length === 0) {
       throw new Error('No child wallets found. Call initializeSystem first.');
     }
     
     console.log(`Funding ${childWallets.length} child wallets with ${amountSolPerChild} SOL each...`);
     
-    // Create funding operations - use a special case for the mother wallet
-    const fundingOperations: DetailedTransferOp[] = childWallets.map((child, index) => ({
+    // Create funding operations, signed by the mother wallet
+    const fundingOperations: DetailedTransferOp[] = childWallets.map(child => ({
       sourceIndex: -1, // Negative index indicates mother wallet
+      sourceWalletId: motherWallet.id,
       destinationAddress: child.publicKey,
       amount: BigInt(Math.floor(amountSolPerChild * LAMPORTS_PER_SOL)),
       isFee: false
@@ -99,23 +113,11 @@ export class IntegrationManager {
     // Create transaction executor with our RPC client
     const results: OperationResult[] = [];
     
-    // Override getWalletFromIndex to handle mother wallet
-    const originalGetWallet = getWalletFromIndex;
-    
     // Process each funding operation
     for (const op of fundingOperations) {
       console.log(`Funding child wallet ${op.destinationAddress} with ${Number(op.amount) / LAMPORTS_PER_SOL} SOL...`);
       
-      // For negative index, use the mother wallet
-      if (op.sourceIndex === -1) {
-        // Override the wallet retrieval function just for this operation
-        (global as any).getWalletFromIndex = async (idx: number) => {
-          if (idx === -1) return motherSigner;
-          return originalGetWallet(idx);
-        };
-      }
-      
-      // Execute the transfer with the appropriate wallet source
+      // Execute the transfer from the mother wallet
       const result = await this.txExecutor.executeSolTransfer(op, {
         skipPreflight: false,
         maxRetries: 3,
@@ -132,9 +134,6 @@ export class IntegrationManager {
       }
     }
     
-    // Restore original function
-    (global as any).getWalletFromIndex = originalGetWallet;
-    
     return results;
   }
   
@@ -212,7 +211,7 @@ export class IntegrationManager {
     totalFees: bigint
   }> {
     // Load child wallets
-    const childWallets = loadChildWallets();
+    const childWallets = loadChildWallets(this.motherLabel);
     if (childWallets.length < 2) {
       throw new Error('Need at least 2 child wallets. Call initializeSystem with childCount >= 2.');
     }
@@ -238,6 +237,7 @@ export class IntegrationManager {
     // Convert to DetailedTransferOp with wallet addresses
     const transferOpsWithAddresses: DetailedTransferOp[] = transferOps.map(op => ({
       sourceIndex: op.sourceIndex,
+      sourceWalletId: childWallets[op.sourceIndex].id,
       destinationAddress: childWallets[op.destinationIndex].publicKey,
       amount: op.amount,
       isFee: false
@@ -262,6 +262,8 @@ export class IntegrationManager {
    */
   async executeTransferSchedule(schedule: DetailedTransferOp[], tokenMint?: string): Promise<RunSummary> {
     // Track run metrics
+    const runId = createRunId();
+    const childWallets = loadChildWallets(this.motherLabel);
     const startTime = Date.now();
     let confirmedOps = 0;
     let failedOps = 0;
@@ -315,6 +317,7 @@ export class IntegrationManager {
         
         if (op.isFee) {
           totalFees += op.amount;
+          await this.recordTransferFee(op, result, runId, childWallets[op.sourceIndex]?.publicKey, tokenMint);
         } else {
           totalAmount += op.amount;
         }
@@ -344,7 +347,8 @@ export class IntegrationManager {
       : 0;
     
     const summary: RunSummary = {
-      networkType: 'devnet',
+      runId,
+      networkType: getNetworkType(),
       totalOperations: schedule.length + fundingConfirmed, // Include funding operations in total
       confirmedOperations: confirmedOps,
       failedOperations: failedOps,
@@ -361,6 +365,40 @@ export class IntegrationManager {
     return summary;
   }
   
+  /**
+   * Records a confirmed fee transfer in the fee ledger.
+   * A failed write is logged but does not stop the run, since the fee has already been paid.
+   * 
+   * @param op - The fee transfer
+   * @param result - Its confirmed result
+   * @param runId - The run the transfer belongs to
+   * @param sourceWallet - Address of the wallet that paid the fee
+   * @param tokenMint - The token mint, or undefined for SOL
+   */
+  private async recordTransferFee(
+    op: DetailedTransferOp,
+    result: OperationResult,
+    runId: string,
+    sourceWallet: string | undefined,
+    tokenMint?: string
+  ): Promise<void> {
+    try {
+      const decimals = tokenMint ? (await this.tokenInfo.getTokenData(tokenMint)).decimals : 9;
+      recordFee({
+        source: 'transfer-fee',
+        runId,
+        sourceWallet: sourceWallet || `child-wallet-${op.sourceIndex}`,
+        mint: tokenMint || WRAPPED_SOL_MINT,
+        amount: op.amount,
+        decimals,
+        feeAccount: op.destinationAddress,
+        signature: result.signature || ''
+      });
+    } catch (error) {
+      console.error(`Failed to record fee transfer ${result.signature} in the fee ledger:`, error);
+    }
+  }
+  
   /**
    * Get the list of wallet addresses that were successfully funded
    * 
@@ -417,13 +455,13 @@ export class IntegrationManager {
     console.log('Returning funds from child wallets to mother wallet...');
     
     // Load mother wallet
-    const motherWallet = loadMotherWallet();
+    const motherWallet = loadMotherWallet(this.motherLabel);
     if (!motherWallet) {
       throw new Error('Mother wallet not found. Call initializeSystem first.');
     }
     
     // Load child wallets
-    const childWallets = loadChildWallets();
+    const childWallets = loadChildWallets(this.motherLabel);
     if (childWallets.length === 0) {
       throw new Error('No child wallets found. Call initializeSystem first.');
     }
@@ -478,6 +516,7 @@ export class IntegrationManager {
           
           returnOperations.push({
             sourceIndex: i, // Child wallet index
+            sourceWalletId: childWallets[i].id,
             destinationAddress: motherWallet.publicKey,
             amount: returnAmount,
             isFee: false
@@ -499,7 +538,7 @@ export class IntegrationManager {
       
       // Return a summary even though no operations were performed
       const summary: RunSummary = {
-        networkType: 'devnet',
+        networkType: getNetworkType(),
         totalOperations: 0,
         confirmedOperations: 0,
         failedOperations: 0,
@@ -573,7 +612,7 @@ export class IntegrationManager {
       : 0;
     
     const summary: RunSummary = {
-      networkType: 'devnet',
+      networkType: getNetworkType(),
       totalOperations: returnOperations.length,
       confirmedOperations: confirmedOps,
       failedOperations: failedOps,
@@ -636,8 +675,8 @@ export class IntegrationManager {
     
     let summary: RunSummary;
     
-    // Check if we're on devnet and no token mint is provided
-    const isDevnet = this.rpcClient.connection.rpcEndpoint.includes('devnet');
+    // Check if we're on a test cluster (devnet, testnet or localnet) and no token mint is provided
+    const isDevnet = NETWORK !== 'mainnet-beta';
     const isStandardDevnetTest = isDevnet && !tokenMint;
     
     if (isStandardDevnetTest) {
@@ -674,7 +713,9 @@ export const defaultIntegrationManager = new IntegrationManager();
 
 /**
  * Convenience function to create a new IntegrationManager instance
+ * 
+ * @param motherLabel - Label of the mother wallet in the wallet registry
  */
-export function createIntegrationManager(): IntegrationManager {
-  return new IntegrationManager();
+export function createIntegrationManager(motherLabel?: string): IntegrationManager {
+  return new IntegrationManager(motherLabel);
 } 
\ No newline at end of file
@@ -5,8 +5,6 @@
  * It is designed to be used with caution as it deals with real SOL and tokens.
  */
 
-import * as path from 'path';
-import * as fs from 'fs';
 import { Connection, Keypair, LAMPORTS_PER_SOL, PublicKey, SystemProgram, Transaction } from '@solana/web3.js';
 import { 
   createAndStoreMotherWallet, 
@@ -19,8 +17,10 @@ import { WalletFunder } from '../funding/walletFunder';
 import { Scheduler, defaultScheduler } from '../scheduler/scheduler';
 import { TxExecutor } from '../transactions/txExecutor';
 import { TransferOp, OperationResult, OperationStatus } from '../models/types';
-import { SOLANA_RPC_URL_MAINNET } from '../config';
+import { SOLANA_RPC_URL_MAINNET, NetworkType } from '../config';
 import { createSolanaRpcClient } from '../utils/solanaRpcClient';
+import { MAINNET_MOTHER_LABEL, defaultWalletRegistry } from '../wallet/walletRegistry';
+import { migrateWalletStorage } from '../wallet/registryMigration';
 
 // Define additional types needed for the mainnet integration
 enum TransferMode {
@@ -35,7 +35,7 @@ interface TransferOperation {
 }
 
 interface IntegrationSummary {
-  networkType: 'devnet' | 'mainnet';
+  networkType: NetworkType;
   startTime: number;
   endTime: number;
   totalOperations: number;
@@ -57,30 +57,19 @@ export class MainnetIntegration {
   private walletFunder: WalletFunder;
   private scheduler: Scheduler;
   private txExecutor: TxExecutor;
-  private walletStoragePath: string;
+  private motherLabel: string;
 
   /**
    * Constructor for MainnetIntegration
-   * @param walletStoragePath Path to store wallet files (defaults to a mainnet subfolder)
+   * @param motherLabel Label of the mother wallet in the wallet registry (defaults to the mainnet mother wallet)
    */
-  constructor(walletStoragePath?: string) {
+  constructor(motherLabel: string = MAINNET_MOTHER_LABEL) {
     // Set up mainnet connection
     this.connection = new Connection(SOLANA_RPC_URL_MAINNET);
     this.rpcClient = createSolanaRpcClient(SOLANA_RPC_URL_MAINNET);
     
-    // Set up wallet storage path
-    if (walletStoragePath) {
-      this.walletStoragePath = walletStoragePath;
-    } else {
-      // Default to a 'mainnet' subdirectory of the wallet-storage directory
-      const baseDir = path.resolve(process.cwd(), 'wallet-storage');
-      this.walletStoragePath = path.join(baseDir, 'mainnet');
-      
-      // Ensure directory exists
-      if (!fs.existsSync(this.walletStoragePath)) {
-        fs.mkdirSync(this.walletStoragePath, { recursive: true });
-      }
-    }
+    // Wallets are kept in the wallet registry under this mother wallet
+    this.motherLabel = motherLabel;
     
     // Initialize components
     this.walletFunder = new WalletFunder(this.rpcClient);
@@ -88,7 +77,7 @@ export class MainnetIntegration {
     this.txExecutor = new TxExecutor(this.rpcClient);
     
     console.log(`Initialized MainnetIntegration with RPC: ${SOLANA_RPC_URL_MAINNET}`);
-    console.log(`Wallet storage path: ${this.walletStoragePath}`);
+    console.log(`Mother wallet label: ${this.motherLabel}`);
   }
 
   /**
@@ -120,8 +109,9 @@ export class MainnetIntegration {
     let confirmationTimes: number[] = [];
     
     try {
-      // Step 1: Create or load mother wallet
+      // Step 1: Create or load mother wallet (importing wallet files from before the registry)
       console.log('Step 1: Setting up mother wallet...');
+      migrateWalletStorage();
       const motherWallet = forceNewMotherWallet
         ? await this.createMotherWallet(true)
         : await this.getOrCreateMotherWallet();
@@ -300,29 +290,26 @@ export class MainnetIntegration {
 
   /**
    * Create a new mother wallet
-   * @param force Whether to force creation even if a wallet already exists
+   * @param force Whether to force creation even if a wallet already exists (the old one is retired)
    * @returns The mother wallet
    */
   private async createMotherWallet(force: boolean = false): Promise<Keypair> {
-    // Use a custom file path for the mainnet mother wallet
-    const motherWalletPath = path.join(this.walletStoragePath, 'mother-wallet.json');
-    
     // Check if the wallet already exists
-    if (!force && fs.existsSync(motherWalletPath)) {
+    const existingWallet = defaultWalletRegistry.getMotherWallet(this.motherLabel);
+    if (existingWallet && !force) {
       throw new Error('Mother wallet already exists. Use force=true to overwrite.');
     }
+    if (existingWallet) {
+      defaultWalletRegistry.setStatus(existingWallet.id, 'retired');
+    }
     
     // Create a new keypair
     const keypair = Keypair.generate();
     
-    // Save the keypair
-    fs.writeFileSync(
-      motherWalletPath,
-      JSON.stringify(Array.from(keypair.secretKey)),
-      'utf-8'
-    );
+    // Register the keypair
+    const motherWallet = defaultWalletRegistry.register(keypair, { role: 'mother', label: this.motherLabel });
     
-    console.log(`Mother wallet created and saved to ${motherWalletPath}`);
+    console.log(`Mother wallet created and registered as ${motherWallet.id}`);
     return keypair;
   }
 
@@ -331,91 +318,49 @@ export class MainnetIntegration {
    */
   private async getOrCreateMotherWallet(): Promise<Keypair> {
     // Check for existing wallet
-    const motherWalletPath = path.join(this.walletStoragePath, 'mother-wallet.json');
+    const motherWallet = defaultWalletRegistry.getMotherWallet(this.motherLabel);
     
-    if (fs.existsSync(motherWalletPath)) {
+    if (motherWallet) {
       console.log('Using existing mother wallet');
-      // Load the wallet
-      const secretKeyString = fs.readFileSync(motherWalletPath, 'utf-8');
-      const secretKey = Uint8Array.from(JSON.parse(secretKeyString));
-      return Keypair.fromSecretKey(secretKey);
+      return defaultWalletRegistry.getKeypair(motherWallet.id);
     } else {
       console.log('Creating new mother wallet');
       return this.createMotherWallet();
     }
   }
 
-  /**
-   * Create child wallets
-   * @param motherWallet Mother wallet keypair
-   * @param count Number of child wallets to create
-   * @returns The child wallet keypairs
-   */
-  private async createChildWallets(motherWallet: Keypair, count: number): Promise<Keypair[]> {
-    // Create a specified number of child wallets
-    const childWallets: Keypair[] = [];
-    const childWalletsPath = path.join(this.walletStoragePath, 'child-wallets.json');
-    
-    for (let i = 0; i < count; i++) {
-      // Simply generate new keypairs (in a real app, might use derivation paths)
-      childWallets.push(Keypair.generate());
-    }
-    
-    // Save the child wallets
-    fs.writeFileSync(
-      childWalletsPath,
-      JSON.stringify(childWallets.map(wallet => Array.from(wallet.secretKey))),
-      'utf-8'
-    );
-    
-    console.log(`${count} child wallets created and saved to ${childWalletsPath}`);
-    return childWallets;
-  }
-
   /**
    * Get existing child wallets or create new ones
    * @param motherWallet Mother wallet keypair
    * @param count Number of child wallets needed
    */
   private async getOrCreateChildWallets(motherWallet: Keypair, count: number): Promise<Keypair[]> {
+    const mother = defaultWalletRegistry.findByPublicKey(motherWallet.publicKey.toBase58());
+    if (!mother) {
+      throw new Error('Mother wallet is not registered in the wallet registry.');
+    }
+    
     // Check for existing child wallets
-    const childWalletsPath = path.join(this.walletStoragePath, 'child-wallets.json');
+    const existingWallets = defaultWalletRegistry.getChildWallets(mother.id);
     
-    if (fs.existsSync(childWalletsPath)) {
-      // Load existing wallets
-      const childWalletsData = fs.readFileSync(childWalletsPath, 'utf-8');
-      const childWalletsKeys = JSON.parse(childWalletsData);
-      const existingWallets = childWalletsKeys.map((key: number[]) => 
-        Keypair.fromSecretKey(Uint8Array.from(key))
-      );
-      
-      // If we have enough, return them
-      if (existingWallets.length >= count) {
-        console.log(`Using ${count} existing child wallets`);
-        return existingWallets.slice(0, count);
-      }
-      
-      // If we need more, create additional ones
-      console.log(`Using ${existingWallets.length} existing child wallets and creating ${count - existingWallets.length} new ones`);
-      
-      const newWallets: Keypair[] = [];
-      for (let i = 0; i < count - existingWallets.length; i++) {
-        newWallets.push(Keypair.generate());
-      }
-      
-      // Save all wallets
-      fs.writeFileSync(
-        childWalletsPath,
-        JSON.stringify([...existingWallets, ...newWallets].map(wallet => Array.from(wallet.secretKey))),
-        'utf-8'
-      );
-      
-      return [...existingWallets, ...newWallets];
-    } else {
-      // Create new child wallets
-      console.log(`Creating ${count} new child wallets`);
-      return this.createChildWallets(motherWallet, count);
+    // If we have enough, return them
+    if (existingWallets.length >= count) {
+      console.log(`Using ${count} existing child wallets`);
+      return existingWallets.slice(0, count).map(wallet => defaultWalletRegistry.getKeypair(wallet.id));
+    }
+    
+    // If we need more, create additional ones after the highest existing index
+    console.log(`Using ${existingWallets.length} existing child wallets and creating ${count - existingWallets.length} new ones`);
+    
+    let nextIndex = existingWallets.reduce((max, wallet) => Math.max(max, (wallet.index ?? -1) + 1), 0);
+    for (let i = existingWallets.length; i < count; i++) {
+      // Simply generate new keypairs (in a real app, might use derivation paths)
+      defaultWalletRegistry.register(Keypair.generate(), { role: 'child', parentId: mother.id, index: nextIndex++ });
     }
+    
+    return defaultWalletRegistry.getChildWallets(mother.id)
+      .slice(0, count)
+      .map(wallet => defaultWalletRegistry.getKeypair(wallet.id));
   }
 
   /**
@@ -1,7 +1,20 @@
 import fs from 'fs';
 import path from 'path';
-import { WalletManager, defaultWalletManager } from '../wallet/walletManager';
+import { WalletManager, defaultWalletManager, getChildDerivationPath } from '../wallet/walletManager';
 import { Keypair } from '@solana/web3.js';
+import {
+  decryptPayload,
+  isKeystoreFile,
+  readEncryptedJson,
+  rekeyPayload,
+  unlockKeystore,
+  writeEncryptedJson
+} from '../wallet/keystore';
+import { DEFAULT_MOTHER_LABEL, RegistryEntry, VAULT_PATH, defaultWalletRegistry } from '../wallet/walletRegistry';
+import { atomicWriteJson } from '../utils/fileUtils';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('WalletStorage');
 
 // Define a more specific type for the signer
 interface Signer {
@@ -16,149 +29,224 @@ const MOTHER_WALLET_FILE = path.join(WALLET_STORAGE_DIR, 'mother-wallet.json');
 
 /**
  * Securely stores wallet information to a file
+ * The data is written as an encrypted keystore using the active keystore passphrase.
  * 
  * @param walletData - The wallet data to store
  * @param filename - The filename to save to
+ * @param passphrase - Optional passphrase (defaults to the unlocked keystore passphrase)
  */
-export async function storeWalletData(walletData: any, filename: string): Promise<void> {
+export async function storeWalletData(walletData: any, filename: string, passphrase?: string): Promise<void> {
   // Ensure the storage directory exists
   if (!fs.existsSync(WALLET_STORAGE_DIR)) {
     fs.mkdirSync(WALLET_STORAGE_DIR, { recursive: true });
   }
 
-  // Convert data to JSON and write to file
   const filePath = path.join(WALLET_STORAGE_DIR, filename);
   
-  // Store the data
-  fs.writeFileSync(filePath, JSON.stringify(walletData, null, 2));
-  console.log(`Wallet data saved to ${filePath}`);
+  // Encrypt and store the data
+  writeEncryptedJson(filePath, walletData, passphrase);
+  logger.info(`Wallet data saved (encrypted) to ${filePath}`);
 }
 
 /**
- * Loads wallet data from a file
+ * Loads wallet data from a file, decrypting it when it is an encrypted keystore
  * 
  * @param filename - The filename to load from
+ * @param passphrase - Optional passphrase (defaults to the unlocked keystore passphrase)
  * @returns The wallet data or null if not found
  */
-export function loadWalletData(filename: string): any | null {
+export function loadWalletData(filename: string, passphrase?: string): any | null {
+  const filePath = path.join(WALLET_STORAGE_DIR, filename);
+  return readEncryptedJson(filePath, passphrase);
+}
+
+/**
+ * Loads the public part of a wallet file without decrypting it
+ * 
+ * @param filename - The filename to load from
+ * @returns The wallet data without secrets, or null if not found
+ */
+export function loadWalletPublicData(filename: string): any | null {
   const filePath = path.join(WALLET_STORAGE_DIR, filename);
   
   if (!fs.existsSync(filePath)) {
     return null;
   }
   
-  const data = fs.readFileSync(filePath, 'utf8');
-  return JSON.parse(data);
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return isKeystoreFile(data) ? data.public : data;
 }
 
 /**
- * Creates a new mother wallet and saves it to a file
+ * Unlocks the wallet storage for the current process
+ * The passphrase is verified against the wallet registry, or the legacy mother wallet file.
  * 
- * @returns The created mother wallet data
+ * @param passphrase - The keystore passphrase
  */
-export async function createAndStoreMotherWallet(): Promise<any> {
-  // Create a new mother wallet
-  const { signer, mnemonic, privateKeyBytes } = await defaultWalletManager.createMotherWallet();
+export function unlockWalletStorage(passphrase: string): void {
+  const walletFilePath = fs.existsSync(VAULT_PATH) ? VAULT_PATH : MOTHER_WALLET_FILE;
   
-  // Convert private key bytes to a format that can be safely stored
-  const privateKeyBase64 = Buffer.from(privateKeyBytes).toString('base64');
-  
-  // Prepare data for storage
-  const walletData = {
-    publicKey: signer.publicKey.toString(),
-    mnemonic,
-    privateKeyBase64,
-    createdAt: new Date().toISOString(),
-    network: 'devnet'
-  };
-  
-  // Store the wallet data
-  await storeWalletData(walletData, 'mother-wallet.json');
+  if (fs.existsSync(walletFilePath)) {
+    const data = JSON.parse(fs.readFileSync(walletFilePath, 'utf8'));
+    if (isKeystoreFile(data)) {
+      // Throws KeystoreDecryptionError on a wrong passphrase
+      decryptPayload(data, passphrase);
+    }
+  }
   
-  return walletData;
+  unlockKeystore(passphrase);
 }
 
 /**
- * Loads the mother wallet
- * 
- * @returns The mother wallet data or null if not found
+ * Lists the JSON files of a directory and its subdirectories (such as `mainnet/`)
  */
-export function loadMotherWallet(): any | null {
-  return loadWalletData('mother-wallet.json');
+function listJsonFiles(dir: string): string[] {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listJsonFiles(entryPath);
+    }
+    return entry.isFile() && entry.name.endsWith('.json') ? [entryPath] : [];
+  });
 }
 
 /**
- * Imports the mother wallet from stored data
+ * Re-encrypts every encrypted keystore in the wallet storage under a new passphrase
+ * Subdirectories such as `mainnet/` are included. Plaintext files (API keys, jobs,
+ * wallet groups) are left untouched, since the API reads them without a passphrase.
  * 
- * @returns The mother wallet signer or null if not found
+ * @param oldPassphrase - Current passphrase
+ * @param newPassphrase - New passphrase
+ * @param storageDir - Storage directory (defaults to wallet-storage)
+ * @returns The list of files that were rewritten
  */
-export async function importMotherWalletFromStorage(): Promise<any | null> {
-  const walletData = loadMotherWallet();
+export function rekeyWalletStorage(
+  oldPassphrase: string,
+  newPassphrase: string,
+  storageDir: string = WALLET_STORAGE_DIR
+): string[] {
+  const rewritten: string[] = [];
   
-  if (!walletData) {
-    return null;
+  if (!fs.existsSync(storageDir)) {
+    return rewritten;
   }
   
-  // Convert base64 private key back to bytes
-  const privateKeyBytes = Buffer.from(walletData.privateKeyBase64, 'base64');
+  // Decrypt everything first so a wrong passphrase doesn't leave a half-migrated directory
+  const pending = listJsonFiles(storageDir).flatMap(filePath => {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return isKeystoreFile(data) ? [{ filePath, keystore: rekeyPayload(data, oldPassphrase, newPassphrase) }] : [];
+  });
+  
+  for (const { filePath, keystore } of pending) {
+    atomicWriteJson(filePath, keystore, 0o600);
+    rewritten.push(filePath);
+  }
+  
+  unlockKeystore(newPassphrase);
+  return rewritten;
+}
+
+/**
+ * Creates a new mother wallet and registers it in the wallet registry
+ * The mnemonic is only returned here, so it can be backed up.
+ * 
+ * @param label - Label of the mother wallet (defaults to the IntegrationManager mother wallet)
+ * @returns The registered mother wallet and its mnemonic
+ */
+export async function createAndStoreMotherWallet(
+  label: string = DEFAULT_MOTHER_LABEL
+): Promise<RegistryEntry & { mnemonic: string }> {
+  // Create a new mother wallet
+  const { signer, mnemonic } = await defaultWalletManager.createMotherWallet();
+  
+  const motherWallet = defaultWalletRegistry.register(signer, {
+    role: 'mother',
+    label,
+    index: 0,
+    derivationPath: getChildDerivationPath(0),
+    mnemonic
+  });
   
-  // Import the wallet using the private key
-  return await defaultWalletManager.importMotherWallet(privateKeyBytes);
+  return { ...motherWallet, mnemonic };
+}
+
+/**
+ * Loads the mother wallet from the wallet registry
+ * 
+ * @param label - Label of the mother wallet (defaults to the IntegrationManager mother wallet)
+ * @returns The mother wallet or null if none is registered
+ */
+export function loadMotherWallet(label: string = DEFAULT_MOTHER_LABEL): RegistryEntry | null {
+  return defaultWalletRegistry.getMotherWallet(label);
 }
 
 /**
- * Generates and stores child wallets
+ * Loads the keypair of the mother wallet from the wallet registry
+ * 
+ * @param label - Label of the mother wallet (defaults to the IntegrationManager mother wallet)
+ * @returns The mother wallet keypair or null if none is registered
+ */
+export async function importMotherWalletFromStorage(label: string = DEFAULT_MOTHER_LABEL): Promise<Keypair | null> {
+  const motherWallet = loadMotherWallet(label);
+  return motherWallet ? defaultWalletRegistry.getKeypair(motherWallet.id) : null;
+}
+
+/**
+ * Derives child wallets of the mother wallet and registers them in the wallet registry
+ * Child wallet i is derived from the mother wallet key, so registering the same
+ * count again returns the same wallets. Other child wallets of the mother wallet are
+ * retired, so the next run uses exactly these wallets.
  * 
  * @param count - Number of child wallets to generate
- * @returns Array of generated child wallet data
+ * @param label - Label of the mother wallet (defaults to the IntegrationManager mother wallet)
+ * @returns The registered child wallets
  */
-export async function generateAndStoreChildWallets(count: number): Promise<any[]> {
-  // Load mother wallet
-  const motherWalletData = loadMotherWallet();
+export async function generateAndStoreChildWallets(
+  count: number,
+  label: string = DEFAULT_MOTHER_LABEL
+): Promise<RegistryEntry[]> {
+  const motherWallet = loadMotherWallet(label);
   
-  if (!motherWalletData) {
+  if (!motherWallet) {
     throw new Error('Mother wallet not found. Create a mother wallet first.');
   }
   
-  // Convert base64 private key back to bytes
-  const motherPrivateKeyBytes = Buffer.from(motherWalletData.privateKeyBase64, 'base64');
+  const motherPrivateKeyBytes = defaultWalletRegistry.getKeypair(motherWallet.id).secretKey;
   
   // Generate child wallets
-  const childWallets = [];
+  const childWallets: RegistryEntry[] = [];
   
   for (let i = 0; i < count; i++) {
     const childSigner = await defaultWalletManager.deriveChildWallet(motherPrivateKeyBytes, i);
-    
-    // Store the private key for the child wallet
-    const privateKeyBase64 = Buffer.from(childSigner.secretKey).toString('base64');
-    
-    const childData = {
-      index: i,
-      publicKey: childSigner.publicKey.toString(),
-      privateKeyBase64: privateKeyBase64, // Add private key
-      derivationPath: `m/0/${i}`, // Based on the derivation path in walletManager
-      parentPublicKey: motherWalletData.publicKey,
-      createdAt: new Date().toISOString(),
-      network: 'devnet'
-    };
-    
-    childWallets.push(childData);
+    const childWallet = defaultWalletRegistry.register(childSigner, {
+      role: 'child',
+      parentId: motherWallet.id,
+      index: i
+    });
+    childWallets.push(childWallet.status === 'active'
+      ? childWallet
+      : defaultWalletRegistry.setStatus(childWallet.id, 'active'));
   }
   
-  // Store all child wallets
-  await storeWalletData(childWallets, 'child-wallets.json');
+  const childIds = new Set(childWallets.map(wallet => wallet.id));
+  for (const wallet of defaultWalletRegistry.getChildWallets(motherWallet.id)) {
+    if (!childIds.has(wallet.id)) {
+      defaultWalletRegistry.setStatus(wallet.id, 'retired');
+    }
+  }
   
   return childWallets;
 }
 
 /**
- * Loads the stored child wallets
+ * Loads the active child wallets of the mother wallet, ordered by index
  * 
- * @returns Array of child wallet data or empty array if none found
+ * @param label - Label of the mother wallet (defaults to the IntegrationManager mother wallet)
+ * @returns The child wallets or an empty array if none are registered
  */
-export function loadChildWallets(): any[] {
-  const childWallets = loadWalletData('child-wallets.json');
-  return childWallets || [];
+export function loadChildWallets(label: string = DEFAULT_MOTHER_LABEL): RegistryEntry[] {
+  const motherWallet = loadMotherWallet(label);
+  return motherWallet ? defaultWalletRegistry.getChildWallets(motherWallet.id) : [];
 }
 
 /**
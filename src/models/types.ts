@@ -2,6 +2,8 @@
  * Common types and interfaces used throughout the application
  */
 
+import { NetworkType } from '../config';
+
 /**
  * Represents a transfer operation from one wallet to another
  */
@@ -16,6 +18,7 @@ export interface TransferOp {
  */
 export interface DetailedTransferOp {
   sourceIndex: number;
+  sourceWalletId?: string; // registry wallet that signs; defaults to the wallet at sourceIndex
   destinationAddress: string;
   amount: bigint;
   isFee: boolean;
@@ -46,7 +49,8 @@ export interface OperationResult {
  * Summary of a completed run
  */
 export interface RunSummary {
-  networkType: 'devnet' | 'mainnet';
+  runId?: string; // groups the run's fees in the fee ledger
+  networkType: NetworkType;
   totalOperations: number;
   confirmedOperations: number;
   failedOperations: number;
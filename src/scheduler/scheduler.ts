@@ -1,4 +1,7 @@
 import { TransferOp } from '../models/types';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('Scheduler');
 
 /**
  * Scheduler is responsible for generating transfer schedules
@@ -42,7 +45,7 @@ export class Scheduler {
       return ops;
     } catch (error: unknown) {
       const errorMessage = error instanceof Error ? error.message : String(error);
-      console.error('Error generating schedule:', errorMessage);
+      logger.error('Error generating schedule:', errorMessage);
       throw new Error(`Failed to generate schedule: ${errorMessage}`);
     }
   }
@@ -61,52 +64,42 @@ export class Scheduler {
     // For larger decimal tokens like SOL (9 decimals), this would be 0.001 units
     const minAmount = BigInt(10) ** BigInt(Math.max(0, tokenDecimals - 2));
     
-    // Check if the total volume is sufficient for the minimum amount per wallet
-    if (totalVolume < minAmount * BigInt(n)) {
+    // Every wallet gets minAmount plus a share of the remainder. Distinct amounts need
+    // distinct shares, so the remainder must cover at least 0 + 1 + ... + (n - 1).
+    const minimumVolume = minAmount * BigInt(n) + BigInt((n * (n - 1)) / 2);
+    if (totalVolume < minimumVolume) {
       throw new Error(`Total volume too small for ${n} wallets with minimum amount of ${minAmount}`);
     }
+    const remainder = totalVolume - minAmount * BigInt(n);
     
-    // Dividing points (n-1 points for n amounts)
-    // We'll use a set to ensure uniqueness
-    const divPointsSet = new Set<bigint>();
-    
-    // Maximum attempts to avoid infinite loop in rare cases
+    // Maximum attempts to avoid an endless loop when the remainder leaves little room for unique shares
     const maxAttempts = n * 10;
-    let attempts = 0;
+    let amounts: bigint[] | null = null;
     
-    // Adjust the range to ensure we have room for uniqueness
-    // The range is 1 to totalVolume - 1
-    while (divPointsSet.size < n - 1 && attempts < maxAttempts) {
-      attempts++;
+    for (let attempt = 0; attempt < maxAttempts && !amounts; attempt++) {
+      // n-1 random division points split the remainder into n shares
+      const divPoints = Array.from({ length: n - 1 }, () => this.randomBigInt(0n, remainder))
+        .sort((a, b) => a < b ? -1 : a > b ? 1 : 0);
       
-      // Generate a random bigint between minAmount and totalVolume - minAmount
-      const randPoint = this.randomBigInt(minAmount, totalVolume - minAmount);
-      divPointsSet.add(randPoint);
-    }
-    
-    if (divPointsSet.size < n - 1) {
-      throw new Error('Could not generate enough unique division points');
+      const shares: bigint[] = [divPoints[0]];
+      for (let i = 1; i < divPoints.length; i++) {
+        shares.push(divPoints[i] - divPoints[i - 1]);
+      }
+      shares.push(remainder - divPoints[divPoints.length - 1]);
+      
+      const candidate = shares.map(share => minAmount + share);
+      if (new Set(candidate.map(amount => amount.toString())).size === n) {
+        amounts = candidate;
+      }
     }
     
-    // Convert set to array and sort
-    const divPoints = Array.from(divPointsSet).sort((a, b) => 
-      a < b ? -1 : a > b ? 1 : 0
-    );
-    
-    // Generate amounts from division points
-    const amounts: bigint[] = [];
-    
-    // First amount is from 0 to first division point
-    amounts.push(divPoints[0]);
-    
-    // Middle amounts are differences between adjacent division points
-    for (let i = 1; i < divPoints.length; i++) {
-      amounts.push(divPoints[i] - divPoints[i - 1]);
+    if (!amounts) {
+      // Shares 0, 1, ..., n-2 and the rest, which is at least n-1, are always unique
+      const shares = Array.from({ length: n - 1 }, (_, i) => BigInt(i));
+      shares.push(remainder - shares.reduce((sum, share) => sum + share, 0n));
+      amounts = shares.map(share => minAmount + share);
     }
     
-    // Last amount is from last division point to totalVolume
-    amounts.push(totalVolume - divPoints[divPoints.length - 1]);
-    
     // Shuffle the amounts to ensure randomness in the distribution
     return this.shuffleArray(amounts);
   }
@@ -159,20 +152,20 @@ export class Scheduler {
     const amounts = transfers.map(t => t.amount);
     const uniqueAmounts = new Set(amounts.map(a => a.toString())); // Convert to string for Set comparison
     if (uniqueAmounts.size !== amounts.length) {
-      console.error('Not all amounts are unique');
+      logger.error('Not all amounts are unique');
       return false;
     }
     
     // Check that all amounts are >= minAmount
     if (amounts.some(a => a < minAmount)) {
-      console.error('Some amounts are less than the minimum amount');
+      logger.error('Some amounts are less than the minimum amount');
       return false;
     }
     
     // Check that the sum of amounts equals totalVolume
     const sum = amounts.reduce((acc, curr) => acc + curr, 0n);
     if (sum !== totalVolume) {
-      console.error(`Sum of amounts (${sum}) does not equal total volume (${totalVolume})`);
+      logger.error(`Sum of amounts (${sum}) does not equal total volume (${totalVolume})`);
       return false;
     }
     
@@ -1,6 +1,9 @@
 import { PublicKey } from '@solana/web3.js';
 import { SolanaRpcClient, defaultSolanaRpcClient } from '../utils/solanaRpcClient';
 import { AccountInfoResponse, isAccountInfoResponse } from '../utils/rpcTypes';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('TokenInfo');
 
 /**
  * Error thrown when a token is not found
@@ -111,7 +114,7 @@ export class TokenInfo {
       } else {
         // Binary data - we would need to manually decode this
         // For now, just fall back to defaults
-        console.warn(`Token data for ${mintAddress} is not in parsed format, using defaults`);
+        logger.warn(`Token data for ${mintAddress} is not in parsed format, using defaults`);
       }
       
       const tokenData: TokenData = {
@@ -170,7 +173,7 @@ export class TokenInfo {
       const accountInfo = await this.fetchMintAccount(mintAddress);
       
       if (!accountInfo) {
-        console.warn(`Token mint account not found: ${mintAddress}`);
+        logger.warn(`Token mint account not found: ${mintAddress}`);
         return DEFAULT_TOKEN_DECIMALS;
       }
       
@@ -178,7 +181,7 @@ export class TokenInfo {
       const decimals = accountInfo.data.readUInt8(SPL_TOKEN_MINT_LAYOUT.decimals.offset);
       return decimals;
     } catch (error) {
-      console.error('Error fetching token decimals:', error);
+      logger.error('Error fetching token decimals:', error);
       return DEFAULT_TOKEN_DECIMALS;
     }
   }
@@ -205,7 +208,7 @@ export class TokenInfo {
       const supply = (BigInt(supplyUpper) << 32n) | BigInt(supplyLower);
       return supply;
     } catch (error) {
-      console.error('Error fetching token supply:', error);
+      logger.error('Error fetching token supply:', error);
       return 0n;
     }
   }
@@ -240,7 +243,7 @@ export class TokenInfo {
       
       return null;
     } catch (error) {
-      console.error('Error fetching mint account:', error);
+      logger.error('Error fetching mint account:', error);
       return null;
     }
   }
@@ -5,4 +5,14 @@ export {
   TxExecuteOptions,
   defaultTxExecutor,
   createTxExecutor
-} from './txExecutor'; 
\ No newline at end of file
+} from './txExecutor';
+
+export {
+  recordSentTransaction,
+  updateTransaction,
+  getMessageFee,
+  TransactionStatus,
+  TransactionTransfer,
+  SentTransaction,
+  TransactionOutcome
+} from './transactionHistory';
@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { ComputeBudgetProgram, Message, MessageV0 } from '@solana/web3.js';
+import { NETWORK } from '../config';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('TransactionHistory');
+
+/**
+ * Outcome of a recorded transaction; `replaced` means a retry superseded it
+ */
+export type TransactionStatus = 'sent' | 'confirmed' | 'failed' | 'replaced';
+
+/**
+ * A transfer made by a transaction, amount in base units (`mint` is null for SOL)
+ */
+export interface TransactionTransfer {
+  source: string;
+  destination: string;
+  amount: string;
+  mint: string | null;
+}
+
+/**
+ * A sent transaction, as passed to recordSentTransaction
+ */
+export interface SentTransaction {
+  signature: string;
+  type: string;
+  feePayer: string;
+  wallets?: string[];
+  transfers?: TransactionTransfer[];
+  jobId?: string | null;
+  details?: Record<string, unknown> | null;
+}
+
+/**
+ * The outcome of a recorded transaction, as passed to updateTransaction
+ */
+export interface TransactionOutcome {
+  status: TransactionStatus;
+  slot?: number | null;
+  feeLamports?: number | null;
+  error?: string | null;
+}
+
+// Shared with the API (api/services/transactionHistoryService.js), which serves it at GET /api/transactions
+const TRANSACTIONS_DB_PATH = process.env.TRANSACTIONS_DB_PATH
+  || path.join(process.cwd(), 'wallet-storage', 'transactions.db');
+
+// Kept in sync with api/services/transactionHistoryService.js
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS transactions (
+    signature TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    network TEXT NOT NULL,
+    fee_payer TEXT NOT NULL,
+    transfers TEXT NOT NULL DEFAULT '[]',
+    fee_lamports INTEGER,
+    slot INTEGER,
+    error TEXT,
+    job_id TEXT,
+    details TEXT,
+    sent_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS transactions_sent_at ON transactions (sent_at);
+  CREATE TABLE IF NOT EXISTS transaction_wallets (
+    wallet TEXT NOT NULL,
+    signature TEXT NOT NULL REFERENCES transactions (signature),
+    PRIMARY KEY (wallet, signature)
+  );
+`;
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+// Compute units the runtime budgets per instruction when no limit is set
+const DEFAULT_COMPUTE_UNITS_PER_INSTRUCTION = 200000;
+const MAX_COMPUTE_UNIT_LIMIT = 1400000;
+
+let db: Database.Database | null = null;
+
+/**
+ * Opens the transaction history database (once) and creates the tables if needed
+ *
+ * @returns The database
+ */
+function getDatabase(): Database.Database {
+  if (!db) {
+    fs.mkdirSync(path.dirname(TRANSACTIONS_DB_PATH), { recursive: true });
+    db = new Database(TRANSACTIONS_DB_PATH);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(SCHEMA);
+  }
+  return db;
+}
+
+/**
+ * Records a sent transaction in the transaction history.
+ * Best-effort: a failed write is logged and never fails the transfer.
+ *
+ * @param transaction - The sent transaction
+ */
+export function recordSentTransaction(transaction: SentTransaction): void {
+  try {
+    const database = getDatabase();
+    const now = new Date().toISOString();
+    database.transaction(() => {
+      database.prepare(`
+        INSERT OR IGNORE INTO transactions
+          (signature, type, status, network, fee_payer, transfers, job_id, details, sent_at, updated_at)
+        VALUES (?, ?, 'sent', ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        transaction.signature,
+        transaction.type,
+        NETWORK,
+        transaction.feePayer,
+        JSON.stringify(transaction.transfers ?? []),
+        transaction.jobId ?? null,
+        transaction.details ? JSON.stringify(transaction.details) : null,
+        now,
+        now
+      );
+      const insertWallet = database.prepare('INSERT OR IGNORE INTO transaction_wallets (wallet, signature) VALUES (?, ?)');
+      for (const wallet of new Set([transaction.feePayer, ...(transaction.wallets ?? [])])) {
+        insertWallet.run(wallet, transaction.signature);
+      }
+    })();
+  } catch (error) {
+    logger.error(`Could not record transaction ${transaction.signature}:`, error instanceof Error ? error.message : error);
+  }
+}
+
+/**
+ * Updates the outcome of a recorded transaction.
+ * Best-effort: a failed write is logged and never fails the transfer.
+ *
+ * @param signature - The transaction signature
+ * @param outcome - The outcome
+ */
+export function updateTransaction(signature: string, outcome: TransactionOutcome): void {
+  try {
+    getDatabase().prepare(`
+      UPDATE transactions
+      SET status = ?, slot = COALESCE(?, slot), fee_lamports = COALESCE(?, fee_lamports), error = ?, updated_at = ?
+      WHERE signature = ?
+    `).run(
+      outcome.status,
+      outcome.slot ?? null,
+      outcome.feeLamports ?? null,
+      outcome.error ?? null,
+      new Date().toISOString(),
+      signature
+    );
+  } catch (error) {
+    logger.error(`Could not update transaction ${signature}:`, error instanceof Error ? error.message : error);
+  }
+}
+
+/**
+ * Computes the fee a compiled transaction pays when it lands: the base fee per signature
+ * plus the priority fee set by its compute budget instructions
+ *
+ * @param message - The compiled message
+ * @returns The fee in lamports
+ */
+export function getMessageFee(message: Message | MessageV0): number {
+  let computeUnitLimit: number | null = null;
+  let computeUnitPrice = 0n;
+  let otherInstructions = 0;
+
+  for (const instruction of message.compiledInstructions) {
+    const programId = message.staticAccountKeys[instruction.programIdIndex];
+    if (!programId.equals(ComputeBudgetProgram.programId)) {
+      otherInstructions++;
+      continue;
+    }
+    const data = Buffer.from(instruction.data);
+    if (data[0] === 2) {
+      computeUnitLimit = data.readUInt32LE(1); // SetComputeUnitLimit
+    } else if (data[0] === 3) {
+      computeUnitPrice = data.readBigUInt64LE(1); // SetComputeUnitPrice, in microlamports
+    }
+  }
+
+  const limit = computeUnitLimit ?? Math.min(MAX_COMPUTE_UNIT_LIMIT, otherInstructions * DEFAULT_COMPUTE_UNITS_PER_INSTRUCTION);
+  const priorityFee = (computeUnitPrice * BigInt(limit) + 999999n) / 1000000n;
+  return message.header.numRequiredSignatures * LAMPORTS_PER_SIGNATURE + Number(priorityFee);
+}
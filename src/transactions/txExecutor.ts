@@ -18,8 +18,10 @@ import {
 import { SolanaRpcClient, defaultSolanaRpcClient } from '../utils/solanaRpcClient';
 import { FeeOracle, defaultFeeOracle } from '../fees/feeOracle';
 import { TokenInfo, TokenNotFoundError } from '../tokens/tokenInfo';
-import { getWalletFromIndex } from '../wallet/walletManager';
-import { WalletSignatureError } from '../wallet/errors';
+import { getSignerFromIndex } from '../wallet/walletManager';
+import { defaultWalletRegistry } from '../wallet/walletRegistry';
+import { SignerUnavailableError, WalletSignatureError } from '../wallet/errors';
+import { TransactionSigner, signTransaction } from '../wallet/signer';
 import { 
   SolNetworkError, 
   InvalidInstructionParameterError,
@@ -31,11 +33,12 @@ import {
   isTransactionConfirmationResponse,
   isTokenAccountsByOwnerResponse
 } from '../utils/rpcTypes';
+import { createLogger } from '../utils/logger';
+import { recordSentTransaction, updateTransaction, getMessageFee } from './transactionHistory';
 
 // Import web3.js v1 modules
 import { 
   PublicKey,
-  Keypair,
   SystemProgram,
   Transaction,
   TransactionInstruction,
@@ -44,6 +47,9 @@ import {
 import { 
   createTransferCheckedInstruction 
 } from '@solana/spl-token';
+import bs58 from 'bs58';
+
+const logger = createLogger('TxExecutor');
 
 // Default configuration for transaction execution
 const DEFAULT_MAX_RETRIES = 3;
@@ -105,6 +111,25 @@ export interface TxExecuteOptions {
   checkFeeSpikeThreshold?: boolean;
 }
 
+/**
+ * An attempt recorded in the transaction history whose outcome is not known yet
+ */
+interface PendingAttempt {
+  signature: string;
+  feeLamports: number;
+  sentAt: number;
+}
+
+/**
+ * On-chain status of a sent signature: confirmed with its slot, failed with its error,
+ * or neither when it has not landed (yet)
+ */
+interface SignatureStatusCheck {
+  confirmed: boolean;
+  slot?: number;
+  error?: unknown;
+}
+
 /**
  * Helper function to convert a Uint8Array to base64 string
  */
@@ -187,15 +212,17 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
     }
 
     // Load the source wallet
-    const sourceWallet = await getWalletFromIndex(operation.sourceIndex);
+    const sourceWallet = await this.loadSourceWallet(operation);
     if (!sourceWallet) {
       result.status = OperationStatus.FAILED;
-      result.error = `Failed to load source wallet at index ${operation.sourceIndex}`;
+      result.error = `Failed to load source wallet ${operation.sourceWalletId || `at index ${operation.sourceIndex}`}`;
       return result;
     }
 
     let currentAttempt = 0;
     let lastError: Error | null = null;
+    // Last attempt recorded in the transaction history whose outcome is not known yet
+    let pending: PendingAttempt | null = null;
 
     // Retry loop
     while (currentAttempt <= maxRetries) {
@@ -208,6 +235,18 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
             attempt: currentAttempt, 
             error: lastError?.message || 'Unknown error'
           });
+
+          // The previous attempt may have landed even though its confirmation failed
+          if (pending) {
+            const previous = await this.checkSignatureStatus(pending.signature);
+            if (previous.confirmed) {
+              return this.confirmLandedAttempt(result, operation, pending, previous.slot);
+            }
+            if (previous.error) {
+              updateTransaction(pending.signature, { status: 'failed', error: JSON.stringify(previous.error) });
+              pending = null;
+            }
+          }
         }
 
         // Get latest blockhash for transaction
@@ -263,12 +302,34 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
         transaction.feePayer = sourceAddress;
         transaction.recentBlockhash = blockhash;
         
-        // Sign transaction with source wallet (convert to Keypair if needed)
-        const signers = [sourceWallet];
-        transaction.sign(...signers as unknown as Keypair[]);
-        
-        // Get signature from transaction
-        const txSignature = await this.rpcClient.connection.sendRawTransaction(
+        // Sign transaction with source wallet (in-process or through the remote signer)
+        await signTransaction(transaction, [sourceWallet]);
+        const txSignature = bs58.encode(transaction.signature!);
+
+        // Record the attempt in the transaction history before sending it, so a crash after the
+        // send never loses a transfer that landed; a retry supersedes the previous attempt
+        if (pending && pending.signature !== txSignature) {
+          updateTransaction(pending.signature, { status: 'replaced' });
+        }
+        pending = {
+          signature: txSignature,
+          feeLamports: getMessageFee(transaction.compileMessage()),
+          sentAt: Date.now()
+        };
+        recordSentTransaction({
+          signature: txSignature,
+          type: 'transfer',
+          feePayer: sourceAddress.toBase58(),
+          wallets: [destinationAddress.toBase58()],
+          transfers: [{
+            source: sourceAddress.toBase58(),
+            destination: destinationAddress.toBase58(),
+            amount: operation.amount.toString(),
+            mint: null
+          }]
+        });
+
+        await this.rpcClient.connection.sendRawTransaction(
           transaction.serialize(),
           {
             skipPreflight,
@@ -321,6 +382,11 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
         result.status = OperationStatus.CONFIRMED;
         result.signature = txSignature;
         result.confirmationTime = confirmationTime;
+        updateTransaction(txSignature, {
+          status: 'confirmed',
+          slot: confirmationResult.context?.slot,
+          feeLamports: pending.feeLamports
+        });
 
         // Emit confirmation event
         this.emit(TxExecutorEvent.TRANSACTION_CONFIRMED, { 
@@ -335,7 +401,7 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
         lastError = error instanceof Error ? error : new Error(String(error));
         
         // Log detailed information about the error
-        console.error(`Transaction error details:`, {
+        logger.error(`Transaction error details:`, {
           message: lastError.message,
           stack: lastError.stack,
           operation: {
@@ -350,6 +416,15 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
         
         // If we've exhausted retries or error isn't retryable, fail permanently
         if (currentAttempt >= maxRetries || !isRetryable) {
+          // A send whose confirmation timed out may still have landed
+          if (pending) {
+            const last = await this.checkSignatureStatus(pending.signature);
+            if (last.confirmed) {
+              return this.confirmLandedAttempt(result, operation, pending, last.slot);
+            }
+            updateTransaction(pending.signature, { status: 'failed', error: lastError.message });
+          }
+
           result.status = OperationStatus.FAILED;
           result.error = lastError.message;
           
@@ -411,10 +486,10 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
     }
 
     // Load the source wallet
-    const sourceWallet = await getWalletFromIndex(operation.sourceIndex);
+    const sourceWallet = await this.loadSourceWallet(operation);
     if (!sourceWallet) {
       result.status = OperationStatus.FAILED;
-      result.error = `Failed to load source wallet at index ${operation.sourceIndex}`;
+      result.error = `Failed to load source wallet ${operation.sourceWalletId || `at index ${operation.sourceIndex}`}`;
       return result;
     }
 
@@ -434,6 +509,8 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
 
     let currentAttempt = 0;
     let lastError: Error | null = null;
+    // Last attempt recorded in the transaction history whose outcome is not known yet
+    let pending: PendingAttempt | null = null;
 
     // Retry loop
     while (currentAttempt <= maxRetries) {
@@ -446,6 +523,18 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
             attempt: currentAttempt, 
             error: lastError?.message || 'Unknown error'
           });
+
+          // The previous attempt may have landed even though its confirmation failed
+          if (pending) {
+            const previous = await this.checkSignatureStatus(pending.signature);
+            if (previous.confirmed) {
+              return this.confirmLandedAttempt(result, operation, pending, previous.slot);
+            }
+            if (previous.error) {
+              updateTransaction(pending.signature, { status: 'failed', error: JSON.stringify(previous.error) });
+              pending = null;
+            }
+          }
         }
 
         // Get source token account
@@ -537,12 +626,34 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
         transaction.feePayer = sourceAddress;
         transaction.recentBlockhash = blockhash;
         
-        // Sign transaction with source wallet (convert to Keypair if needed)
-        const signers = [sourceWallet];
-        transaction.sign(...signers as unknown as Keypair[]);
-        
-        // Get signature from transaction
-        const txSignature = await this.rpcClient.connection.sendRawTransaction(
+        // Sign transaction with source wallet (in-process or through the remote signer)
+        await signTransaction(transaction, [sourceWallet]);
+        const txSignature = bs58.encode(transaction.signature!);
+
+        // Record the attempt in the transaction history before sending it, so a crash after the
+        // send never loses a transfer that landed; a retry supersedes the previous attempt
+        if (pending && pending.signature !== txSignature) {
+          updateTransaction(pending.signature, { status: 'replaced' });
+        }
+        pending = {
+          signature: txSignature,
+          feeLamports: getMessageFee(transaction.compileMessage()),
+          sentAt: Date.now()
+        };
+        recordSentTransaction({
+          signature: txSignature,
+          type: 'token-transfer',
+          feePayer: sourceAddress.toBase58(),
+          wallets: [operation.destinationAddress],
+          transfers: [{
+            source: sourceAddress.toBase58(),
+            destination: destinationTokenAccountPubkey.toBase58(),
+            amount: operation.amount.toString(),
+            mint: tokenMint
+          }]
+        });
+
+        await this.rpcClient.connection.sendRawTransaction(
           transaction.serialize(),
           {
             skipPreflight,
@@ -595,6 +706,11 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
         result.status = OperationStatus.CONFIRMED;
         result.signature = txSignature;
         result.confirmationTime = confirmationTime;
+        updateTransaction(txSignature, {
+          status: 'confirmed',
+          slot: confirmationResult.context?.slot,
+          feeLamports: pending.feeLamports
+        });
 
         // Emit confirmation event
         this.emit(TxExecutorEvent.TRANSACTION_CONFIRMED, { 
@@ -609,7 +725,7 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
         lastError = error instanceof Error ? error : new Error(String(error));
         
         // Log detailed information about the error
-        console.error(`Transaction error details:`, {
+        logger.error(`Transaction error details:`, {
           message: lastError.message,
           stack: lastError.stack,
           operation: {
@@ -624,6 +740,15 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
         
         // If we've exhausted retries or error isn't retryable, fail permanently
         if (currentAttempt >= maxRetries || !isRetryable) {
+          // A send whose confirmation timed out may still have landed
+          if (pending) {
+            const last = await this.checkSignatureStatus(pending.signature);
+            if (last.confirmed) {
+              return this.confirmLandedAttempt(result, operation, pending, last.slot);
+            }
+            updateTransaction(pending.signature, { status: 'failed', error: lastError.message });
+          }
+
           result.status = OperationStatus.FAILED;
           result.error = lastError.message;
           
@@ -647,6 +772,75 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
     return result;
   }
 
+  /**
+   * Checks the on-chain status of a sent signature before a retry supersedes it or it is
+   * marked failed (like checkTransactionStatus in api/utils/transactionUtils.js)
+   * 
+   * @param signature - The signature of a previous attempt
+   * @returns Whether it is confirmed, and its slot or on-chain error
+   */
+  private async checkSignatureStatus(signature: string): Promise<SignatureStatusCheck> {
+    try {
+      const status = (await this.rpcClient.connection.getSignatureStatus(signature)).value;
+      if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+        return status.err ? { confirmed: false, error: status.err } : { confirmed: true, slot: status.slot };
+      }
+    } catch (error) {
+      logger.warn(`Could not check transaction status of ${signature}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+    return { confirmed: false };
+  }
+
+  /**
+   * Completes an operation with an earlier attempt that landed after its confirmation failed
+   * 
+   * @param result - The operation result to update
+   * @param operation - The transfer operation
+   * @param attempt - The attempt that landed
+   * @param slot - The slot it landed in
+   * @returns The confirmed operation result
+   */
+  private confirmLandedAttempt(
+    result: OperationResult,
+    operation: DetailedTransferOp,
+    attempt: PendingAttempt,
+    slot?: number
+  ): OperationResult {
+    logger.info(`Transaction ${attempt.signature} already confirmed`);
+    const confirmationTime = Date.now() - attempt.sentAt;
+
+    result.status = OperationStatus.CONFIRMED;
+    result.signature = attempt.signature;
+    result.confirmationTime = confirmationTime;
+    updateTransaction(attempt.signature, { status: 'confirmed', slot, feeLamports: attempt.feeLamports });
+
+    this.emit(TxExecutorEvent.TRANSACTION_CONFIRMED, {
+      signature: attempt.signature,
+      operation,
+      confirmationTime
+    });
+
+    return result;
+  }
+
+  /**
+   * Loads the signer of an operation's source wallet from the wallet registry
+   * 
+   * @param operation - The transfer operation
+   * @returns The signer, or null if the wallet is not registered
+   */
+  private async loadSourceWallet(operation: DetailedTransferOp): Promise<TransactionSigner | null> {
+    if (!operation.sourceWalletId) {
+      return getSignerFromIndex(operation.sourceIndex);
+    }
+    try {
+      return defaultWalletRegistry.getSigner(operation.sourceWalletId);
+    } catch (error) {
+      logger.error(`Error loading wallet ${operation.sourceWalletId}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Determine if an error is retryable
    * 
@@ -659,8 +853,8 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
       return false;
     }
     
-    // Network errors are generally retryable
-    if (error instanceof SolNetworkError) {
+    // Network errors and remote signer outages are generally retryable
+    if (error instanceof SolNetworkError || error instanceof SignerUnavailableError) {
       return true;
     }
     
@@ -743,7 +937,7 @@ export class TxExecutor extends EventEmitter<TxExecutorEvent, TxExecutorEventPay
       // Check if we should abort the batch on critical errors
       if (result.status === OperationStatus.FAILED && !continueOnError) {
         if (result.error && this.shouldAbortBatch(result.error)) {
-          console.error(`Aborting batch due to critical error: ${result.error}`);
+          logger.error(`Aborting batch due to critical error: ${result.error}`);
           break;
         }
       }
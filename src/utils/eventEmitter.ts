@@ -1,3 +1,7 @@
+import { createLogger } from './logger';
+
+const logger = createLogger('EventEmitter');
+
 /**
  * A simple typed event emitter that can be extended by other classes
  */
@@ -76,7 +80,7 @@ export class EventEmitter<
         try {
           listener(data);
         } catch (error) {
-          console.error(`Error in event listener for ${String(event)}:`, error);
+          logger.error(`Error in event listener for ${String(event)}:`, error);
         }
       });
     }
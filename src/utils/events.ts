@@ -1,4 +1,5 @@
 import { EventEmitter } from 'events';
+import { NetworkType } from '../config';
 
 /**
  * Event types that can be emitted during execution
@@ -39,7 +40,7 @@ export interface BaseEvent {
 export interface RunStartedEvent extends BaseEvent {
   type: EventType.RUN_STARTED;
   params: {
-    networkType: 'devnet' | 'mainnet';
+    networkType: NetworkType;
     childWalletsCount: number;
     totalVolume: string; // BigInt serialized as string
     tokenMint: string;
@@ -0,0 +1,97 @@
+/**
+ * File helpers for the JSON stores under `wallet-storage/`
+ *
+ * Same behaviour as `api/utils/fileUtils.js`, so the volume runs and the REST API
+ * can safely share the vault file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { UtilError } from './errors';
+
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 10000;
+
+// A lock this old was left behind by a crashed process
+const LOCK_STALE_MS = 30000;
+
+/**
+ * Blocks the calling thread for a while
+ */
+function sleepSync(ms: number): void {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Checks whether a lock file was left behind by a crashed process (or no longer exists)
+ */
+function isStaleLock(lockPath: string): boolean {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return true;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Writes a value as JSON through a temporary file and a rename, so readers
+ * (in this or another process) never see a truncated file
+ *
+ * @param filePath - Destination file
+ * @param data - Value to serialize
+ * @param mode - Optional file mode of the written file (e.g. 0o600)
+ */
+export function atomicWriteJson(filePath: string, data: unknown, mode?: number): void {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Per-process name, so two processes writing the same file never share a temporary file
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), mode === undefined ? undefined : { mode });
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Runs a read-modify-write of a file while holding `<file>.lock`, so processes
+ * sharing the file never overwrite each other's changes
+ *
+ * @param filePath - The file to lock
+ * @param fn - Callback run while the lock is held
+ * @returns The callback's return value
+ * @throws UtilError if the lock is not released within 10 seconds
+ */
+export function withFileLock<T>(filePath: string, fn: () => T): T {
+  const lockPath = `${filePath}.lock`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'EEXIST') {
+        throw error;
+      }
+      if (isStaleLock(lockPath)) {
+        fs.rmSync(lockPath, { force: true });
+      } else if (Date.now() >= deadline) {
+        throw new UtilError(`Timed out waiting for the lock on ${filePath}`);
+      } else {
+        sleepSync(LOCK_RETRY_MS);
+      }
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
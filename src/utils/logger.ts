@@ -0,0 +1,193 @@
+/**
+ * Structured logger
+ *
+ * Levels follow LOG_LEVEL (error, warn, info, http, verbose, debug, silly; default info).
+ * Entries are written as JSON lines when NODE_ENV=production or LOG_FORMAT=json and as
+ * readable lines otherwise, always tagged with the module that wrote them. Values that
+ * look like secrets (private keys, mnemonics, API keys) are redacted.
+ *
+ * The output format is shared with `api/utils/logger.js`.
+ */
+
+import util from 'util';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+
+/**
+ * Log levels, from most to least severe
+ */
+export const LOG_LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  http: 3,
+  verbose: 4,
+  debug: 5,
+  silly: 6
+} as const;
+
+export type LogLevel = keyof typeof LOG_LEVELS;
+
+/**
+ * Logger bound to a module tag
+ */
+export type Logger = Record<LogLevel, (...args: unknown[]) => void>;
+
+// Keys whose values are always redacted
+const SECRET_KEY_PATTERN = /(private|secret|mnemonic|seed|passphrase|password|api[-_]?key|authorization|access[-_]?token)/i;
+
+// Base58 strings as long as a 64-byte secret key (or a transaction signature)
+const BASE58_64_BYTES_PATTERN = /\b[1-9A-HJ-NP-Za-km-z]{85,90}\b/g;
+
+// Raw API keys
+const API_KEY_PATTERN = /\bsk_[0-9a-f]{64}\b/g;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Gets the configured minimum level
+ */
+function getLevelThreshold(): number {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase() as LogLevel;
+  return LOG_LEVELS[level] ?? LOG_LEVELS.info;
+}
+
+/**
+ * Whether entries are written as JSON lines
+ */
+function useJsonFormat(): boolean {
+  return process.env.LOG_FORMAT === 'json'
+    || (process.env.LOG_FORMAT !== 'pretty' && process.env.NODE_ENV === 'production');
+}
+
+/**
+ * Checks whether 64 bytes form an ed25519 secret key (seed followed by its public key),
+ * which tells secret keys apart from transaction signatures of the same length
+ */
+function isSecretKeyBytes(bytes: ArrayLike<number>): boolean {
+  try {
+    Keypair.fromSecretKey(Uint8Array.from(bytes));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Redacts secret-looking values from a string
+ */
+function redactString(value: string): string {
+  return value
+    .replace(API_KEY_PATTERN, REDACTED)
+    .replace(BASE58_64_BYTES_PATTERN, match => {
+      try {
+        const bytes = bs58.decode(match);
+        return bytes.length === 64 && isSecretKeyBytes(bytes) ? REDACTED : match;
+      } catch (error) {
+        return match;
+      }
+    });
+}
+
+/**
+ * Recursively redacts secrets from log metadata
+ *
+ * @param value - The value to redact
+ * @param depth - Current depth (deep structures are truncated)
+ * @returns A redacted copy of the value
+ */
+export function redact(value: unknown, depth: number = 0): unknown {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return { message: redactString(value.message), name: value.name, stack: value.stack && redactString(value.stack) };
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth > 5) {
+    return '[Truncated]';
+  }
+  if ((Array.isArray(value) || value instanceof Uint8Array) && value.length === 64
+    && Array.from(value as ArrayLike<unknown>).every(Number.isInteger) && isSecretKeyBytes(value as ArrayLike<number>)) {
+    return REDACTED;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  if (typeof (value as { toBase58?: unknown }).toBase58 === 'function') {
+    return (value as { toBase58: () => string }).toBase58();
+  }
+
+  const result: Record<string, unknown> = {};
+  for (const [key, item] of Object.entries(value as Record<string, unknown>)) {
+    if (item === undefined) {
+      continue;
+    }
+    result[key] = SECRET_KEY_PATTERN.test(key) && item !== null
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Splits log call arguments into a message and metadata
+ * Plain objects are merged into the metadata, errors go to `error`, and
+ * everything else is formatted into the message like console.log.
+ */
+function parseArgs(args: unknown[]): { message: string; meta: Record<string, unknown> } {
+  const parts: unknown[] = [];
+  const meta: Record<string, unknown> = {};
+
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      meta.error = arg;
+    } else if (arg && typeof arg === 'object' && Object.getPrototypeOf(arg) === Object.prototype) {
+      Object.assign(meta, arg);
+    } else {
+      parts.push(arg);
+    }
+  }
+
+  return { message: util.format(...parts), meta };
+}
+
+/**
+ * Writes a log entry
+ */
+function write(level: LogLevel, module: string, args: unknown[]): void {
+  if (LOG_LEVELS[level] > getLevelThreshold()) {
+    return;
+  }
+
+  const { message, meta } = parseArgs(args);
+  const details = redact(meta) as Record<string, unknown>;
+  const timestamp = new Date().toISOString();
+  const stream = LOG_LEVELS[level] <= LOG_LEVELS.warn ? process.stderr : process.stdout;
+
+  if (useJsonFormat()) {
+    stream.write(`${JSON.stringify({ timestamp, level, module, message: redactString(message), ...details })}\n`);
+    return;
+  }
+
+  const detailText = Object.keys(details).length > 0
+    ? ` ${util.inspect(details, { depth: 4, breakLength: Infinity })}`
+    : '';
+  stream.write(`${timestamp} ${level.toUpperCase()} [${module}] ${redactString(message)}${detailText}\n`);
+}
+
+/**
+ * Creates a logger for a module
+ *
+ * @param module - The module tag (e.g. "TxExecutor")
+ * @returns A logger with one method per level
+ */
+export function createLogger(module: string): Logger {
+  const logger = {} as Logger;
+  for (const level of Object.keys(LOG_LEVELS) as LogLevel[]) {
+    logger[level] = (...args: unknown[]) => write(level, module, args);
+  }
+  return logger;
+}
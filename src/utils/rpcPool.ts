@@ -0,0 +1,425 @@
+/**
+ * RPC endpoint pool
+ *
+ * Routes Solana RPC calls over several endpoints with health checks and failover. Reads and
+ * transaction sends are routed separately, each to a weighted random healthy endpoint with
+ * the matching role; latency and error rate lower an endpoint's share of the traffic. Rate
+ * limits (429), timeouts and connection errors put an endpoint in a growing cooldown and the
+ * call is retried on another endpoint. With several endpoints, a periodic `getSlot` health
+ * check also takes endpoints lagging behind the highest slot out of rotation.
+ *
+ * Endpoints are configured with SOLANA_RPC_ENDPOINTS, in the format read by `api/utils/rpcPool.js`.
+ */
+
+import { Connection } from '@solana/web3.js';
+import { createLogger } from './logger';
+
+const logger = createLogger('RpcPool');
+
+export type RpcRole = 'read' | 'send';
+export type RpcTier = 'PUBLIC' | 'PREMIUM';
+
+export const RPC_ROLES: RpcRole[] = ['read', 'send'];
+export const RPC_TIERS: RpcTier[] = ['PUBLIC', 'PREMIUM'];
+
+/**
+ * Endpoint configuration
+ */
+export interface RpcEndpointConfig {
+  url: string;
+  name?: string;
+  weight?: number;
+  roles?: RpcRole[];
+  tier?: RpcTier;
+  wsUrl?: string;
+}
+
+/**
+ * Health check and cooldown settings
+ */
+export interface RpcPoolOptions {
+  healthCheckIntervalMs: number;
+  maxSlotLag: number;
+  cooldownMs: number;
+  maxCooldownMs: number;
+  referenceLatencyMs: number;
+}
+
+/**
+ * Health statistics of an endpoint
+ */
+export interface RpcEndpointStats {
+  name: string;
+  tier: RpcTier;
+  roles: RpcRole[];
+  weight: number;
+  healthy: boolean;
+  latencyMs: number | null;
+  errorRate: number;
+  requests: number;
+  errors: number;
+  slot: number | null;
+  slotLag: number;
+  cooldownRemainingMs: number;
+  lastError: string | null;
+}
+
+interface PooledEndpoint extends Required<Omit<RpcEndpointConfig, 'wsUrl'>> {
+  wsUrl?: string;
+  connection: Connection;
+  latencyMs: number | null;
+  errorRate: number;
+  requests: number;
+  errors: number;
+  consecutiveFailures: number;
+  cooldownUntil: number;
+  slot: number | null;
+  slotLag: number;
+  lastError: string | null;
+}
+
+// Connection methods that submit transactions
+const SEND_METHODS = new Set(['sendRawTransaction', 'sendTransaction', 'sendEncodedTransaction']);
+
+// Subscriptions stay on the primary endpoint, since subscription IDs belong to one connection
+const SUBSCRIPTION_METHOD_PATTERN = /^(on|remove)[A-Z]/;
+
+// Errors worth retrying on another endpoint
+const FAILOVER_ERROR_PATTERN = /429|Too Many Requests|timed? ?out|timeout|ETIMEDOUT|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed|502|503|504|Bad Gateway|Service Unavailable|Gateway Time/i;
+
+const DEFAULT_OPTIONS: RpcPoolOptions = {
+  healthCheckIntervalMs: Number(process.env.RPC_HEALTH_CHECK_INTERVAL_MS ?? 30000),
+  maxSlotLag: Number(process.env.RPC_MAX_SLOT_LAG ?? 50),
+  cooldownMs: 5000,
+  maxCooldownMs: 60000,
+  // Endpoints slower than this get a proportionally smaller share of the traffic
+  referenceLatencyMs: 250
+};
+
+// Weight of the newest sample in the latency and error rate moving averages
+const SMOOTHING = 0.2;
+
+// The free public RPCs of mainnet-beta, devnet and testnet
+const PUBLIC_RPC_PATTERN = /api\.(mainnet-beta|devnet|testnet)\.solana\.com/;
+
+/**
+ * Detects the provider tier of an RPC URL (the free public cluster RPCs are strictly rate limited)
+ */
+function detectTier(url: string): RpcTier {
+  return PUBLIC_RPC_PATTERN.test(url) ? 'PUBLIC' : 'PREMIUM';
+}
+
+/**
+ * Validates an endpoint configuration and fills in defaults
+ */
+function normalizeEndpoint(entry: RpcEndpointConfig | string): Required<Omit<RpcEndpointConfig, 'wsUrl'>> & { wsUrl?: string } {
+  const { url, name, weight = 1, roles = RPC_ROLES, tier, wsUrl } = typeof entry === 'string' ? { url: entry } as RpcEndpointConfig : entry;
+
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid RPC endpoint configuration: ${url} is not a URL`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Invalid RPC endpoint configuration: ${parsed.host} must use http or https`);
+  }
+  if (typeof weight !== 'number' || !(weight > 0)) {
+    throw new Error(`Invalid RPC endpoint configuration: weight of ${parsed.host} must be a positive number`);
+  }
+  if (!Array.isArray(roles) || roles.length === 0 || roles.some(role => !RPC_ROLES.includes(role))) {
+    throw new Error(`Invalid RPC endpoint configuration: roles of ${parsed.host} must be a non-empty subset of ${RPC_ROLES.join(', ')}`);
+  }
+  if (tier !== undefined && !RPC_TIERS.includes(tier)) {
+    throw new Error(`Invalid RPC endpoint configuration: tier of ${parsed.host} must be one of ${RPC_TIERS.join(', ')}`);
+  }
+
+  return {
+    url,
+    // URLs often embed API keys, so endpoints are identified by host in logs and stats
+    name: name || parsed.host,
+    weight,
+    roles,
+    tier: tier || detectTier(url),
+    wsUrl
+  };
+}
+
+/**
+ * Parses an endpoint list in the SOLANA_RPC_ENDPOINTS format
+ *
+ * @param value - Comma-separated URLs or a JSON array of endpoint configurations
+ * @param fallbackUrl - Endpoint used when the list is empty
+ * @returns Endpoint configurations
+ */
+export function parseRpcEndpoints(value: string | undefined, fallbackUrl: string): RpcEndpointConfig[] {
+  const text = (value || '').trim();
+  let entries: Array<RpcEndpointConfig | string>;
+  if (!text) {
+    entries = [fallbackUrl];
+  } else if (text.startsWith('[')) {
+    try {
+      entries = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid RPC endpoint configuration: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  } else {
+    entries = text.split(',').map(url => url.trim()).filter(Boolean);
+  }
+
+  const endpoints = entries.map(normalizeEndpoint);
+  for (const role of RPC_ROLES) {
+    if (!endpoints.some(endpoint => endpoint.roles.includes(role))) {
+      throw new Error(`Invalid RPC endpoint configuration: no endpoint has the ${role} role`);
+    }
+  }
+  return endpoints;
+}
+
+/**
+ * Whether an RPC error should be retried on another endpoint
+ */
+export function isFailoverError(error: unknown): boolean {
+  return FAILOVER_ERROR_PATTERN.test(error instanceof Error ? error.message : String(error ?? ''));
+}
+
+/**
+ * Pool of RPC endpoints exposing a drop-in Connection
+ */
+export class RpcPool {
+  /**
+   * Connection whose calls are routed through the pool
+   */
+  public readonly connection: Connection;
+
+  private endpoints: PooledEndpoint[];
+  private primary: PooledEndpoint;
+  private options: RpcPoolOptions;
+  private timer: NodeJS.Timeout | null = null;
+
+  /**
+   * Creates a pool
+   *
+   * @param endpoints - Endpoint configurations or URLs
+   * @param options - Health check and cooldown settings
+   */
+  constructor(endpoints: Array<RpcEndpointConfig | string>, options: Partial<RpcPoolOptions> = {}) {
+    if (endpoints.length === 0) {
+      throw new Error('Invalid RPC endpoint configuration: no endpoints');
+    }
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.endpoints = endpoints.map(normalizeEndpoint).map(config => ({
+      ...config,
+      connection: new Connection(config.url, {
+        commitment: 'confirmed',
+        confirmTransactionInitialTimeout: 60000,
+        wsEndpoint: config.wsUrl,
+        // With somewhere to fail over to, rate limited calls move on instead of retrying in place
+        disableRetryOnRateLimit: endpoints.length > 1
+      }),
+      latencyMs: null,
+      errorRate: 0,
+      requests: 0,
+      errors: 0,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      slot: null,
+      slotLag: 0,
+      lastError: null
+    }));
+
+    // The primary endpoint serves subscriptions and plain properties: the heaviest read endpoint
+    const readEndpoints = this.endpoints.filter(endpoint => endpoint.roles.includes('read'));
+    this.primary = (readEndpoints.length > 0 ? readEndpoints : this.endpoints)
+      .reduce((best, endpoint) => (endpoint.weight > best.weight ? endpoint : best));
+
+    const pool = this;
+    this.connection = new Proxy(this.primary.connection, {
+      get(target, property) {
+        const value = (target as any)[property];
+        if (typeof value !== 'function' || typeof property !== 'string'
+          || property.startsWith('_') || SUBSCRIPTION_METHOD_PATTERN.test(property)) {
+          return typeof value === 'function' ? value.bind(target) : value;
+        }
+        const role: RpcRole = SEND_METHODS.has(property) ? 'send' : 'read';
+        return (...args: unknown[]) => pool.call(role, endpointConnection => (endpointConnection as any)[property](...args));
+      }
+    });
+
+    // Health checks only matter when there is somewhere to fail over to
+    if (this.endpoints.length > 1 && this.options.healthCheckIntervalMs > 0) {
+      this.checkHealth().catch(error => logger.error('RPC health check failed:', error));
+      this.timer = setInterval(() => {
+        this.checkHealth().catch(error => logger.error('RPC health check failed:', error));
+      }, this.options.healthCheckIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Creates a pool from SOLANA_RPC_ENDPOINTS, falling back to a single endpoint
+   *
+   * @param fallbackUrl - Endpoint used when SOLANA_RPC_ENDPOINTS is not set
+   */
+  static fromEnv(fallbackUrl: string): RpcPool {
+    return new RpcPool(parseRpcEndpoints(process.env.SOLANA_RPC_ENDPOINTS, fallbackUrl));
+  }
+
+  /**
+   * Runs a call on the endpoints of a role, moving to the next endpoint on failover errors
+   *
+   * @param role - read or send
+   * @param invoke - The call, given the connection of the selected endpoint
+   */
+  async call<T>(role: RpcRole, invoke: (connection: Connection) => Promise<T>): Promise<T> {
+    const tried = new Set<PooledEndpoint>();
+    const candidates = this.endpoints.filter(endpoint => endpoint.roles.includes(role)).length;
+    let lastError: unknown = new Error(`No RPC endpoint has the ${role} role`);
+
+    while (tried.size < candidates) {
+      const endpoint = this.select(role, tried);
+      tried.add(endpoint);
+      const startedAt = Date.now();
+      try {
+        const result = await invoke(endpoint.connection);
+        this.record(endpoint, Date.now() - startedAt, null);
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (!isFailoverError(error)) {
+          // The endpoint answered; the request itself was rejected
+          this.record(endpoint, Date.now() - startedAt, null);
+          throw error;
+        }
+        this.record(endpoint, Date.now() - startedAt, error);
+        if (tried.size < candidates) {
+          logger.info(`Failing over ${role} call from ${endpoint.name}`);
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Refreshes the slot of every endpoint and the slot lag of each behind the highest
+   */
+  async checkHealth(): Promise<void> {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      const startedAt = Date.now();
+      try {
+        endpoint.slot = await endpoint.connection.getSlot('confirmed');
+        this.record(endpoint, Date.now() - startedAt, null);
+      } catch (error) {
+        this.record(endpoint, Date.now() - startedAt, error);
+      }
+    }));
+
+    const highestSlot = Math.max(...this.endpoints.map(endpoint => endpoint.slot || 0));
+    for (const endpoint of this.endpoints) {
+      const lag = endpoint.slot === null ? 0 : highestSlot - endpoint.slot;
+      if (lag > this.options.maxSlotLag && endpoint.slotLag <= this.options.maxSlotLag) {
+        logger.warn(`RPC endpoint ${endpoint.name} is ${lag} slots behind, out of rotation`);
+      }
+      endpoint.slotLag = lag;
+    }
+    logger.debug('RPC pool health', { endpoints: this.getStats() });
+  }
+
+  /**
+   * Whether an endpoint with a role is currently in rotation
+   */
+  hasHealthyEndpoint(role: RpcRole): boolean {
+    return this.endpoints.some(endpoint => endpoint.roles.includes(role) && this.isHealthy(endpoint));
+  }
+
+  /**
+   * Gets the configuration of the primary endpoint
+   */
+  getPrimaryEndpoint(): { url: string; name: string; weight: number; roles: RpcRole[]; tier: RpcTier } {
+    const { url, name, weight, roles, tier } = this.primary;
+    return { url, name, weight, roles, tier };
+  }
+
+  /**
+   * Gets health statistics of every endpoint (without URLs, which may hold API keys)
+   */
+  getStats(): RpcEndpointStats[] {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => ({
+      name: endpoint.name,
+      tier: endpoint.tier,
+      roles: endpoint.roles,
+      weight: endpoint.weight,
+      healthy: this.isHealthy(endpoint, now),
+      latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      errorRate: Math.round(endpoint.errorRate * 1000) / 1000,
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      slot: endpoint.slot,
+      slotLag: endpoint.slotLag,
+      cooldownRemainingMs: Math.max(0, endpoint.cooldownUntil - now),
+      lastError: endpoint.lastError
+    }));
+  }
+
+  /**
+   * Stops the periodic health checks
+   */
+  stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private isHealthy(endpoint: PooledEndpoint, now: number = Date.now()): boolean {
+    return endpoint.cooldownUntil <= now && endpoint.slotLag <= this.options.maxSlotLag;
+  }
+
+  /**
+   * Records the outcome of a call to an endpoint
+   */
+  private record(endpoint: PooledEndpoint, latencyMs: number, error: unknown): void {
+    endpoint.requests++;
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : (1 - SMOOTHING) * endpoint.latencyMs + SMOOTHING * latencyMs;
+    endpoint.errorRate = (1 - SMOOTHING) * endpoint.errorRate + SMOOTHING * (error ? 1 : 0);
+
+    if (!error) {
+      endpoint.consecutiveFailures = 0;
+      return;
+    }
+
+    const message = error instanceof Error ? error.message : String(error);
+    endpoint.errors++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = message;
+    const cooldown = Math.min(this.options.cooldownMs * Math.pow(2, endpoint.consecutiveFailures - 1), this.options.maxCooldownMs);
+    endpoint.cooldownUntil = Date.now() + cooldown;
+    logger.warn(`RPC endpoint ${endpoint.name} failed, out of rotation for ${cooldown}ms: ${message}`);
+  }
+
+  /**
+   * Picks an endpoint for a role, weighted by configuration, error rate and latency
+   * When no endpoint is healthy, the one whose cooldown ends first is used.
+   */
+  private select(role: RpcRole, exclude: Set<PooledEndpoint>): PooledEndpoint {
+    const candidates = this.endpoints.filter(endpoint => endpoint.roles.includes(role) && !exclude.has(endpoint));
+    const now = Date.now();
+    const healthy = candidates.filter(endpoint => this.isHealthy(endpoint, now));
+    if (healthy.length === 0) {
+      return candidates.reduce((best, endpoint) => (endpoint.cooldownUntil < best.cooldownUntil ? endpoint : best));
+    }
+
+    const scores = healthy.map(endpoint => endpoint.weight
+      * Math.max(0.05, 1 - endpoint.errorRate)
+      * (endpoint.latencyMs ? Math.min(1, this.options.referenceLatencyMs / endpoint.latencyMs) : 1));
+    let target = Math.random() * scores.reduce((sum, score) => sum + score, 0);
+    for (let i = 0; i < healthy.length; i++) {
+      target -= scores[i];
+      if (target <= 0) {
+        return healthy[i];
+      }
+    }
+    return healthy[healthy.length - 1];
+  }
+}
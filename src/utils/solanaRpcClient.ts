@@ -7,16 +7,25 @@ import {
   PrioritizationFeesResponse,
   TransactionConfirmationResponse
 } from './rpcTypes';
+import { RpcPool, RpcEndpointConfig } from './rpcPool';
+import { getRpcUrl } from '../config';
 
 /**
  * Extended RPC client that provides type-safe methods
+ * Calls go through an RpcPool, so a client built on several endpoints fails over between them.
  */
 export class SolanaRpcClient {
   public rpc: any;
   public connection: Connection;
+  public pool: RpcPool;
 
-  constructor(endpoint: string) {
-    this.connection = new Connection(endpoint);
+  constructor(endpoint: string | RpcEndpointConfig[] | RpcPool) {
+    if (endpoint instanceof RpcPool) {
+      this.pool = endpoint;
+    } else {
+      this.pool = new RpcPool(typeof endpoint === 'string' ? [endpoint] : endpoint);
+    }
+    this.connection = this.pool.connection;
     this.rpc = this.connection;
   }
 
@@ -183,14 +192,15 @@ export class SolanaRpcClient {
 
 /**
  * Create and export a default instance of SolanaRpcClient
+ * Uses the SOLANA_RPC_ENDPOINTS pool when set, SOLANA_RPC_URL otherwise.
  */
 export const defaultSolanaRpcClient = new SolanaRpcClient(
-  process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com'
+  RpcPool.fromEnv(process.env.SOLANA_RPC_URL || getRpcUrl())
 );
 
 /**
  * Convenience function to create a new SolanaRpcClient instance
  */
-export function createSolanaRpcClient(endpoint: string): SolanaRpcClient {
+export function createSolanaRpcClient(endpoint: string | RpcEndpointConfig[] | RpcPool): SolanaRpcClient {
   return new SolanaRpcClient(endpoint);
 } 
\ No newline at end of file
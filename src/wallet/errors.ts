@@ -42,6 +42,16 @@ export class WalletSignatureError extends WalletError {
   }
 }
 
+/**
+ * Error thrown when the remote signer cannot be reached or fails; the request can be retried
+ */
+export class SignerUnavailableError extends WalletError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SignerUnavailableError';
+  }
+}
+
 /**
  * Error thrown when a wallet balance is insufficient
  */
@@ -70,4 +80,34 @@ export class WalletImportError extends WalletError {
     super(message);
     this.name = 'WalletImportError';
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Base error class for encrypted keystore operations
+ */
+export class KeystoreError extends WalletError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'KeystoreError';
+  }
+}
+
+/**
+ * Error thrown when an encrypted keystore is accessed without a passphrase
+ */
+export class KeystoreLockedError extends KeystoreError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'KeystoreLockedError';
+  }
+}
+
+/**
+ * Error thrown when a keystore cannot be decrypted (wrong passphrase or tampered file)
+ */
+export class KeystoreDecryptionError extends KeystoreError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'KeystoreDecryptionError';
+  }
+}
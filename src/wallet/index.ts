@@ -1,5 +1,49 @@
 export { 
   WalletManager, 
   defaultWalletManager, 
-  createWalletManager 
-} from './walletManager'; 
\ No newline at end of file
+  createWalletManager,
+  getChildDerivationPath,
+  FIRST_CHILD_INDEX
+} from './walletManager';
+
+export {
+  KeystoreFile,
+  encryptPayload,
+  decryptPayload,
+  rekeyPayload,
+  isKeystoreFile,
+  unlockKeystore,
+  lockKeystore
+} from './keystore';
+
+export {
+  WalletRegistry,
+  defaultWalletRegistry,
+  VAULT_PATH,
+  WALLET_ROLES,
+  WALLET_STATUSES,
+  DEFAULT_MOTHER_LABEL,
+  MAINNET_MOTHER_LABEL,
+  WalletRole,
+  WalletStatus,
+  RegistryEntry,
+  RegisterWalletOptions,
+  WalletFilter
+} from './walletRegistry';
+
+export {
+  TransactionSigner,
+  RemoteSignerOptions,
+  KeypairSigner,
+  RemoteSigner,
+  SIGNER_URL,
+  toTransactionSigner,
+  signTransaction,
+  signVersionedTransaction
+} from './signer';
+
+export {
+  migrateWalletStorage,
+  WalletMigrationOptions,
+  WalletMigrationReport
+} from './registryMigration';
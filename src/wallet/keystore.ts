@@ -0,0 +1,266 @@
+/**
+ * Encrypted keystore for wallet files
+ *
+ * Secrets are encrypted with AES-256-GCM using a key derived from a passphrase
+ * with scrypt. Every file gets its own random salt and IV, and a plaintext
+ * `public` section so public keys can be listed without unlocking.
+ *
+ * The on-disk format is shared with `api/utils/keystore.js`.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { KeystoreDecryptionError, KeystoreError, KeystoreLockedError } from './errors';
+import { atomicWriteJson } from '../utils/fileUtils';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('Keystore');
+
+/**
+ * Current keystore format version
+ */
+export const KEYSTORE_VERSION = 1;
+
+/**
+ * Environment variable used as the default keystore passphrase
+ */
+export const KEYSTORE_PASSPHRASE_ENV = 'WALLET_KEYSTORE_PASSPHRASE';
+
+// scrypt parameters (N=2^15 needs ~32MB, so maxmem is raised accordingly)
+const SCRYPT_N = 32768;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Fields copied to the public section; everything else is only in the ciphertext
+ */
+const PUBLIC_FIELDS = ['id', 'publicKey', 'address', 'role', 'parentId', 'label', 'name', 'index', 'derivationPath', 'status', 'createdAt'];
+
+/**
+ * Encrypted keystore file structure
+ */
+export interface KeystoreFile<TPublic = unknown> {
+  version: number;
+  kdf: 'scrypt';
+  kdfParams: {
+    n: number;
+    r: number;
+    p: number;
+    salt: string; // base64
+  };
+  cipher: 'aes-256-gcm';
+  iv: string; // base64
+  authTag: string; // base64
+  ciphertext: string; // base64
+  public: TPublic;
+}
+
+// Passphrase set through unlockKeystore, takes precedence over the environment
+let unlockedPassphrase: string | null = null;
+
+/**
+ * Derives the symmetric key for a keystore
+ */
+function deriveKey(passphrase: string, salt: Buffer, n: number, r: number, p: number): Buffer {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH, { N: n, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Keeps only the public fields of wallet data, so secrets nested anywhere in a
+ * record (e.g. `{ wallet: { secretKey } }`) never reach the public section
+ *
+ * @param data - Wallet data (object or array of objects)
+ * @returns A copy of the data with only the public fields that hold plain values
+ */
+export function stripSecrets<T>(data: T): T {
+  if (Array.isArray(data)) {
+    return data.map(toPublicRecord) as unknown as T;
+  }
+  return toPublicRecord(data) as unknown as T;
+}
+
+/**
+ * Copies the public fields of a single record (null for anything that is not a record)
+ */
+function toPublicRecord(record: unknown): Record<string, unknown> | null {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return null;
+  }
+  const result: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(record as Record<string, unknown>)) {
+    if (PUBLIC_FIELDS.includes(key) && (value === null || typeof value !== 'object')) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Checks whether a parsed JSON value is an encrypted keystore file
+ */
+export function isKeystoreFile(value: unknown): value is KeystoreFile {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    'kdf' in value &&
+    'ciphertext' in value &&
+    'version' in value
+  );
+}
+
+/**
+ * Encrypts wallet data into the keystore format
+ *
+ * @param data - The data to encrypt (serialized as JSON)
+ * @param passphrase - Passphrase used to derive the encryption key
+ * @returns The keystore file structure
+ */
+export function encryptPayload<T>(data: T, passphrase: string): KeystoreFile<T> {
+  if (!passphrase) {
+    throw new KeystoreError('A non-empty passphrase is required to encrypt wallet data');
+  }
+
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const key = deriveKey(passphrase, salt, SCRYPT_N, SCRYPT_R, SCRYPT_P);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.from(JSON.stringify(data), 'utf8')),
+    cipher.final()
+  ]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    kdf: 'scrypt',
+    kdfParams: { n: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    public: stripSecrets(data)
+  };
+}
+
+/**
+ * Decrypts a keystore file
+ *
+ * @param keystore - The keystore file structure
+ * @param passphrase - Passphrase used when the keystore was written
+ * @returns The decrypted data
+ * @throws KeystoreError if the scrypt parameters are not the ones encryptPayload writes
+ * @throws KeystoreDecryptionError if the passphrase is wrong or the file was modified
+ */
+export function decryptPayload<T = any>(keystore: KeystoreFile, passphrase: string): T {
+  if (keystore.version !== KEYSTORE_VERSION) {
+    throw new KeystoreError(`Unsupported keystore version: ${keystore.version}`);
+  }
+  if (keystore.kdf !== 'scrypt' || keystore.cipher !== 'aes-256-gcm') {
+    throw new KeystoreError(`Unsupported keystore algorithms: ${keystore.kdf}/${keystore.cipher}`);
+  }
+
+  // Only derive with the parameters written by encryptPayload, so an imported file
+  // cannot make scrypt block the process for minutes
+  const { n, r, p, salt } = keystore.kdfParams || {};
+  if (n !== SCRYPT_N || r !== SCRYPT_R || p !== SCRYPT_P || typeof salt !== 'string') {
+    throw new KeystoreError(`Invalid keystore: unsupported scrypt parameters n=${n}, r=${r}, p=${p}`);
+  }
+  const key = deriveKey(passphrase, Buffer.from(salt, 'base64'), n, r, p);
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(keystore.authTag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    throw new KeystoreDecryptionError('Failed to decrypt keystore: wrong passphrase or corrupted file');
+  }
+}
+
+/**
+ * Re-encrypts a keystore under a new passphrase with a fresh salt and IV
+ *
+ * @param keystore - The existing keystore
+ * @param oldPassphrase - Current passphrase
+ * @param newPassphrase - New passphrase
+ * @returns The re-encrypted keystore
+ */
+export function rekeyPayload<T>(keystore: KeystoreFile<T>, oldPassphrase: string, newPassphrase: string): KeystoreFile<T> {
+  const data = decryptPayload<T>(keystore, oldPassphrase);
+  return encryptPayload(data, newPassphrase);
+}
+
+/**
+ * Sets the passphrase used for subsequent keystore reads and writes
+ *
+ * @param passphrase - The keystore passphrase
+ */
+export function unlockKeystore(passphrase: string): void {
+  if (!passphrase) {
+    throw new KeystoreError('Cannot unlock keystore with an empty passphrase');
+  }
+  unlockedPassphrase = passphrase;
+}
+
+/**
+ * Forgets the passphrase set through unlockKeystore
+ */
+export function lockKeystore(): void {
+  unlockedPassphrase = null;
+}
+
+/**
+ * Gets the active keystore passphrase
+ *
+ * @returns The passphrase from unlockKeystore, or from WALLET_KEYSTORE_PASSPHRASE
+ * @throws KeystoreLockedError if no passphrase is available
+ */
+export function getKeystorePassphrase(): string {
+  const passphrase = unlockedPassphrase || process.env[KEYSTORE_PASSPHRASE_ENV];
+  if (!passphrase) {
+    throw new KeystoreLockedError(
+      `Wallet keystore is locked. Call unlockKeystore() or set ${KEYSTORE_PASSPHRASE_ENV}.`
+    );
+  }
+  return passphrase;
+}
+
+/**
+ * Encrypts data and writes it (atomically) to a file
+ *
+ * @param filePath - Destination file
+ * @param data - Data to encrypt
+ * @param passphrase - Optional passphrase (defaults to the active keystore passphrase)
+ */
+export function writeEncryptedJson<T>(filePath: string, data: T, passphrase: string = getKeystorePassphrase()): void {
+  atomicWriteJson(filePath, encryptPayload(data, passphrase), 0o600);
+}
+
+/**
+ * Reads a wallet file, decrypting it if it is a keystore
+ * Legacy plaintext files are returned as-is so they can be migrated.
+ *
+ * @param filePath - File to read
+ * @param passphrase - Optional passphrase (defaults to the active keystore passphrase)
+ * @returns The decrypted data, or null if the file does not exist
+ */
+export function readEncryptedJson<T = any>(filePath: string, passphrase?: string): T | null {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!isKeystoreFile(parsed)) {
+    logger.warn(`Wallet file ${filePath} is stored in plaintext. Run migrateWalletStorage() to move its keys into the encrypted wallet registry.`);
+    return parsed as T;
+  }
+
+  return decryptPayload<T>(parsed, passphrase || getKeystorePassphrase());
+}
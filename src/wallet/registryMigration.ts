@@ -0,0 +1,157 @@
+/**
+ * Imports the wallet files written before the wallet registry into the registry
+ *
+ * Layouts read from the wallet storage directory (encrypted keystores or legacy plaintext):
+ * - `mother-wallet.json` and `child-wallets.json`: written by `integration/walletStorage`
+ *   (records with `privateKeyBase64`), registered under DEFAULT_MOTHER_LABEL
+ * - `mainnet/mother-wallet.json` and `mainnet/child-wallets.json`: written by MainnetIntegration
+ *   (secret key byte arrays) or by the REST API (records with a `secretKey` byte array),
+ *   registered under MAINNET_MOTHER_LABEL
+ *
+ * The migration is idempotent: wallets that are already registered keep their entry.
+ * The legacy files are left in place.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import bs58 from 'bs58';
+import { Keypair } from '@solana/web3.js';
+import { WalletImportError } from './errors';
+import { readEncryptedJson } from './keystore';
+import {
+  DEFAULT_MOTHER_LABEL,
+  MAINNET_MOTHER_LABEL,
+  RegistryEntry,
+  WalletRegistry,
+  defaultWalletRegistry
+} from './walletRegistry';
+import { getChildDerivationPath } from './walletManager';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('RegistryMigration');
+
+/**
+ * Options for migrateWalletStorage
+ */
+export interface WalletMigrationOptions {
+  storageDir?: string;
+  registry?: WalletRegistry;
+  passphrase?: string;
+}
+
+/**
+ * Result of migrateWalletStorage
+ */
+export interface WalletMigrationReport {
+  files: string[];
+  wallets: RegistryEntry[];
+}
+
+/**
+ * Gets the keypair of a legacy wallet: a secret key byte array, or a record with
+ * `secretKey`, `privateKeyBase64` or `privateKeyBase58`
+ *
+ * @param value - The stored wallet
+ * @param filePath - The file it was read from, for error messages
+ * @returns The keypair
+ * @throws WalletImportError if the wallet holds no valid private key
+ */
+function keypairFromLegacyWallet(value: any, filePath: string): Keypair {
+  try {
+    if (Array.isArray(value)) {
+      return Keypair.fromSecretKey(Uint8Array.from(value));
+    }
+    if (value && Array.isArray(value.secretKey)) {
+      return Keypair.fromSecretKey(Uint8Array.from(value.secretKey));
+    }
+    if (value && value.privateKeyBase64) {
+      return Keypair.fromSecretKey(Buffer.from(value.privateKeyBase64, 'base64'));
+    }
+    if (value && value.privateKeyBase58) {
+      return Keypair.fromSecretKey(bs58.decode(value.privateKeyBase58));
+    }
+  } catch (error) {
+    throw new WalletImportError(
+      `Invalid wallet in ${filePath}: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+  throw new WalletImportError(`Invalid wallet in ${filePath}: no private key found`);
+}
+
+/**
+ * Imports one mother wallet file and its child wallet file
+ *
+ * @param registry - The registry to import into
+ * @param dir - Directory of the two files
+ * @param label - Label of the mother wallet
+ * @param passphrase - Keystore passphrase (defaults to the active keystore passphrase)
+ * @param report - The report to add the imported files and wallets to
+ */
+function migrateWalletFiles(
+  registry: WalletRegistry,
+  dir: string,
+  label: string,
+  passphrase: string | undefined,
+  report: WalletMigrationReport
+): void {
+  const motherPath = path.join(dir, 'mother-wallet.json');
+  const childrenPath = path.join(dir, 'child-wallets.json');
+
+  let mother: RegistryEntry | null = null;
+  const motherData = readEncryptedJson(motherPath, passphrase);
+  if (motherData) {
+    const mnemonic = Array.isArray(motherData) ? null : motherData.mnemonic || null;
+    mother = registry.register(keypairFromLegacyWallet(motherData, motherPath), {
+      role: 'mother',
+      label,
+      index: mnemonic ? 0 : null,
+      derivationPath: mnemonic ? getChildDerivationPath(0) : null,
+      mnemonic,
+      ...(motherData.createdAt ? { createdAt: motherData.createdAt } : {})
+    });
+    report.files.push(motherPath);
+    report.wallets.push(mother);
+  }
+
+  const childData = readEncryptedJson<any[]>(childrenPath, passphrase);
+  if (childData) {
+    childData.forEach((child, position) => {
+      // walletStorage records name their mother wallet; other layouts belong to the mother next to them
+      const parent = child.parentPublicKey ? registry.findByPublicKey(child.parentPublicKey) : mother;
+      report.wallets.push(registry.register(keypairFromLegacyWallet(child, childrenPath), {
+        role: 'child',
+        parentId: parent ? parent.id : null,
+        index: typeof child.index === 'number' ? child.index : position,
+        ...(child.createdAt ? { createdAt: child.createdAt } : {})
+      }));
+    });
+    report.files.push(childrenPath);
+  }
+}
+
+/**
+ * Imports the legacy wallet files of a wallet storage directory into the registry
+ *
+ * @param options - Storage directory (defaults to wallet-storage), registry and keystore passphrase
+ * @returns The files that were read and the registry entries of their wallets
+ */
+export function migrateWalletStorage(options: WalletMigrationOptions = {}): WalletMigrationReport {
+  const {
+    storageDir = path.join(process.cwd(), 'wallet-storage'),
+    registry = defaultWalletRegistry,
+    passphrase
+  } = options;
+  const report: WalletMigrationReport = { files: [], wallets: [] };
+
+  if (!fs.existsSync(storageDir)) {
+    return report;
+  }
+
+  migrateWalletFiles(registry, storageDir, DEFAULT_MOTHER_LABEL, passphrase, report);
+  migrateWalletFiles(registry, path.join(storageDir, 'mainnet'), MAINNET_MOTHER_LABEL, passphrase, report);
+
+  if (report.files.length > 0) {
+    logger.info(`Imported ${report.wallets.length} wallets from ${report.files.length} legacy wallet files into the registry`);
+  }
+  return report;
+}
@@ -0,0 +1,242 @@
+/**
+ * Transaction signers
+ *
+ * A signer returns the ed25519 signature of a serialized transaction message, so the code
+ * that builds and sends transactions never needs the secret key itself. KeypairSigner signs
+ * in-process; RemoteSigner asks a signer service over HTTP, so keys can live in an isolated
+ * process or an HSM-backed service (`scripts/signer-daemon.js` is a local stand-in).
+ *
+ * Remote signer protocol (shared with `api/utils/signer.js`):
+ * - `POST {SIGNER_URL}/v1/sign` with `Authorization: Bearer {SIGNER_AUTH_TOKEN}` and
+ *   `{ "publicKey": base58, "message": base64 }` returns `{ "signature": base64 }`
+ * - Failures return `{ "error": string }` with a 4xx status when the request is refused
+ *   or a 5xx status
+ */
+
+import crypto from 'crypto';
+import { Keypair, PublicKey, Transaction, VersionedTransaction } from '@solana/web3.js';
+import { SignerUnavailableError, WalletSignatureError } from './errors';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('Signer');
+
+/**
+ * Base URL of the remote signer service; signing is in-process when unset
+ */
+export const SIGNER_URL = process.env.SIGNER_URL || null;
+
+// DER headers of ed25519 keys: PKCS#8 followed by the 32-byte seed, SPKI followed by the public key
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const SIGNATURE_LENGTH = 64;
+
+/**
+ * Signs transaction messages for one public key
+ */
+export interface TransactionSigner {
+  readonly publicKey: PublicKey;
+  signMessage(message: Uint8Array): Promise<Uint8Array>;
+}
+
+/**
+ * Options of a remote signer
+ */
+export interface RemoteSignerOptions {
+  /** Base URL of the signer service (defaults to SIGNER_URL) */
+  url?: string;
+  /** Bearer token (defaults to SIGNER_AUTH_TOKEN) */
+  authToken?: string;
+  /** Request timeout (defaults to SIGNER_TIMEOUT_MS or 10s) */
+  timeoutMs?: number;
+}
+
+/**
+ * Checks an ed25519 signature of a message
+ */
+function verifySignature(publicKey: PublicKey, message: Uint8Array, signature: Uint8Array): boolean {
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.toBuffer()]),
+    format: 'der',
+    type: 'spki'
+  });
+  return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+/**
+ * KeypairSigner signs in-process with a keypair
+ */
+export class KeypairSigner implements TransactionSigner {
+  readonly publicKey: PublicKey;
+  private privateKey: crypto.KeyObject;
+
+  /**
+   * Creates a new KeypairSigner
+   *
+   * @param keypair - The keypair
+   */
+  constructor(keypair: Keypair) {
+    this.publicKey = keypair.publicKey;
+    this.privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(keypair.secretKey.slice(0, 32))]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+  }
+
+  /**
+   * Signs a message
+   *
+   * @param message - The serialized transaction message
+   * @returns The 64-byte signature
+   */
+  async signMessage(message: Uint8Array): Promise<Uint8Array> {
+    return new Uint8Array(crypto.sign(null, Buffer.from(message), this.privateKey));
+  }
+}
+
+/**
+ * RemoteSigner asks a signer service to sign for a public key.
+ * Signatures are verified before they are returned, so a misbehaving service cannot
+ * get an invalid transaction sent.
+ */
+export class RemoteSigner implements TransactionSigner {
+  readonly publicKey: PublicKey;
+  private endpoint: string;
+  private authToken: string | null;
+  private timeoutMs: number;
+
+  /**
+   * Creates a new RemoteSigner
+   *
+   * @param publicKey - The public key the service signs for
+   * @param options - Service options
+   * @throws WalletSignatureError if no service URL is configured
+   */
+  constructor(publicKey: PublicKey | string, options: RemoteSignerOptions = {}) {
+    const url = options.url || SIGNER_URL;
+    if (!url) {
+      throw new WalletSignatureError('Remote signer URL not configured. Set SIGNER_URL.');
+    }
+    this.publicKey = new PublicKey(publicKey);
+    this.endpoint = `${url.replace(/\/+$/, '')}/v1/sign`;
+    this.authToken = options.authToken || process.env.SIGNER_AUTH_TOKEN || null;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.SIGNER_TIMEOUT_MS || '10000', 10);
+  }
+
+  /**
+   * Signs a message through the signer service
+   *
+   * @param message - The serialized transaction message
+   * @returns The 64-byte signature
+   * @throws SignerUnavailableError if the service cannot be reached or fails
+   * @throws WalletSignatureError if the service refuses the request or returns an invalid signature
+   */
+  async signMessage(message: Uint8Array): Promise<Uint8Array> {
+    const address = this.publicKey.toBase58();
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (this.authToken) {
+      headers.Authorization = `Bearer ${this.authToken}`;
+    }
+
+    let response: Response;
+    try {
+      response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ publicKey: address, message: Buffer.from(message).toString('base64') }),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new SignerUnavailableError(`Signer unavailable for ${address}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+
+    const body: { signature?: unknown; error?: string } = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const reason = body.error || `HTTP ${response.status}`;
+      if (response.status >= 500) {
+        throw new SignerUnavailableError(`Signer unavailable for ${address}: ${reason}`);
+      }
+      throw new WalletSignatureError(`Signer rejected signing for ${address}: ${reason}`);
+    }
+
+    const signature = Buffer.from(typeof body.signature === 'string' ? body.signature : '', 'base64');
+    if (signature.length !== SIGNATURE_LENGTH || !verifySignature(this.publicKey, message, signature)) {
+      throw new WalletSignatureError(`Signer rejected signing for ${address}: invalid signature returned`);
+    }
+    return new Uint8Array(signature);
+  }
+}
+
+/**
+ * Wraps a keypair as a signer; signers are returned unchanged
+ *
+ * @param signer - A signer or a keypair
+ * @returns The signer
+ */
+export function toTransactionSigner(signer: TransactionSigner | Keypair): TransactionSigner {
+  return signer instanceof Keypair ? new KeypairSigner(signer) : signer;
+}
+
+/**
+ * Signs a legacy transaction, replacing any previous signatures like `Transaction.sign`.
+ * The first signer should be the fee payer; signers are asked in parallel.
+ *
+ * @param transaction - The transaction, with its blockhash set
+ * @param signers - Signers or keypairs
+ * @returns The signed transaction
+ * @throws WalletSignatureError if there are no signers or a signer is not required by the transaction
+ */
+export async function signTransaction(
+  transaction: Transaction,
+  signers: Array<TransactionSigner | Keypair>
+): Promise<Transaction> {
+  if (signers.length === 0) {
+    throw new WalletSignatureError('No signers');
+  }
+
+  const unique: TransactionSigner[] = [];
+  for (const signer of signers.map(toTransactionSigner)) {
+    if (!unique.some(item => item.publicKey.equals(signer.publicKey))) {
+      unique.push(signer);
+    }
+  }
+
+  let message: Buffer;
+  try {
+    transaction.signatures = unique.map(signer => ({ publicKey: signer.publicKey, signature: null }));
+    message = transaction.serializeMessage();
+  } catch (error) {
+    throw new WalletSignatureError(`Cannot sign transaction: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  const signatures = await Promise.all(unique.map(signer => signer.signMessage(message)));
+  unique.forEach((signer, index) => {
+    transaction.addSignature(signer.publicKey, Buffer.from(signatures[index]));
+  });
+  logger.debug(`Signed transaction with ${unique.length} signer(s)`);
+
+  return transaction;
+}
+
+/**
+ * Signs a versioned transaction with the given signers
+ *
+ * @param transaction - The transaction
+ * @param signers - Signers or keypairs
+ * @returns The signed transaction
+ */
+export async function signVersionedTransaction(
+  transaction: VersionedTransaction,
+  signers: Array<TransactionSigner | Keypair>
+): Promise<VersionedTransaction> {
+  const transactionSigners = signers.map(toTransactionSigner);
+  const message = transaction.message.serialize();
+
+  const signatures = await Promise.all(transactionSigners.map(signer => signer.signMessage(message)));
+  transactionSigners.forEach((signer, index) => {
+    transaction.addSignature(signer.publicKey, signatures[index]);
+  });
+
+  return transaction;
+}
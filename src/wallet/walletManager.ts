@@ -2,19 +2,21 @@ import * as bip39 from 'bip39';
 import { derivePath } from 'ed25519-hd-key';
 import { Keypair } from '@solana/web3.js';
 import { WalletDerivationError, WalletNotFoundError } from './errors';
+import { DEFAULT_MOTHER_LABEL, RegistryEntry, defaultWalletRegistry } from './walletRegistry';
+import { TransactionSigner } from './signer';
 import { 
   generateKeyPairSigner, 
   createKeyPairFromBytes, 
   createKeyPairSignerFromBytes 
 } from '../utils/keypairUtils';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('WalletManager');
 
 // Use type aliases for the imports we couldn't resolve
 type Address = string;
 type Signer = any; // The signer object with address and signing capabilities
 
-// In-memory wallet cache
-const walletCache = new Map<number, Keypair>();
-
 /**
  * Wallet derivation path format following BIP44
  * m / purpose' / coin_type' / account' / change / address_index
@@ -24,6 +26,23 @@ const walletCache = new Map<number, Keypair>();
  */
 const DERIVATION_PATH_BASE = "m/44'/501'";
 
+/**
+ * Account index of the first child wallet (account 0 is the mother wallet)
+ */
+export const FIRST_CHILD_INDEX = 1;
+
+/**
+ * Gets the BIP44 derivation path for an account index.
+ * Child wallet i uses m/44'/501'/i'/0', the mother wallet uses account 0.
+ * The REST API (`api/utils/hdWallet.js`) uses the same paths.
+ * 
+ * @param index - The account index
+ * @returns The derivation path
+ */
+export function getChildDerivationPath(index: number): string {
+  return `${DERIVATION_PATH_BASE}/${index}'/0'`;
+}
+
 /**
  * WalletManager provides functionality for creating, importing, and deriving Solana wallets.
  * It supports BIP44 derivation paths for hierarchical deterministic wallet generation.
@@ -44,7 +63,7 @@ export class WalletManager {
       return { signer, mnemonic, privateKeyBytes };
     } catch (error: unknown) {
       const errorMessage = error instanceof Error ? error.message : String(error);
-      console.error('Error creating mother wallet:', errorMessage);
+      logger.error('Error creating mother wallet:', errorMessage);
       throw new Error(`Failed to create mother wallet: ${errorMessage}`);
     }
   }
@@ -66,7 +85,7 @@ export class WalletManager {
       const seedBuffer = Buffer.from(seed).toString('hex');
       
       // Derive the path for Solana (BIP44)
-      const path = `m/44'/501'/0'/0'`;
+      const path = getChildDerivationPath(0);
       const derivedSeed = derivePath(path, seedBuffer).key;
       
       // Create keypair using web3.js v1 approach
@@ -78,7 +97,7 @@ export class WalletManager {
       };
     } catch (error: unknown) {
       const errorMessage = error instanceof Error ? error.message : String(error);
-      console.error('Error importing mother wallet:', errorMessage);
+      logger.error('Error importing mother wallet:', errorMessage);
       throw new Error(`Failed to import mother wallet: ${errorMessage}`);
     }
   }
@@ -94,7 +113,7 @@ export class WalletManager {
       return Keypair.fromSecretKey(privateKeyBytes);
     } catch (error: unknown) {
       const errorMessage = error instanceof Error ? error.message : String(error);
-      console.error('Error importing mother wallet from private key:', errorMessage);
+      logger.error('Error importing mother wallet from private key:', errorMessage);
       throw new Error(`Failed to import mother wallet from private key: ${errorMessage}`);
     }
   }
@@ -127,11 +146,25 @@ export class WalletManager {
       return Keypair.fromSeed(new Uint8Array(seedHash));
     } catch (error: unknown) {
       const errorMessage = error instanceof Error ? error.message : String(error);
-      console.error('Error deriving child wallet:', errorMessage);
+      logger.error('Error deriving child wallet:', errorMessage);
       throw new Error(`Failed to derive child wallet: ${errorMessage}`);
     }
   }
 
+  /**
+   * Derives a child wallet from the mother mnemonic at m/44'/501'/index'/0'.
+   * Unlike deriveChildWallet, children can be regenerated from the seed phrase alone.
+   * @param mnemonic - The mother wallet mnemonic
+   * @param index - The account index of the child wallet (starting at FIRST_CHILD_INDEX)
+   * @returns The derived child keypair
+   */
+  async deriveChildWalletFromMnemonic(mnemonic: string, index: number): Promise<Keypair> {
+    if (!bip39.validateMnemonic(mnemonic)) {
+      throw new WalletDerivationError('Invalid mnemonic');
+    }
+    return createWalletFromMnemonic(mnemonic, getChildDerivationPath(index));
+  }
+
   /**
    * Gets the public key address of a signer.
    * @param signer - The signer to get the address for
@@ -182,91 +215,82 @@ export function createWalletFromMnemonic(
 }
 
 /**
- * Get a wallet by its index
+ * Finds the registry entry of a wallet by its index
+ * Index -1 is the mother wallet, other indices are its active child wallets.
+ */
+function findWalletAtIndex(index: number, motherLabel: string): RegistryEntry | null {
+  const motherWallet = defaultWalletRegistry.getMotherWallet(motherLabel);
+  if (!motherWallet) {
+    logger.warn(`No mother wallet registered with label ${motherLabel}`);
+    return null;
+  }
+
+  const wallet = index === -1 ? motherWallet : defaultWalletRegistry.getChildWallet(motherWallet.id, index);
+  if (!wallet) {
+    logger.warn(`No child wallet registered at index ${index} of mother wallet ${motherWallet.id}`);
+    return null;
+  }
+  return wallet;
+}
+
+/**
+ * Get a wallet by its index in the wallet registry
+ * Index -1 is the mother wallet, other indices are its active child wallets.
  * 
  * @param index - The wallet index
+ * @param motherLabel - Label of the mother wallet (defaults to the IntegrationManager mother wallet)
  * @returns The wallet keypair or null if not found
  */
-export async function getWalletFromIndex(index: number): Promise<Keypair | null> {
-  // Check if wallet is already cached
-  if (walletCache.has(index)) {
-    return walletCache.get(index) || null;
-  }
-  
-  // For child wallets, we load them from stored data
-  if (index >= 0) {
-    try {
-      const fs = require('fs');
-      const path = require('path');
-      const WALLET_STORAGE_DIR = path.join(process.cwd(), 'wallet-storage');
-      const CHILD_WALLETS_FILE = path.join(WALLET_STORAGE_DIR, 'child-wallets.json');
-      
-      if (fs.existsSync(CHILD_WALLETS_FILE)) {
-        const childWallets = JSON.parse(fs.readFileSync(CHILD_WALLETS_FILE, 'utf8'));
-        
-        // Find the child wallet with the matching index
-        const childWallet = childWallets.find((w: any) => w.index === index);
-        
-        if (childWallet && childWallet.privateKeyBase64) {
-          // Convert base64 private key back to bytes
-          const privateKeyBytes = Buffer.from(childWallet.privateKeyBase64, 'base64');
-          
-          // Create keypair from the private key
-          const childKeypair = Keypair.fromSecretKey(privateKeyBytes);
-          
-          // Cache the wallet
-          walletCache.set(index, childKeypair);
-          
-          return childKeypair;
-        }
-      }
-      
-      // Fallback: If no stored child wallet is found, generate a new one
-      console.warn(`No stored child wallet found at index ${index}, generating a new one.`);
-      const testWallet = Keypair.generate();
-      walletCache.set(index, testWallet);
-      return testWallet;
-    } catch (error) {
-      console.error(`Error getting wallet at index ${index}:`, error);
-      return null;
-    }
+export async function getWalletFromIndex(
+  index: number,
+  motherLabel: string = DEFAULT_MOTHER_LABEL
+): Promise<Keypair | null> {
+  try {
+    const wallet = findWalletAtIndex(index, motherLabel);
+    return wallet ? defaultWalletRegistry.getKeypair(wallet.id) : null;
+  } catch (error) {
+    logger.error(`Error getting wallet at index ${index}:`, error);
+    return null;
   }
-  
-  // For mother wallet (index -1), use the stored wallet
-  if (index === -1) {
-    try {
-      const fs = require('fs');
-      const path = require('path');
-      const WALLET_STORAGE_DIR = path.join(process.cwd(), 'wallet-storage');
-      const MOTHER_WALLET_FILE = path.join(WALLET_STORAGE_DIR, 'mother-wallet.json');
-      
-      if (fs.existsSync(MOTHER_WALLET_FILE)) {
-        const walletData = JSON.parse(fs.readFileSync(MOTHER_WALLET_FILE, 'utf8'));
-        const privateKeyBytes = Buffer.from(walletData.privateKeyBase64, 'base64');
-        const motherKeypair = Keypair.fromSecretKey(privateKeyBytes);
-        walletCache.set(-1, motherKeypair);
-        return motherKeypair;
-      }
-    } catch (error) {
-      console.error('Error loading mother wallet:', error);
-    }
+}
+
+/**
+ * Get the signer of a wallet by its index in the wallet registry
+ * Uses the remote signer when SIGNER_URL is set (see signer.ts).
+ * 
+ * @param index - The wallet index
+ * @param motherLabel - Label of the mother wallet (defaults to the IntegrationManager mother wallet)
+ * @returns The wallet signer or null if not found
+ */
+export async function getSignerFromIndex(
+  index: number,
+  motherLabel: string = DEFAULT_MOTHER_LABEL
+): Promise<TransactionSigner | null> {
+  try {
+    const wallet = findWalletAtIndex(index, motherLabel);
+    return wallet ? defaultWalletRegistry.getSigner(wallet.id) : null;
+  } catch (error) {
+    logger.error(`Error getting wallet signer at index ${index}:`, error);
+    return null;
   }
-  
-  return null;
 }
 
 /**
  * Get multiple wallets by their indices
  * 
  * @param indices - Array of wallet indices
+ * @param motherLabel - Label of the mother wallet (defaults to the IntegrationManager mother wallet)
  * @returns Array of wallet keypairs
  * @throws WalletNotFoundError if any wallet is not found
  */
-export async function getWalletsFromIndices(indices: number[]): Promise<Keypair[]> {
+export async function getWalletsFromIndices(
+  indices: number[],
+  motherLabel: string = DEFAULT_MOTHER_LABEL
+): Promise<Keypair[]> {
   const wallets: Keypair[] = [];
   
   for (const index of indices) {
-    const wallet = await getWalletFromIndex(index);
+    const wallet = await getWalletFromIndex(index, motherLabel);
     if (!wallet) {
       throw new WalletNotFoundError(`Wallet with index ${index} not found`);
     }
@@ -275,11 +299,3 @@ export async function getWalletsFromIndices(indices: number[]): Promise<Keypair[
   
   return wallets;
 }
-
-/**
- * Clear the wallet cache
- * This is useful for testing or when switching environments
- */
-export function clearWalletCache(): void {
-  walletCache.clear();
-} 
\ No newline at end of file
@@ -0,0 +1,383 @@
+/**
+ * Wallet registry
+ *
+ * Every wallet the volume runs use (mother wallets, their child wallets and imported
+ * wallets) is registered here with its role, parent mother wallet, index, label,
+ * status and creation time. Wallets are looked up by ID, by label (mother wallets)
+ * or by index (child wallets) instead of reading wallet files directly.
+ *
+ * The registry is stored in the encrypted vault of the REST API (`wallet-storage/vault.json`,
+ * override with WALLET_VAULT_PATH) using the same entries as `api/services/vaultService.js`,
+ * so wallets created by the API and by the volume runs are visible to both.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import bs58 from 'bs58';
+import { Keypair } from '@solana/web3.js';
+import { WalletError, WalletNotFoundError } from './errors';
+import { readEncryptedJson, writeEncryptedJson } from './keystore';
+import { KeypairSigner, RemoteSigner, SIGNER_URL, TransactionSigner } from './signer';
+import { withFileLock } from '../utils/fileUtils';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('WalletRegistry');
+
+/**
+ * Role of a wallet: mother wallets fund their child wallets, user wallets are standalone
+ */
+export type WalletRole = 'mother' | 'child' | 'user';
+
+/**
+ * Status of a wallet; retired wallets keep their keys but are no longer used by new runs
+ */
+export type WalletStatus = 'active' | 'retired';
+
+export const WALLET_ROLES: WalletRole[] = ['mother', 'child', 'user'];
+export const WALLET_STATUSES: WalletStatus[] = ['active', 'retired'];
+
+/**
+ * Label of the mother wallet used by the IntegrationManager workflows
+ */
+export const DEFAULT_MOTHER_LABEL = 'default';
+
+/**
+ * Label of the mother wallet used by the MainnetIntegration workflows
+ */
+export const MAINNET_MOTHER_LABEL = 'mainnet';
+
+/**
+ * Public information of a registered wallet (no secrets)
+ */
+export interface RegistryEntry {
+  id: string;
+  publicKey: string;
+  role: WalletRole;
+  parentId: string | null;
+  label: string | null;
+  index: number | null;
+  derivationPath: string | null;
+  status: WalletStatus;
+  hasMnemonic: boolean;
+  createdAt: string;
+}
+
+/**
+ * Options for registering a wallet
+ */
+export interface RegisterWalletOptions {
+  role?: WalletRole;
+  parentId?: string | null;
+  label?: string | null;
+  index?: number | null;
+  derivationPath?: string | null;
+  mnemonic?: string | null;
+  createdAt?: string;
+}
+
+/**
+ * Filter for listing wallets
+ */
+export interface WalletFilter {
+  role?: WalletRole;
+  parentId?: string;
+  label?: string;
+  status?: WalletStatus;
+}
+
+/**
+ * A vault entry as stored on disk, including secrets
+ */
+interface StoredEntry extends Omit<RegistryEntry, 'hasMnemonic' | 'status'> {
+  status?: WalletStatus;
+  privateKeyBase58: string;
+  mnemonic?: string;
+  mnemonicPassphrase?: string;
+}
+
+/**
+ * Default vault file, shared with the REST API
+ */
+export const VAULT_PATH = process.env.WALLET_VAULT_PATH
+  || path.join(process.cwd(), 'wallet-storage', 'vault.json');
+
+/**
+ * Converts a stored entry to its public view; entries written before wallets had a status are active
+ */
+function toRegistryEntry(entry: StoredEntry): RegistryEntry {
+  const { privateKeyBase58, mnemonic, mnemonicPassphrase, ...publicEntry } = entry;
+  return { ...publicEntry, status: entry.status || 'active', hasMnemonic: Boolean(mnemonic) };
+}
+
+/**
+ * Orders child wallets by index, wallets without an index last in creation order
+ */
+function compareByIndex(a: RegistryEntry, b: RegistryEntry): number {
+  if (a.index !== b.index) {
+    return (a.index ?? Number.MAX_SAFE_INTEGER) - (b.index ?? Number.MAX_SAFE_INTEGER);
+  }
+  return a.createdAt.localeCompare(b.createdAt);
+}
+
+/**
+ * WalletRegistry resolves wallets to their public information and keypairs.
+ * The vault is reloaded whenever another process (such as the REST API) writes it.
+ */
+export class WalletRegistry {
+  private vaultPath: string;
+  private entries: StoredEntry[] | null = null;
+  private modifiedAt: string | null = null;
+
+  /**
+   * Creates a new WalletRegistry
+   *
+   * @param vaultPath - The vault file (defaults to WALLET_VAULT_PATH or wallet-storage/vault.json)
+   */
+  constructor(vaultPath: string = VAULT_PATH) {
+    this.vaultPath = vaultPath;
+  }
+
+  /**
+   * Registers a keypair. Registering a public key that is already registered returns the existing entry.
+   *
+   * @param keypair - The keypair to store
+   * @param options - Role, parent, label, index and derivation details of the wallet
+   * @returns The registered wallet
+   * @throws WalletError if the role is invalid
+   * @throws WalletNotFoundError if the parent wallet is not registered
+   */
+  register(keypair: Keypair, options: RegisterWalletOptions = {}): RegistryEntry {
+    const {
+      role = 'user',
+      parentId = null,
+      label = null,
+      index = null,
+      derivationPath = null,
+      mnemonic = null,
+      createdAt = new Date().toISOString()
+    } = options;
+
+    if (!WALLET_ROLES.includes(role)) {
+      throw new WalletError(`Invalid wallet role: ${role}. Must be one of: ${WALLET_ROLES.join(', ')}`);
+    }
+
+    return withFileLock(this.vaultPath, () => {
+      const entries = this.load();
+      if (parentId && !entries.some(entry => entry.id === parentId)) {
+        throw new WalletNotFoundError(`Wallet not found: ${parentId}`);
+      }
+
+      const publicKey = keypair.publicKey.toBase58();
+      const existing = entries.find(entry => entry.publicKey === publicKey);
+      if (existing) {
+        return toRegistryEntry(existing);
+      }
+
+      const entry: StoredEntry = {
+        id: `wal_${crypto.randomBytes(12).toString('hex')}`,
+        publicKey,
+        role,
+        parentId,
+        label,
+        index,
+        derivationPath,
+        status: 'active',
+        createdAt,
+        privateKeyBase58: bs58.encode(keypair.secretKey)
+      };
+      if (mnemonic) {
+        entry.mnemonic = mnemonic;
+      }
+
+      entries.push(entry);
+      this.save(entries);
+      logger.info(`Registered ${role} wallet ${entry.id} (${publicKey})`);
+
+      return toRegistryEntry(entry);
+    });
+  }
+
+  /**
+   * Gets a registered wallet
+   *
+   * @param walletId - The wallet ID
+   * @returns The wallet
+   * @throws WalletNotFoundError if the wallet is not registered
+   */
+  get(walletId: string): RegistryEntry {
+    return toRegistryEntry(this.getStoredEntry(walletId));
+  }
+
+  /**
+   * Finds a registered wallet by its address
+   *
+   * @param publicKey - The wallet address
+   * @returns The wallet, or null if it is not registered
+   */
+  findByPublicKey(publicKey: string): RegistryEntry | null {
+    const entry = this.load().find(item => item.publicKey === publicKey);
+    return entry ? toRegistryEntry(entry) : null;
+  }
+
+  /**
+   * Gets the active mother wallet with a label (the last registered one if there are several)
+   *
+   * @param label - The mother wallet label
+   * @returns The mother wallet, or null if none is registered
+   */
+  getMotherWallet(label: string = DEFAULT_MOTHER_LABEL): RegistryEntry | null {
+    const mothers = this.list({ role: 'mother', label, status: 'active' });
+    return mothers.length > 0 ? mothers[mothers.length - 1] : null;
+  }
+
+  /**
+   * Gets the active child wallets of a mother wallet, ordered by index
+   *
+   * @param parentId - The mother wallet ID
+   * @returns The child wallets
+   */
+  getChildWallets(parentId: string): RegistryEntry[] {
+    return this.list({ role: 'child', parentId, status: 'active' }).sort(compareByIndex);
+  }
+
+  /**
+   * Gets the active child wallet of a mother wallet at an index
+   *
+   * @param parentId - The mother wallet ID
+   * @param index - The child wallet index
+   * @returns The child wallet, or null if there is none at that index
+   */
+  getChildWallet(parentId: string, index: number): RegistryEntry | null {
+    return this.getChildWallets(parentId).find(entry => entry.index === index) || null;
+  }
+
+  /**
+   * Lists registered wallets in registration order
+   *
+   * @param filter - Optional role, parent, label and status filter
+   * @returns The wallets
+   */
+  list(filter: WalletFilter = {}): RegistryEntry[] {
+    return this.load()
+      .map(toRegistryEntry)
+      .filter(entry => !filter.role || entry.role === filter.role)
+      .filter(entry => !filter.parentId || entry.parentId === filter.parentId)
+      .filter(entry => !filter.label || entry.label === filter.label)
+      .filter(entry => !filter.status || entry.status === filter.status);
+  }
+
+  /**
+   * Loads the keypair of a wallet (for key export; transactions are signed through getSigner)
+   *
+   * @param walletId - The wallet ID
+   * @returns The keypair
+   * @throws WalletNotFoundError if the wallet is not registered
+   */
+  getKeypair(walletId: string): Keypair {
+    return Keypair.fromSecretKey(bs58.decode(this.getStoredEntry(walletId).privateKeyBase58));
+  }
+
+  /**
+   * Gets the signer of a wallet. With SIGNER_URL set, transactions are signed by the
+   * remote signer service and the key is never decoded in this process.
+   *
+   * @param walletId - The wallet ID
+   * @returns The signer
+   * @throws WalletNotFoundError if the wallet is not registered
+   */
+  getSigner(walletId: string): TransactionSigner {
+    const entry = this.getStoredEntry(walletId);
+    if (SIGNER_URL) {
+      return new RemoteSigner(entry.publicKey);
+    }
+    return new KeypairSigner(Keypair.fromSecretKey(bs58.decode(entry.privateKeyBase58)));
+  }
+
+  /**
+   * Loads the seed phrase of a wallet
+   *
+   * @param walletId - The wallet ID
+   * @returns The mnemonic, or null if the wallet was not created from a seed phrase
+   * @throws WalletNotFoundError if the wallet is not registered
+   */
+  getMnemonic(walletId: string): string | null {
+    return this.getStoredEntry(walletId).mnemonic || null;
+  }
+
+  /**
+   * Changes the status of a wallet
+   *
+   * @param walletId - The wallet ID
+   * @param status - The new status
+   * @returns The updated wallet
+   * @throws WalletError if the status is invalid
+   * @throws WalletNotFoundError if the wallet is not registered
+   */
+  setStatus(walletId: string, status: WalletStatus): RegistryEntry {
+    if (!WALLET_STATUSES.includes(status)) {
+      throw new WalletError(`Invalid wallet status: ${status}. Must be one of: ${WALLET_STATUSES.join(', ')}`);
+    }
+
+    return withFileLock(this.vaultPath, () => {
+      const entries = this.load();
+      const entry = this.getStoredEntry(walletId);
+      if (entry.status !== status) {
+        entry.status = status;
+        this.save(entries);
+        logger.info(`Wallet ${walletId} is now ${status}`);
+      }
+      return toRegistryEntry(entry);
+    });
+  }
+
+  /**
+   * Gets the stored entry of a wallet, including secrets
+   */
+  private getStoredEntry(walletId: string): StoredEntry {
+    const entry = this.load().find(item => item.id === walletId);
+    if (!entry) {
+      throw new WalletNotFoundError(`Wallet not found: ${walletId}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Gets the modification stamp of the vault. Every write renames a new file into
+   * place, so the inode changes even when two writes share a modification time.
+   */
+  private getModifiedAt(): string | null {
+    if (!fs.existsSync(this.vaultPath)) {
+      return null;
+    }
+    const { ino, mtimeMs } = fs.statSync(this.vaultPath);
+    return `${ino}:${mtimeMs}`;
+  }
+
+  /**
+   * Loads the vault (cached until the file changes on disk)
+   */
+  private load(): StoredEntry[] {
+    const modifiedAt = this.getModifiedAt();
+    if (!this.entries || modifiedAt !== this.modifiedAt) {
+      this.entries = readEncryptedJson<StoredEntry[]>(this.vaultPath) || [];
+      this.modifiedAt = modifiedAt;
+    }
+    return this.entries;
+  }
+
+  /**
+   * Writes the vault as an encrypted keystore. Only called while holding the vault lock,
+   * right after load(), so wallets another process added in the meantime are kept.
+   */
+  private save(entries: StoredEntry[]): void {
+    writeEncryptedJson(this.vaultPath, entries);
+    this.entries = entries;
+    this.modifiedAt = this.getModifiedAt();
+  }
+}
+
+/**
+ * Create and export a default instance of WalletRegistry.
+ */
+export const defaultWalletRegistry = new WalletRegistry();
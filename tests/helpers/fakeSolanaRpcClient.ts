@@ -0,0 +1,56 @@
+import { SolanaRpcClient } from '../../src/utils/solanaRpcClient';
+import { PrioritizationFeesResponse } from '../../src/utils/rpcTypes';
+
+/**
+ * SolanaRpcClient that answers from memory, so unit tests never reach an RPC endpoint
+ */
+export class FakeSolanaRpcClient extends SolanaRpcClient {
+  private prioritizationFees: number[];
+  private failure: Error | null = null;
+
+  /**
+   * Creates a new FakeSolanaRpcClient
+   *
+   * @param prioritizationFees - Fees returned by getRecentPrioritizationFees, in micro-lamports
+   */
+  constructor(prioritizationFees: number[] = []) {
+    // The connection is created but never used
+    super('http://127.0.0.1:8899');
+    this.prioritizationFees = prioritizationFees;
+  }
+
+  /**
+   * Replaces the fees returned by getRecentPrioritizationFees
+   *
+   * @param prioritizationFees - Fees in micro-lamports
+   */
+  setPrioritizationFees(prioritizationFees: number[]): void {
+    this.prioritizationFees = prioritizationFees;
+    this.failure = null;
+  }
+
+  /**
+   * Makes every call fail with the given error
+   *
+   * @param error - The error to throw
+   */
+  failWith(error: Error): void {
+    this.failure = error;
+  }
+
+  async getRecentPrioritizationFees(): Promise<PrioritizationFeesResponse> {
+    if (this.failure) {
+      throw this.failure;
+    }
+    return {
+      value: this.prioritizationFees.map((prioritizationFee, index) => ({ slot: 1000 + index, prioritizationFee }))
+    };
+  }
+
+  async getLatestBlockhash(): Promise<{ blockhash: string; lastValidBlockHeight: number }> {
+    if (this.failure) {
+      throw this.failure;
+    }
+    return { blockhash: '11111111111111111111111111111111', lastValidBlockHeight: 1000 };
+  }
+}
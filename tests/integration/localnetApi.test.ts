@@ -0,0 +1,354 @@
+/**
+ * End-to-end test of the REST API on a local Solana test validator
+ *
+ * Boots solana-test-validator (unless LOCALNET_RPC_URL points at a running one), starts
+ * api/index.js against it with a throwaway vault, job store and API key, and checks
+ * balances after each step: mother creation, child derivation, funding, return funds
+ * and SPL token balances. No real SOL is involved.
+ *
+ * The suite is skipped when neither LOCALNET_RPC_URL is set nor solana-test-validator is
+ * on the PATH, so `npm test` passes on machines without the Solana CLI.
+ *
+ * Usage: npm run test:localnet-api
+ *   LOCALNET_RPC_URL=http://127.0.0.1:8899  Use an already running validator instead of starting one
+ *   LOCALNET_KEEP_FILES=1                   Keep the temporary directory (vault, jobs, logs) for inspection
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { ChildProcess, spawn, spawnSync } from 'child_process';
+import { Connection, Keypair, LAMPORTS_PER_SOL, PublicKey } from '@solana/web3.js';
+import { createMint, getOrCreateAssociatedTokenAccount, mintTo } from '@solana/spl-token';
+
+const ROOT = path.join(__dirname, '..', '..');
+const CHILD_COUNT = 3;
+const FUNDING_AMOUNT_SOL = 0.01;
+const MOTHER_AIRDROP_SOL = 5;
+const TOKEN_DECIMALS = 6;
+const TOKEN_AMOUNT = 1234567n;
+
+const LOCALNET_RPC_URL = process.env.LOCALNET_RPC_URL || null;
+const KEEP_FILES = process.env.LOCALNET_KEEP_FILES === '1';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A child process with a promise of its exit
+ */
+interface ManagedProcess {
+  child: ChildProcess;
+  exited: Promise<void>;
+}
+
+type ApiClient = (method: string, route: string, body?: unknown) => Promise<{ status: number; data: any }>;
+
+/**
+ * Checks whether a validator can be used: a running one at LOCALNET_RPC_URL, or the
+ * solana-test-validator binary to start one
+ */
+function isValidatorAvailable(): boolean {
+  if (LOCALNET_RPC_URL) {
+    return true;
+  }
+  const result = spawnSync('solana-test-validator', ['--version'], { stdio: 'ignore', timeout: 10000 });
+  return !result.error && result.status === 0;
+}
+
+/**
+ * Finds a free TCP port on localhost
+ */
+function getFreePort(): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address() as net.AddressInfo;
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Polls a check until it passes or the timeout expires.
+ * A check that hangs (e.g. a request to an unreachable RPC) is abandoned at the deadline.
+ */
+async function waitFor<T>(description: string, check: () => Promise<T>, timeoutMs: number): Promise<T> {
+  const deadline = Date.now() + timeoutMs;
+  let lastError: Error | undefined;
+  while (Date.now() < deadline) {
+    try {
+      const result = await Promise.race([check(), delay(deadline - Date.now()).then(() => null)]);
+      if (result) {
+        return result;
+      }
+    } catch (error) {
+      lastError = error as Error;
+    }
+    await delay(500);
+  }
+  throw new Error(`Timed out waiting for ${description}${lastError ? `: ${lastError.message}` : ''}`);
+}
+
+/**
+ * Starts a child process whose output goes to a log file
+ */
+function startProcess(command: string, args: string[], env: NodeJS.ProcessEnv, logPath: string): ManagedProcess {
+  const log = fs.openSync(logPath, 'a');
+  const child = spawn(command, args, { cwd: ROOT, env, stdio: ['ignore', log, log] });
+  fs.closeSync(log);
+  return { child, exited: new Promise(resolve => child.on('exit', () => resolve())) };
+}
+
+/**
+ * Stops a child process started by this suite
+ */
+async function stopProcess(managed: ManagedProcess | null): Promise<void> {
+  if (!managed || managed.child.exitCode !== null || managed.child.signalCode !== null) {
+    return;
+  }
+  managed.child.kill('SIGTERM');
+  const exited = await Promise.race([managed.exited.then(() => true), delay(10000).then(() => false)]);
+  if (!exited) {
+    managed.child.kill('SIGKILL');
+    await managed.exited;
+  }
+}
+
+/**
+ * Starts solana-test-validator on free ports with a fresh ledger
+ */
+async function startValidator(workDir: string): Promise<{ validator: ManagedProcess; rpcUrl: string }> {
+  const rpcPort = await getFreePort();
+  const faucetPort = await getFreePort();
+  const validator = startProcess('solana-test-validator', [
+    '--reset',
+    '--quiet',
+    '--ledger', path.join(workDir, 'ledger'),
+    '--rpc-port', String(rpcPort),
+    '--faucet-port', String(faucetPort)
+  ], process.env, path.join(workDir, 'validator.log'));
+
+  await new Promise<void>((resolve, reject) => {
+    validator.child.once('error', reject);
+    validator.child.once('spawn', resolve);
+  });
+
+  return { validator, rpcUrl: `http://127.0.0.1:${rpcPort}` };
+}
+
+/**
+ * Creates a small client for the API under test
+ */
+function createApiClient(baseUrl: string, apiKey: string): ApiClient {
+  return async (method, route, body) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json();
+    return { status: response.status, data };
+  };
+}
+
+/**
+ * Requests an airdrop and waits for its confirmation
+ */
+async function airdrop(connection: Connection, publicKey: PublicKey, sol: number): Promise<void> {
+  const signature = await connection.requestAirdrop(publicKey, sol * LAMPORTS_PER_SOL);
+  const latestBlockhash = await connection.getLatestBlockhash('confirmed');
+  await connection.confirmTransaction({ signature, ...latestBlockhash }, 'confirmed');
+}
+
+/**
+ * Prints the end of the API and validator logs
+ */
+function printLogs(workDir: string): void {
+  for (const log of ['api.log', 'validator.log']) {
+    const logPath = path.join(workDir, log);
+    if (fs.existsSync(logPath) && fs.statSync(logPath).size > 0) {
+      console.error(`--- last lines of ${log} ---\n${fs.readFileSync(logPath, 'utf8').split('\n').slice(-30).join('\n')}`);
+    }
+  }
+}
+
+const describeLocalnet = isValidatorAvailable() ? describe : describe.skip;
+
+describeLocalnet('REST API on localnet', () => {
+  const STEP_COUNT = 5;
+
+  let workDir: string;
+  let validator: ManagedProcess | null = null;
+  let server: ManagedProcess | null = null;
+  let connection: Connection;
+  let api: ApiClient;
+  let completedSteps = 0;
+
+  // State carried from one step to the next
+  let motherWalletId: string;
+  let motherWalletPublicKey: string;
+  let childWallets: Array<{ id: string; publicKey: string; index: number }>;
+  let motherInitial: number;
+  let motherAfterFunding: number;
+
+  const balanceOf = async (publicKey: string): Promise<number> => {
+    const { status, data } = await api('GET', `/api/wallets/balance/${publicKey}`);
+    expect(status).toBe(200);
+    return data.balanceLamports;
+  };
+
+  beforeAll(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'solana-api-localnet-'));
+
+    let rpcUrl = LOCALNET_RPC_URL;
+    if (!rpcUrl) {
+      ({ validator, rpcUrl } = await startValidator(workDir));
+    }
+    connection = new Connection(rpcUrl, 'confirmed');
+    await waitFor(`the validator at ${rpcUrl}`, () => connection.getVersion(), 60000);
+    // The faucet starts with the validator but may need a moment longer
+    await waitFor('the faucet', () => connection.requestAirdrop(Keypair.generate().publicKey, LAMPORTS_PER_SOL), 30000);
+
+    const apiKey = crypto.randomBytes(24).toString('hex');
+    const port = await getFreePort();
+    server = startProcess(process.execPath, [path.join(ROOT, 'api', 'index.js')], {
+      ...process.env,
+      PORT: String(port),
+      SOLANA_NETWORK: 'localnet',
+      SOLANA_RPC_URL: rpcUrl,
+      SOLANA_RPC_ENDPOINTS: '',
+      WALLET_VAULT_PATH: path.join(workDir, 'vault.json'),
+      WALLET_KEYSTORE_PASSPHRASE: crypto.randomBytes(24).toString('hex'),
+      JOBS_PATH: path.join(workDir, 'jobs.json'),
+      WALLET_GROUPS_PATH: path.join(workDir, 'wallet-groups.json'),
+      TRANSACTIONS_DB_PATH: path.join(workDir, 'transactions.db'),
+      FEE_LEDGER_PATH: path.join(workDir, 'fee-ledger.jsonl'),
+      API_KEYS_PATH: path.join(workDir, 'api-keys.json'),
+      API_KEYS: JSON.stringify([{
+        id: 'localnet-test',
+        name: 'localnet-test',
+        keyHash: crypto.createHash('sha256').update(apiKey).digest('hex'),
+        scopes: ['*']
+      }]),
+      LOG_FORMAT: 'json'
+    }, path.join(workDir, 'api.log'));
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const apiServer = server;
+    await waitFor('the API server', async () => {
+      if (apiServer.child.exitCode !== null) {
+        throw new Error(`API server exited with code ${apiServer.child.exitCode}`);
+      }
+      return (await fetch(baseUrl)).ok;
+    }, 30000);
+    api = createApiClient(baseUrl, apiKey);
+  }, 180000);
+
+  afterAll(async () => {
+    await stopProcess(server);
+    await stopProcess(validator);
+    if (!workDir) {
+      return;
+    }
+    const failed = completedSteps < STEP_COUNT;
+    if (failed) {
+      printLogs(workDir);
+    }
+    if (KEEP_FILES || failed) {
+      console.log(`Test files kept in ${workDir}`);
+    } else {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }, 30000);
+
+  it('creates a mother wallet and funds it with an airdrop', async () => {
+    const mother = await api('POST', '/api/wallets/mother', {});
+    expect(mother.status).toBe(201);
+    expect(mother.data.hdDerivationAvailable).toBe(true);
+    ({ motherWalletId, motherWalletPublicKey } = mother.data);
+    expect(await balanceOf(motherWalletPublicKey)).toBe(0);
+
+    await airdrop(connection, new PublicKey(motherWalletPublicKey), MOTHER_AIRDROP_SOL);
+    motherInitial = await balanceOf(motherWalletPublicKey);
+    expect(motherInitial).toBe(MOTHER_AIRDROP_SOL * LAMPORTS_PER_SOL);
+    completedSteps++;
+  }, 60000);
+
+  it('derives child wallets', async () => {
+    const derived = await api('POST', '/api/wallets/children', { motherWalletId, count: CHILD_COUNT });
+    expect(derived.status).toBe(201);
+    childWallets = derived.data.childWallets;
+    expect(childWallets.map(wallet => wallet.index)).toEqual([...Array(CHILD_COUNT).keys()]);
+    for (const child of childWallets) {
+      expect(await balanceOf(child.publicKey)).toBe(0);
+    }
+    completedSteps++;
+  }, 60000);
+
+  it('funds the children in a background job', async () => {
+    const funding = await api('POST', '/api/wallets/fund-children', {
+      motherWalletId,
+      childWallets: childWallets.map(wallet => ({ walletId: wallet.id, amountSol: FUNDING_AMOUNT_SOL }))
+    });
+    expect(funding.status).toBe(202);
+    const job = await waitFor('the funding job', async () => {
+      const { data } = await api('GET', funding.data.statusUrl);
+      return ['completed', 'failed'].includes(data.status) ? data : null;
+    }, 120000);
+    expect(job.status).toBe('completed');
+    expect(job.progress.confirmed).toBe(CHILD_COUNT);
+
+    const fundingLamports = FUNDING_AMOUNT_SOL * LAMPORTS_PER_SOL;
+    for (const child of childWallets) {
+      expect(await balanceOf(child.publicKey)).toBe(fundingLamports);
+    }
+    motherAfterFunding = await balanceOf(motherWalletPublicKey);
+    const fundingFees = motherInitial - CHILD_COUNT * fundingLamports - motherAfterFunding;
+    expect(fundingFees).toBeGreaterThan(0);
+    expect(fundingFees).toBeLessThan(0.001 * LAMPORTS_PER_SOL);
+    completedSteps++;
+  }, 180000);
+
+  it('returns all funds from a child to its mother wallet', async () => {
+    const [returningChild] = childWallets;
+    const returned = await api('POST', '/api/wallets/return-funds', {
+      childWalletId: returningChild.id,
+      returnAllFunds: true
+    });
+    expect(returned.status).toBe(200);
+    expect(returned.data.status).toBe('success');
+    expect(returned.data.newChildBalanceSol).toBe(0);
+    expect(await balanceOf(returningChild.publicKey)).toBe(0);
+
+    const motherAfterReturn = await balanceOf(motherWalletPublicKey);
+    expect(motherAfterReturn - motherAfterFunding).toBe(Math.round(returned.data.amountReturnedSol * LAMPORTS_PER_SOL));
+    expect(motherAfterReturn).toBeGreaterThan(motherAfterFunding);
+    expect(motherAfterReturn).toBeLessThan(motherAfterFunding + FUNDING_AMOUNT_SOL * LAMPORTS_PER_SOL);
+    completedSteps++;
+  }, 60000);
+
+  it('reads SPL token balances', async () => {
+    const payer = Keypair.generate();
+    await airdrop(connection, payer.publicKey, 1);
+    const mint = await createMint(connection, payer, payer.publicKey, null, TOKEN_DECIMALS);
+    const motherTokenAccount = await getOrCreateAssociatedTokenAccount(connection, payer, mint, new PublicKey(motherWalletPublicKey));
+    await mintTo(connection, payer, mint, motherTokenAccount.address, payer, TOKEN_AMOUNT);
+
+    const tokenBalance = await api('GET', `/api/wallets/token-balance/${motherWalletPublicKey}?mintAddress=${mint.toBase58()}`);
+    expect(tokenBalance.status).toBe(200);
+    expect(tokenBalance.data.data.balance).toBe(Number(TOKEN_AMOUNT));
+    expect(tokenBalance.data.data.decimals).toBe(TOKEN_DECIMALS);
+
+    const emptyBalance = await api('GET', `/api/wallets/token-balance/${childWallets[1].publicKey}?mintAddress=${mint.toBase58()}`);
+    expect(emptyBalance.status).toBe(200);
+    expect(emptyBalance.data.data.balance).toBe(0);
+
+    const invalidMint = await api('GET', `/api/wallets/token-balance/${motherWalletPublicKey}?mintAddress=not-a-mint`);
+    expect(invalidMint.status).toBe(400);
+    completedSteps++;
+  }, 60000);
+});
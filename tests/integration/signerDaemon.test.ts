@@ -0,0 +1,106 @@
+/**
+ * Test of the API vault with SIGNER_URL set, against the local signer daemon
+ *
+ * Starts scripts/signer-daemon.js on a free port with a throwaway vault, then loads
+ * api/services/vaultService.js without WALLET_KEYSTORE_PASSPHRASE: wallets are created
+ * through the daemon, looked up in the plaintext section of the vault and signed remotely,
+ * and nothing that hands keys to the API is allowed.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { Keypair, PublicKey, SystemProgram, Transaction } from '@solana/web3.js';
+
+const { createSignerDaemon } = require('../../scripts/signer-daemon');
+
+const AUTH_TOKEN = 'signer test token';
+const PASSPHRASE = 'signer test passphrase';
+
+describe('vaultService with a remote signer', () => {
+  const savedEnv = { ...process.env };
+  let storageDir: string;
+  let vaultPath: string;
+  let server: Server;
+  let vaultService: any;
+  let signer: any;
+
+  beforeAll(async () => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signer-daemon-'));
+    vaultPath = path.join(storageDir, 'vault.json');
+
+    const { app } = createSignerDaemon({ vaultPath, authToken: AUTH_TOKEN, passphrase: PASSPHRASE });
+    server = await new Promise<Server>(resolve => {
+      const listening: Server = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    process.env.WALLET_VAULT_PATH = vaultPath;
+    process.env.SIGNER_URL = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    process.env.SIGNER_AUTH_TOKEN = AUTH_TOKEN;
+    delete process.env.WALLET_KEYSTORE_PASSPHRASE;
+    jest.isolateModules(() => {
+      vaultService = require('../../api/services/vaultService');
+      signer = require('../../api/utils/signer');
+    });
+  });
+
+  afterAll(async () => {
+    process.env = savedEnv;
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('creates and derives wallets through the daemon and reads them without the passphrase', async () => {
+    const { wallet: mother, mnemonic } = await vaultService.createMotherWallet();
+    const { wallets: children } = await vaultService.deriveChildWallets(mother.id, { count: 2 });
+
+    expect(mnemonic).toBeNull();
+    expect(mother).toMatchObject({ role: 'mother', hasMnemonic: true });
+    expect(mother).not.toHaveProperty('privateKeyBase58');
+    expect(children.map((child: any) => child.derivationPath)).toEqual(["m/44'/501'/1'/0'", "m/44'/501'/2'/0'"]);
+    expect(vaultService.getWallet(mother.id).publicKey).toBe(mother.publicKey);
+    expect(vaultService.listWallets({ parentId: mother.id }).map((child: any) => child.id))
+      .toEqual(children.map((child: any) => child.id));
+    expect(fs.readFileSync(vaultPath, 'utf8')).not.toContain('privateKeyBase58');
+  });
+
+  it('imports keys into the daemon vault', async () => {
+    const keypair = Keypair.generate();
+    const [wallet] = await vaultService.registerWallets([keypair], { label: 'imported' });
+
+    expect(wallet).toMatchObject({ publicKey: keypair.publicKey.toBase58(), role: 'user', label: 'imported' });
+    expect(vaultService.listWallets({ label: 'imported' })).toHaveLength(1);
+  });
+
+  it('signs with keys held by the daemon', async () => {
+    const { wallet } = await vaultService.createMotherWallet();
+    const transaction = new Transaction({
+      feePayer: new PublicKey(wallet.publicKey),
+      recentBlockhash: Keypair.generate().publicKey.toBase58()
+    }).add(SystemProgram.transfer({
+      fromPubkey: new PublicKey(wallet.publicKey),
+      toPubkey: Keypair.generate().publicKey,
+      lamports: 1000
+    }));
+
+    await signer.signTransaction(transaction, [vaultService.getSigner(wallet.id)]);
+
+    expect(transaction.verifySignatures()).toBe(true);
+  });
+
+  it('refuses operations that hand keys or seed phrases to the API', async () => {
+    const { wallet } = await vaultService.createMotherWallet();
+
+    expect(() => vaultService.getKeypair(wallet.id)).toThrow('Remote signing enabled');
+    await expect(vaultService.createMotherWallet({ returnMnemonic: true })).rejects.toThrow('Remote signing enabled');
+  });
+
+  it('reports requests the daemon rejects', async () => {
+    await expect(vaultService.createMotherWallet({ mnemonic: 'not a seed phrase' }))
+      .rejects.toThrow('Signer rejected the request: Invalid');
+    await expect(vaultService.deriveChildWallets('wal_missing'))
+      .rejects.toThrow('Signer rejected the request: Wallet not found: wal_missing');
+  });
+});
@@ -0,0 +1,74 @@
+import { FeeCollector } from '../../src/fees/feeCollector';
+import { TransferOp } from '../../src/models/types';
+
+const SERVICE_WALLET = '7fMgRsNxhD7yDASScVNrPGYzymnxuAP6oUcAkYYXwpbS';
+const DESTINATIONS = ['DestA111111111111111111111111111111111111111', 'DestB111111111111111111111111111111111111111'];
+
+describe('FeeCollector', () => {
+  // 0.1%, as configured in src/config.ts
+  const collector = new FeeCollector(1n, 1000n, SERVICE_WALLET);
+
+  describe('calculateFee', () => {
+    it('charges the fee rate, rounded down', () => {
+      expect(collector.calculateFee(1000000n)).toBe(1000n);
+      expect(collector.calculateFee(1999n)).toBe(1n);
+    });
+
+    it('charges at least 1 base unit on a non-zero amount', () => {
+      expect(collector.calculateFee(1n)).toBe(1n);
+      expect(collector.calculateFee(999n)).toBe(1n);
+    });
+
+    it('charges nothing on a zero amount', () => {
+      expect(collector.calculateFee(0n)).toBe(0n);
+    });
+  });
+
+  describe('prepareTransfersWithFees', () => {
+    const ops: TransferOp[] = [
+      { sourceIndex: 0, destinationIndex: 1, amount: 5000000n },
+      { sourceIndex: 1, destinationIndex: 0, amount: 2500n }
+    ];
+
+    it('follows each transfer with its fee transfer to the service wallet', () => {
+      const { allTransfers } = collector.prepareTransfersWithFees(ops, DESTINATIONS);
+
+      expect(allTransfers).toEqual([
+        { sourceIndex: 0, destinationAddress: DESTINATIONS[1], amount: 5000000n, isFee: false },
+        { sourceIndex: 0, destinationAddress: SERVICE_WALLET, amount: 5000n, isFee: true },
+        { sourceIndex: 1, destinationAddress: DESTINATIONS[0], amount: 2500n, isFee: false },
+        { sourceIndex: 1, destinationAddress: SERVICE_WALLET, amount: 2n, isFee: true }
+      ]);
+    });
+
+    it('totals the transferred amounts and the fees', () => {
+      const { totalAmount, totalFee, allTransfers } = collector.prepareTransfersWithFees(ops, DESTINATIONS);
+
+      expect(totalAmount).toBe(5002500n);
+      expect(totalFee).toBe(5002n);
+      expect(allTransfers.filter(op => op.isFee).reduce((sum, op) => sum + op.amount, 0n)).toBe(totalFee);
+    });
+
+    it('rejects a destination index without an address', () => {
+      expect(() => collector.prepareTransfersWithFees(
+        [{ sourceIndex: 0, destinationIndex: 2, amount: 1000n }],
+        DESTINATIONS
+      )).toThrow('Invalid destination index 2 for operation 0');
+    });
+
+    it('rejects an empty schedule or address list', () => {
+      expect(() => collector.prepareTransfersWithFees([], DESTINATIONS)).toThrow('No transfer operations provided');
+      expect(() => collector.prepareTransfersWithFees(ops, [])).toThrow('No destination addresses provided');
+    });
+  });
+
+  describe('constructor', () => {
+    it('rejects fee rates of 100% or more', () => {
+      expect(() => new FeeCollector(1000n, 1000n, SERVICE_WALLET)).toThrow('Fee rate must be less than 100%');
+    });
+
+    it('rejects the placeholder service wallet', () => {
+      expect(() => new FeeCollector(1n, 1000n, 'YourServiceWalletAddressHere')).toThrow('Service wallet address must be configured');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { FeeOracle } from '../../src/fees/feeOracle';
+import { SolNetworkError } from '../../src/utils/errors';
+import { FakeSolanaRpcClient } from '../helpers/fakeSolanaRpcClient';
+
+describe('FeeOracle.isFeeSpikeDetected', () => {
+  it('flags fees above 150% of the P90 fee', async () => {
+    // P90 of 1..10 is 9, so the threshold is 13 (13.5 rounded down)
+    const oracle = new FeeOracle(new FakeSolanaRpcClient([5, 3, 9, 1, 7, 2, 10, 4, 8, 6]));
+
+    await expect(oracle.getFeeSpikeThreshold()).resolves.toBe(13n);
+    await expect(oracle.isFeeSpikeDetected(13n)).resolves.toBe(false);
+    await expect(oracle.isFeeSpikeDetected(14n)).resolves.toBe(true);
+  });
+
+  it('uses the configured threshold factor and percentile', async () => {
+    // P50 of 1..10 is 5, and 200% of it is 10
+    const oracle = new FeeOracle(new FakeSolanaRpcClient([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]), 200n, 50);
+
+    await expect(oracle.isFeeSpikeDetected(10n)).resolves.toBe(false);
+    await expect(oracle.isFeeSpikeDetected(11n)).resolves.toBe(true);
+  });
+
+  it('follows the fees the RPC reports', async () => {
+    const rpcClient = new FakeSolanaRpcClient([100]);
+    const oracle = new FeeOracle(rpcClient);
+    await expect(oracle.isFeeSpikeDetected(200n)).resolves.toBe(true);
+
+    rpcClient.setPrioritizationFees([1000]);
+    await expect(oracle.isFeeSpikeDetected(200n)).resolves.toBe(false);
+  });
+
+  it('falls back to a 5000 micro-lamport fee when there is no fee data', async () => {
+    const oracle = new FeeOracle(new FakeSolanaRpcClient([]));
+
+    await expect(oracle.getFeeSpikeThreshold()).resolves.toBe(7500n);
+    await expect(oracle.isFeeSpikeDetected(7501n)).resolves.toBe(true);
+  });
+
+  it('falls back to a 5000 micro-lamport fee when the RPC fails', async () => {
+    const rpcClient = new FakeSolanaRpcClient([1]);
+    rpcClient.failWith(new SolNetworkError('Failed to get prioritization fees: fetch failed'));
+    const oracle = new FeeOracle(rpcClient);
+
+    await expect(oracle.isFeeSpikeDetected(7500n)).resolves.toBe(false);
+    await expect(oracle.isFeeSpikeDetected(7501n)).resolves.toBe(true);
+  });
+
+  it('rejects percentiles outside 0-100', () => {
+    expect(() => new FeeOracle(new FakeSolanaRpcClient(), 150n, 101)).toThrow('Percentile must be between 0 and 100');
+  });
+});
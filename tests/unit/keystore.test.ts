@@ -0,0 +1,52 @@
+import { decryptPayload, encryptPayload, stripSecrets } from '../../src/wallet/keystore';
+
+const PASSPHRASE = 'test passphrase';
+
+describe('stripSecrets', () => {
+  it('keeps the public fields of each record', () => {
+    const record = { id: 'wal_1', publicKey: 'Pub1', role: 'child', parentId: 'wal_0', index: 3, status: 'active' };
+
+    expect(stripSecrets([{ ...record, privateKeyBase58: 'secret', mnemonic: 'words' }])).toEqual([record]);
+  });
+
+  it('drops fields that are not on the allow-list, wherever secrets are nested', () => {
+    const data = {
+      publicKey: 'Pub1',
+      wallet: { publicKey: 'Pub1', secretKey: [1, 2, 3] },
+      keys: [{ secretKey: 'abc' }],
+      seed: 'abc',
+      label: { secretKey: 'abc' }
+    };
+
+    expect(stripSecrets(data)).toEqual({ publicKey: 'Pub1' });
+  });
+
+  it('does not copy bare values, such as a key array', () => {
+    expect(stripSecrets([[1, 2, 3], 'secret'])).toEqual([null, null]);
+  });
+});
+
+describe('encryptPayload', () => {
+  it('round-trips the data and exposes only the public fields', () => {
+    const data = [{ publicKey: 'Pub1', secretKey: [1, 2, 3] }];
+    const keystore = encryptPayload(data, PASSPHRASE);
+
+    expect(keystore.public).toEqual([{ publicKey: 'Pub1' }]);
+    expect(JSON.stringify(keystore.public)).not.toContain('secretKey');
+    expect(decryptPayload(keystore, PASSPHRASE)).toEqual(data);
+  });
+});
+
+describe('decryptPayload', () => {
+  const keystore = encryptPayload([{ publicKey: 'Pub1' }], PASSPHRASE);
+
+  it.each([
+    ['a huge p', { p: 1000000 }],
+    ['a larger N', { n: 1048576 }],
+    ['a different r', { r: 1 }]
+  ])('rejects a keystore with %s before deriving the key', (_, kdfParams) => {
+    const tampered = { ...keystore, kdfParams: { ...keystore.kdfParams, ...kdfParams } };
+
+    expect(() => decryptPayload(tampered, PASSPHRASE)).toThrow('Invalid keystore: unsupported scrypt parameters');
+  });
+});
@@ -0,0 +1,77 @@
+import { Scheduler } from '../../src/scheduler/scheduler';
+
+describe('Scheduler.generateSchedule', () => {
+  const scheduler = new Scheduler();
+
+  // Amounts are random, so each invariant is checked over many schedules
+  const RUNS = 50;
+
+  it.each([
+    [2, 1000000000n, 9],
+    [5, 1000000000n, 9],
+    [10, 25000000n, 6],
+    [20, 123456789n, 6],
+    [3, 300n, 0]
+  ])('splits the volume over %i wallets (%s base units, %i decimals)', (n, totalVolume, decimals) => {
+    const minAmount = 10n ** BigInt(Math.max(0, decimals - 2));
+
+    for (let run = 0; run < RUNS; run++) {
+      const ops = scheduler.generateSchedule(n, totalVolume, decimals);
+      const amounts = ops.map(op => op.amount);
+
+      expect(ops).toHaveLength(n);
+      expect(amounts.reduce((sum, amount) => sum + amount, 0n)).toBe(totalVolume);
+      expect(new Set(amounts.map(amount => amount.toString())).size).toBe(n);
+      expect(amounts.every(amount => amount >= minAmount)).toBe(true);
+      expect(scheduler.verifyTransfers(ops, totalVolume, minAmount)).toBe(true);
+    }
+  });
+
+  it('sends each wallet to the next one, round-robin', () => {
+    const ops = scheduler.generateSchedule(4, 1000000n, 6);
+
+    expect(ops.map(op => [op.sourceIndex, op.destinationIndex])).toEqual([[0, 1], [1, 2], [2, 3], [3, 0]]);
+  });
+
+  it('rejects fewer than 2 wallets', () => {
+    expect(() => scheduler.generateSchedule(1, 1000n, 6)).toThrow('Number of wallets must be at least 2');
+  });
+
+  it('rejects a volume that is not positive', () => {
+    expect(() => scheduler.generateSchedule(3, 0n, 6)).toThrow('Total volume must be greater than 0');
+  });
+
+  it('rejects decimals outside 0-18', () => {
+    expect(() => scheduler.generateSchedule(3, 1000n, 19)).toThrow('Token decimals must be between 0 and 18');
+  });
+
+  it('rejects a volume below the minimum amount per wallet', () => {
+    // 6 decimals: at least 10^4 base units per wallet
+    expect(() => scheduler.generateSchedule(5, 49999n, 6)).toThrow('Total volume too small for 5 wallets');
+  });
+
+  it('finds unique amounts for the smallest volume that allows them', () => {
+    // 0 decimals: at least 1 per wallet, and 1 + 2 + 3 + 4 = 10 is the only split into unique amounts
+    const ops = scheduler.generateSchedule(4, 10n, 0);
+
+    expect(ops.map(op => op.amount).sort((a, b) => Number(a - b))).toEqual([1n, 2n, 3n, 4n]);
+    expect(() => scheduler.generateSchedule(4, 9n, 0)).toThrow('Total volume too small for 4 wallets');
+  });
+});
+
+describe('Scheduler.verifyTransfers', () => {
+  const scheduler = new Scheduler();
+  const transfer = (amount: bigint) => ({ sourceIndex: 0, destinationIndex: 1, amount });
+
+  it('rejects duplicate amounts', () => {
+    expect(scheduler.verifyTransfers([transfer(5n), transfer(5n)], 10n)).toBe(false);
+  });
+
+  it('rejects amounts below the minimum', () => {
+    expect(scheduler.verifyTransfers([transfer(1n), transfer(9n)], 10n, 2n)).toBe(false);
+  });
+
+  it('rejects amounts that do not add up to the volume', () => {
+    expect(scheduler.verifyTransfers([transfer(4n), transfer(5n)], 10n)).toBe(false);
+  });
+});
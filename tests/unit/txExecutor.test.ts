@@ -0,0 +1,151 @@
+import { Connection, Keypair } from '@solana/web3.js';
+import { TxExecutor } from '../../src/transactions/txExecutor';
+import { recordSentTransaction, updateTransaction } from '../../src/transactions/transactionHistory';
+import { FeeOracle } from '../../src/fees/feeOracle';
+import { TokenInfo } from '../../src/tokens/tokenInfo';
+import { OperationStatus } from '../../src/models/types';
+import { SolNetworkError, TxTimeoutError } from '../../src/utils/errors';
+import { SignerUnavailableError, WalletSignatureError } from '../../src/wallet/errors';
+import { FakeSolanaRpcClient } from '../helpers/fakeSolanaRpcClient';
+
+jest.mock('../../src/transactions/transactionHistory', () => ({
+  recordSentTransaction: jest.fn(),
+  updateTransaction: jest.fn(),
+  getMessageFee: jest.fn(() => 5000)
+}));
+
+// isRetryableError and shouldAbortBatch are private; the tests reach them through this view
+interface TxExecutorInternals {
+  isRetryableError(error: Error): boolean;
+  shouldAbortBatch(errorMessage: string): boolean;
+}
+
+function createExecutor(): TxExecutorInternals {
+  const rpcClient = new FakeSolanaRpcClient([5000]);
+  const executor = new TxExecutor(rpcClient, new FeeOracle(rpcClient), new TokenInfo(rpcClient), 0, 0, 1000);
+  return executor as unknown as TxExecutorInternals;
+}
+
+describe('TxExecutor.isRetryableError', () => {
+  const executor = createExecutor();
+
+  it.each([
+    ['network errors', new SolNetworkError('Failed to send transaction: fetch failed')],
+    ['confirmation timeouts', new TxTimeoutError('Transaction was not confirmed in 60 seconds')],
+    ['remote signer outages', new SignerUnavailableError('Signer unavailable for abc: HTTP 503')],
+    ['expired blockhashes', new Error('Blockhash not found')],
+    ['block height exceeded', new Error('Signature has expired: block height exceeded')],
+    ['rate limiting', new Error('Server responded with 429 Too Many Requests')],
+    ['connection resets', new Error('socket hang up')],
+    ['duplicate sends', new Error('Transaction already processed')]
+  ])('retries %s', (_, error) => {
+    expect(executor.isRetryableError(error)).toBe(true);
+  });
+
+  it.each([
+    ['signatures the signer refused', new WalletSignatureError('Signer rejected signing for abc: request timeout')],
+    ['insufficient funds', new Error('Attempt to debit an account but found no record of a prior credit: insufficient funds')],
+    ['program errors', new Error('Transaction simulation failed: custom program error: 0x1')],
+    ['invalid accounts', new Error('Invalid account owner')],
+    ['unknown errors', new Error('Something unexpected')]
+  ])('does not retry %s', (_, error) => {
+    expect(executor.isRetryableError(error)).toBe(false);
+  });
+});
+
+describe('TxExecutor.shouldAbortBatch', () => {
+  const executor = createExecutor();
+
+  it.each([
+    'Transfer failed: insufficient funds for rent',
+    'Invalid wallet index 12',
+    'Account does not exist',
+    'Unauthorized',
+    'Source account does not have enough SOL',
+    'Program error: SolTransferLimitReached'
+  ])('aborts on "%s"', (errorMessage) => {
+    expect(executor.shouldAbortBatch(errorMessage)).toBe(true);
+  });
+
+  it.each([
+    'Transaction was not confirmed in 60 seconds',
+    'Blockhash not found',
+    'Fee spike detected'
+  ])('continues after "%s"', (errorMessage) => {
+    expect(executor.shouldAbortBatch(errorMessage)).toBe(false);
+  });
+});
+
+describe('TxExecutor.executeSolTransfer', () => {
+  const source = Keypair.generate();
+  const operation = { sourceIndex: 0, destinationAddress: Keypair.generate().publicKey.toBase58(), amount: 1000n, isFee: false };
+  const options = { priorityFee: 0n, checkFeeSpikeThreshold: false, retryDelayMs: 0, confirmationTimeoutMs: 10 };
+  const landed = { context: { slot: 1 }, value: { slot: 42, confirmations: null, err: null, confirmationStatus: 'confirmed' } };
+  const notFound = { context: { slot: 1 }, value: null };
+
+  let rpcClient: FakeSolanaRpcClient;
+  let executor: TxExecutor;
+  // Stands in for the connection, which the RPC pool wraps in a proxy
+  let connection: { sendRawTransaction: jest.Mock; confirmTransaction: jest.Mock; getSignatureStatus: jest.Mock };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rpcClient = new FakeSolanaRpcClient();
+    connection = {
+      sendRawTransaction: jest.fn().mockResolvedValue('ignored'),
+      // Confirmation never arrives, so every attempt times out
+      confirmTransaction: jest.fn(() => new Promise(() => undefined)),
+      getSignatureStatus: jest.fn().mockResolvedValue(notFound)
+    };
+    rpcClient.connection = connection as unknown as Connection;
+    executor = new TxExecutor(rpcClient, new FeeOracle(rpcClient), new TokenInfo(rpcClient), 1, 0, 10);
+    jest.spyOn(executor as any, 'loadSourceWallet').mockResolvedValue(source);
+    // Each attempt gets a fresh blockhash, and so a new signature
+    jest.spyOn(rpcClient, 'getLatestBlockhash')
+      .mockImplementation(async () => ({ blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 1000 }));
+  });
+
+  it('records the attempt before sending it', async () => {
+    connection.confirmTransaction.mockResolvedValue({ context: { slot: 7 }, value: { err: null } });
+
+    const result = await executor.executeSolTransfer(operation, options);
+
+    expect(result.status).toBe(OperationStatus.CONFIRMED);
+    expect(recordSentTransaction).toHaveBeenCalledWith(expect.objectContaining({ signature: result.signature }));
+    expect((recordSentTransaction as jest.Mock).mock.invocationCallOrder[0])
+      .toBeLessThan(connection.sendRawTransaction.mock.invocationCallOrder[0]);
+  });
+
+  it('reports an attempt that landed after its confirmation timed out instead of sending it again', async () => {
+    connection.getSignatureStatus.mockResolvedValue(landed);
+
+    const result = await executor.executeSolTransfer(operation, options);
+
+    expect(result.status).toBe(OperationStatus.CONFIRMED);
+    expect(connection.sendRawTransaction).toHaveBeenCalledTimes(1);
+    expect(updateTransaction).toHaveBeenCalledWith(result.signature, expect.objectContaining({ status: 'confirmed', slot: 42 }));
+    expect(updateTransaction).not.toHaveBeenCalledWith(result.signature, expect.objectContaining({ status: 'replaced' }));
+  });
+
+  it('checks the last attempt before marking it failed', async () => {
+    connection.getSignatureStatus
+      .mockResolvedValueOnce(notFound)
+      .mockResolvedValueOnce(landed);
+
+    const result = await executor.executeSolTransfer(operation, options);
+    const [[firstSignature], [lastSignature]] = (recordSentTransaction as jest.Mock).mock.calls.map(([sent]) => [sent.signature]);
+
+    expect(connection.sendRawTransaction).toHaveBeenCalledTimes(2);
+    expect(updateTransaction).toHaveBeenCalledWith(firstSignature, { status: 'replaced' });
+    expect(result).toMatchObject({ status: OperationStatus.CONFIRMED, signature: lastSignature });
+    expect(updateTransaction).not.toHaveBeenCalledWith(lastSignature, expect.objectContaining({ status: 'failed' }));
+  });
+
+  it('marks the last attempt failed when it did not land', async () => {
+    const result = await executor.executeSolTransfer(operation, options);
+    const lastSignature = (recordSentTransaction as jest.Mock).mock.calls[1][0].signature;
+
+    expect(result.status).toBe(OperationStatus.FAILED);
+    expect(updateTransaction).toHaveBeenCalledWith(lastSignature, expect.objectContaining({ status: 'failed' }));
+  });
+});
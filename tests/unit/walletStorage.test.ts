@@ -0,0 +1,70 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { rekeyWalletStorage } from '../../src/integration/walletStorage';
+import { lockKeystore, readEncryptedJson, writeEncryptedJson } from '../../src/wallet/keystore';
+
+const OLD_PASSPHRASE = 'old passphrase';
+const NEW_PASSPHRASE = 'new passphrase';
+
+describe('rekeyWalletStorage', () => {
+  let storageDir: string;
+
+  // Plaintext stores the API reads without a passphrase
+  const apiKeys = [{ id: 'key_1', name: 'ci', keyHash: 'ab'.repeat(32), scopes: ['*'] }];
+  const jobs = [{ id: 'job_1', type: 'fund-children', status: 'completed', items: [] }];
+  const groups = [{ name: 'campaign-a', wallets: [{ walletId: 'wal_1', label: null, tags: [], notes: null }] }];
+
+  const childWallets = [Keypair.generate(), Keypair.generate()].map((keypair, index) => ({
+    index,
+    publicKey: keypair.publicKey.toBase58(),
+    privateKeyBase58: bs58.encode(keypair.secretKey)
+  }));
+  const vault = [{ id: 'wal_1', publicKey: childWallets[0].publicKey, role: 'user', privateKeyBase58: childWallets[0].privateKeyBase58 }];
+
+  const readJson = (file: string) => JSON.parse(fs.readFileSync(path.join(storageDir, file), 'utf8'));
+
+  beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-storage-'));
+    fs.writeFileSync(path.join(storageDir, 'api-keys.json'), JSON.stringify(apiKeys));
+    fs.writeFileSync(path.join(storageDir, 'jobs.json'), JSON.stringify(jobs));
+    fs.writeFileSync(path.join(storageDir, 'wallet-groups.json'), JSON.stringify(groups));
+    writeEncryptedJson(path.join(storageDir, 'vault.json'), vault, OLD_PASSPHRASE);
+    writeEncryptedJson(path.join(storageDir, 'mainnet', 'child-wallets.json'), childWallets, OLD_PASSPHRASE);
+  });
+
+  afterEach(() => {
+    lockKeystore();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('re-encrypts the keystores, including those in subdirectories', () => {
+    const rewritten = rekeyWalletStorage(OLD_PASSPHRASE, NEW_PASSPHRASE, storageDir);
+
+    expect(rewritten.map(file => path.relative(storageDir, file)).sort()).toEqual([
+      path.join('mainnet', 'child-wallets.json'),
+      'vault.json'
+    ]);
+    expect(readEncryptedJson(path.join(storageDir, 'vault.json'), NEW_PASSPHRASE)).toEqual(vault);
+    expect(readEncryptedJson(path.join(storageDir, 'mainnet', 'child-wallets.json'), NEW_PASSPHRASE)).toEqual(childWallets);
+    expect(() => readEncryptedJson(path.join(storageDir, 'mainnet', 'child-wallets.json'), OLD_PASSPHRASE))
+      .toThrow('Failed to decrypt keystore');
+  });
+
+  it('leaves the plaintext API key, job and wallet group stores readable', () => {
+    rekeyWalletStorage(OLD_PASSPHRASE, NEW_PASSPHRASE, storageDir);
+
+    expect(readJson('api-keys.json')).toEqual(apiKeys);
+    expect(readJson('jobs.json')).toEqual(jobs);
+    expect(readJson('wallet-groups.json')).toEqual(groups);
+  });
+
+  it('rewrites nothing when the old passphrase is wrong', () => {
+    const before = readJson('vault.json');
+
+    expect(() => rekeyWalletStorage('wrong passphrase', NEW_PASSPHRASE, storageDir)).toThrow('Failed to decrypt keystore');
+    expect(readJson('vault.json')).toEqual(before);
+  });
+});